@@ -183,10 +183,34 @@ const sendPasswordResetEmail = async (email, otp, recipientName = 'User') => {
 };
 
 // Send booking confirmation email
+// bookingDetails.bookingType 'diagnostic' sends lab sample collection details instead of doctor details
 const sendBookingConfirmationEmail = async (email, bookingDetails, recipientName = 'User') => {
   try {
+    const isDiagnostic = bookingDetails.bookingType === 'diagnostic';
+    const detailItems = isDiagnostic
+      ? [
+        ['🔬 Test', bookingDetails.testName],
+        ['🧪 Sample Type', bookingDetails.sampleType],
+        ['📅 Collection Date', bookingDetails.collectionDate],
+        ['📍 Collection Location', bookingDetails.collectionLocation],
+        ['⏱️ Results In', bookingDetails.resultTime],
+        ['💳 Amount Paid', bookingDetails.amountPaid],
+        ['🎫 Booking ID', bookingDetails.bookingId]
+      ]
+      : [
+        ['👨‍⚕️ Doctor', bookingDetails.doctorName],
+        ['🏥 Specialty', bookingDetails.specialty],
+        ['📅 Date & Time', bookingDetails.dateTime],
+        ...(bookingDetails.amountPaid ? [['💳 Amount Paid', bookingDetails.amountPaid]] : []),
+        ['🎫 Booking ID', bookingDetails.bookingId]
+      ];
+    const title = isDiagnostic ? 'Lab Test Booking Confirmed' : 'Appointment Confirmed';
+    const reminder = isDiagnostic
+      ? 'Our sample collection team will contact you before the collection date. Please follow any fasting or preparation instructions for your test.'
+      : 'Please arrive 10 minutes before your scheduled appointment time. Bring any necessary medical documents or previous test results with you.';
+
     const sendSmtpEmail = new brevoSDK.SendSmtpEmail();
-    sendSmtpEmail.subject = '✅ Appointment Booking Confirmed - Drugs.ng';
+    sendSmtpEmail.subject = isDiagnostic ? '✅ Lab Test Booking Confirmed - Drugs.ng' : '✅ Appointment Booking Confirmed - Drugs.ng';
     sendSmtpEmail.htmlContent = `
       <!DOCTYPE html>
       <html>
@@ -214,30 +238,22 @@ const sendBookingConfirmationEmail = async (email, bookingDetails, recipientName
           <div class="container">
             <div class="header">
               <img src="https://cdn.builder.io/api/v1/image/assets%2F01bff6d14aa548b2ab2583e4f3f687c7%2Ff35fc00e76f24785934b7375bdbb5029?format=webp&width=200" alt="Drugs.ng Logo" class="logo">
-              <h1>✅ Appointment Confirmed</h1>
+              <h1>✅ ${title}</h1>
             </div>
             <div class="content">
               <p class="greeting">Dear ${recipientName},</p>
-              <p class="description">Your appointment has been successfully booked! Please find the details below.</p>
+              <p class="description">Your ${isDiagnostic ? 'lab test' : 'appointment'} has been successfully booked! Please find the details below.</p>
               <div class="details-box">
+                ${detailItems.map(([label, value]) => `
                 <div class="detail-item">
-                  <span class="detail-label">👨‍⚕️ Doctor:</span> ${bookingDetails.doctorName || 'N/A'}
-                </div>
-                <div class="detail-item">
-                  <span class="detail-label">🏥 Specialty:</span> ${bookingDetails.specialty || 'N/A'}
-                </div>
-                <div class="detail-item">
-                  <span class="detail-label">📅 Date & Time:</span> ${bookingDetails.dateTime || 'N/A'}
-                </div>
-                <div class="detail-item">
-                  <span class="detail-label">🎫 Booking ID:</span> ${bookingDetails.bookingId || 'N/A'}
-                </div>
+                  <span class="detail-label">${label}:</span> ${value || 'N/A'}
+                </div>`).join('')}
               </div>
               <div class="reminder-box">
-                <strong>📍 Important Reminder:</strong> Please arrive 10 minutes before your scheduled appointment time. Bring any necessary medical documents or previous test results with you.
+                <strong>📍 Important Reminder:</strong> ${reminder}
               </div>
               <div class="support-box">
-                <strong>📞 Need Help?</strong> If you need to reschedule or cancel your appointment, please contact us through the Drugs.ng app or reach out to our support team.
+                <strong>📞 Need Help?</strong> If you need to reschedule or cancel your ${isDiagnostic ? 'booking' : 'appointment'}, please contact us through the Drugs.ng app or reach out to our support team.
               </div>
               <div class="footer">
                 <p>© ${new Date().getFullYear()} Drugs.ng. All rights reserved.</p>
@@ -266,8 +282,151 @@ const sendBookingConfirmationEmail = async (email, bookingDetails, recipientName
   }
 };
 
+// Send the daily low-stock digest to pharmacy staff
+const sendLowStockDigestEmail = async (recipients, products, digestDate) => {
+  try {
+    const rows = products.map((product) => `
+                <tr>
+                  <td>${product.name}</td>
+                  <td>${product.category || ''}</td>
+                  <td class="num${product.available === 0 ? ' out' : ''}">${product.available}</td>
+                  <td class="num">${product.reservedStock || 0}</td>
+                  <td class="num">${product.reorderThreshold}</td>
+                </tr>`).join('');
+
+    const sendSmtpEmail = new brevoSDK.SendSmtpEmail();
+    sendSmtpEmail.subject = `⚠️ Low Stock Digest (${products.length}) - ${digestDate}`;
+    sendSmtpEmail.htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="UTF-8">
+          <style>
+            body { font-family: Arial, sans-serif; margin: 0; padding: 0; }
+            .container { max-width: 700px; margin: 0 auto; padding: 0; background-color: #f9f9f9; }
+            .header { background: linear-gradient(135deg, #f39c12 0%, #d68910 100%); color: white; padding: 30px 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .header h1 { margin: 0; font-size: 26px; font-weight: 600; }
+            .content { background-color: white; padding: 30px; border-radius: 0 0 5px 5px; }
+            .description { font-size: 14px; color: #555; line-height: 1.6; margin-bottom: 20px; }
+            table { width: 100%; border-collapse: collapse; font-size: 13px; }
+            th { background-color: #fef9e7; color: #7e5109; text-align: left; padding: 8px; border-bottom: 2px solid #f39c12; }
+            td { padding: 8px; border-bottom: 1px solid #eee; color: #2c3e50; }
+            .num { text-align: right; }
+            .out { color: #c0392b; font-weight: bold; }
+            .footer { text-align: center; font-size: 12px; color: #999; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>⚠️ Low Stock Digest</h1>
+            </div>
+            <div class="content">
+              <p class="description">${products.length} product(s) are at or below their reorder threshold as of ${digestDate}. Record deliveries through the admin restock API so stock history stays auditable.</p>
+              <table>
+                <tr><th>Product</th><th>Category</th><th class="num">Available</th><th class="num">Reserved</th><th class="num">Reorder At</th></tr>${rows}
+              </table>
+              <div class="footer">
+                <p>© ${new Date().getFullYear()} Drugs.ng. Internal staff notification.</p>
+              </div>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+    sendSmtpEmail.sender = {
+      name: 'Drugs.ng',
+      email: process.env.BREVO_SENDER_EMAIL || 'noreply@drugs.ng'
+    };
+    sendSmtpEmail.to = recipients.map((email) => ({ email }));
+
+    const response = await transactionalEmailApi.sendTransacEmail(sendSmtpEmail);
+    console.log(`✉️  Low stock digest emailed to ${recipients.length} recipient(s)`);
+    return { success: true, messageId: response.messageId };
+  } catch (error) {
+    console.error('Error sending low stock digest email via Brevo:', error);
+    throw error;
+  }
+};
+
+// Send a product recall notice to an affected customer
+// recall: { recallId, productName, batchNumber, orderId, reason, instructions, acknowledgeUrl }
+const sendRecallNoticeEmail = async (email, recall, recipientName = 'Customer') => {
+  try {
+    const acknowledge = recall.acknowledgeUrl
+      ? `<p class="description"><a class="button" href="${recall.acknowledgeUrl}">I have read this notice</a></p>`
+      : '';
+
+    const sendSmtpEmail = new brevoSDK.SendSmtpEmail();
+    sendSmtpEmail.subject = `⚠️ Important: Recall of ${recall.productName} - Drugs.ng`;
+    sendSmtpEmail.htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="UTF-8">
+          <style>
+            body { font-family: Arial, sans-serif; margin: 0; padding: 0; }
+            .container { max-width: 600px; margin: 0 auto; padding: 0; background-color: #f9f9f9; }
+            .header { background: linear-gradient(135deg, #d32f2f 0%, #b71c1c 100%); color: white; padding: 30px 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .header h1 { margin: 0; font-size: 26px; font-weight: 600; }
+            .content { background-color: white; padding: 40px 30px; border-radius: 0 0 5px 5px; }
+            .greeting { font-size: 18px; color: #2c3e50; margin-bottom: 20px; font-weight: 500; }
+            .description { font-size: 14px; color: #555; line-height: 1.6; margin-bottom: 20px; }
+            .details-box { background-color: #ffebee; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #d32f2f; font-size: 14px; color: #2c3e50; }
+            .instructions { background-color: #fff3e0; border-left: 4px solid #ff9800; padding: 15px; margin: 20px 0; border-radius: 4px; font-size: 14px; color: #e65100; }
+            .button { display: inline-block; background-color: #d32f2f; color: white; padding: 12px 24px; border-radius: 4px; text-decoration: none; font-weight: 600; }
+            .footer { text-align: center; font-size: 12px; color: #999; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; }
+            .footer p { margin: 5px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>⚠️ Product Recall Notice</h1>
+            </div>
+            <div class="content">
+              <p class="greeting">Dear ${recipientName},</p>
+              <p class="description">A product you received from Drugs.ng in order #${recall.orderId} is being recalled.</p>
+              <div class="details-box">
+                <p><strong>Product:</strong> ${recall.productName}${recall.batchNumber ? ` (batch ${recall.batchNumber})` : ''}</p>
+                <p><strong>Reason:</strong> ${recall.reason}</p>
+              </div>
+              <div class="instructions">
+                <strong>What to do:</strong> ${recall.instructions}
+              </div>
+              <p class="description">Please confirm you have read this notice${recall.acknowledgeUrl ? ' using the button below, or' : ''} by replying <strong>recall ok ${recall.recallId}</strong> to us on WhatsApp.</p>
+              ${acknowledge}
+              <div class="footer">
+                <p>© ${new Date().getFullYear()} Drugs.ng. All rights reserved.</p>
+                <p>For support, contact us via WhatsApp or email at support@drugs.ng</p>
+              </div>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+    sendSmtpEmail.sender = {
+      name: 'Drugs.ng',
+      email: process.env.BREVO_SENDER_EMAIL || 'noreply@drugs.ng'
+    };
+    sendSmtpEmail.to = [{
+      email: email,
+      name: recipientName
+    }];
+
+    const response = await transactionalEmailApi.sendTransacEmail(sendSmtpEmail);
+    console.log(`✉️  Recall notice email sent to ${email}`);
+    return { success: true, messageId: response.messageId };
+  } catch (error) {
+    console.error('Error sending recall notice email via Brevo:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   sendOTPEmail,
   sendPasswordResetEmail,
-  sendBookingConfirmationEmail
+  sendBookingConfirmationEmail,
+  sendLowStockDigestEmail,
+  sendRecallNoticeEmail
 };
@@ -22,7 +22,24 @@ const OPTIONAL_ENV_VARS = {
   'PAYSTACK_SECRET_KEY': null,
   'PAYMENT_REDIRECT_URL': 'https://your-domain.com/payment/callback',
   'DRUGSNG_API_BASE_URL': 'https://api.drugsng.com',
-  'COMPANY_LOGO': 'https://drugsng.com/logo.png'
+  'COMPANY_LOGO': 'https://drugsng.com/logo.png',
+  'FLUTTERWAVE_API_BASE_URL': 'https://api.flutterwave.com/v3',
+  'PAYSTACK_API_BASE_URL': 'https://api.paystack.co',
+  'PHARMACY_LATITUDE': null,
+  'PHARMACY_LONGITUDE': null,
+  'RECONCILIATION_INTERVAL_MINUTES': '60',
+  'RECONCILIATION_PENDING_MINUTES': '30',
+  'RECONCILIATION_LOOKBACK_HOURS': '48',
+  'STOCK_RESERVATION_MINUTES': '120',
+  'LOW_STOCK_DIGEST_HOUR': '8',
+  'LOW_STOCK_ALERT_EMAILS': null,
+  'NEAR_EXPIRY_DAYS': '90',
+  'PUBLIC_BASE_URL': null,
+  'PRESCRIPTION_REMINDER_HOURS': '24',
+  'PRESCRIPTION_REMINDER_LIMIT': '3',
+  'REFILL_REMINDER_DAYS': '3',
+  'JOB_POLL_INTERVAL_SECONDS': '15',
+  'JOB_LOCK_TIMEOUT_MINUTES': '15'
 };
 
 // Validate environment configuration
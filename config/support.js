@@ -27,6 +27,13 @@ const supportTeams = [
     phoneNumber: process.env.SUPPORT_PHONE_NUMBER_4 || '4567890123',
     role: 'technical',
     isActive: true
+  },
+  {
+    id: 5,
+    name: 'Pharmacist',
+    phoneNumber: process.env.SUPPORT_PHONE_NUMBER_5 || '5678901234',
+    role: 'pharmacist',
+    isActive: true
   }
 ];
 
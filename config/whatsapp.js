@@ -160,6 +160,47 @@ const sendLocationRequestMessage = async (phoneNumber, bodyText, buttonText = "
   }
 };
 
+// Send an image by URL, with an optional caption
+const sendImageMessage = async (phoneNumber, imageUrl, caption = '') => {
+  console.log(`📤 Sending IMAGE to ${phoneNumber}`);
+  try {
+    const response = await whatsappAPI.post(`/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      type: 'image',
+      image: {
+        link: imageUrl,
+        caption
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error sending image message:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+// Send a document (e.g. a PDF) by URL, with an optional caption
+const sendDocumentMessage = async (phoneNumber, documentUrl, filename, caption = '') => {
+  console.log(`📤 Sending DOCUMENT to ${phoneNumber}`);
+  try {
+    const response = await whatsappAPI.post(`/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      type: 'document',
+      document: {
+        link: documentUrl,
+        filename,
+        caption
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error sending document message:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
 // Mark message as read
 const markMessageAsRead = async (messageId) => {
   try {
@@ -215,6 +256,8 @@ module.exports = {
   sendInteractiveMessage,
   sendListMessage,
   sendLocationRequestMessage,
+  sendImageMessage,
+  sendDocumentMessage,
   sendTypingIndicator,
   sendTypingStop,
   markMessageAsRead,
@@ -22,7 +22,7 @@ const {
   searchDoctorsPaginated,
   bookAppointment
 } = require('./services/drugsng');
-const { processFlutterwavePayment, processPaystackPayment, verifyPayment } = require('./services/payment');
+const { verifyPayment } = require('./services/payment');
 const { encryptData, decryptData, generateToken } = require('./services/security');
 const { handleApiError, handleDbError, handleValidationError, createErrorResponse, createSuccessResponse } = require('./utils/errorHandler');
 const { checkRateLimit } = require('./utils/rateLimiter');
@@ -36,13 +36,64 @@ const {
   endSupportChat,
   getUnreadSupportMessages
 } = require('./services/support');
+const {
+  registerFlow,
+  getActiveFlow,
+  isFlowExpired,
+  startFlow,
+  endFlow,
+  clearPaginationContext,
+  dispatchFlowMessage,
+  dispatchFlowInput
+} = require('./services/conversationFlow');
+const { startCheckout, sendOrderPaymentInstructions } = require('./services/checkout');
+const { quoteDelivery } = require('./services/delivery');
+const { CUSTOMER_CHANGEABLE_STATUSES, requestOrderCancellation, requestOrderAddressChange } = require('./services/orderAmendments');
+const { requestRefund, approveRefund, rejectRefund } = require('./services/refunds');
+const { receivePaymentWebhook, replayPaymentEvent } = require('./services/paymentWebhooks');
+const { createPaymentLink } = require('./services/payables');
+const { runPaymentReconciliation, getReconciliationReport, startReconciliationScheduler } = require('./services/reconciliation');
+const { startReservationSweeper, restockProduct, getRestockHistory, getLowStockProducts } = require('./services/inventory');
+const { sendLowStockDigest, startLowStockDigestScheduler } = require('./services/lowStockAlerts');
+const { getProductBatches, getNearExpiryBatches, deactivateExpiredBatches, startBatchExpiryScheduler, NEAR_EXPIRY_DAYS } = require('./services/productBatches');
+const { initiateRecall, acknowledgeRecall, acknowledgeRecallByToken, handleRecallAcknowledgement, getRecallStatus } = require('./services/recalls');
+const { listSearchSynonyms, saveSearchSynonym, deleteSearchSynonym, expandSearchTerms } = require('./services/searchSynonyms');
+const { findSubstitutes, findAlternativesForQuery, formatSubstitutesMessage, recordSubstitution } = require('./services/substitutions');
+const { getOrderTimeline, formatOrderTimeline, STATUS_EMOJI, ORDER_STATUSES } = require('./services/orderLifecycle');
+const {
+  listAddresses,
+  addAddress,
+  getAddressByPosition,
+  setDefaultAddress,
+  deleteAddress,
+  formatAddressBook
+} = require('./services/addressBook');
+const { formatAddress } = require('./utils/addressParser');
 const { uploadSingleFile, validateUploadedFile, getFileMetadata } = require('./utils/uploadHandler');
 const {
   uploadProductImage,
   updateProductImage,
   getProductImageUrl
 } = require('./services/healthcareProducts');
-const { uploadAndSavePrescription, savePrescription, extractPrescriptionFromBuffer } = require('./services/prescription');
+const { listCatalog, searchCatalog, suggestSearchTerms } = require('./services/catalog');
+const { handlePharmacistCommand } = require('./services/pharmacistConsole');
+const { uploadAndSavePrescription, savePrescription, extractPrescriptionFromBuffer, verifyPrescription, getPrescriptionCartItems, addPrescriptionItemsToCart, formatPrescriptionItemsMessage } = require('./services/prescription');
+const { startPrescriptionReminderScheduler, buildPrescriptionRequestMessage } = require('./services/prescriptionEnforcement');
+const {
+  createRefill,
+  listRefills,
+  setRefillStatus,
+  skipRefill,
+  reorderRefill,
+  describeRefill,
+  formatRefillsMessage,
+  startRefillReminderScheduler
+} = require('./services/refills');
+const { handleDoseReminderCommand, getAdherenceReport, startDoseReminderScheduler } = require('./services/doseReminders');
+const { parseScheduleDateTime, formatSlot, getDoctorSchedule, setDoctorSchedule, checkDoctorAvailability, getAvailableSlots, parseSlotReply, offerDoctorSlots } = require('./services/doctorSchedules');
+const { handleAppointmentReply, handleAppointmentCommand, recordAppointmentAttendance, startAppointmentReminderScheduler } = require('./services/appointmentReminders');
+const { scheduleRecurringJob, startJobWorker, listJobs, retryJob } = require('./services/jobQueue');
+const { cleanupExpiredSessions } = require('./utils/sessionTokenManager');
 const {
   uploadDoctorImage,
   updateDoctorImage,
@@ -68,6 +119,8 @@ app.use(bodyParser.urlencoded({ extended: true }));
 const voiceProcessor = new VoiceProcessor({
   provider: process.env.VOICE_PROVIDER || 'whisper' // or your preferred provider
 });
+// Temp audio files are on this instance's disk, so each instance cleans its own instead of using the shared job queue
+setInterval(() => voiceProcessor.cleanupAllTempFiles(), 30 * 60 * 1000).unref();
 
 // Swagger / OpenAPI documentation setup (optional dependencies)
 let swaggerSpec = null;
@@ -184,6 +237,16 @@ async function startServer() {
         // Initialize database
         await initializeDatabase();
         console.log('Database initialized successfully.');
+        startReconciliationScheduler();
+        startReservationSweeper();
+        startLowStockDigestScheduler();
+        startBatchExpiryScheduler();
+        startPrescriptionReminderScheduler();
+        startRefillReminderScheduler();
+        startDoseReminderScheduler();
+        startAppointmentReminderScheduler();
+        scheduleRecurringJob('session-cleanup', { everyMinutes: 60 }, () => cleanupExpiredSessions());
+        startJobWorker();
       } catch (dbError) {
         retries--;
         if (retries === 0) {
@@ -338,6 +401,538 @@ app.post('/api/admin/staff', adminAuthMiddleware, async (req, res) => {
   }
 });
 
+// Order lifecycle endpoints must come before generic :table routes
+app.put('/api/admin/orders/:id/status', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { status, note, notify, force } = req.body;
+    if (!status) {
+      return res.status(400).json({ success: false, message: `status is required. Valid statuses: ${ORDER_STATUSES.join(', ')}` });
+    }
+    const order = await adminService.changeOrderStatus(req.params.id, status, note || null, req.admin, { notify, force });
+    res.json({ success: true, data: order });
+  } catch (error) {
+    console.error('Admin order status error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/orders/:id/refunds', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Order')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const { amount, reason } = req.body;
+    const result = await requestRefund(req.params.id, {
+      amount: amount != null ? amount : null,
+      reason: reason || null,
+      requestedBy: req.admin.email,
+      requestedByType: 'admin'
+    });
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error, errorCode: result.errorCode });
+    }
+    res.json({ success: true, data: result.refund });
+  } catch (error) {
+    console.error('Admin refund request error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/refunds/:id/approve', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Refund')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const result = await approveRefund(req.params.id, req.admin.email);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error, errorCode: result.errorCode, data: result.refund || null });
+    }
+    res.json({ success: true, data: result.refund });
+  } catch (error) {
+    console.error('Admin refund approve error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/refunds/:id/reject', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Refund')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const result = await rejectRefund(req.params.id, req.admin.email, req.body.reason || null);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error, errorCode: result.errorCode });
+    }
+    res.json({ success: true, data: result.refund });
+  } catch (error) {
+    console.error('Admin refund reject error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/payment-events/:id/replay', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'PaymentEvent')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const result = await replayPaymentEvent(req.params.id, { force: !!req.body.force });
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error, errorCode: result.errorCode, data: result.event || null });
+    }
+    console.log(`🔁 Payment event #${req.params.id} replayed by ${req.admin.email}`);
+    res.json({ success: true, data: result.event });
+  } catch (error) {
+    console.error('Admin payment event replay error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/orders/:id/history', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Order')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const history = await getOrderTimeline(req.params.id);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('Admin order history error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/reconciliation/run', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'ReconciliationReport')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const result = await runPaymentReconciliation({
+      pendingMinutes: req.body.pendingMinutes ? parseInt(req.body.pendingMinutes, 10) : undefined,
+      lookbackHours: req.body.lookbackHours ? parseInt(req.body.lookbackHours, 10) : undefined
+    });
+    if (!result.success) {
+      return res.status(result.skipped ? 409 : 400).json({ success: false, message: result.error, errorCode: result.errorCode });
+    }
+    console.log(`🔎 Payment reconciliation run by ${req.admin.email}`);
+    res.json({ success: true, data: { summary: result.report.summary, entries: result.entries } });
+  } catch (error) {
+    console.error('Admin reconciliation run error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/reconciliation/reports/:date', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'export', 'ReconciliationReport')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const report = await getReconciliationReport(req.params.date);
+    if (!report) {
+      return res.status(404).json({ success: false, message: `No reconciliation report for ${req.params.date}` });
+    }
+
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename="reconciliation-${report.reportDate}.json"`);
+      return res.send(JSON.stringify(report, null, 2));
+    }
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="reconciliation-${report.reportDate}.csv"`);
+    res.send(adminService.toCSV(report.entries || []));
+  } catch (error) {
+    console.error('Admin reconciliation report error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/products/:id/restock', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'create', 'Restock')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const { quantity, supplier, batchNumber, expiryDate, unitCost, receivedAt, note } = req.body;
+    const result = await restockProduct(req.params.id, { quantity, supplier, batchNumber, expiryDate, unitCost, receivedAt, note }, req.admin.email);
+    if (!result.success) {
+      return res.status(result.errorCode === 'PRODUCT_NOT_FOUND' ? 404 : 400).json({ success: false, message: result.error, errorCode: result.errorCode });
+    }
+    res.json({ success: true, data: { restock: result.restock, batch: result.batch, product: result.product } });
+  } catch (error) {
+    console.error('Admin restock error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/products/:id/restocks', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Restock')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const history = await getRestockHistory(req.params.id);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('Admin restock history error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/products/:id/batches', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'ProductBatch')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const batches = await getProductBatches(req.params.id);
+    res.json({ success: true, data: batches });
+  } catch (error) {
+    console.error('Admin product batches error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/products/:id/substitutes', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Product')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const substitutes = await findSubstitutes(parseInt(req.params.id, 10), { limit: 20 });
+    res.json({ success: true, data: substitutes });
+  } catch (error) {
+    console.error('Admin product substitutes error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/inventory/near-expiry', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'ProductBatch')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const days = req.query.days ? parseInt(req.query.days, 10) : NEAR_EXPIRY_DAYS;
+    const batches = await getNearExpiryBatches(days > 0 ? days : NEAR_EXPIRY_DAYS);
+
+    if ((req.query.format || 'json').toLowerCase() === 'csv') {
+      if (!adminService.hasPermission(req.admin.role, 'export', 'ProductBatch')) {
+        return res.status(403).json({ success: false, message: 'Permission denied' });
+      }
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="near-expiry-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(adminService.toCSV(batches));
+    }
+    res.json({ success: true, data: batches });
+  } catch (error) {
+    console.error('Admin near-expiry report error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/inventory/expired-batches/deactivate', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'ProductBatch')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const result = await deactivateExpiredBatches();
+    console.log(`🗓️  Expired batch check run by ${req.admin.email}`);
+    res.json({ success: true, data: result.deactivated });
+  } catch (error) {
+    console.error('Admin expired batch check error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/products/:id/recall', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'create', 'ProductRecall')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const { reason, instructions, batchNumber, orderDateFrom, orderDateTo } = req.body;
+    const result = await initiateRecall(req.params.id, { reason, instructions, batchNumber, orderDateFrom, orderDateTo }, req.admin.email);
+    if (!result.success) {
+      return res.status(result.errorCode === 'PRODUCT_NOT_FOUND' ? 404 : 400).json({ success: false, message: result.error, errorCode: result.errorCode });
+    }
+    res.json({ success: true, data: { recall: result.recall, notices: result.notices.length, undispatchedOrderIds: result.undispatchedOrderIds } });
+  } catch (error) {
+    console.error('Admin recall error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/recalls/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'ProductRecall')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const status = await getRecallStatus(req.params.id);
+    if (!status) {
+      return res.status(404).json({ success: false, message: 'Recall not found' });
+    }
+    res.json({ success: true, data: status });
+  } catch (error) {
+    console.error('Admin recall status error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Record an acknowledgement received outside WhatsApp/email (e.g. the customer phoned in)
+app.post('/api/admin/recalls/:id/acknowledge', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'ProductRecall')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    if (!req.body.userId) {
+      return res.status(400).json({ success: false, message: 'userId is required' });
+    }
+    const result = await acknowledgeRecall(req.params.id, req.body.userId, 'admin');
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error, errorCode: result.errorCode });
+    }
+    console.log(`✅ Recall #${req.params.id} acknowledgement for user ${req.body.userId} recorded by ${req.admin.email}`);
+    res.json({ success: true, data: { acknowledged: result.acknowledged } });
+  } catch (error) {
+    console.error('Admin recall acknowledge error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/prescriptions/:id/verify', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Prescription')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const { status, notes } = req.body;
+    if (!['Verified', 'Rejected'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'status must be Verified or Rejected' });
+    }
+    const result = await verifyPrescription(req.params.id, status, notes || null, req.admin.name || req.admin.email);
+    console.log(`📋 Prescription #${req.params.id} ${status.toLowerCase()} by ${req.admin.email}`);
+    res.json({ success: true, data: { prescription: result.prescription, orderStatus: result.orderStatus } });
+  } catch (error) {
+    console.error('Admin verify prescription error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Dose reminder adherence for a prescription: taken / skipped / missed per medicine
+app.get('/api/admin/prescriptions/:id/adherence', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Prescription')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const report = await getAdherenceReport({ prescriptionId: req.params.id });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Admin adherence report error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Doctor-side attendance: mark a past appointment Completed or No-Show (no-shows count against the user)
+app.post('/api/admin/appointments/:id/outcome', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Appointment')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const result = await recordAppointmentAttendance(req.params.id, req.body.status, req.admin.name || req.admin.email);
+    if (!result.success) {
+      return res.status(result.errorCode === 'APPOINTMENT_NOT_FOUND' ? 404 : 400).json({ success: false, message: result.error });
+    }
+    res.json({ success: true, data: { appointment: result.appointment, noShowCount: result.noShowCount } });
+  } catch (error) {
+    console.error('Admin appointment outcome error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Doctor availability calendar: weekly hours, slot length, breaks and leave days
+app.get('/api/admin/doctors/:id/schedule', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Doctor')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const schedule = await getDoctorSchedule(req.params.id);
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    console.error('Admin doctor schedule error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.put('/api/admin/doctors/:id/schedule', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Doctor')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const { weeklyHours, slotMinutes, breaks, leaveDays, timezone } = req.body;
+    const result = await setDoctorSchedule(req.params.id, { weeklyHours, slotMinutes, breaks, leaveDays, timezone });
+    if (!result.success) {
+      return res.status(result.errorCode === 'DOCTOR_NOT_FOUND' ? 404 : 400).json({ success: false, message: result.error });
+    }
+    res.json({ success: true, data: result.schedule });
+  } catch (error) {
+    console.error('Admin set doctor schedule error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Next free slots of a doctor (?days=14&limit=20)
+app.get('/api/admin/doctors/:id/slots', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Doctor')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const { slots, schedule } = await getAvailableSlots(req.params.id, { days: req.query.days, limit: Math.min(parseInt(req.query.limit, 10) || 20, 100) });
+    res.json({ success: true, data: { slots, slotMinutes: schedule.slotMinutes, timezone: schedule.timezone } });
+  } catch (error) {
+    console.error('Admin doctor slots error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Background jobs: status counts, recent runs and failures (?status=failed&name=&page=&limit=)
+app.get('/api/admin/jobs', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Job')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const result = await listJobs(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin jobs error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/jobs/:id/retry', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Job')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const result = await retryJob(req.params.id);
+    if (!result.success) {
+      return res.status(result.errorCode === 'JOB_NOT_FOUND' ? 404 : 400).json({ success: false, message: result.error, errorCode: result.errorCode });
+    }
+    console.log(`🗂️  Job #${req.params.id} re-queued by ${req.admin.email}`);
+    res.json({ success: true, data: result.job });
+  } catch (error) {
+    console.error('Admin job retry error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/inventory/low-stock', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Product')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const products = await getLowStockProducts();
+    res.json({ success: true, data: products });
+  } catch (error) {
+    console.error('Admin low stock error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/inventory/low-stock/digest', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Product')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const result = await sendLowStockDigest();
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error, errorCode: result.errorCode });
+    }
+    console.log(`📦 Low stock digest sent on demand by ${req.admin.email}`);
+    res.json({ success: true, data: { count: result.products.length, whatsappSent: result.whatsappSent, emailSent: result.emailSent } });
+  } catch (error) {
+    console.error('Admin low stock digest error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/search-synonyms', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'SearchSynonym')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const synonyms = await listSearchSynonyms();
+    res.json({ success: true, data: synonyms });
+  } catch (error) {
+    console.error('Admin search synonyms error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/search-synonyms', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'create', 'SearchSynonym')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const { term, synonyms, kind } = req.body;
+    const result = await saveSearchSynonym({ term, synonyms, kind }, req.admin.email);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error, errorCode: result.errorCode });
+    }
+    res.status(result.created ? 201 : 200).json({ success: true, data: result.synonym });
+  } catch (error) {
+    console.error('Admin save search synonym error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.put('/api/admin/search-synonyms/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'SearchSynonym')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const { term, synonyms, kind } = req.body;
+    const result = await saveSearchSynonym({ term, synonyms, kind }, req.admin.email, req.params.id);
+    if (!result.success) {
+      return res.status(result.errorCode === 'SYNONYM_NOT_FOUND' ? 404 : 400).json({ success: false, message: result.error, errorCode: result.errorCode });
+    }
+    res.json({ success: true, data: result.synonym });
+  } catch (error) {
+    console.error('Admin update search synonym error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/api/admin/search-synonyms/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'delete', 'SearchSynonym')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const result = await deleteSearchSynonym(req.params.id);
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error, errorCode: result.errorCode });
+    }
+    console.log(`🔤 Search synonym #${req.params.id} deleted by ${req.admin.email}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin delete search synonym error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Preview how the bot ranks a query, to check dictionary changes
+app.get('/api/admin/search/preview', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Product')) {
+      return res.status(403).json({ success: false, message: 'Permission denied' });
+    }
+    const query = sanitizeInput(req.query.q || '');
+    if (query.length < 2) {
+      return res.status(400).json({ success: false, message: 'q must be at least 2 characters' });
+    }
+    const [terms, results, suggestions] = await Promise.all([
+      expandSearchTerms(query),
+      searchCatalog(query, { productType: req.query.productType || null, limit: 20 }),
+      suggestSearchTerms(query)
+    ]);
+    res.json({ success: true, data: { terms, results, suggestions } });
+  } catch (error) {
+    console.error('Admin search preview error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
 // Export endpoint must come before generic :table route
 app.get('/api/admin/:table/export', adminAuthMiddleware, async (req, res) => {
   try {
@@ -497,13 +1092,6 @@ app.post('/webhook/flutterwave', async (req, res) => {
   try {
     const secretHash = process.env.FLUTTERWAVE_SECRET_HASH;
     const signature = req.headers['verif-hash'];
-
-    // Validate webhook signature
-    if (!secretHash || !signature || signature !== secretHash) {
-      console.warn('Invalid Flutterwave webhook signature');
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
-
     const payload = req.body;
 
     // Validate payload
@@ -512,53 +1100,15 @@ app.post('/webhook/flutterwave', async (req, res) => {
       return res.status(400).json({ error: 'Invalid payload' });
     }
 
-    if (payload.status === 'successful') {
-      const txRef = payload.txRef || payload.tx_ref;
-      let orderId = null;
-
-      // Extract order ID from tx_ref format: drugsng-{orderId}-{timestamp}
-      if (txRef && typeof txRef === 'string') {
-        const parts = txRef.split('-');
-        if (parts.length >= 2 && !isNaN(parts[1])) {
-          orderId = parts[1];
-        }
-      }
-
-      // Fallback to metadata if available
-      if (!orderId && payload.meta && payload.meta.orderId) {
-        orderId = payload.meta.orderId;
-      }
-
-      if (orderId) {
-        try {
-          // Update order status
-          const order = await sequelize.models.Order.findByPk(orderId);
-          if (order) {
-            order.paymentStatus = 'Paid';
-            order.paymentReference = payload.id || payload.transaction_id;
-            order.status = 'Shipped'; // Update status to shipped after successful payment
-            await order.save();
-
-            // Notify customer
-            const user = await sequelize.models.User.findByPk(order.userId);
-            if (user) {
-              await sendWhatsAppMessage(
-                user.phoneNumber,
-                `✅ Payment confirmed! Your order #${orderId} has been received and is being processed. You'll receive updates on delivery.`
-              );
-            }
-          } else {
-            console.warn(`Order not found for payment: ${orderId}`);
-          }
-        } catch (dbError) {
-          console.error('Database error processing Flutterwave webhook:', dbError);
-        }
-      } else {
-        console.warn('Could not extract order ID from Flutterwave webhook');
-      }
+    // Validate webhook signature (invalid deliveries are still recorded in the ledger)
+    const signatureValid = !!secretHash && !!signature && signature === secretHash;
+    const result = await receivePaymentWebhook('Flutterwave', payload, { signatureValid });
+    if (!result.accepted) {
+      console.warn('Invalid Flutterwave webhook signature');
+      return res.status(401).json({ error: 'Invalid signature' });
     }
 
-    res.json({ success: true, message: 'Webhook processed' });
+    res.json({ success: true, message: result.duplicate ? 'Duplicate event ignored' : 'Webhook processed' });
   } catch (error) {
     console.error('Flutterwave webhook error:', error);
     res.status(500).json({ error: 'Webhook processing failed' });
@@ -571,22 +1121,11 @@ app.post('/webhook/paystack', async (req, res) => {
     const crypto = require('crypto');
     const paystackSecret = process.env.PAYSTACK_SECRET_KEY;
 
-    // Validate webhook signature
     if (!paystackSecret) {
       console.warn('Paystack webhook secret not configured');
       return res.status(400).json({ error: 'Paystack not configured' });
     }
 
-    const signature = req.headers['x-paystack-signature'];
-    const hash = crypto.createHmac('sha512', paystackSecret)
-      .update(JSON.stringify(req.body))
-      .digest('hex');
-
-    if (!signature || hash !== signature) {
-      console.warn('Invalid Paystack webhook signature');
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
-
     const event = req.body;
 
     // Validate event
@@ -595,51 +1134,20 @@ app.post('/webhook/paystack', async (req, res) => {
       return res.status(400).json({ error: 'Invalid payload' });
     }
 
-    if (event.event === 'charge.success') {
-      const reference = event.data.reference;
-      let orderId = null;
-
-      // Try to get order ID from metadata first
-      if (event.data.metadata && event.data.metadata.orderId) {
-        orderId = event.data.metadata.orderId;
-      } else if (reference && typeof reference === 'string') {
-        // Fallback: Extract from reference format: drugsng-{orderId}-{timestamp}
-        const parts = reference.split('-');
-        if (parts.length >= 2 && !isNaN(parts[1])) {
-          orderId = parts[1];
-        }
-      }
+    // Validate webhook signature (invalid deliveries are still recorded in the ledger)
+    const signature = req.headers['x-paystack-signature'];
+    const hash = crypto.createHmac('sha512', paystackSecret)
+      .update(JSON.stringify(req.body))
+      .digest('hex');
+    const signatureValid = !!signature && hash === signature;
 
-      if (orderId) {
-        try {
-          // Update order status
-          const order = await sequelize.models.Order.findByPk(orderId);
-          if (order) {
-            order.paymentStatus = 'Paid';
-            order.paymentReference = reference;
-            order.status = 'Shipped'; // Update status to shipped after successful payment
-            await order.save();
-
-            // Notify customer
-            const user = await sequelize.models.User.findByPk(order.userId);
-            if (user) {
-              await sendWhatsAppMessage(
-                user.phoneNumber,
-                `✅ Payment confirmed! Your order #${orderId} has been received and is being processed. You'll receive updates on delivery.`
-              );
-            }
-          } else {
-            console.warn(`Order not found for payment: ${orderId}`);
-          }
-        } catch (dbError) {
-          console.error('Database error processing Paystack webhook:', dbError);
-        }
-      } else {
-        console.warn('Could not extract order ID from Paystack webhook');
-      }
+    const result = await receivePaymentWebhook('Paystack', event, { signatureValid });
+    if (!result.accepted) {
+      console.warn('Invalid Paystack webhook signature');
+      return res.status(401).json({ error: 'Invalid signature' });
     }
 
-    res.json({ success: true, message: 'Webhook processed' });
+    res.json({ success: true, message: result.duplicate ? 'Duplicate event ignored' : 'Webhook processed' });
   } catch (error) {
     console.error('Paystack webhook error:', error);
     res.status(500).json({ error: 'Webhook processing failed' });
@@ -1015,6 +1523,30 @@ app.get('/payment/callback', async (req, res) => {
   }
 });
 
+// Recall acknowledgement link from the recall notice email
+app.get('/api/recalls/acknowledge/:token', async (req, res) => {
+  try {
+    const result = await acknowledgeRecallByToken(req.params.token);
+    const title = result.success ? '✅ Thank you' : '⚠️ Link not valid';
+    const body = result.success
+      ? `We have recorded that you read recall notice #${result.recall.id}. If you need help returning the product, contact us on WhatsApp.`
+      : 'This recall link is not valid. Please reply to the recall notice on WhatsApp or contact our support team.';
+    res.status(result.success ? 200 : 404).send(`
+      <!DOCTYPE html>
+      <html>
+      <head><meta charset="UTF-8"><title>Recall Notice</title></head>
+      <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+        <h1>${title}</h1>
+        <p>${body}</p>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('Recall acknowledgement error:', error);
+    res.status(500).send('An error occurred. Please contact support.');
+  }
+});
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -1112,15 +1644,6 @@ const handleCustomerMessage = async (phoneNumber, messageText) => {
     // Determine if user is authenticated
     const isLoggedIn = isAuthenticatedSession(session);
 
-    // --- STRICT AUTHENTICATION GUARD ---
-    // If user is not logged in, only allow login, register, or greeting intents.
-    const nlpPreview = await processMessage(messageText, phoneNumber, session);
-    if (!isLoggedIn && !['login', 'register', 'greeting', 'help'].includes(nlpPreview.intent)) {
-        console.log(`[AUTH_GUARD] Blocked intent '${nlpPreview.intent}' for logged-out user.`);
-        await sendAuthRequiredMessage(phoneNumber, `access the '${nlpPreview.intent.replace(/_/g, ' ')}' feature`);
-        return;
-    }
-
     // NOW update last activity to current time
     // This must happen AFTER expiry check so we properly detect idle
     session.lastActivity = new Date();
@@ -1134,48 +1657,45 @@ const handleCustomerMessage = async (phoneNumber, messageText) => {
       console.log(`✓ Session has valid token`);
     }
 
-    // Check if in support chat
-  if (session.state === 'SUPPORT_CHAT') {
-    console.log(`💬 ${phoneNumber} is in support chat`);
+    // Sessions that entered a flow before flows were persisted on the session
+    if (session.state === 'SUPPORT_CHAT' && !session.activeFlow) {
+      await startFlow(session, 'support');
+    } else if (session.state === 'REGISTERING' && session.data && session.data.waitingForOTPVerification && !session.activeFlow) {
+      await startFlow(session, 'register');
+    }
 
-    // Allow user to close chat manually
-    if (/^(close|exit|end chat|stop support)$/i.test(messageText.trim())) {
-      await endSupportChat(phoneNumber);
-      await sendWhatsAppMessage(phoneNumber, 'Exited support chat. You are now back with the bot. Type "help" to continue.');
-      return;
+    // Active conversation flow (register, checkout, booking, prescription attach, support)
+    // takes precedence over pagination contexts and NLP
+    if (session.activeFlow) {
+      console.log(`🧭 ${phoneNumber} is in flow "${session.activeFlow}" (state: ${session.flowState})`);
+      const handledByFlow = await dispatchFlowMessage(phoneNumber, session, messageText, { isLoggedIn });
+      if (handledByFlow) {
+        return;
+      }
     }
 
-    try {
-      await sendSupportMessage(phoneNumber, messageText, true);
-    } catch (err) {
-      console.error('Forward to support failed:', err.message);
-      try {
-        await endSupportChat(phoneNumber);
-        await sendWhatsAppMessage(phoneNumber, 'Support chat is unavailable right now. You are back with the bot. Type "help" for options.');
-      } catch (_) {}
+    // --- STRICT AUTHENTICATION GUARD ---
+    // If user is not logged in, only allow login, register, or greeting intents.
+    const nlpPreview = await processMessage(messageText, phoneNumber, session);
+    if (!isLoggedIn && !['login', 'register', 'greeting', 'help'].includes(nlpPreview.intent)) {
+        console.log(`[AUTH_GUARD] Blocked intent '${nlpPreview.intent}' for logged-out user.`);
+        await sendAuthRequiredMessage(phoneNumber, `access the '${nlpPreview.intent.replace(/_/g, ' ')}' feature`);
+        return;
     }
-    return;
-  }
 
-  // Quick attach command for prescriptions: "rx 12345" or "attach 12345" or "link 12345"
+  // Quick attach command for prescriptions when no file is pending
+  // (a pending file starts the prescription_attach flow, which handles "rx 12345" itself)
   const attachMatch = messageText.trim().match(/^(?:rx|attach|link)\s+#?(\d+)/i);
   if (attachMatch) {
-    const orderId = attachMatch[1];
-    if (session.data && session.data.pendingPrescriptionUrl) {
-      try {
-        const result = await savePrescription(orderId, session.data.pendingPrescriptionUrl, session.data.pendingPrescriptionExtractedText || null);
-        // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
-        session.data = { ...session.data, pendingPrescriptionUrl: null, pendingPrescriptionExtractedText: null };
-        await session.save();
-        await sendWhatsAppMessage(phoneNumber, `✅ Prescription attached to order #${orderId}. Status: ${result.verificationStatus || 'Pending'}.`);
-      } catch (err) {
-        await sendWhatsAppMessage(phoneNumber, `❌ Could not attach to order #${orderId}: ${err.message}`);
-      }
-      return;
-    } else {
-      await sendWhatsAppMessage(phoneNumber, 'No prescription file is pending.\n\nPlease send an image or PDF of your prescription first. Supported types: JPG, PNG, WEBP, GIF, PDF.\n\nTip: Add a caption with your Order ID to auto-attach, e.g. rx 12345 (also accepts "order 12345" or "prescription 12345"). If you don’t know your Order ID, check your order confirmation message or type "support" for help.');
-      return;
-    }
+    await sendWhatsAppMessage(phoneNumber, 'No prescription file is pending.\n\nPlease send an image or PDF of your prescription first. Supported types: JPG, PNG, WEBP, GIF, PDF.\n\nTip: Add a caption with your Order ID to auto-attach, e.g. rx 12345 (also accepts "order 12345" or "prescription 12345"). If you don’t know your Order ID, check your order confirmation message or type "support" for help.');
+    return;
+  }
+
+  // "Add all to cart" button sent with the medicines read from a prescription
+  const rxAddAllMatch = messageText.trim().match(/^(?:rx_add_all_|add\s+rx\s+#?)(\d+)$/i);
+  if (rxAddAllMatch) {
+    await handlePrescriptionAddAll(phoneNumber, session, rxAddAllMatch[1]);
+    return;
   }
 
   // 🔴 CRITICAL: Reload session data EARLY to ensure we have latest state for all pagination checks
@@ -1194,12 +1714,13 @@ const handleCustomerMessage = async (phoneNumber, messageText) => {
     if (targetPage) {
       const pageData = await listAllProductsPaginated(targetPage, pageSize);
       // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
-      session.data = { ...session.data, productPagination: { currentPage: pageData.page, totalPages: pageData.totalPages, pageSize: pageData.pageSize }, productPageItems: pageData.items };
+      session.data = { ...session.data, productPagination: { currentPage: pageData.page, totalPages: pageData.totalPages, pageSize: pageData.pageSize }, productPageItems: pageData.items, catalogListItems: pageData.items };
       const isLoggedIn = isAuthenticatedSession(session);
       const msg = buildPaginatedListMessage(pageData.items, pageData.page, pageData.totalPages, '📦 Medicines', 'products', (product) => {
         let s = `${product.name}`;
         if (product.price) s += `\n   Price: ₦${product.price}`;
         if (product.category) s += `\n   Category: ${product.category}`;
+        if (product.inStock === false) s += `\n   ⚠️ Out of stock`;
         // if (product.imageUrl) s += `\n   Image: ${product.imageUrl}`; // Keep it clean for lists
         return s;
       });
@@ -1333,7 +1854,7 @@ const handleCustomerMessage = async (phoneNumber, messageText) => {
         });
         msg += `\nTotal: ₦${(result.cartTotal).toLocaleString()}\n`;
         msg += `\n�� *Navigation:*${result.pagination.currentPage > 1 ? `\n• Type "Previous" to go to page ${result.pagination.currentPage - 1}` : ''}${result.pagination.currentPage < result.pagination.totalPages ? `\n• Type "Next" to go to page ${result.pagination.currentPage + 1}` : ''}`;
-        msg += `\n• To checkout: type "checkout [address] [flutterwave|paystack|cash]"`;
+        msg += `\n• To checkout: type "checkout"`;
         await sendWhatsAppMessage(phoneNumber, msg);
         return;
       } catch (err) {
@@ -1342,27 +1863,6 @@ const handleCustomerMessage = async (phoneNumber, messageText) => {
     }
   }
 
-  // Check if waiting for OTP verification during registration
-  // This must bypass NLP to prevent dynamic OTP codes from being misinterpreted
-  if (session.state === 'REGISTERING' || (session.data && session.data.waitingForOTPVerification)) {
-    const otpMatch = messageText.trim().match(/^\d{4}$/);
-    const resendMatch = messageText.toLowerCase().trim().match(/^(resend|retry|send again)$/);
-
-    if (otpMatch) {
-      console.log(`🔐 Processing OTP verification with code: ${otpMatch[0]}`);
-      await handleRegistrationOTPVerification(phoneNumber, session, otpMatch[0]);
-      return;
-    } else if (resendMatch) {
-      console.log(`🔄 Processing OTP resend request`);
-      await handleResendOTP(phoneNumber, session);
-      return;
-    } else if (session.state === 'REGISTERING' && session.data && session.data.waitingForOTPVerification) {
-      // User is in REGISTERING state but entered invalid input
-      await sendWhatsAppMessage(phoneNumber, "❌ Please enter your 4-digit OTP code. If you need to resend the OTP, type 'resend'.");
-      return;
-    }
-  }
-
   // Process with NLP
   console.log(`🤖 Processing with NLP...`);
   const nlpResult = await processMessage(messageText, phoneNumber, session);
@@ -1473,7 +1973,59 @@ const handleCustomerMessage = async (phoneNumber, messageText) => {
         if (!isLoggedIn) {
           await sendAuthRequiredMessage(phoneNumber, 'make a payment');
         } else {
-          await handlePayment(phoneNumber, session, parameters);
+          await handlePayment(phoneNumber, session, parameters);
+        }
+        break;
+
+      case 'manage_addresses':
+        console.log(`📒 Handling address book command`);
+        if (!isLoggedIn) {
+          await sendAuthRequiredMessage(phoneNumber, 'manage your addresses');
+        } else {
+          await handleAddressCommand(phoneNumber, session, parameters);
+        }
+        break;
+
+      case 'manage_refills':
+        console.log(`🔁 Handling refill command`);
+        if (!isLoggedIn) {
+          await sendAuthRequiredMessage(phoneNumber, 'manage your refills');
+        } else {
+          await handleRefillCommand(phoneNumber, session, parameters);
+        }
+        break;
+
+      case 'dose_reminders':
+        console.log(`⏰ Handling dose reminder command`);
+        await handleDoseReminderCommand(phoneNumber, session, parameters);
+        break;
+
+      case 'appointment_reminder':
+        // Reminder buttons can reach customers who are logged out
+        console.log(`📅 Handling appointment reminder reply`);
+        await handleAppointmentReply(phoneNumber, session, parameters);
+        break;
+
+      case 'acknowledge_recall':
+        console.log(`🚨 Handling recall acknowledgement`);
+        await handleRecallAcknowledgement(phoneNumber, session, parameters);
+        break;
+
+      case 'cancel_order':
+        console.log(`❌ Handling order cancellation`);
+        if (!isLoggedIn) {
+          await sendAuthRequiredMessage(phoneNumber, 'cancel an order');
+        } else {
+          await requestOrderCancellation(phoneNumber, session, parameters);
+        }
+        break;
+
+      case 'change_order_address':
+        console.log(`📍 Handling order address change`);
+        if (!isLoggedIn) {
+          await sendAuthRequiredMessage(phoneNumber, 'change an order');
+        } else {
+          await requestOrderAddressChange(phoneNumber, session, parameters);
         }
         break;
 
@@ -1566,6 +2118,20 @@ const handleSupportTeamMessage = async (supportPhoneNumber, messageText) => {
 const handleSupportCommand = async (supportTeam, commandText) => {
   try {
     const command = commandText.substring(1).trim().toLowerCase();
+
+    // Pharmacist console: /rx pending, /rx view 12, /rx approve 12 notes... (notes keep their case)
+    const rxMatch = commandText.substring(1).trim().match(/^rx\b\s*([\s\S]*)$/i);
+    if (rxMatch) {
+      await handlePharmacistCommand(supportTeam, rxMatch[1]);
+      return;
+    }
+
+    // Doctor side: /appt today, /appt done 12, /appt noshow 12
+    const apptMatch = commandText.substring(1).trim().match(/^appt\b\s*([\s\S]*)$/i);
+    if (apptMatch) {
+      await handleAppointmentCommand(supportTeam, apptMatch[1]);
+      return;
+    }
     
     switch (command) {
       case 'chats':
@@ -1604,7 +2170,7 @@ const handleSupportCommand = async (supportTeam, commandText) => {
         break;
         
       default:
-        await sendWhatsAppMessage(supportTeam.phoneNumber, "Unknown command. Available commands: /chats, /end");
+        await sendWhatsAppMessage(supportTeam.phoneNumber, `Unknown command. Available commands: /chats, /end${supportTeam.role === 'pharmacist' ? ', /rx' : ''}${supportTeam.role === 'medical' ? ', /appt' : ''}`);
     }
   } catch (error) {
     console.error('Error handling support command:', error);
@@ -1703,6 +2269,10 @@ const handleSessionExpiry = async (phoneNumber, session) => {
       session.userId = null;
       session.loginTime = null;
       session.data = {};
+      session.activeFlow = null;
+      session.flowState = null;
+      session.flowData = {};
+      session.flowExpiresAt = null;
       session._lastActivityExplicitlySet = true;
       await session.save();
       
@@ -1736,6 +2306,10 @@ const handleLogout = async (phoneNumber, session) => {
     session.userId = null;
     session.loginTime = null;
     session.data = {};
+    session.activeFlow = null;
+    session.flowState = null;
+    session.flowData = {};
+    session.flowExpiresAt = null;
     session.changed('token', true);
     session.changed('userId', true);
     session.changed('loginTime', true);
@@ -1857,17 +2431,18 @@ const handleRegistration = async (phoneNumber, session, parameters) => {
           await sendWhatsAppMessage(phoneNumber, `⚠️ We couldn't send an OTP to your email right now. Please contact support by typing "support" to get a backup code.`);
         }
 
-        // Store that we're waiting for OTP verification (even if email send failed)
-        session.data.waitingForOTPVerification = true;
+        // Wait for OTP verification in the register flow (even if email send failed)
         session.data.registrationAttempts = (session.data.registrationAttempts || 0) + 1;
         session.data.emailSendFailed = !emailSent;
-        await session.save();
+        session.changed('data', true);
+        await startFlow(session, 'register');
 
       } catch (error) {
         console.error('Error in OTP generation/verification setup:', error);
         await sendWhatsAppMessage(phoneNumber, `❌ We couldn't process your registration right now. Please try again later.`);
         session.data.registrationData = null;
-        session.data.waitingForOTPVerification = false;
+        session.changed('data', true);
+        await endFlow(session);
         await session.save();
       }
     } else {
@@ -2021,14 +2596,14 @@ const handleProductSearch = async (phoneNumber, session, parameters) => {
       const pageSize = 5;
       const pageData = await listAllProductsPaginated(1, pageSize);
       // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
-      session.data = { ...session.data, productPagination: { currentPage: pageData.page, totalPages: pageData.totalPages, pageSize: pageData.pageSize }, productPageItems: pageData.items };
+      session.data = { ...session.data, productPagination: { currentPage: pageData.page, totalPages: pageData.totalPages, pageSize: pageData.pageSize }, productPageItems: pageData.items, catalogListItems: pageData.items };
       await session.save();
 
       console.log(`✅ Saved product list (no search) to session for ${phoneNumber}:`);
       console.log(`   - productPageItems: ${pageData.items.length} items`);
       console.log(`   - Session data keys: ${Object.keys(session.data).join(', ')}`);
 
-      const msg = buildPaginatedListMessage(pageData.items, pageData.page, pageData.totalPages, '📦 Medicines', (p) => `${p.name}\n   Price: ₦${p.price}`);
+      const msg = buildPaginatedListMessage(pageData.items, pageData.page, pageData.totalPages, '📦 Medicines', (p) => `${p.name}\n   Price: ₦${p.price}${p.inStock === false ? '\n   ⚠️ Out of stock' : ''}`);
       await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(msg, isLoggedIn));
       return;
     }
@@ -2036,11 +2611,33 @@ const handleProductSearch = async (phoneNumber, session, parameters) => {
     const products = await searchProducts(parameters.product);
 
     if (products.length === 0) {
-      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`Sorry, we couldn't find any products matching "${parameters.product}". Please try a different search term.`, isLoggedIn));
+      const alternatives = await findAlternativesForQuery(parameters.product);
+      if (alternatives.substitutes.length > 0) {
+        await offerSubstitutes(phoneNumber, session, alternatives.requested ? alternatives.requested.name : `"${parameters.product}"`, alternatives.substitutes);
+        return;
+      }
+
+      const suggestions = await suggestSearchTerms(parameters.product);
+      const didYouMean = suggestions.length > 0
+        ? ` Did you mean ${suggestions.map((term) => `"${term}"`).join(' or ')}? Reply "search ${suggestions[0]}" to try it.`
+        : ' Please try a different search term.';
+      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`Sorry, we couldn't find any products matching "${parameters.product}".${didYouMean}`, isLoggedIn));
       return;
     }
 
-    let message = `Here are some products matching "${parameters.product}":\n\n`;
+    // Nothing in the results can be bought: suggest equivalents of the best match instead
+    if (products.every((product) => product.inStock === false) && products[0].type === 'product') {
+      const substitutes = await findSubstitutes(products[0].id);
+      if (substitutes.length > 0) {
+        await offerSubstitutes(phoneNumber, session, products[0].name, substitutes);
+        return;
+      }
+    }
+
+    // Local search ranks synonym and misspelling matches too; say so when nothing matched as typed
+    let message = products.every((product) => product.exactMatch === false)
+      ? `No exact matches for "${parameters.product}". Did you mean one of these?\n\n`
+      : `Here are some products matching "${parameters.product}":\n\n`;
 
     const pageSize = 5;
     const paginatedResults = products.slice(0, pageSize);
@@ -2048,6 +2645,8 @@ const handleProductSearch = async (phoneNumber, session, parameters) => {
       message += `${index + 1}. ${product.name}\n`;
       message += `   Price: ₦${product.price}\n`;
       message += `   Category: ${product.category}\n`;
+      if (product.productType === 'healthcare' && product.brand) message += `   Brand: ${product.brand}\n`;
+      if (product.inStock === false) message += `   ⚠️ Out of stock\n`;
       if (product.imageUrl) message += `   Image: ${product.imageUrl}\n`;
       message += `\n`;
     });
@@ -2056,7 +2655,7 @@ const handleProductSearch = async (phoneNumber, session, parameters) => {
 
     // Save search results and pagination state for Next/Previous support
     // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
-    session.data = { ...session.data, searchResults: paginatedResults, productPagination: { currentPage: 1, totalPages: Math.max(1, Math.ceil(products.length / pageSize)), pageSize: pageSize }, productPageItems: paginatedResults };
+    session.data = { ...session.data, searchResults: paginatedResults, productPagination: { currentPage: 1, totalPages: Math.max(1, Math.ceil(products.length / pageSize)), pageSize: pageSize }, productPageItems: paginatedResults, catalogListItems: paginatedResults };
     await session.save();
 
     console.log(`✅ Saved product search to session for ${phoneNumber}:`);
@@ -2070,6 +2669,14 @@ const handleProductSearch = async (phoneNumber, session, parameters) => {
   }
 };
 
+// List substitutes for an unavailable medicine; "add [number] [qty]" then refers to this list
+const offerSubstitutes = async (phoneNumber, session, requestedName, substitutes) => {
+  // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+  session.data = { ...session.data, catalogListItems: substitutes };
+  await session.save();
+  await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(formatSubstitutesMessage(requestedName, substitutes), isAuthenticatedSession(session)));
+};
+
 // Handle add to cart
 const handleAddToCart = async (phoneNumber, session, parameters) => {
   try {
@@ -2100,9 +2707,12 @@ const handleAddToCart = async (phoneNumber, session, parameters) => {
     console.log(`   - searchResults: ${session.data.searchResults ? session.data.searchResults.length : 0} items`);
     console.log(`   - productPageItems: ${session.data.productPageItems ? session.data.productPageItems.length : 0} items`);
     console.log(`   - healthcareProductPageItems: ${session.data.healthcareProductPageItems ? session.data.healthcareProductPageItems.length : 0} items`);
+    console.log(`   - catalogListItems: ${session.data.catalogListItems ? session.data.catalogListItems.length : 0} items`);
     console.log(`   - Requested product index: ${productIndex + 1} (zero-indexed: ${productIndex})`);
 
-    const candidates = (session.data.searchResults || [])
+    // Numbers refer to the list the customer saw last, whether medicines or healthcare products;
+    // sessions saved before catalogListItems existed fall back to the older per-list keys
+    const candidates = session.data.catalogListItems || (session.data.searchResults || [])
       .concat(session.data.productPageItems || [])
       .concat(session.data.healthcareProductPageItems || []);
 
@@ -2114,9 +2724,41 @@ const handleAddToCart = async (phoneNumber, session, parameters) => {
     }
 
     const product = candidates[productIndex];
-    await addToCart(session.data.userId, product.id, quantity);
+    if (product.inStock === false) {
+      const substitutes = await findSubstitutes(product.id);
+      if (substitutes.length > 0) {
+        await offerSubstitutes(phoneNumber, session, product.name, substitutes);
+        return;
+      }
+      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`Sorry, ${product.name} is out of stock. Please choose another product.`, isLoggedIn));
+      return;
+    }
+
+    let added;
+    try {
+      added = await addToCart(session.data.userId, product.id, quantity);
+    } catch (stockError) {
+      if (stockError.code === 'OUT_OF_STOCK' || stockError.code === 'INSUFFICIENT_STOCK') {
+        const substitutes = stockError.code === 'OUT_OF_STOCK' ? await findSubstitutes(product.id) : [];
+        if (substitutes.length > 0) {
+          await offerSubstitutes(phoneNumber, session, product.name, substitutes);
+          return;
+        }
+        await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ ${stockError.message}`, isLoggedIn));
+        return;
+      }
+      throw stockError;
+    }
+
+    let substitutionNote = '';
+    if (product.substituteLabel && added && added.orderId) {
+      const substitution = await recordSubstitution(added.orderId, product);
+      if (substitution.success && substitution.requiresPharmacistApproval) {
+        substitutionNote = `\n\n⚕️ ${product.name} is a prescription-only substitute: our pharmacist will review it before your order is released.`;
+      }
+    }
 
-    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`Added ${quantity} units of ${product.name} to your cart. Type 'cart' to view your cart or 'checkout [address] [flutterwave|paystack|cash]' to place your order.`, isLoggedIn));
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`Added ${quantity} units of ${product.name} to your cart.${substitutionNote} Type 'cart' to view your cart or 'checkout' to place your order.`, isLoggedIn));
   } catch (error) {
     console.error('Error adding to cart:', error);
     await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Sorry, we encountered an error while adding to your cart. Please try again later.", isAuthenticatedSession(session)));
@@ -2137,84 +2779,16 @@ const handlePlaceOrder = async (phoneNumber, session, parameters) => {
       return;
     }
 
-    // Step 1: Collect Address via Location Sharing if not present
-    if (!parameters.address) {
-      let message = "📦 To place your order, send address and payment method:\n";
-      message += "Example: 'order 123 Main St, Lagos Flutterwave'\n\n";
-      message += "Payment methods:\n";
-      message += "• Flutterwave\n";
-      message += "• Paystack\n";
-      message += "• Cash on Delivery\n";
-      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(message, isLoggedIn));
-      return;
-    }
-
+    // Details given in one message ("order 12 Allen Ave, Ikeja paystack") skip straight to the
+    // confirmation screen; anything missing is collected step by step in the checkout flow
+    const { isValidOrderData } = require('./utils/validation');
     const orderData = {
       address: sanitizeInput(parameters.address),
       paymentMethod: sanitizeInput(parameters.paymentMethod)
     };
+    const prefill = parameters.address && parameters.paymentMethod && isValidOrderData(orderData) ? orderData : null;
 
-    // Validate order data
-    const { isValidOrderData } = require('./utils/validation');
-    if (!isValidOrderData(orderData)) {
-      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("❌ Invalid delivery address or payment method. Please try again.", isLoggedIn));
-      return;
-    }
-
-    const result = await placeOrder(session.data.userId, orderData);
-
-    // Notify support team
-    await notifySupportTeam(phoneNumber, 'orders', 'New Order Placed', {
-      orderId: result.orderId,
-      paymentMethod: orderData.paymentMethod,
-      amount: result.totalAmount || 'TBD'
-    });
-
-    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`✅ Your order has been placed successfully!\n\nOrder ID: #${result.orderId}`, isLoggedIn));
-
-    // Generate payment link if online payment is selected
-    const validPaymentMethods = ['Flutterwave', 'Paystack'];
-    if (validPaymentMethods.some(method => orderData.paymentMethod.toLowerCase().includes(method.toLowerCase()))) {
-      try {
-        const user = await sequelize.models.User.findByPk(session.data.userId);
-        const order = await sequelize.models.Order.findByPk(result.orderId);
-
-        if (user && order && order.totalAmount > 0) {
-          const paymentDetails = {
-            amount: order.totalAmount,
-            email: user.email,
-            phoneNumber: normalizePhoneNumber(user.phoneNumber),
-            name: user.name,
-            orderId: order.id
-          };
-
-          let paymentResponse;
-          try {
-            if (orderData.paymentMethod.toLowerCase().includes('flutterwave')) {
-              paymentResponse = await processFlutterwavePayment(paymentDetails);
-              if (paymentResponse.status === 'success' && paymentResponse.data.link) {
-                await sendWhatsAppMessage(phoneNumber, `💳 Complete your payment:\n${paymentResponse.data.link}\n\nAmount: ₦${order.totalAmount.toLocaleString()}`);
-              }
-            } else if (orderData.paymentMethod.toLowerCase().includes('paystack')) {
-              paymentResponse = await processPaystackPayment(paymentDetails);
-              if (paymentResponse.status === 'success' && paymentResponse.data.authorization_url) {
-                await sendWhatsAppMessage(phoneNumber, `💳 Complete your payment:\n${paymentResponse.data.authorization_url}\n\nAmount: ₦${order.totalAmount.toLocaleString()}`);
-              }
-            }
-          } catch (paymentError) {
-            console.error('Payment link generation error:', paymentError);
-            await sendWhatsAppMessage(phoneNumber, `⚠️  Payment link generation failed. You can pay later or contact support.\nOrder ID: #${result.orderId}`);
-          }
-        } else {
-          await sendWhatsAppMessage(phoneNumber, `Your order is ready. Payment method: ${orderData.paymentMethod}`);
-        }
-      } catch (error) {
-        console.error('Payment handling error:', error);
-        await sendWhatsAppMessage(phoneNumber, `Order placed but payment link could not be generated. Contact support with Order ID: #${result.orderId}`);
-      }
-    } else if (orderData.paymentMethod.toLowerCase().includes('cash')) {
-      await sendWhatsAppMessage(phoneNumber, `💵 You've selected Cash on Delivery.\n\nPlease have the exact amount ready when your order arrives. You'll receive delivery updates shortly.`);
-    }
+    await startCheckout(phoneNumber, session, prefill);
   } catch (error) {
     console.error('Error placing order:', error);
     const errorMessage = handleApiError(error, 'place_order').message;
@@ -2252,7 +2826,7 @@ const handleViewCart = async (phoneNumber, session, parameters) => {
     });
     msg += `\nTotal: ₦${(result.cartTotal).toLocaleString()}\n`;
     msg += `\n📍 *Navigation:*${result.pagination.currentPage > 1 ? `\n• Type "Previous" to go to page ${result.pagination.currentPage - 1}` : ''}${result.pagination.currentPage < result.pagination.totalPages ? `\n• Type "Next" to go to page ${result.pagination.currentPage + 1}` : ''}`;
-    msg += `\n• To checkout: type "checkout [address] [flutterwave|paystack|cash]"`;
+    msg += `\n• To checkout: type "checkout"`;
     await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(msg, isLoggedIn));
   } catch (error) {
     console.error('Error viewing cart:', error);
@@ -2287,19 +2861,21 @@ const handleTrackOrder = async (phoneNumber, session, parameters) => {
       return;
     }
 
-    const statusEmoji = {
-      'Processing': '⏳',
-      'Shipped': '🚚',
-      'Delivered': '✅',
-      'Cancelled': '❌'
-    };
-
-    let message = `${statusEmoji[orderDetails.status] || '📦'} *Order #${orderDetails.id} Status*\n\n`;
-    message += `Status: ${orderDetails.status}\n`;
+    const statusLabel = orderDetails.status === 'Processing' ? 'In cart (not yet placed)' : orderDetails.status;
+    let message = `${STATUS_EMOJI[orderDetails.status] || '📦'} *Order #${orderDetails.id} Status*\n\n`;
+    message += `Status: ${statusLabel}\n`;
     message += `Placed: ${new Date(orderDetails.orderDate).toLocaleDateString()}\n`;
     message += `Amount: ₦${orderDetails.totalAmount?.toLocaleString() || '0'}\n`;
+    if (orderDetails.deliveryFee > 0 || orderDetails.codSurcharge > 0) {
+      message += `Delivery: ₦${((orderDetails.deliveryFee || 0) + (orderDetails.codSurcharge || 0)).toLocaleString()}\n`;
+    }
     message += `Payment: ${orderDetails.paymentStatus}\n\n`;
 
+    const timeline = formatOrderTimeline(await getOrderTimeline(orderDetails.id));
+    if (timeline) {
+      message += `*Timeline:*\n${timeline}\n\n`;
+    }
+
     message += `*Items:*\n`;
     if (orderDetails.items && orderDetails.items.length > 0) {
       orderDetails.items.forEach(item => {
@@ -2310,6 +2886,9 @@ const handleTrackOrder = async (phoneNumber, session, parameters) => {
     }
 
     message += `\n*Delivery Address:*\n${orderDetails.shippingAddress || 'Not provided'}\n\n`;
+    if (CUSTOMER_CHANGEABLE_STATUSES.includes(orderDetails.status)) {
+      message += `Changed your mind? Type 'cancel order ${orderDetails.id}' or 'change address for order ${orderDetails.id} to [new address]'.\n\n`;
+    }
     message += `Need help? Type 'support' to chat with our team.`;
 
     await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(message, isLoggedIn));
@@ -2395,34 +2974,242 @@ const handleBookAppointment = async (phoneNumber, session, parameters) => {
       return;
     }
 
-    if (!parameters.doctorIndex || !parameters.date || !parameters.time) {
-      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Please specify which doctor, date, and time for your appointment. Example: 'book 1 2023-06-15 14:00' to book the first doctor on June 15th at 2 PM.", isLoggedIn));
+    const doctorList = (session.data.doctorPageItems || session.data.doctorSearchResults || []);
+    if (doctorList.length === 0) {
+      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Please search for doctors first before booking an appointment.", isLoggedIn));
       return;
     }
 
-    const doctorIndex = parseInt(parameters.doctorIndex) - 1;
-    const dateTime = new Date(`${parameters.date}T${parameters.time}`);
+    // Missing details: continue step by step in the booking flow
+    if (!parameters.doctorIndex) {
+      await startFlow(session, 'booking', { state: 'awaiting_doctor' });
+      await sendWhatsAppMessage(phoneNumber, `👨‍⚕️ Reply with the number of the doctor you want to book (1-${doctorList.length}).\n\nType 'cancel' to stop booking.`);
+      return;
+    }
 
-    const doctorList = (session.data.doctorPageItems || session.data.doctorSearchResults || []);
+    const doctorIndex = parseInt(parameters.doctorIndex) - 1;
     if (!doctorList[doctorIndex]) {
       await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Please search for doctors first before booking an appointment.", isLoggedIn));
       return;
     }
     const doctor = doctorList[doctorIndex];
-    const result = await bookAppointment(session.data.userId, doctor.id, dateTime);
 
-    // Notify support team
-    await notifySupportTeam(phoneNumber, 'medical', 'New Appointment Booked', {
-      doctorName: doctor.name,
-      dateTime: dateTime.toISOString()
-    });
+    if (!parameters.date || !parameters.time) {
+      await offerBookingSlots(phoneNumber, session, doctor);
+      return;
+    }
 
-    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`Your appointment with Dr. ${doctor.name} has been scheduled for ${dateTime.toLocaleString()}. Appointment ID: ${result.appointmentId}. You will receive a confirmation shortly.`, isLoggedIn));
+    const { timezone } = await getDoctorSchedule(doctor.id);
+    const dateTime = parseScheduleDateTime(`${parameters.date} ${parameters.time}`, timezone);
+    if (!dateTime) {
+      await sendWhatsAppMessage(phoneNumber, '❌ That date/time is not valid. Please pick one of the free times below.');
+      await offerBookingSlots(phoneNumber, session, doctor);
+      return;
+    }
+    await completeAppointmentBooking(phoneNumber, session, doctor, dateTime);
   } catch (error) {
     console.error('Error booking appointment:', error);
     await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Sorry, we encountered an error while booking your appointment. Please try again later.", isAuthenticatedSession(session)));
   }
 };
+
+// Offer the doctor's next free times as a list and wait for the pick in the booking flow
+const offerBookingSlots = async (phoneNumber, session, doctor, after = null) => {
+  const offer = await offerDoctorSlots(phoneNumber, doctor, { after });
+  if (!offer.success) {
+    await endFlow(session);
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`😔 ${offer.error}. Please choose another doctor or try again later.`, isAuthenticatedSession(session)));
+    return false;
+  }
+  await startFlow(session, 'booking', { state: 'awaiting_slot', data: { doctor: { id: doctor.id, name: doctor.name } } });
+  return true;
+};
+
+// Book the chosen doctor and confirm to the customer; a taken or unavailable time offers free slots instead
+const completeAppointmentBooking = async (phoneNumber, session, doctor, dateTime) => {
+  const isLoggedIn = isAuthenticatedSession(session);
+  const availability = await checkDoctorAvailability(doctor.id, dateTime);
+  if (!availability.available) {
+    await sendWhatsAppMessage(phoneNumber, `❌ ${availability.error}. Please pick another time.`);
+    await offerBookingSlots(phoneNumber, session, doctor);
+    return false;
+  }
+
+  await endFlow(session);
+  const result = await bookAppointment(session.data.userId, doctor.id, dateTime);
+
+  // Notify support team
+  await notifySupportTeam(phoneNumber, 'medical', 'New Appointment Booked', {
+    doctorName: doctor.name,
+    dateTime: dateTime.toISOString()
+  });
+
+  const paymentHint = result.paymentRequired
+    ? `\n\n💳 Consultation fee: ₦${Number(result.consultationFee).toLocaleString()}. Pay with 'pay consultation ${result.appointmentId} flutterwave' or 'pay consultation ${result.appointmentId} paystack'.`
+    : '';
+  await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`Your appointment with Dr. ${doctor.name} has been scheduled for ${formatSlot(dateTime, availability.schedule.timezone)}. Appointment ID: ${result.appointmentId}. You will receive a confirmation shortly.${paymentHint}`, isLoggedIn));
+  return true;
+};
+// Handle address book commands (list, add, default, delete)
+const handleAddressCommand = async (phoneNumber, session, parameters) => {
+  try {
+    const isLoggedIn = isAuthenticatedSession(session);
+    try { await session.reload(); } catch (_) {}
+    const userId = session.data && session.data.userId;
+    if (!userId) { await sendAuthRequiredMessage(phoneNumber, 'manage your addresses'); return; }
+
+    switch (parameters.action) {
+      case 'add': {
+        if (!parameters.addressText) {
+          await startFlow(session, 'address_add');
+          await sendWhatsAppMessage(phoneNumber, "📍 Send the address to save, e.g. `Office: 3 Broad St, Marina, Lagos near UBA House`, or share your location.\n\nType 'cancel' to stop.");
+          return;
+        }
+        const result = await addAddress(userId, parameters.addressText);
+        if (!result.success) {
+          await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ ${result.error}`, isLoggedIn));
+          return;
+        }
+        await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`✅ Saved ${result.address.isDefault ? 'default ' : ''}address:\n${formatAddress(result.address)}`, isLoggedIn));
+        return;
+      }
+      case 'default':
+      case 'delete': {
+        const address = await getAddressByPosition(userId, parameters.position);
+        if (!address) {
+          await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ Address ${parameters.position} not found. Type 'my addresses' to see your list.`, isLoggedIn));
+          return;
+        }
+        if (parameters.action === 'default') {
+          const result = await setDefaultAddress(userId, address.id);
+          await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(result.success ? `⭐ Default address set to:\n${formatAddress(result.address)}` : `❌ ${result.error}`, isLoggedIn));
+        } else {
+          const result = await deleteAddress(userId, address.id);
+          let msg = result.success ? `🗑️ Deleted address:\n${formatAddress(result.address)}` : `❌ ${result.error}`;
+          if (result.success && result.newDefault) {
+            msg += `\n\n⭐ New default: ${formatAddress(result.newDefault)}`;
+          }
+          await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(msg, isLoggedIn));
+        }
+        return;
+      }
+      default: {
+        const addresses = await listAddresses(userId);
+        await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(formatAddressBook(addresses), isLoggedIn));
+      }
+    }
+  } catch (error) {
+    console.error('Error handling address command:', error);
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions('Sorry, we could not update your addresses right now. Please try again later.', isAuthenticatedSession(session)));
+  }
+};
+
+// Handle refill commands (list, create, reorder, skip, pause, resume, cancel)
+const handleRefillCommand = async (phoneNumber, session, parameters) => {
+  const isLoggedIn = isAuthenticatedSession(session);
+  try {
+    try { await session.reload(); } catch (_) {}
+    const userId = session.data && session.data.userId;
+    if (!userId) { await sendAuthRequiredMessage(phoneNumber, 'manage your refills'); return; }
+
+    const refillId = parseInt(parameters.refillId, 10);
+    if (['reorder', 'skip', 'pause', 'resume', 'cancel'].includes(parameters.action) && !refillId) {
+      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`Which refill? Example: '${parameters.action} refill 3'. Type 'my refills' to see your list.`, isLoggedIn));
+      return;
+    }
+
+    switch (parameters.action) {
+      case 'create': {
+        if (!parameters.sourceId) {
+          await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Which order or prescription should we refill?\n\nExample: 'refill order 12345 every 30 days' or 'refill rx 12 monthly'", isLoggedIn));
+          return;
+        }
+        const result = await createRefill(userId, {
+          sourceType: parameters.sourceType,
+          sourceId: parseInt(parameters.sourceId, 10),
+          intervalDays: parameters.intervalDays
+        });
+        if (!result.success) {
+          await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ ${result.error}.`, isLoggedIn));
+          return;
+        }
+        const { refill } = result;
+        const items = refill.items.map((item) => `• ${item.name} x${item.quantity}`).join('\n');
+        await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`🔁 Refill #${refill.id} set up every ${refill.intervalDays} days:\n${items}\n\nNext refill: ${new Date(refill.nextRefillAt).toDateString()}\nDelivery to: ${refill.shippingAddress}\nPayment: ${refill.paymentMethod}\n\nWe'll remind you a few days before so you can reorder with one tap.`, isLoggedIn));
+        return;
+      }
+      case 'reorder': {
+        const sessionData = { ...session.data };
+        const result = await reorderRefill(userId, refillId, sessionData);
+        const unavailable = (result.unavailable || []).map((item) => `• ${item.name}: ${item.reason}`).join('\n');
+        if (!result.success) {
+          await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ ${result.error}.${unavailable ? `\n\n${unavailable}` : ''}`, isLoggedIn));
+          return;
+        }
+        // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+        session.data = { ...sessionData };
+        await session.save();
+
+        const { order } = result;
+        await notifySupportTeam(phoneNumber, 'orders', 'New Order Placed', {
+          orderId: order.orderId,
+          paymentMethod: order.paymentMethod,
+          amount: order.totalAmount || 'TBD'
+        });
+
+        let msg = `✅ Refill #${result.refill.id} ordered!\n\nOrder ID: #${order.orderId}\nTotal: ₦${Number(order.totalAmount).toLocaleString()}`;
+        if (unavailable) {
+          msg += `\n\nNot available this time:\n${unavailable}`;
+        }
+        msg += `\n\nNext refill: ${new Date(result.refill.nextRefillAt).toDateString()}. Type 'track ${order.orderId}' anytime to check its status.`;
+        await sendWhatsAppMessage(phoneNumber, msg);
+
+        // No payment link until a pharmacist has verified the prescription
+        if (order.status === 'Awaiting Prescription') {
+          await sendWhatsAppMessage(phoneNumber, result.prescriptionResubmitted
+            ? `📋 Order #${order.orderId} contains prescription-only medicine. We've sent the prescription from your refill to our pharmacist, and we'll send your payment details once it is verified.`
+            : buildPrescriptionRequestMessage(order.orderId, order.prescriptionItems));
+          return;
+        }
+        await sendOrderPaymentInstructions(phoneNumber, order.orderId, userId, order.paymentMethod);
+        return;
+      }
+      case 'skip': {
+        const result = await skipRefill(userId, refillId);
+        await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(result.success
+          ? `⏭️ Skipped this time. Next refill of ${describeRefill(result.refill)}: ${new Date(result.refill.nextRefillAt).toDateString()}.`
+          : `❌ ${result.error}. Type 'my refills' to see your list.`, isLoggedIn));
+        return;
+      }
+      case 'pause':
+      case 'resume':
+      case 'cancel': {
+        const status = { pause: 'paused', resume: 'active', cancel: 'cancelled' }[parameters.action];
+        const result = await setRefillStatus(userId, refillId, status);
+        if (!result.success) {
+          await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ ${result.error}. Type 'my refills' to see your list.`, isLoggedIn));
+          return;
+        }
+        const label = describeRefill(result.refill);
+        const msg = {
+          paused: `⏸️ Refill #${refillId} (${label}) paused. Type 'resume refill ${refillId}' to restart it.`,
+          active: `▶️ Refill #${refillId} (${label}) resumed. Next refill: ${new Date(result.refill.nextRefillAt).toDateString()}.`,
+          cancelled: `🗑️ Refill #${refillId} (${label}) cancelled.`
+        }[status];
+        await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(msg, isLoggedIn));
+        return;
+      }
+      default: {
+        const refills = await listRefills(userId);
+        await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(formatRefillsMessage(refills), isLoggedIn));
+      }
+    }
+  } catch (error) {
+    console.error('Error handling refill command:', error);
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions('Sorry, we could not update your refills right now. Please try again later.', isLoggedIn));
+  }
+};
+
 // Handle payment
 const handlePayment = async (phoneNumber, session, parameters) => {
   try {
@@ -2437,42 +3224,24 @@ const handlePayment = async (phoneNumber, session, parameters) => {
       return;
     }
 
-    if (!parameters.orderId || !parameters.provider) {
-      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Please provide your order ID and payment provider. Example: 'pay 12345 flutterwave'", isLoggedIn));
+    const entityType = parameters.entityType || 'order';
+    const entityId = parameters.entityId || parameters.orderId;
+    if (!entityId || !parameters.provider) {
+      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Please provide your order ID and payment provider. Example: 'pay 12345 flutterwave'\n\nFor a lab test or consultation: 'pay lab 45 paystack' or 'pay consultation 7 flutterwave'", isLoggedIn));
       return;
     }
 
-    let result;
-    const paymentDetails = {
-      amount: 0,
-      email: '',
-      orderId: parameters.orderId
-    };
-
-    // Get order details to populate payment info
-    try {
-      const orderDetails = await trackOrder(parameters.orderId);
-      paymentDetails.amount = orderDetails.totalAmount;
-
-      // Get user email
-      const user = await sequelize.models.User.findByPk(session.data.userId);
-      paymentDetails.email = user.email;
-    } catch (error) {
-      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Sorry, we couldn't find that order. Please check the order ID and try again.", isLoggedIn));
+    const provider = { flutterwave: 'Flutterwave', paystack: 'Paystack' }[parameters.provider.toLowerCase()] || parameters.provider;
+    const result = await createPaymentLink(entityType, entityId, provider, userIdFromSession);
+    if (!result.success) {
+      const message = result.errorCode === 'PAYABLE_NOT_FOUND' && entityType === 'order'
+        ? "Sorry, we couldn't find that order. Please check the order ID and try again."
+        : `ℹ️ ${result.error}`;
+      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(message, isLoggedIn));
       return;
     }
 
-    if (parameters.provider.toLowerCase() === 'flutterwave') {
-      result = await processFlutterwavePayment(paymentDetails);
-      const paymentMsg = formatResponseWithOptions(`Please complete your payment using this link: ${result.data.link}`, isLoggedIn);
-      await sendWhatsAppMessage(phoneNumber, paymentMsg);
-    } else if (parameters.provider.toLowerCase() === 'paystack') {
-      result = await processPaystackPayment(paymentDetails);
-      const paymentMsg = formatResponseWithOptions(`Please complete your payment using this link: ${result.data.authorization_url}`, isLoggedIn);
-      await sendWhatsAppMessage(phoneNumber, paymentMsg);
-    } else {
-      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Sorry, we only support Flutterwave and Paystack for online payments.", isLoggedIn));
-    }
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`💳 ${result.label}: ₦${Number(result.amount).toLocaleString()}\n\nPlease complete your payment using this link: ${result.link}`, isLoggedIn));
   } catch (error) {
     console.error('Error processing payment:', error);
     await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Sorry, we encountered an error while processing your payment. Please try again later.", isAuthenticatedSession(session)));
@@ -2550,8 +3319,9 @@ const handleResendOTP = async (phoneNumber, session) => {
     if (!registrationData || !registrationData.email) {
       await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("❌ No active registration found. Please start over by typing 'register'.", false));
       if (freshSession) {
-        freshSession.data.waitingForOTPVerification = false;
         freshSession.data.registrationData = null;
+        freshSession.changed('data', true);
+        await endFlow(freshSession);
         await freshSession.save();
       }
       return;
@@ -2604,18 +3374,18 @@ const handleResendOTP = async (phoneNumber, session) => {
       await sendOTPEmail(registrationData.email, newOtp, registrationData.name);
       await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`✅ A new OTP has been sent to ${registrationData.email}. Please reply with the 4-digit code. It's valid for 5 minutes.`, false));
 
-      // Reset attempt counter and mark as waiting for OTP
-      session.data.waitingForOTPVerification = true;
+      // Reset attempt counter and keep waiting for OTP
       session.data.registrationAttempts = 0;
       session.data.emailSendFailed = false;
+      session.changed('data', true);
       await session.save();
     } catch (emailError) {
       console.error('Error sending resend OTP email:', emailError);
       const fallbackMsg = `⚠️ **Email service temporarily unavailable.**\n\n✅ **You can still continue:**\n1️ A new OTP code has been generated and saved\n2️⃣ Contact our support team to get your backup OTP code\n3️⃣ Reply with your 4-digit code when you have it\n\nNeed help? Type 'support' to reach our team.`;
       await sendWhatsAppMessage(phoneNumber, fallbackMsg);
 
-      session.data.waitingForOTPVerification = true;
       session.data.emailSendFailed = true;
+      session.changed('data', true);
       await session.save();
     }
   } catch (error) {
@@ -2677,8 +3447,9 @@ const handleRegistrationOTPVerification = async (phoneNumber, session, otpCode)
   if (!registrationData || !registrationData.email) {
     await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("❌ Registration session expired. Please start again by typing 'register'.", false));
     if (freshSession) {
-      freshSession.data.waitingForOTPVerification = false;
       freshSession.data.registrationData = null;
+      freshSession.changed('data', true);
+      await endFlow(freshSession);
       await freshSession.save();
     }
     return;
@@ -2743,7 +3514,6 @@ const handleRegistrationOTPVerification = async (phoneNumber, session, otpCode)
         userId: result.userId,
         token: registrationToken,  // Also in data for compatibility
         tokenLastUsed: new Date().toISOString(),
-        waitingForOTPVerification: false,
         registrationData: null,
         emailSendFailed: false
       });
@@ -2758,6 +3528,7 @@ const handleRegistrationOTPVerification = async (phoneNumber, session, otpCode)
       
       console.log(`📝 Registration complete, saving token: ${registrationToken.substring(0, 10)}...`);
       await session.save();
+      await endFlow(session);
 
       // Notify support teams
       await notifySupportTeams(phoneNumber, 'New User Registration', {
@@ -2775,9 +3546,6 @@ const handleRegistrationOTPVerification = async (phoneNumber, session, otpCode)
       otpRecord.isUsed = false;
       otpRecord.usedAt = null;
       await otpRecord.save();
-
-      session.data.waitingForOTPVerification = true;
-      await session.save();
     }
   } catch (error) {
     console.error('Error verifying OTP:', error);
@@ -2837,42 +3605,34 @@ const handleDiagnosticTestSearch = async (phoneNumber, session, parameters) => {
 // Handle healthcare product browse
 const handleHealthcareProductBrowse = async (phoneNumber, session, parameters) => {
   try {
-    const { HealthcareProduct } = require('./models');
     const isLoggedIn = isAuthenticatedSession(session);
 
-    const page = parseInt(parameters.page || '1', 10) || 1;
-    const pageSize = 5;
-    const where = { isActive: true };
-
-    if (parameters.category) {
-      where[sequelize.Op.or] = [
-        { name: { [sequelize.Op.iLike]: `%${parameters.category}%` } },
-        { category: { [sequelize.Op.iLike]: `%${parameters.category}%` } }
-      ];
-    }
-
-    const offset = (page - 1) * pageSize;
-    const { rows, count } = await HealthcareProduct.findAndCountAll({ where, limit: pageSize, offset, order: [['id','ASC']] });
+    const { items, page, totalPages, pageSize } = await listCatalog({
+      productType: 'healthcare',
+      category: parameters.category || null,
+      page: parameters.page || 1,
+      pageSize: 5
+    });
 
-    if (!rows || rows.length === 0) {
+    if (items.length === 0) {
       await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ No healthcare products found${parameters.category ? ` in "${parameters.category}"` : ''}. Please try a different search or type 'help' for more options.`, isLoggedIn));
       return;
     }
 
-    const totalPages = Math.max(1, Math.ceil(count / pageSize));
     // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
     session.data = { 
       ...session.data, 
       healthcareProductPagination: { currentPage: page, totalPages, pageSize },
-      healthcareProductPageItems: rows,
+      healthcareProductPageItems: items,
+      catalogListItems: items,
       lastHealthcareProductSearch: { category: parameters.category || null }
     };
     await session.save();
 
-    const msg = buildPaginatedListMessage(rows, page, totalPages, '🛒 Healthcare Products', (product) => {
+    const msg = buildPaginatedListMessage(items, page, totalPages, '🛒 Healthcare Products', (product) => {
       let s = `${product.name} - ₦${product.price}`;
       s += `\n   Category: ${product.category}${product.brand ? ` | Brand: ${product.brand}` : ''}`;
-      s += `\n   Stock: ${product.stock > 0 ? product.stock + ' units' : 'Out of stock'}`;
+      s += `\n   Stock: ${product.inStock ? product.stock + ' units' : 'Out of stock'}`;
       if (product.description) s += `\n   ${product.description}`;
       if (product.usage) s += `\n   Usage: ${product.usage}`;
       return s;
@@ -2883,6 +3643,190 @@ const handleHealthcareProductBrowse = async (phoneNumber, session, parameters) =
     await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("❌ Error retrieving healthcare products. Please try again later.", isAuthenticatedSession(session)));
   }
 };
+// --- Conversation flows ---
+// Multi-step conversations are declared here and persisted on the Session
+// (activeFlow/flowState/flowData). handleCustomerMessage routes to them before NLP.
+
+registerFlow({
+  name: 'register',
+  label: 'registration',
+  initialState: 'awaiting_otp',
+  timeoutMinutes: 15,
+  exitCommands: ['cancel', 'cancel registration'],
+  onExit: async ({ phoneNumber, session }) => {
+    session.state = 'NEW';
+    session.data = { ...session.data, registrationData: null };
+    await session.save();
+    await sendInteractiveMessage(phoneNumber, '❎ Registration cancelled.', getStandardButtons(false));
+  },
+  onTimeout: async ({ phoneNumber }) => {
+    await sendWhatsAppMessage(phoneNumber, "⏱️ Your registration timed out. Type 'register' to start again.");
+  },
+  states: {
+    awaiting_otp: {
+      inputs: [
+        {
+          match: /^\d{4}$/,
+          handler: async ({ phoneNumber, session, match }) => {
+            console.log(`🔐 Processing OTP verification with code: ${match[0]}`);
+            await handleRegistrationOTPVerification(phoneNumber, session, match[0]);
+          }
+        },
+        {
+          match: /^(resend|retry|send again)$/i,
+          handler: async ({ phoneNumber, session }) => {
+            console.log(`🔄 Processing OTP resend request`);
+            await handleResendOTP(phoneNumber, session);
+          }
+        }
+      ],
+      prompt: "❌ Please enter your 4-digit OTP code. If you need to resend the OTP, type 'resend'."
+    }
+  }
+});
+
+registerFlow({
+  name: 'prescription_attach',
+  label: 'prescription upload',
+  initialState: 'awaiting_order_id',
+  timeoutMinutes: 30,
+  requiresAuth: true,
+  onExit: async ({ phoneNumber }) => {
+    await sendWhatsAppMessage(phoneNumber, '🗑️ Pending prescription discarded. Send a new file whenever you are ready.');
+  },
+  onTimeout: async ({ phoneNumber }) => {
+    await sendWhatsAppMessage(phoneNumber, '⏱️ Your pending prescription expired before it was attached to an order. Please send it again with your Order ID as caption, e.g. rx 12345.');
+  },
+  states: {
+    awaiting_order_id: {
+      // Other messages (browsing, cart, ...) keep working while the file waits for an order
+      passthrough: true,
+      inputs: [
+        {
+          match: /^(?:rx|attach|link)\s+#?(\d+)$/i,
+          handler: async ({ phoneNumber, session, data, match }) => {
+            const orderId = match[1];
+            try {
+              const result = await savePrescription(orderId, data.fileUrl, data.extractedText || null, null, { userId: session.data.userId });
+              await endFlow(session);
+              await sendWhatsAppMessage(phoneNumber, `✅ Prescription attached to order #${orderId}. Status: ${result.verificationStatus || 'Pending'}.`);
+              await offerPrescriptionItems(phoneNumber, result);
+            } catch (err) {
+              await sendWhatsAppMessage(phoneNumber, `❌ Could not attach to order #${orderId}: ${err.message}`);
+            }
+          }
+        }
+      ]
+    }
+  }
+});
+
+registerFlow({
+  name: 'booking',
+  label: 'appointment booking',
+  initialState: 'awaiting_doctor',
+  timeoutMinutes: 15,
+  requiresAuth: true,
+  // Doctor list navigation ("next", "previous") keeps working while choosing a doctor
+  keepPaginationContext: true,
+  states: {
+    awaiting_doctor: {
+      passthrough: true,
+      inputs: [
+        {
+          match: /^(?:book\s+)?(\d+)$/i,
+          handler: async ({ phoneNumber, session, match }) => {
+            const doctorList = (session.data.doctorPageItems || session.data.doctorSearchResults || []);
+            const doctor = doctorList[parseInt(match[1], 10) - 1];
+            if (!doctor) {
+              await sendWhatsAppMessage(phoneNumber, `Please select a valid doctor number between 1 and ${doctorList.length}.`);
+              return;
+            }
+            await offerBookingSlots(phoneNumber, session, doctor);
+          }
+        }
+      ]
+    },
+    awaiting_slot: {
+      inputs: [
+        {
+          // A row of the slot list: a time, or "later times"
+          match: /^slot_(?:more_)?\d+$/i,
+          handler: async ({ phoneNumber, session, data, text }) => {
+            const reply = parseSlotReply(text);
+            try {
+              if (reply.after) {
+                await offerBookingSlots(phoneNumber, session, data.doctor, reply.after);
+                return;
+              }
+              await completeAppointmentBooking(phoneNumber, session, data.doctor, reply.dateTime);
+            } catch (error) {
+              console.error('Error booking appointment:', error);
+              await endFlow(session);
+              await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Sorry, we encountered an error while booking your appointment. Please try again later.", isAuthenticatedSession(session)));
+            }
+          }
+        },
+        {
+          match: /^(\d{4}-\d{2}-\d{2})\s+(\d{1,2}:\d{2})$/,
+          handler: async ({ phoneNumber, session, data, match }) => {
+            const { timezone } = await getDoctorSchedule(data.doctor.id);
+            const dateTime = parseScheduleDateTime(`${match[1]} ${match[2].padStart(5, '0')}`, timezone);
+            if (!dateTime) {
+              await sendWhatsAppMessage(phoneNumber, '❌ That date/time is not valid. Please pick a time from the list or use the format 2024-06-15 14:00.');
+              return;
+            }
+            try {
+              await completeAppointmentBooking(phoneNumber, session, data.doctor, dateTime);
+            } catch (error) {
+              console.error('Error booking appointment:', error);
+              await endFlow(session);
+              await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Sorry, we encountered an error while booking your appointment. Please try again later.", isAuthenticatedSession(session)));
+            }
+          }
+        }
+      ],
+      prompt: "📅 Please pick a time from the list, or reply with a date and time, e.g. 2024-06-15 14:00. Type 'cancel' to stop booking."
+    }
+  }
+});
+
+registerFlow({
+  name: 'address_add',
+  label: 'address entry',
+  initialState: 'awaiting_address',
+  timeoutMinutes: 15,
+  requiresAuth: true,
+  states: {
+    awaiting_address: {
+      inputs: [
+        {
+          type: 'location',
+          handler: async ({ phoneNumber, session, location }) => {
+            const result = await addAddress(session.data.userId, {
+              label: location.name || null,
+              street: location.address || location.description || `Pinned location (${location.latitude}, ${location.longitude})`,
+              latitude: location.latitude,
+              longitude: location.longitude
+            });
+            if (result.success) await endFlow(session);
+            await sendWhatsAppMessage(phoneNumber, result.success ? `✅ Saved address:\n${formatAddress(result.address)}` : `❌ ${result.error}`);
+          }
+        },
+        {
+          match: (text) => text.length >= 5,
+          handler: async ({ phoneNumber, session, text }) => {
+            const result = await addAddress(session.data.userId, text);
+            if (result.success) await endFlow(session);
+            await sendWhatsAppMessage(phoneNumber, result.success ? `✅ Saved address:\n${formatAddress(result.address)}` : `❌ ${result.error}\n\nPlease try again or type 'cancel'.`);
+          }
+        }
+      ],
+      prompt: "📍 Please type the full address (street, area, city, state) or share your location. Type 'cancel' to stop."
+    }
+  }
+});
+
 /**
  * NEW: Handles incoming text messages using the new modular flow.
  */
@@ -2961,24 +3905,33 @@ const handleMediaMessage = async (message, phoneNumber, messageId) => {
     const ocr = await extractPrescriptionFromBuffer(buffer).catch(err => console.warn('OCR failed:', err.message));
     const extractedText = ocr?.extractedText || null;
 
+    const [session] = await Session.findOrCreate({ where: { phoneNumber }, defaults: { state: 'NEW', data: {} } });
     const match = caption.match(/(?:rx|order|prescription)\s*#?(\d+)/i);
     if (match && match[1]) {
       const orderId = match[1];
+      // Only the order's owner may attach (and so replace) its prescription
+      if (!isAuthenticatedSession(session)) {
+        await sendWhatsAppMessage(phoneNumber, `🔐 Please log in before attaching a prescription to order #${orderId}, then send the file again with the caption \`rx ${orderId}\`.\n\nExample: login john@example.com mypassword`);
+        return;
+      }
       try {
-        const result = await savePrescription(orderId, uploadResult.url, extractedText);
+        const result = await savePrescription(orderId, uploadResult.url, extractedText, null, { userId: session.data.userId });
         await sendWhatsAppMessage(phoneNumber, `✅ Prescription received and attached to order #${orderId}. Status: ${result.verificationStatus || 'Pending'}.`);
+        await offerPrescriptionItems(phoneNumber, result);
       } catch (err) {
         console.error(`Error attaching prescription to order #${orderId}:`, err);
         await sendWhatsAppMessage(phoneNumber, `❌ We received your prescription, but couldn't attach it to order #${orderId}. Please ensure the order ID is correct. You can try again by replying: \`rx ${orderId}\``);
       }
     } else {
-      const [session] = await Session.findOrCreate({ where: { phoneNumber }, defaults: { state: 'NEW', data: {} } });
-      session.set('data', {
-        ...session.data,
-        pendingPrescriptionUrl: uploadResult.url,
-        ...(extractedText && { pendingPrescriptionExtractedText: extractedText })
+      // Starting the attach flow would replace the active one (e.g. a live support chat) without its exit
+      const active = getActiveFlow(session);
+      if (active && active.flow.name !== 'prescription_attach' && !isFlowExpired(session)) {
+        await sendWhatsAppMessage(phoneNumber, `📄 Prescription received, but you are in the middle of your ${active.flow.label}.\n\nTo attach it to an order without leaving, send it again with your Order ID as the caption (e.g., \`rx 12345\`).`);
+        return;
+      }
+      await startFlow(session, 'prescription_attach', {
+        data: { fileUrl: uploadResult.url, extractedText }
       });
-      await session.save();
       await sendWhatsAppMessage(phoneNumber, '📄 Prescription received.\n\nTo attach it to an order, reply now with your Order ID (e.g., `rx 12345`).');
     }
   } catch (err) {
@@ -2991,6 +3944,58 @@ const handleMediaMessage = async (message, phoneNumber, messageId) => {
   }
 };
 
+// List the medicines read from an attached prescription, with a one-tap "add all to cart"
+// for those we can supply
+const offerPrescriptionItems = async (phoneNumber, saved) => {
+  if (!saved || !saved.medicineCount) return;
+  try {
+    const result = await getPrescriptionCartItems(saved.prescriptionId);
+    if (!result.success || result.items.length === 0) return;
+
+    await sendWhatsAppMessage(phoneNumber, formatPrescriptionItemsMessage(result.items));
+    const available = result.items.filter((item) => item.product).length;
+    if (available > 0) {
+      await sendInteractiveMessage(
+        phoneNumber,
+        `Add the ${available} available medicine${available === 1 ? '' : 's'} to your cart (1 pack each)? You can also type 'add rx ${saved.prescriptionId}'.`,
+        [{ id: `rx_add_all_${saved.prescriptionId}`, title: '🛒 Add all to cart' }]
+      );
+    }
+  } catch (error) {
+    console.warn(`Could not offer prescription #${saved.prescriptionId} items:`, error.message);
+  }
+};
+
+// Handle "add all to cart" for a prescription
+const handlePrescriptionAddAll = async (phoneNumber, session, prescriptionId) => {
+  const isLoggedIn = isAuthenticatedSession(session);
+  try {
+    try { await session.reload(); } catch (_) {}
+    const userId = session.data && session.data.userId;
+    if (!userId) {
+      await sendAuthRequiredMessage(phoneNumber, 'add prescribed medicines to your cart');
+      return;
+    }
+
+    const result = await addPrescriptionItemsToCart(parseInt(prescriptionId, 10), userId);
+    const skipped = (result.skipped || []).map((item) => `• ${item.name}: ${item.reason}`).join('\n');
+    if (!result.success) {
+      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ ${result.error}.${skipped ? `\n\n${skipped}` : ''}`, isLoggedIn));
+      return;
+    }
+
+    let msg = `🛒 Added to your cart:\n${result.added.map((item) => `• ${item.name} x${item.quantity}`).join('\n')}`;
+    if (skipped) {
+      msg += `\n\nNot added:\n${skipped}`;
+    }
+    msg += `\n\nCart total: ₦${Number(result.cartTotal).toLocaleString()}\nType 'cart' to review quantities or 'checkout' to place your order.`;
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(msg, isLoggedIn));
+  } catch (error) {
+    console.error('Error adding prescription items to cart:', error);
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions('Sorry, we could not add your prescribed medicines right now. Please try again later.', isLoggedIn));
+  }
+};
+
 /**
  * NEW: Handles incoming location messages for delivery address.
  */
@@ -2999,13 +4004,21 @@ const handleLocationMessage = async (message, phoneNumber, messageId) => {
     console.log(`[LOCATION] Received from ${phoneNumber}: Lat=${latitude}, Lon=${longitude}`);
 
     const session = await Session.findOne({ where: { phoneNumber } });
-    if (session && session.data.isSettingAddress) {
-        const fullAddress = [name, address].filter(Boolean).join(', ');
-        session.set('data', { ...session.data, deliveryAddress: { latitude, longitude, description: fullAddress }, isSettingAddress: false });
-        await session.save();
-        await sendWhatsAppMessage(phoneNumber, `✅ Delivery address set to: ${fullAddress}\n\nYou can now proceed to checkout.`);
-    } else {
-        await sendWhatsAppMessage(phoneNumber, `Thanks for sharing your location!`);
+    const location = { latitude, longitude, name, address, description: [name, address].filter(Boolean).join(', ') };
+    const handledByFlow = session
+      ? await dispatchFlowInput(phoneNumber, session, { type: 'location', location }, { isLoggedIn: isAuthenticatedSession(session) })
+      : false;
+    if (!handledByFlow) {
+        const delivery = await quoteDelivery({ latitude, longitude }, 0, null);
+        let reply = `Thanks for sharing your location!`;
+        if (delivery.success && delivery.zone) {
+            reply += `\n\n🚚 Delivery here (${delivery.zone.name}) costs ${delivery.isFreeDelivery ? 'nothing' : `₦${delivery.deliveryFee.toLocaleString()}`}`;
+            if (delivery.zone.freeDeliveryThreshold > 0) {
+                reply += `, free on orders from ₦${delivery.zone.freeDeliveryThreshold.toLocaleString()}`;
+            }
+            reply += '.';
+        }
+        await sendWhatsAppMessage(phoneNumber, reply);
     }
 };
 
@@ -3031,11 +4044,7 @@ const handleInteractiveMessage = async (message, phoneNumber, messageId) => {
   if (topLevelMenuActions.includes(replyId)) {
     const sessionForClear = await Session.findOne({ where: { phoneNumber } });
     if (sessionForClear && sessionForClear.data) {
-      delete sessionForClear.data.doctorSpecialtyPagination;
-      delete sessionForClear.data.doctorPagination;
-      delete sessionForClear.data.productPagination;
-      delete sessionForClear.data.cartPagination;
-      sessionForClear.changed('data', true);
+      sessionForClear.data = clearPaginationContext(sessionForClear.data);
       await sessionForClear.save();
       console.log(`[CONTEXT_CLEAR] Cleared pagination context for user selecting a new menu item.`);
     }
@@ -0,0 +1,90 @@
+'use strict';
+
+module.exports = {
+  up: async (sequelize) => {
+    const t = sequelize.transaction();
+    try {
+      // Add conversation flow columns to sessions table
+      await sequelize.sequelize.queryInterface.addColumn(
+        'sessions',
+        'activeFlow',
+        {
+          type: sequelize.DataTypes.STRING,
+          allowNull: true,
+          comment: 'Name of the active conversation flow (register, checkout, booking, ...)'
+        },
+        { transaction: await t }
+      );
+
+      await sequelize.sequelize.queryInterface.addColumn(
+        'sessions',
+        'flowState',
+        {
+          type: sequelize.DataTypes.STRING,
+          allowNull: true,
+          comment: 'Current state within the active conversation flow'
+        },
+        { transaction: await t }
+      );
+
+      await sequelize.sequelize.queryInterface.addColumn(
+        'sessions',
+        'flowData',
+        {
+          type: sequelize.DataTypes.JSONB,
+          allowNull: true,
+          defaultValue: {},
+          comment: 'Data collected by the active conversation flow'
+        },
+        { transaction: await t }
+      );
+
+      await sequelize.sequelize.queryInterface.addColumn(
+        'sessions',
+        'flowExpiresAt',
+        {
+          type: sequelize.DataTypes.DATE,
+          allowNull: true,
+          comment: 'When the active conversation flow times out'
+        },
+        { transaction: await t }
+      );
+
+      await (await t).commit();
+      console.log('✅ Migration completed: Added activeFlow, flowState, flowData, flowExpiresAt columns to sessions table');
+    } catch (error) {
+      await (await t).rollback();
+      throw error;
+    }
+  },
+
+  down: async (sequelize) => {
+    const t = sequelize.transaction();
+    try {
+      await sequelize.sequelize.queryInterface.removeColumn(
+        'sessions',
+        'activeFlow',
+        { transaction: await t }
+      );
+      await sequelize.sequelize.queryInterface.removeColumn(
+        'sessions',
+        'flowState',
+        { transaction: await t }
+      );
+      await sequelize.sequelize.queryInterface.removeColumn(
+        'sessions',
+        'flowData',
+        { transaction: await t }
+      );
+      await sequelize.sequelize.queryInterface.removeColumn(
+        'sessions',
+        'flowExpiresAt',
+        { transaction: await t }
+      );
+      await (await t).commit();
+    } catch (error) {
+      await (await t).rollback();
+      throw error;
+    }
+  }
+};
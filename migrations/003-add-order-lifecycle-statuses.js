@@ -0,0 +1,51 @@
+'use strict';
+
+const NEW_STATUSES = [
+  'Pending Payment',
+  'Awaiting Prescription',
+  'Confirmed',
+  'Packed',
+  'Dispatched',
+  'Out for Delivery',
+  'Refunded'
+];
+
+module.exports = {
+  up: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+
+    // ALTER TYPE ... ADD VALUE cannot be used inside the same transaction as the new values
+    for (const status of NEW_STATUSES) {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_orders_status" ADD VALUE IF NOT EXISTS '${status}'`
+      );
+    }
+
+    const t = sequelize.transaction();
+    try {
+      // Orders that were paid under the old flow jumped straight to 'Shipped'
+      await queryInterface.sequelize.query(
+        `UPDATE orders SET status = 'Confirmed' WHERE status = 'Shipped' AND "paymentStatus" = 'Paid'`,
+        { transaction: await t }
+      );
+
+      // Placed orders used to stay in 'Processing' (the cart status)
+      await queryInterface.sequelize.query(
+        `UPDATE orders SET status = CASE WHEN "paymentStatus" = 'Paid' OR "paymentMethod" = 'Cash on Delivery' THEN 'Confirmed'::"enum_orders_status" ELSE 'Pending Payment'::"enum_orders_status" END
+         WHERE status = 'Processing' AND "shippingAddress" <> 'To be provided'`,
+        { transaction: await t }
+      );
+
+      await (await t).commit();
+      console.log('✅ Migration completed: Added order lifecycle statuses and moved placed orders out of the cart status');
+    } catch (error) {
+      await (await t).rollback();
+      throw error;
+    }
+  },
+
+  down: async () => {
+    // Postgres cannot drop enum values; the extra statuses are left in place
+    console.log('ℹ️  Order lifecycle statuses cannot be removed from enum_orders_status');
+  }
+};
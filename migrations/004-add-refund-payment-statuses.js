@@ -0,0 +1,23 @@
+'use strict';
+
+const NEW_PAYMENT_STATUSES = ['Refund Pending', 'Partially Refunded', 'Refunded'];
+
+module.exports = {
+  up: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+
+    // ALTER TYPE ... ADD VALUE cannot run inside a transaction block on older Postgres versions
+    for (const status of NEW_PAYMENT_STATUSES) {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_orders_paymentStatus" ADD VALUE IF NOT EXISTS '${status}'`
+      );
+    }
+
+    console.log('✅ Migration completed: Added refund payment statuses to orders');
+  },
+
+  down: async () => {
+    // Postgres cannot drop enum values; the extra statuses are left in place
+    console.log('ℹ️  Refund payment statuses cannot be removed from enum_orders_paymentStatus');
+  }
+};
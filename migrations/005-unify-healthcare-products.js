@@ -0,0 +1,88 @@
+'use strict';
+
+// Healthcare products move into the products table so they share the cart, checkout,
+// stock reservations and batches with medicines. Legacy rows are copied, not moved:
+// healthcare_products is left in place and each copy records legacyHealthcareProductId.
+module.exports = {
+  up: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+    const { DataTypes } = sequelize;
+
+    const columns = await queryInterface.describeTable('products');
+    const newColumns = {
+      productType: {
+        type: DataTypes.ENUM('medicine', 'healthcare'),
+        allowNull: false,
+        defaultValue: 'medicine',
+        comment: 'Catalog discriminator: medicines and healthcare products share this table, the cart and checkout'
+      },
+      brand: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      usage: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'How to use the product'
+      },
+      legacyHealthcareProductId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        unique: true,
+        comment: 'healthcare_products row this product was migrated from'
+      }
+    };
+
+    const t = await sequelize.sequelize.transaction();
+    try {
+      for (const [name, definition] of Object.entries(newColumns)) {
+        if (!columns[name]) {
+          await queryInterface.addColumn('products', name, definition, { transaction: t });
+        }
+      }
+
+      const [, copied] = await queryInterface.sequelize.query(
+        `INSERT INTO "products"
+           ("name", "productType", "category", "description", "brand", "usage", "price", "stock",
+            "imageUrl", "isActive", "legacyHealthcareProductId", "createdAt", "updatedAt")
+         SELECT h."name", 'healthcare', h."category", h."description", h."brand", h."usage", h."price",
+                COALESCE(h."stock", 0), h."imageUrl", h."isActive", h."id", h."createdAt", NOW()
+         FROM "healthcare_products" h
+         WHERE NOT EXISTS (
+           SELECT 1 FROM "products" p WHERE p."legacyHealthcareProductId" = h."id"
+         )`,
+        { transaction: t }
+      );
+
+      await t.commit();
+      console.log(`✅ Migration completed: Added productType, brand, usage, legacyHealthcareProductId to products and copied ${copied || 0} healthcare product(s)`);
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+  },
+
+  down: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+    const t = await sequelize.sequelize.transaction();
+    try {
+      // Only migrated copies are removed; healthcare products created after the migration
+      // exist only in products and are kept as long as the columns are
+      await queryInterface.sequelize.query(
+        `DELETE FROM "products" p
+         WHERE p."legacyHealthcareProductId" IS NOT NULL
+           AND NOT EXISTS (SELECT 1 FROM "order_items" oi WHERE oi."productId" = p."id")`,
+        { transaction: t }
+      );
+      await queryInterface.sequelize.query(
+        `UPDATE "products" SET "legacyHealthcareProductId" = NULL`,
+        { transaction: t }
+      );
+      await t.commit();
+      console.log('ℹ️  Removed unordered migrated healthcare products; catalog columns are left in place for products created since');
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+  }
+};
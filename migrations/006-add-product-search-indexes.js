@@ -0,0 +1,47 @@
+'use strict';
+
+// Ranked product search (services/catalog.js searchCatalog) needs pg_trgm for similarity()
+// and word_similarity(). The full-text index expression must match SEARCH_DOCUMENT exactly.
+const SEARCH_DOCUMENT = `to_tsvector('english', coalesce("name", '') || ' ' || coalesce("brand", '') || ' ' || coalesce("category", '') || ' ' || coalesce("description", ''))`;
+
+module.exports = {
+  up: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+
+    await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+    await queryInterface.sequelize.query(
+      `CREATE INDEX IF NOT EXISTS "products_search_document_idx" ON "products" USING GIN (${SEARCH_DOCUMENT})`
+    );
+    await queryInterface.sequelize.query(
+      'CREATE INDEX IF NOT EXISTS "products_name_trgm_idx" ON "products" USING GIN ("name" gin_trgm_ops)'
+    );
+    await queryInterface.sequelize.query(
+      'CREATE INDEX IF NOT EXISTS "products_brand_trgm_idx" ON "products" USING GIN ("brand" gin_trgm_ops)'
+    );
+    await queryInterface.sequelize.query(
+      'CREATE INDEX IF NOT EXISTS "search_synonyms_term_trgm_idx" ON "search_synonyms" USING GIN ("term" gin_trgm_ops)'
+    );
+    await queryInterface.sequelize.query(
+      'CREATE INDEX IF NOT EXISTS "search_synonyms_synonyms_idx" ON "search_synonyms" USING GIN ("synonyms")'
+    );
+
+    console.log('✅ Migration completed: Enabled pg_trgm and added product search indexes');
+  },
+
+  down: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+
+    for (const index of [
+      'products_search_document_idx',
+      'products_name_trgm_idx',
+      'products_brand_trgm_idx',
+      'search_synonyms_term_trgm_idx',
+      'search_synonyms_synonyms_idx'
+    ]) {
+      await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "${index}"`);
+    }
+
+    // pg_trgm may be used by other database objects, so the extension is left installed
+    console.log('ℹ️  Dropped product search indexes; pg_trgm extension left installed');
+  }
+};
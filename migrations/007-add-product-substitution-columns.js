@@ -0,0 +1,78 @@
+'use strict';
+
+const PRODUCT_COLUMNS = {
+  activeIngredient: (DataTypes) => ({
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Generic name of the active ingredient(s), e.g. paracetamol; products sharing it and the strength are substitutes'
+  }),
+  strength: (DataTypes) => ({
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'e.g. 500mg, 250mg/5ml'
+  }),
+  dosageForm: (DataTypes) => ({
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'e.g. tablet, capsule, syrup, injection, cream'
+  }),
+  requiresPrescription: (DataTypes) => ({
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Prescription-only medicine (POM)'
+  })
+};
+
+module.exports = {
+  up: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+    const { DataTypes } = sequelize;
+    const t = await sequelize.sequelize.transaction();
+    try {
+      const productColumns = await queryInterface.describeTable('products');
+      for (const [name, definition] of Object.entries(PRODUCT_COLUMNS)) {
+        if (!productColumns[name]) {
+          await queryInterface.addColumn('products', name, definition(DataTypes), { transaction: t });
+        }
+      }
+      // Same name as the index sequelize.sync() creates for the model, so either may run first
+      await queryInterface.sequelize.query(
+        'CREATE INDEX IF NOT EXISTS "products_active_ingredient_strength" ON "products" ("activeIngredient", "strength")',
+        { transaction: t }
+      );
+
+      const itemColumns = await queryInterface.describeTable('order_items');
+      if (!itemColumns.substituteForProductId) {
+        await queryInterface.addColumn('order_items', 'substituteForProductId', {
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          references: { model: 'products', key: 'id' },
+          comment: 'Product the customer asked for when this item was added as a suggested substitute'
+        }, { transaction: t });
+      }
+
+      await t.commit();
+      console.log('✅ Migration completed: Added activeIngredient, strength, dosageForm, requiresPrescription to products and substituteForProductId to order_items');
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+  },
+
+  down: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+    const t = await sequelize.sequelize.transaction();
+    try {
+      await queryInterface.removeColumn('order_items', 'substituteForProductId', { transaction: t });
+      await queryInterface.sequelize.query('DROP INDEX IF EXISTS "products_active_ingredient_strength"', { transaction: t });
+      for (const name of Object.keys(PRODUCT_COLUMNS)) {
+        await queryInterface.removeColumn('products', name, { transaction: t });
+      }
+      await t.commit();
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+module.exports = {
+  up: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+    const { DataTypes } = sequelize;
+    const t = await sequelize.sequelize.transaction();
+    try {
+      const columns = await queryInterface.describeTable('orders');
+      if (!columns.prescriptionRemindersSent) {
+        await queryInterface.addColumn('orders', 'prescriptionRemindersSent', {
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          defaultValue: 0,
+          comment: 'Reminders sent while the order waits in Awaiting Prescription for a usable prescription'
+        }, { transaction: t });
+      }
+      if (!columns.lastPrescriptionReminderAt) {
+        await queryInterface.addColumn('orders', 'lastPrescriptionReminderAt', {
+          type: DataTypes.DATE,
+          allowNull: true
+        }, { transaction: t });
+      }
+
+      await t.commit();
+      console.log('✅ Migration completed: Added prescriptionRemindersSent, lastPrescriptionReminderAt columns to orders table');
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+  },
+
+  down: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+    const t = await sequelize.sequelize.transaction();
+    try {
+      await queryInterface.removeColumn('orders', 'prescriptionRemindersSent', { transaction: t });
+      await queryInterface.removeColumn('orders', 'lastPrescriptionReminderAt', { transaction: t });
+      await t.commit();
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+module.exports = {
+  up: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+    const { DataTypes } = sequelize;
+    const t = await sequelize.sequelize.transaction();
+    try {
+      const columns = await queryInterface.describeTable('prescriptions');
+      if (!columns.parsedData) {
+        await queryInterface.addColumn('prescriptions', 'parsedData', {
+          type: DataTypes.JSONB,
+          allowNull: true,
+          comment: 'Structured extraction: medicines with strength, form, frequency, duration, quantity and matched product'
+        }, { transaction: t });
+      }
+
+      await t.commit();
+      console.log('✅ Migration completed: Added parsedData column to prescriptions table');
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+  },
+
+  down: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+    const t = await sequelize.sequelize.transaction();
+    try {
+      await queryInterface.removeColumn('prescriptions', 'parsedData', { transaction: t });
+      await t.commit();
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+// Pharmacists verify prescriptions over WhatsApp (/rx commands). Support teams are only seeded
+// into an empty table, so existing deployments get the pharmacist team here when
+// SUPPORT_PHONE_NUMBER_5 is set.
+module.exports = {
+  up: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+
+    // ALTER TYPE ... ADD VALUE cannot be used inside the same transaction as the new value
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_support_teams_role" ADD VALUE IF NOT EXISTS 'pharmacist'`
+    );
+
+    const phoneNumber = process.env.SUPPORT_PHONE_NUMBER_5;
+    if (phoneNumber) {
+      await queryInterface.sequelize.query(
+        `INSERT INTO "support_teams" ("name", "phoneNumber", "role", "isActive", "createdAt", "updatedAt")
+         VALUES ('Pharmacist', :phoneNumber, 'pharmacist', true, NOW(), NOW())
+         ON CONFLICT ("phoneNumber") DO NOTHING`,
+        { replacements: { phoneNumber } }
+      );
+    }
+
+    console.log(`✅ Migration completed: Added pharmacist support team role${phoneNumber ? ' and pharmacist team' : ''}`);
+  },
+
+  down: async () => {
+    // Postgres cannot drop enum values; the role is left in place
+    console.log('ℹ️  The pharmacist role cannot be removed from enum_support_teams_role');
+  }
+};
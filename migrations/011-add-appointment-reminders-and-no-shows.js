@@ -0,0 +1,64 @@
+'use strict';
+
+// Appointment reminders (24h and 1h before), customer confirmation, doctor-side attendance
+// marking and a per-user no-show count
+module.exports = {
+  up: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+    const { DataTypes } = sequelize;
+
+    // ALTER TYPE ... ADD VALUE cannot be used inside the same transaction as the new value
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_appointments_status" ADD VALUE IF NOT EXISTS 'No-Show'`
+    );
+
+    const t = await sequelize.sequelize.transaction();
+    try {
+      const appointmentColumns = await queryInterface.describeTable('appointments');
+      const newAppointmentColumns = {
+        reminder24hSentAt: { type: DataTypes.DATE, allowNull: true },
+        reminder1hSentAt: { type: DataTypes.DATE, allowNull: true },
+        confirmedAt: { type: DataTypes.DATE, allowNull: true, comment: 'Customer confirmed from a reminder' },
+        attendanceMarkedBy: { type: DataTypes.STRING, allowNull: true, comment: 'Who marked the appointment Completed or No-Show' },
+        attendanceMarkedAt: { type: DataTypes.DATE, allowNull: true }
+      };
+      for (const [column, definition] of Object.entries(newAppointmentColumns)) {
+        if (!appointmentColumns[column]) {
+          await queryInterface.addColumn('appointments', column, definition, { transaction: t });
+        }
+      }
+
+      const userColumns = await queryInterface.describeTable('users');
+      if (!userColumns.noShowCount) {
+        await queryInterface.addColumn('users', 'noShowCount', {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+          comment: 'Appointments marked No-Show'
+        }, { transaction: t });
+      }
+
+      await t.commit();
+      console.log('✅ Migration completed: Added appointment reminder/attendance columns, No-Show status and users.noShowCount');
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+  },
+
+  down: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+    const t = await sequelize.sequelize.transaction();
+    try {
+      for (const column of ['reminder24hSentAt', 'reminder1hSentAt', 'confirmedAt', 'attendanceMarkedBy', 'attendanceMarkedAt']) {
+        await queryInterface.removeColumn('appointments', column, { transaction: t });
+      }
+      await queryInterface.removeColumn('users', 'noShowCount', { transaction: t });
+      await t.commit();
+      // Postgres cannot drop enum values; 'No-Show' is left in enum_appointments_status
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+  }
+};
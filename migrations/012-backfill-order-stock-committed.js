@@ -0,0 +1,33 @@
+'use strict';
+
+// Orders placed before stock reservations existed never went through commitOrderStock, so
+// stockCommitted stayed false even for orders that were confirmed and delivered. Recalls find
+// affected customers by that flag; mark those orders as having taken stock.
+const FULFILLED_STATUSES = ['Confirmed', 'Packed', 'Dispatched', 'Shipped', 'Out for Delivery', 'Delivered'];
+
+module.exports = {
+  up: async (sequelize) => {
+    const queryInterface = sequelize.sequelize.queryInterface;
+    const t = await sequelize.sequelize.transaction();
+    try {
+      const [, result] = await queryInterface.sequelize.query(
+        `UPDATE "orders" SET "stockCommitted" = true
+         WHERE "stockCommitted" = false
+           AND "status" IN (:statuses)
+           AND NOT EXISTS (SELECT 1 FROM "stock_reservations" r WHERE r."orderId" = "orders"."id")`,
+        { replacements: { statuses: FULFILLED_STATUSES }, transaction: t }
+      );
+
+      await t.commit();
+      console.log(`✅ Migration completed: Backfilled stockCommitted on ${result && result.rowCount !== undefined ? result.rowCount : 'existing'} fulfilled orders`);
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+  },
+
+  down: async () => {
+    // The backfilled rows cannot be told apart from orders committed since
+    console.log('ℹ️  stockCommitted backfill is not reverted');
+  }
+};
@@ -46,6 +46,12 @@ const User = sequelize.define('User', {
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  noShowCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Appointments marked No-Show'
   }
 }, {
   hooks: {
@@ -132,6 +138,12 @@ const Product = sequelize.define('Product', {
     type: DataTypes.STRING,
     allowNull: false
   },
+  productType: {
+    type: DataTypes.ENUM('medicine', 'healthcare'),
+    allowNull: false,
+    defaultValue: 'medicine',
+    comment: 'Catalog discriminator: medicines and healthcare products share this table, the cart and checkout'
+  },
   category: {
     type: DataTypes.STRING,
     allowNull: false
@@ -139,6 +151,33 @@ const Product = sequelize.define('Product', {
   description: {
     type: DataTypes.TEXT
   },
+  brand: {
+    type: DataTypes.STRING
+  },
+  usage: {
+    type: DataTypes.TEXT,
+    comment: 'How to use the product'
+  },
+  activeIngredient: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Generic name of the active ingredient(s), e.g. paracetamol; products sharing it and the strength are substitutes'
+  },
+  strength: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'e.g. 500mg, 250mg/5ml'
+  },
+  dosageForm: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'e.g. tablet, capsule, syrup, injection, cream'
+  },
+  requiresPrescription: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Prescription-only medicine (POM)'
+  },
   price: {
     type: DataTypes.FLOAT,
     allowNull: false
@@ -147,15 +186,39 @@ const Product = sequelize.define('Product', {
     type: DataTypes.INTEGER,
     defaultValue: 0
   },
+  reservedStock: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Units held by placed orders awaiting payment; available = stock - reservedStock'
+  },
+  reorderThreshold: {
+    type: DataTypes.INTEGER,
+    defaultValue: 10,
+    comment: 'Product appears in the daily low-stock digest when available stock falls to this level'
+  },
   imageUrl: {
     type: DataTypes.STRING
   },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  legacyHealthcareProductId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    unique: true,
+    comment: 'healthcare_products row this product was migrated from'
   }
 }, {
-  tableName: 'products'
+  tableName: 'products',
+  indexes: [
+    {
+      fields: ['productType', 'category']
+    },
+    {
+      fields: ['activeIngredient', 'strength']
+    }
+  ]
 });
 
 // Doctor Model
@@ -188,6 +251,11 @@ const Doctor = sequelize.define('Doctor', {
   imageUrl: {
     type: DataTypes.STRING
   },
+  consultationFee: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: 'Fee charged for a consultation; appointments are free when empty or zero'
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -212,7 +280,20 @@ const Order = sequelize.define('Order', {
     }
   },
   status: {
-    type: DataTypes.ENUM('Processing', 'Shipped', 'Delivered', 'Cancelled'),
+    // 'Processing' is the open cart; 'Shipped' is kept only for orders created before Dispatched existed
+    type: DataTypes.ENUM(
+      'Processing',
+      'Pending Payment',
+      'Awaiting Prescription',
+      'Confirmed',
+      'Packed',
+      'Dispatched',
+      'Out for Delivery',
+      'Delivered',
+      'Cancelled',
+      'Refunded',
+      'Shipped'
+    ),
     defaultValue: 'Processing'
   },
   totalAmount: {
@@ -224,7 +305,7 @@ const Order = sequelize.define('Order', {
     allowNull: false
   },
   paymentStatus: {
-    type: DataTypes.ENUM('Pending', 'Paid', 'Failed'),
+    type: DataTypes.ENUM('Pending', 'Paid', 'Failed', 'Refund Pending', 'Partially Refunded', 'Refunded'),
     defaultValue: 'Pending'
   },
   paymentReference: {
@@ -235,6 +316,35 @@ const Order = sequelize.define('Order', {
     type: DataTypes.TEXT,
     allowNull: false
   },
+  deliveryAddressId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'addresses',
+      key: 'id'
+    },
+    comment: 'Saved address used for delivery (shippingAddress keeps the text snapshot)'
+  },
+  deliveryFee: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0
+  },
+  codSurcharge: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0
+  },
+  deliveryZoneId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'delivery_zones',
+      key: 'id'
+    }
+  },
+  deliveryDistanceKm: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
   orderDate: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -246,6 +356,20 @@ const Order = sequelize.define('Order', {
   hasPrescription: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
+  },
+  stockCommitted: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'True once item quantities have been deducted from product stock (reservation committed)'
+  },
+  prescriptionRemindersSent: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Reminders sent while the order waits in Awaiting Prescription for a usable prescription'
+  },
+  lastPrescriptionReminderAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'orders'
@@ -281,6 +405,20 @@ const OrderItem = sequelize.define('OrderItem', {
   price: {
     type: DataTypes.FLOAT,
     allowNull: false
+  },
+  batchAllocations: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Batches the units were taken from (FEFO): [{ batchId, batchNumber, expiryDate, quantity }]; batchId null = untracked stock'
+  },
+  substituteForProductId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Product,
+      key: 'id'
+    },
+    comment: 'Product the customer asked for when this item was added as a suggested substitute'
   }
 }, {
   tableName: 'order_items'
@@ -314,12 +452,45 @@ const Appointment = sequelize.define('Appointment', {
     allowNull: false
   },
   status: {
-    type: DataTypes.ENUM('Scheduled', 'Completed', 'Cancelled'),
+    type: DataTypes.ENUM('Scheduled', 'Completed', 'Cancelled', 'No-Show'),
     defaultValue: 'Scheduled'
   },
   notes: {
     type: DataTypes.TEXT
   },
+  reminder24hSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reminder1hSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  confirmedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Customer confirmed from a reminder'
+  },
+  attendanceMarkedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Who marked the appointment Completed or No-Show'
+  },
+  attendanceMarkedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  consultationFee: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  paymentStatus: {
+    type: DataTypes.ENUM('Not Required', 'Pending', 'Paid', 'Failed'),
+    defaultValue: 'Not Required'
+  },
+  paymentReference: {
+    type: DataTypes.STRING
+  },
   drugsngAppointmentId: {
     type: DataTypes.STRING,
     allowNull: true
@@ -376,6 +547,26 @@ const Session = sequelize.define('Session', {
       model: 'support_teams',
       key: 'id'
     }
+  },
+  activeFlow: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Name of the active conversation flow (register, checkout, booking, ...)'
+  },
+  flowState: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Current state within the active conversation flow'
+  },
+  flowData: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Data collected by the active conversation flow'
+  },
+  flowExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the active conversation flow times out'
   }
 }, {
   tableName: 'sessions',
@@ -407,7 +598,8 @@ const SupportTeam = sequelize.define('SupportTeam', {
     unique: true
   },
   role: {
-    type: DataTypes.ENUM('general', 'orders', 'medical', 'technical'),
+    type: DataTypes.ENUM('general', 'orders', 'medical', 'technical', 'pharmacist'),
+    comment: 'pharmacist members verify prescriptions with the /rx commands',
     allowNull: false
   },
   isActive: {
@@ -457,7 +649,7 @@ const SupportChat = sequelize.define('SupportChat', {
   tableName: 'support_chats'
 });
 
-// Cart Model
+// Cart Model (legacy: carts are Processing orders with OrderItems)
 const Cart = sequelize.define('Cart', {
   id: {
     type: DataTypes.INTEGER,
@@ -606,7 +798,8 @@ const DiagnosticTest = sequelize.define('DiagnosticTest', {
   tableName: 'diagnostic_tests'
 });
 
-// Healthcare Products Model
+// Healthcare Products Model (legacy: healthcare products are Products with productType 'healthcare';
+// kept so migrations/005-unify-healthcare-products.js can copy existing rows)
 const HealthcareProduct = sequelize.define('HealthcareProduct', {
   id: {
     type: DataTypes.INTEGER,
@@ -770,6 +963,11 @@ const Prescription = sequelize.define('Prescription', {
     type: DataTypes.TEXT,
     comment: 'OCR extracted text from prescription'
   },
+  parsedData: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Structured extraction: medicines with strength, form, frequency, duration, quantity and matched product'
+  },
   verificationStatus: {
     type: DataTypes.ENUM('Pending', 'Verified', 'Rejected'),
     defaultValue: 'Pending'
@@ -788,103 +986,1177 @@ const Prescription = sequelize.define('Prescription', {
   tableName: 'prescriptions'
 });
 
-// Define relationships
-User.hasMany(Order, { foreignKey: 'userId' });
-Order.belongsTo(User, { foreignKey: 'userId' });
-
-Order.hasMany(OrderItem, { foreignKey: 'orderId' });
-OrderItem.belongsTo(Order, { foreignKey: 'orderId' });
-
-Product.hasMany(OrderItem, { foreignKey: 'productId' });
-OrderItem.belongsTo(Product, { foreignKey: 'productId' });
-
-User.hasMany(Appointment, { foreignKey: 'userId' });
-Appointment.belongsTo(User, { foreignKey: 'userId' });
-
-Doctor.hasMany(Appointment, { foreignKey: 'doctorId' });
-Appointment.belongsTo(Doctor, { foreignKey: 'doctorId' });
-
-Session.belongsTo(SupportTeam, { foreignKey: 'supportTeamId' });
-SupportTeam.hasMany(Session, { foreignKey: 'supportTeamId' });
-
-SupportChat.belongsTo(SupportTeam, { foreignKey: 'supportTeamId' });
-SupportTeam.hasMany(SupportChat, { foreignKey: 'supportTeamId' });
-
-User.hasMany(Cart, { foreignKey: 'userId' });
-Cart.belongsTo(User, { foreignKey: 'userId' });
-
-Product.hasMany(Cart, { foreignKey: 'productId' });
-Cart.belongsTo(Product, { foreignKey: 'productId' });
-
-User.hasMany(DiagnosticBooking, { foreignKey: 'userId' });
-DiagnosticBooking.belongsTo(User, { foreignKey: 'userId' });
-
-DiagnosticTest.hasMany(DiagnosticBooking, { foreignKey: 'diagnosticTestId' });
-DiagnosticBooking.belongsTo(DiagnosticTest, { foreignKey: 'diagnosticTestId' });
-
-Order.hasMany(Prescription, { foreignKey: 'orderId' });
-Prescription.belongsTo(Order, { foreignKey: 'orderId' });
-
-SupportTeam.hasMany(SupportRating, { foreignKey: 'supportTeamId' });
-SupportRating.belongsTo(SupportTeam, { foreignKey: 'supportTeamId' });
-
-// Initialize database with proper error handling
-const initializeDatabase = async () => {
-  try {
-    // First, test the connection
-    await sequelize.authenticate();
-    console.log('✓ Database connection verified');
-
-    // Sync models - use alter to safely modify existing tables
-    console.log('🔄 Synchronizing database models...');
-    try {
-      await sequelize.sync({ alter: true });
-      console.log('✓ Database models synchronized successfully');
-    } catch (syncError) {
-      console.warn('⚠️  Sequelize sync encountered some issues:', syncError.message);
-      console.log('   Proceeding with manual column creation...');
-    }
-
-    // Ensure session table has token, userId, and loginTime columns
-    // This is CRITICAL - it verifies and creates missing columns
-    console.log('🔍 Ensuring session table schema...');
-    const columnsOk = await ensureSessionColumnsExist();
-    if (columnsOk) {
-      console.log('✅ Session table columns verified - ALL REQUIRED COLUMNS PRESENT');
-    } else {
-      console.error('❌ CRITICAL ERROR: Session table is missing required columns!');
-      console.error('   The bot CANNOT function without these columns.');
-      console.error('   Please run: npm run migrate-db');
-      console.error('   Or manually run the migration script in scripts/migrate-session-columns.js');
-      throw new Error('Session table missing required columns (token, userId, loginTime)');
+// Address Model - saved delivery addresses per user
+const Address = sequelize.define('Address', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
     }
-
-    // Seed initial data if needed
-    await seedInitialData();
-    console.log('✓ Database initialization complete');
-  } catch (error) {
-    console.error('❌ Error synchronizing database models:', error.message);
-    console.error('   This may prevent the bot from functioning properly');
-    throw error; // Re-throw to be handled by caller
+  },
+  label: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'Home',
+    comment: 'Short name shown to the customer, e.g. Home, Office'
+  },
+  street: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  city: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  state: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  latitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  landmark: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  phone: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Contact phone for the rider at this address'
+  },
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
   }
-};
+}, {
+  tableName: 'addresses'
+});
 
-// Ensure critical session columns exist with robust fallback
-const ensureSessionColumnsExist = async () => {
-  try {
-    console.log('🔍 Verifying session table schema...');
-    const queryInterface = sequelize.getQueryInterface();
-    const dialect = sequelize.getDialect();
-    
-    // Get table structure
-    let tableDesc;
-    try {
-      tableDesc = await queryInterface.describeTable('sessions');
-      console.log('✓ Session table exists, checking columns...');
-    } catch (describeError) {
-      console.error('❌ Could not describe sessions table:', describeError.message);
-      return false;
-    }
+// OrderStatusHistory Model - audit trail of order status changes
+const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Order,
+      key: 'id'
+    }
+  },
+  fromStatus: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  toStatus: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  changedByType: {
+    type: DataTypes.STRING,
+    defaultValue: 'system',
+    comment: 'customer, admin, pharmacist, webhook or system'
+  },
+  changedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Who made the change, e.g. admin email or payment provider'
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'order_status_history'
+});
+
+// Refund Model - refunds issued through the payment providers
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Order,
+      key: 'id'
+    }
+  },
+  provider: {
+    type: DataTypes.ENUM('Flutterwave', 'Paystack'),
+    allowNull: false
+  },
+  paymentReference: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Provider transaction ID / reference of the original payment'
+  },
+  providerRefundId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING,
+    defaultValue: 'NGN'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('Requested', 'Processing', 'Completed', 'Failed', 'Rejected'),
+    defaultValue: 'Requested'
+  },
+  requestedByType: {
+    type: DataTypes.STRING,
+    defaultValue: 'customer'
+  },
+  requestedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  approvedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  approvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  providerResponse: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'refunds'
+});
+
+// PaymentEvent Model - ledger of every payment provider webhook received
+const PaymentEvent = sequelize.define('PaymentEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  provider: {
+    type: DataTypes.ENUM('Flutterwave', 'Paystack'),
+    allowNull: false
+  },
+  eventId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Provider event identity used for deduplication (null when the signature is invalid)'
+  },
+  eventType: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'tx_ref / payment reference carried by the event'
+  },
+  entityType: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Payable the event refers to: order, diagnostic_booking or consultation'
+  },
+  entityId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  currency: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  signatureValid: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  status: {
+    type: DataTypes.ENUM('Received', 'Processed', 'Ignored', 'Failed', 'Rejected'),
+    defaultValue: 'Received'
+  },
+  outcome: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Short processing result, e.g. ORDER_CONFIRMED or AMOUNT_MISMATCH'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  deliveryCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    comment: 'How many times the provider delivered this event'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'How many times processing ran (first run plus replays)'
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  }
+}, {
+  tableName: 'payment_events',
+  indexes: [
+    { unique: true, fields: ['provider', 'eventId'] },
+    { fields: ['reference'] },
+    { fields: ['status'] }
+  ]
+});
+
+// StockReservation Model - units held for a placed order until payment or cancellation
+const StockReservation = sequelize.define('StockReservation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Order,
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Product,
+      key: 'id'
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('Reserved', 'Committed', 'Released'),
+    defaultValue: 'Reserved'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Unpaid reservations are released after this time; null never expires'
+  },
+  committedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  releasedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  releaseReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'stock_reservations',
+  indexes: [
+    { fields: ['orderId'] },
+    { fields: ['status', 'expiresAt'] }
+  ]
+});
+
+// Restock Model - audit trail of stock deliveries recorded by staff
+const Restock = sequelize.define('Restock', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Product,
+      key: 'id'
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  supplier: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  batchNumber: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  expiryDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  unitCost: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  stockBefore: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  stockAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  recordedBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Email of the admin who recorded the delivery'
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'restocks',
+  indexes: [
+    { fields: ['productId'] },
+    { fields: ['batchNumber'] }
+  ]
+});
+
+// ProductBatch Model - stock of a product from one supplier batch, allocated first-expiry-first-out
+const ProductBatch = sequelize.define('ProductBatch', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Product,
+      key: 'id'
+    }
+  },
+  batchNumber: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  expiryDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Units received across all deliveries of this batch'
+  },
+  remainingQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  supplier: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  deactivatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deactivationReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'product_batches',
+  indexes: [
+    { unique: true, fields: ['productId', 'batchNumber'] },
+    { fields: ['isActive', 'expiryDate'] }
+  ]
+});
+
+// ProductRecall Model - a recall of a product (optionally one batch / order date range)
+const ProductRecall = sequelize.define('ProductRecall', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Product,
+      key: 'id'
+    }
+  },
+  batchNumber: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Only orders supplied from this batch are affected; null recalls every batch'
+  },
+  orderDateFrom: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  orderDateTo: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  instructions: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'What affected customers should do (stop using, return, contact us)'
+  },
+  status: {
+    type: DataTypes.ENUM('Active', 'Closed'),
+    defaultValue: 'Active'
+  },
+  initiatedBy: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  affectedCustomers: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  closedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'product_recalls'
+});
+
+// RecallNotice Model - one recall notice per affected customer order, with acknowledgement
+const RecallNotice = sequelize.define('RecallNotice', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  recallId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: ProductRecall,
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Order,
+      key: 'id'
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  whatsappSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  emailSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  acknowledgedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  acknowledgedVia: {
+    type: DataTypes.ENUM('whatsapp', 'email', 'admin'),
+    allowNull: true
+  },
+  ackToken: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  }
+}, {
+  tableName: 'recall_notices',
+  indexes: [
+    { unique: true, fields: ['recallId', 'orderId'] },
+    { fields: ['userId'] }
+  ]
+});
+
+// SearchSynonym Model - product search dictionary (brand -> generic names, alternative names)
+const SearchSynonym = sequelize.define('SearchSynonym', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  term: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'Lowercase word or phrase customers search for, e.g. panadol'
+  },
+  synonyms: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Lowercase names searched as well, e.g. [paracetamol]; lookups work in both directions'
+  },
+  kind: {
+    type: DataTypes.ENUM('brand', 'synonym'),
+    defaultValue: 'synonym',
+    comment: 'brand: term is a brand name and synonyms are its generic names'
+  },
+  createdBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'search_synonyms'
+});
+
+// Refill Model - recurring reorder of a past order or prescription (chronic medication)
+const Refill = sequelize.define('Refill', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  sourceType: {
+    type: DataTypes.ENUM('order', 'prescription'),
+    allowNull: false
+  },
+  sourceId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Order or Prescription the refill was created from'
+  },
+  prescriptionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Prescription re-submitted for verification with refill orders containing prescription-only items'
+  },
+  items: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: '[{ productId, name, quantity }]'
+  },
+  intervalDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 30
+  },
+  nextRefillAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'paused', 'cancelled'),
+    defaultValue: 'active'
+  },
+  shippingAddress: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  deliveryAddressId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  paymentMethod: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  lastReminderAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Reminder for the current cycle; cleared when the cycle moves on'
+  },
+  lastOrderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'refills',
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['status', 'nextRefillAt'] }
+  ]
+});
+
+// DoseSchedule Model - opt-in dose reminders for one medicine of a verified prescription
+const DoseSchedule = sequelize.define('DoseSchedule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  prescriptionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Prescription,
+      key: 'id'
+    }
+  },
+  medicineName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Medicine as read from the prescription, with strength and dosage form'
+  },
+  dose: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'e.g. "2 tablets"'
+  },
+  frequency: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  doseTimes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Local Africa/Lagos times of day, e.g. ["08:00", "20:00"]'
+  },
+  totalDoses: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Doses in the course; null when the prescription gives no duration (until stopped)'
+  },
+  dosesScheduled: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Dose times passed so far, reminded or not'
+  },
+  nextDoseAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'stopped', 'completed'),
+    defaultValue: 'active'
+  },
+  stoppedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'dose_schedules',
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['prescriptionId'] },
+    { fields: ['status', 'nextDoseAt'] }
+  ]
+});
+
+// DoseLog Model - one dose reminder and the patient's "taken"/"skip" reply, for adherence reporting
+const DoseLog = sequelize.define('DoseLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  doseScheduleId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: DoseSchedule,
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  scheduledAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('sent', 'taken', 'skipped', 'missed'),
+    defaultValue: 'sent',
+    comment: "'missed' when the reminder got no reply in time"
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'dose_logs',
+  indexes: [
+    { fields: ['doseScheduleId'] },
+    { fields: ['userId', 'status'] }
+  ]
+});
+
+// Job Model - Postgres-backed background job queue (delayed, recurring and retried jobs)
+const Job = sequelize.define('Job', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Handler registered with the job queue'
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  uniqueKey: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true,
+    comment: 'At most one job per key, e.g. "recurring:<name>"'
+  },
+  recurring: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Rescheduled after every run instead of completing'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'failed'),
+    defaultValue: 'pending'
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Attempts at the current run; reset when a recurring job is rescheduled'
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Worker (host:pid) running the job'
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  lastFailedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  failureCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Failed attempts over the life of the job'
+  }
+}, {
+  tableName: 'jobs',
+  indexes: [
+    { fields: ['status', 'runAt'] },
+    { fields: ['name'] }
+  ]
+});
+
+// DoctorSchedule Model - a doctor's weekly working hours, slot length, breaks and leave
+const DoctorSchedule = sequelize.define('DoctorSchedule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: Doctor,
+      key: 'id'
+    }
+  },
+  weeklyHours: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Working hours by day, e.g. { "mon": { "start": "09:00", "end": "17:00" } }; days left out are off'
+  },
+  slotMinutes: {
+    type: DataTypes.INTEGER,
+    defaultValue: 30,
+    comment: 'Length of one appointment'
+  },
+  breaks: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'e.g. [{ "start": "13:00", "end": "14:00", "days": ["mon", "tue"] }]; no days means every day'
+  },
+  leaveDays: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'e.g. [{ "from": "2024-12-24", "to": "2024-12-31", "reason": "Holiday" }]; to defaults to from'
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    defaultValue: 'Africa/Lagos',
+    comment: 'Timezone the hours, breaks and leave days are in'
+  }
+}, {
+  tableName: 'doctor_schedules'
+});
+
+// ReconciliationReport Model - one report per day of payment reconciliation runs
+const ReconciliationReport = sequelize.define('ReconciliationReport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  reportDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    unique: true
+  },
+  runs: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  summary: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Counts per category: matched, fixed, mismatched, orphan, failed, unpaid'
+  },
+  entries: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'One entry per provider transaction or pending entity examined'
+  },
+  providerErrors: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Provider listing errors from the runs of the day'
+  }
+}, {
+  tableName: 'reconciliation_reports'
+});
+
+// DeliveryZone Model - admin-configurable delivery pricing
+const DeliveryZone = sequelize.define('DeliveryZone', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  zoneType: {
+    type: DataTypes.ENUM('state', 'lga', 'distance'),
+    defaultValue: 'state',
+    comment: 'state/lga zones match the address; distance zones match km from the pharmacy'
+  },
+  states: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'State names covered, e.g. ["Lagos", "Ogun"]'
+  },
+  lgas: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'LGA / city names covered by lga zones'
+  },
+  pharmacyLatitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  pharmacyLongitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  maxDistanceKm: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  baseFee: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0
+  },
+  perKmRate: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0
+  },
+  freeDeliveryThreshold: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: 'Order subtotal at or above which the delivery fee is waived'
+  },
+  codSurcharge: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Fallback zone for addresses no other zone matches'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'delivery_zones'
+});
+
+// Define relationships
+User.hasMany(Order, { foreignKey: 'userId' });
+Order.belongsTo(User, { foreignKey: 'userId' });
+
+Order.hasMany(OrderItem, { foreignKey: 'orderId' });
+OrderItem.belongsTo(Order, { foreignKey: 'orderId' });
+
+Product.hasMany(OrderItem, { foreignKey: 'productId' });
+OrderItem.belongsTo(Product, { foreignKey: 'productId' });
+
+User.hasMany(Appointment, { foreignKey: 'userId' });
+Appointment.belongsTo(User, { foreignKey: 'userId' });
+
+Doctor.hasMany(Appointment, { foreignKey: 'doctorId' });
+Doctor.hasOne(DoctorSchedule, { foreignKey: 'doctorId' });
+DoctorSchedule.belongsTo(Doctor, { foreignKey: 'doctorId' });
+Appointment.belongsTo(Doctor, { foreignKey: 'doctorId' });
+
+Session.belongsTo(SupportTeam, { foreignKey: 'supportTeamId' });
+SupportTeam.hasMany(Session, { foreignKey: 'supportTeamId' });
+
+SupportChat.belongsTo(SupportTeam, { foreignKey: 'supportTeamId' });
+SupportTeam.hasMany(SupportChat, { foreignKey: 'supportTeamId' });
+
+User.hasMany(Cart, { foreignKey: 'userId' });
+Cart.belongsTo(User, { foreignKey: 'userId' });
+
+Product.hasMany(Cart, { foreignKey: 'productId' });
+Cart.belongsTo(Product, { foreignKey: 'productId' });
+
+User.hasMany(DiagnosticBooking, { foreignKey: 'userId' });
+DiagnosticBooking.belongsTo(User, { foreignKey: 'userId' });
+
+DiagnosticTest.hasMany(DiagnosticBooking, { foreignKey: 'diagnosticTestId' });
+DiagnosticBooking.belongsTo(DiagnosticTest, { foreignKey: 'diagnosticTestId' });
+
+Order.hasMany(Prescription, { foreignKey: 'orderId' });
+Prescription.belongsTo(Order, { foreignKey: 'orderId' });
+
+SupportTeam.hasMany(SupportRating, { foreignKey: 'supportTeamId' });
+SupportRating.belongsTo(SupportTeam, { foreignKey: 'supportTeamId' });
+
+User.hasMany(Address, { foreignKey: 'userId' });
+Address.belongsTo(User, { foreignKey: 'userId' });
+
+Address.hasMany(Order, { foreignKey: 'deliveryAddressId' });
+Order.belongsTo(Address, { foreignKey: 'deliveryAddressId', as: 'deliveryAddress' });
+Order.hasMany(OrderStatusHistory, { foreignKey: 'orderId' });
+Order.hasMany(Refund, { foreignKey: 'orderId' });
+Refund.belongsTo(Order, { foreignKey: 'orderId' });
+OrderStatusHistory.belongsTo(Order, { foreignKey: 'orderId' });
+Order.hasMany(StockReservation, { foreignKey: 'orderId' });
+StockReservation.belongsTo(Order, { foreignKey: 'orderId' });
+Product.hasMany(StockReservation, { foreignKey: 'productId' });
+StockReservation.belongsTo(Product, { foreignKey: 'productId' });
+Product.hasMany(Restock, { foreignKey: 'productId' });
+Restock.belongsTo(Product, { foreignKey: 'productId' });
+Product.hasMany(ProductBatch, { foreignKey: 'productId' });
+ProductBatch.belongsTo(Product, { foreignKey: 'productId' });
+Product.hasMany(ProductRecall, { foreignKey: 'productId' });
+ProductRecall.belongsTo(Product, { foreignKey: 'productId' });
+ProductRecall.hasMany(RecallNotice, { foreignKey: 'recallId' });
+RecallNotice.belongsTo(ProductRecall, { foreignKey: 'recallId' });
+User.hasMany(RecallNotice, { foreignKey: 'userId' });
+RecallNotice.belongsTo(User, { foreignKey: 'userId' });
+RecallNotice.belongsTo(Order, { foreignKey: 'orderId' });
+DeliveryZone.hasMany(Order, { foreignKey: 'deliveryZoneId' });
+Order.belongsTo(DeliveryZone, { foreignKey: 'deliveryZoneId' });
+User.hasMany(Refill, { foreignKey: 'userId' });
+Refill.belongsTo(User, { foreignKey: 'userId' });
+Prescription.hasMany(DoseSchedule, { foreignKey: 'prescriptionId' });
+DoseSchedule.belongsTo(Prescription, { foreignKey: 'prescriptionId' });
+User.hasMany(DoseSchedule, { foreignKey: 'userId' });
+DoseSchedule.belongsTo(User, { foreignKey: 'userId' });
+DoseSchedule.hasMany(DoseLog, { foreignKey: 'doseScheduleId' });
+DoseLog.belongsTo(DoseSchedule, { foreignKey: 'doseScheduleId' });
+
+// Initialize database with proper error handling
+const initializeDatabase = async () => {
+  try {
+    // First, test the connection
+    await sequelize.authenticate();
+    console.log('✓ Database connection verified');
+
+    // Sync models - use alter to safely modify existing tables
+    console.log('🔄 Synchronizing database models...');
+    try {
+      await sequelize.sync({ alter: true });
+      console.log('✓ Database models synchronized successfully');
+    } catch (syncError) {
+      console.warn('⚠️  Sequelize sync encountered some issues:', syncError.message);
+      console.log('   Proceeding with manual column creation...');
+    }
+
+    // Ensure session table has token, userId, and loginTime columns
+    // This is CRITICAL - it verifies and creates missing columns
+    console.log('🔍 Ensuring session table schema...');
+    const columnsOk = await ensureSessionColumnsExist();
+    if (columnsOk) {
+      console.log('✅ Session table columns verified - ALL REQUIRED COLUMNS PRESENT');
+    } else {
+      console.error('❌ CRITICAL ERROR: Session table is missing required columns!');
+      console.error('   The bot CANNOT function without these columns.');
+      console.error('   Please run: npm run migrate-db');
+      console.error('   Or manually run the migration script in scripts/migrate-session-columns.js');
+      throw new Error('Session table missing required columns (token, userId, loginTime)');
+    }
+
+    // Seed initial data if needed
+    await seedInitialData();
+    console.log('✓ Database initialization complete');
+  } catch (error) {
+    console.error('❌ Error synchronizing database models:', error.message);
+    console.error('   This may prevent the bot from functioning properly');
+    throw error; // Re-throw to be handled by caller
+  }
+};
+
+// Ensure critical session columns exist with robust fallback
+const ensureSessionColumnsExist = async () => {
+  try {
+    console.log('🔍 Verifying session table schema...');
+    const queryInterface = sequelize.getQueryInterface();
+    const dialect = sequelize.getDialect();
+    
+    // Get table structure
+    let tableDesc;
+    try {
+      tableDesc = await queryInterface.describeTable('sessions');
+      console.log('✓ Session table exists, checking columns...');
+    } catch (describeError) {
+      console.error('❌ Could not describe sessions table:', describeError.message);
+      return false;
+    }
 
     const columnsToAdd = [];
     const missingColumns = [];
@@ -1067,10 +2339,10 @@ const seedInitialData = async () => {
     if (productCount === 0) {
       try {
         const sampleProducts = [
-          { name: "Paracetamol 500mg", category: "Analgesic", description: "Pain relief medication", price: 500, stock: 100, isActive: true },
-          { name: "Insulin Vial", category: "Anti-diabetic", description: "Diabetes medication", price: 2000, stock: 50, isActive: true },
-          { name: "Amoxicillin 500mg", category: "Antibiotic", description: "Antibiotic medication", price: 800, stock: 75, isActive: true },
-          { name: "Vitamin C Tablets", category: "Vitamins", description: "Immune system support", price: 300, stock: 200, isActive: true },
+          { name: "Paracetamol 500mg", category: "Analgesic", description: "Pain relief medication", price: 500, stock: 100, activeIngredient: "paracetamol", strength: "500mg", dosageForm: "tablet", isActive: true },
+          { name: "Insulin Vial", category: "Anti-diabetic", description: "Diabetes medication", price: 2000, stock: 50, activeIngredient: "insulin", dosageForm: "injection", requiresPrescription: true, isActive: true },
+          { name: "Amoxicillin 500mg", category: "Antibiotic", description: "Antibiotic medication", price: 800, stock: 75, activeIngredient: "amoxicillin", strength: "500mg", dosageForm: "capsule", requiresPrescription: true, isActive: true },
+          { name: "Vitamin C Tablets", category: "Vitamins", description: "Immune system support", price: 300, stock: 200, activeIngredient: "ascorbic acid", dosageForm: "tablet", isActive: true },
           { name: "Blood Pressure Monitor", category: "Healthcare Devices", description: "Home BP monitoring device", price: 5000, stock: 30, isActive: true },
           { name: "Cough Syrup", category: "Cough & Cold", description: "Effective cough relief", price: 400, stock: 150, isActive: true },
           { name: "Multivitamins", category: "Vitamins", description: "Daily vitamin supplement", price: 1200, stock: 80, isActive: true },
@@ -1127,9 +2399,10 @@ const seedInitialData = async () => {
       }
     }
 
-    // Seed healthcare products
-    const healthcareProductCount = await HealthcareProduct.count();
-    if (healthcareProductCount === 0) {
+    // Seed healthcare products (unless legacy rows are still waiting to be migrated)
+    const healthcareProductCount = await Product.count({ where: { productType: 'healthcare' } });
+    const legacyHealthcareProductCount = await HealthcareProduct.count();
+    if (healthcareProductCount === 0 && legacyHealthcareProductCount === 0) {
       try {
         const sampleHealthcareProducts = [
           { name: "First Aid Kit", category: "First Aid", description: "Complete home first aid kit", price: 3500, stock: 50, brand: "SafeFirst", usage: "For minor injuries and emergency care", isActive: true },
@@ -1142,13 +2415,57 @@ const seedInitialData = async () => {
           { name: "Pain Relief Gel", category: "Topical", description: "Menthol-based pain relief gel", price: 1200, stock: 60, brand: "Volini", usage: "Apply to affected area and massage", isActive: true }
         ];
 
-        await HealthcareProduct.bulkCreate(sampleHealthcareProducts, { ignoreDuplicates: true });
+        await Product.bulkCreate(
+          sampleHealthcareProducts.map((product) => ({ ...product, productType: 'healthcare' })),
+          { ignoreDuplicates: true }
+        );
         console.log('✓ Sample healthcare products seeded');
       } catch (error) {
         console.warn('⚠️  Could not seed healthcare products:', error.message);
       }
     }
 
+    // Seed search synonyms
+    const searchSynonymCount = await SearchSynonym.count();
+    if (searchSynonymCount === 0) {
+      try {
+        const sampleSearchSynonyms = [
+          { term: "panadol", synonyms: ["paracetamol"], kind: "brand" },
+          { term: "emzor paracetamol", synonyms: ["paracetamol"], kind: "brand" },
+          { term: "tylenol", synonyms: ["paracetamol"], kind: "brand" },
+          { term: "acetaminophen", synonyms: ["paracetamol"], kind: "synonym" },
+          { term: "augmentin", synonyms: ["amoxicillin", "clavulanic acid"], kind: "brand" },
+          { term: "amoxil", synonyms: ["amoxicillin"], kind: "brand" },
+          { term: "ascorbic acid", synonyms: ["vitamin c"], kind: "synonym" },
+          { term: "sanitiser", synonyms: ["sanitizer"], kind: "synonym" }
+        ];
+
+        await SearchSynonym.bulkCreate(sampleSearchSynonyms, { ignoreDuplicates: true });
+        console.log('✓ Sample search synonyms seeded');
+      } catch (error) {
+        console.warn('⚠️  Could not seed search synonyms:', error.message);
+      }
+    }
+
+    // Seed delivery zones
+    const deliveryZoneCount = await DeliveryZone.count();
+    if (deliveryZoneCount === 0) {
+      try {
+        const sampleDeliveryZones = [
+          { name: "Lagos Mainland", zoneType: "lga", states: ["Lagos"], lgas: ["Ikeja", "Yaba", "Surulere", "Mushin", "Oshodi", "Agege"], baseFee: 1000, perKmRate: 0, freeDeliveryThreshold: 20000, codSurcharge: 200, priority: 10 },
+          { name: "Lagos Island", zoneType: "lga", states: ["Lagos"], lgas: ["Lagos Island", "Victoria Island", "Ikoyi", "Lekki", "Ajah"], baseFee: 1500, perKmRate: 0, freeDeliveryThreshold: 25000, codSurcharge: 200, priority: 10 },
+          { name: "Lagos State", zoneType: "state", states: ["Lagos"], baseFee: 2000, perKmRate: 0, freeDeliveryThreshold: 30000, codSurcharge: 300 },
+          { name: "South West", zoneType: "state", states: ["Ogun", "Oyo", "Osun", "Ondo", "Ekiti"], baseFee: 3500, perKmRate: 0, freeDeliveryThreshold: 50000, codSurcharge: 500 },
+          { name: "Nationwide", zoneType: "state", states: [], baseFee: 5000, perKmRate: 0, freeDeliveryThreshold: null, codSurcharge: 500, isDefault: true }
+        ];
+
+        await DeliveryZone.bulkCreate(sampleDeliveryZones, { ignoreDuplicates: true });
+        console.log('✓ Default delivery zones seeded');
+      } catch (error) {
+        console.warn('⚠️  Could not seed delivery zones:', error.message);
+      }
+    }
+
     // Seed admin owner
     try {
       const adminCount = await sequelize.models.Admin ? await Admin.count() : 0;
@@ -1185,5 +2502,22 @@ module.exports = {
   DiagnosticBooking,
   SupportRating,
   Prescription,
+  Address,
+  DeliveryZone,
+  OrderStatusHistory,
+  Refund,
+  PaymentEvent,
+  ReconciliationReport,
+  StockReservation,
+  Restock,
+  ProductBatch,
+  ProductRecall,
+  RecallNotice,
+  SearchSynonym,
+  Refill,
+  DoseSchedule,
+  DoseLog,
+  Job,
+  DoctorSchedule,
   initializeDatabase
 };
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Local Mock of the Flutterwave and Paystack Refund and Transaction APIs
+ * Lets refunds and payment reconciliation be exercised end to end without touching the real providers.
+ *
+ * Usage:
+ *   node scripts/mock-payment-providers.js            (listens on MOCK_PROVIDER_PORT or 4010)
+ *   FLUTTERWAVE_API_BASE_URL=http://localhost:4010/flutterwave/v3
+ *   PAYSTACK_API_BASE_URL=http://localhost:4010/paystack
+ *
+ * Set MOCK_REFUND_STATUS=failed to simulate provider refund failures.
+ * Seed transactions for reconciliation with:
+ *   POST /mock/transactions { provider, reference, amount, status }
+ */
+
+const express = require('express');
+
+const app = express();
+app.use(express.json());
+
+const PORT = parseInt(process.env.MOCK_PROVIDER_PORT || '4010', 10);
+let nextRefundId = 1000;
+let nextTransactionId = 5000;
+const transactions = [];
+
+const refundFailed = () => process.env.MOCK_REFUND_STATUS === 'failed';
+
+// Flutterwave: look up a transaction by tx_ref
+app.get('/flutterwave/v3/transactions/verify_by_reference', (req, res) => {
+  const txRef = req.query.tx_ref || '';
+  const id = parseInt(txRef.split('-')[1], 10) || 1;
+  res.json({ status: 'success', data: { id, tx_ref: txRef, status: 'successful' } });
+});
+
+// Seed a transaction (provider: 'flutterwave' | 'paystack', amount in naira)
+app.post('/mock/transactions', (req, res) => {
+  const tx = {
+    id: nextTransactionId++,
+    provider: (req.body.provider || 'flutterwave').toLowerCase(),
+    reference: req.body.reference,
+    amount: parseFloat(req.body.amount || 0),
+    currency: req.body.currency || 'NGN',
+    status: req.body.status || 'success',
+    created_at: new Date().toISOString()
+  };
+  transactions.push(tx);
+  console.log('🧪 Seeded transaction', tx);
+  res.json({ success: true, data: tx });
+});
+
+const toFlutterwave = (tx) => ({
+  id: tx.id,
+  tx_ref: tx.reference,
+  amount: tx.amount,
+  currency: tx.currency,
+  status: tx.status === 'success' ? 'successful' : tx.status,
+  created_at: tx.created_at
+});
+
+const toPaystack = (tx) => ({
+  id: tx.id,
+  reference: tx.reference,
+  amount: Math.round(tx.amount * 100),
+  currency: tx.currency,
+  status: tx.status,
+  paid_at: tx.created_at,
+  created_at: tx.created_at
+});
+
+// Flutterwave: list and verify transactions
+app.get('/flutterwave/v3/transactions', (req, res) => {
+  const data = transactions.filter((tx) => tx.provider === 'flutterwave').map(toFlutterwave);
+  res.json({ status: 'success', meta: { page_info: { total: data.length, current_page: 1, total_pages: 1 } }, data });
+});
+
+app.get('/flutterwave/v3/transactions/:id/verify', (req, res) => {
+  const tx = transactions.find((t) => t.provider === 'flutterwave' && String(t.id) === req.params.id);
+  if (!tx) {
+    return res.status(404).json({ status: 'error', message: 'No transaction was found for this id' });
+  }
+  res.json({ status: 'success', data: toFlutterwave(tx) });
+});
+
+// Paystack: list and verify transactions
+app.get('/paystack/transaction', (req, res) => {
+  const data = transactions.filter((tx) => tx.provider === 'paystack').map(toPaystack);
+  res.json({ status: true, data, meta: { total: data.length, page: 1, pageCount: 1 } });
+});
+
+app.get('/paystack/transaction/verify/:reference', (req, res) => {
+  const tx = transactions.find((t) => t.provider === 'paystack' && t.reference === req.params.reference);
+  if (!tx) {
+    return res.status(400).json({ status: false, message: 'Transaction reference not found' });
+  }
+  res.json({ status: true, data: toPaystack(tx) });
+});
+
+// Flutterwave: refund a transaction
+app.post('/flutterwave/v3/transactions/:id/refund', (req, res) => {
+  if (refundFailed()) {
+    return res.status(400).json({ status: 'error', message: 'Mock refund failure' });
+  }
+  const refund = {
+    id: nextRefundId++,
+    account_id: 1,
+    tx_id: parseInt(req.params.id, 10),
+    flw_ref: `MOCK-FLW-${Date.now()}`,
+    amount_refunded: req.body.amount || 0,
+    status: 'completed',
+    created_at: new Date().toISOString()
+  };
+  console.log('🧪 Flutterwave refund', refund);
+  res.json({ status: 'success', message: 'Transaction refund initiated', data: refund });
+});
+
+// Paystack: create a refund
+app.post('/paystack/refund', (req, res) => {
+  if (refundFailed()) {
+    return res.status(400).json({ status: false, message: 'Mock refund failure' });
+  }
+  const refund = {
+    id: nextRefundId++,
+    transaction: { reference: req.body.transaction },
+    amount: req.body.amount || 0,
+    currency: req.body.currency || 'NGN',
+    status: 'pending',
+    merchant_note: req.body.merchant_note || null,
+    createdAt: new Date().toISOString()
+  };
+  console.log('🧪 Paystack refund', refund);
+  res.json({ status: true, message: 'Refund has been queued for processing', data: refund });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock payment providers listening on http://localhost:${PORT}`);
+  console.log(`   FLUTTERWAVE_API_BASE_URL=http://localhost:${PORT}/flutterwave/v3`);
+  console.log(`   PAYSTACK_API_BASE_URL=http://localhost:${PORT}/paystack`);
+});
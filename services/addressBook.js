@@ -0,0 +1,210 @@
+/**
+ * Address Book Service
+ * Persistent delivery addresses per user:
+ * - Add, list, set default and delete saved addresses
+ * - First saved address becomes the default automatically
+ * - Used by checkout to offer saved addresses as list choices
+ */
+
+const { Address, User } = require('../models');
+const { parseAddressText, formatAddress } = require('../utils/addressParser');
+
+const MAX_ADDRESSES_PER_USER = 10;
+
+/**
+ * List a user's saved addresses in a stable order (oldest first)
+ * @param {number} userId - User ID
+ * @returns {Array} Address records
+ */
+const listAddresses = async (userId) => {
+  return Address.findAll({
+    where: { userId },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+};
+
+/**
+ * Get one of the user's addresses by ID
+ * @param {number} userId - User ID
+ * @param {number} addressId - Address ID
+ * @returns {Object|null} Address record
+ */
+const getAddress = async (userId, addressId) => {
+  return Address.findOne({ where: { id: addressId, userId } });
+};
+
+/**
+ * Get the user's default address
+ * @param {number} userId - User ID
+ * @returns {Object|null} Address record
+ */
+const getDefaultAddress = async (userId) => {
+  return Address.findOne({ where: { userId, isDefault: true } });
+};
+
+/**
+ * Resolve the address shown as number N in the user's list
+ * @param {number} userId - User ID
+ * @param {number} position - 1-based list position
+ * @returns {Object|null} Address record
+ */
+const getAddressByPosition = async (userId, position) => {
+  const addresses = await listAddresses(userId);
+  const index = parseInt(position, 10) - 1;
+  return addresses[index] || null;
+};
+
+/**
+ * Save a new address for a user
+ * @param {number} userId - User ID
+ * @param {Object|string} input - Address fields or free text (see parseAddressText)
+ * @returns {Object} { success, address, error, errorCode }
+ */
+const addAddress = async (userId, input) => {
+  try {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const fields = typeof input === 'string' ? parseAddressText(input) : { ...(input || {}) };
+    if (!fields || !fields.street || fields.street.trim().length < 5) {
+      return {
+        success: false,
+        error: 'Please include the street address (at least 5 characters).',
+        errorCode: 'INVALID_ADDRESS'
+      };
+    }
+
+    const existing = await listAddresses(userId);
+    if (existing.length >= MAX_ADDRESSES_PER_USER) {
+      return {
+        success: false,
+        error: `You can save up to ${MAX_ADDRESSES_PER_USER} addresses. Delete one first with "delete address [number]".`,
+        errorCode: 'ADDRESS_LIMIT_REACHED'
+      };
+    }
+
+    const makeDefault = existing.length === 0 || !!fields.isDefault;
+    if (makeDefault) {
+      await Address.update({ isDefault: false }, { where: { userId } });
+    }
+
+    const address = await Address.create({
+      userId,
+      label: fields.label || (existing.length === 0 ? 'Home' : `Address ${existing.length + 1}`),
+      street: fields.street.trim(),
+      city: fields.city || null,
+      state: fields.state || null,
+      latitude: fields.latitude != null ? fields.latitude : null,
+      longitude: fields.longitude != null ? fields.longitude : null,
+      landmark: fields.landmark || null,
+      phone: fields.phone || null,
+      isDefault: makeDefault
+    });
+
+    return { success: true, address };
+  } catch (error) {
+    console.error('Error adding address:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'ADD_ADDRESS_FAILED'
+    };
+  }
+};
+
+/**
+ * Make one of the user's addresses the default
+ * @param {number} userId - User ID
+ * @param {number} addressId - Address ID
+ * @returns {Object} { success, address, error, errorCode }
+ */
+const setDefaultAddress = async (userId, addressId) => {
+  try {
+    const address = await getAddress(userId, addressId);
+    if (!address) {
+      return { success: false, error: 'Address not found', errorCode: 'ADDRESS_NOT_FOUND' };
+    }
+
+    await Address.update({ isDefault: false }, { where: { userId } });
+    await address.update({ isDefault: true });
+
+    return { success: true, address };
+  } catch (error) {
+    console.error('Error setting default address:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'SET_DEFAULT_ADDRESS_FAILED'
+    };
+  }
+};
+
+/**
+ * Delete one of the user's addresses, promoting another to default if needed
+ * @param {number} userId - User ID
+ * @param {number} addressId - Address ID
+ * @returns {Object} { success, address, newDefault, error, errorCode }
+ */
+const deleteAddress = async (userId, addressId) => {
+  try {
+    const address = await getAddress(userId, addressId);
+    if (!address) {
+      return { success: false, error: 'Address not found', errorCode: 'ADDRESS_NOT_FOUND' };
+    }
+
+    const wasDefault = address.isDefault;
+    await address.destroy();
+
+    let newDefault = null;
+    if (wasDefault) {
+      const remaining = await listAddresses(userId);
+      if (remaining.length > 0) {
+        newDefault = remaining[remaining.length - 1];
+        await newDefault.update({ isDefault: true });
+      }
+    }
+
+    return { success: true, address, newDefault };
+  } catch (error) {
+    console.error('Error deleting address:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'DELETE_ADDRESS_FAILED'
+    };
+  }
+};
+
+/**
+ * Build the numbered address book message
+ * @param {Array} addresses - Address records
+ * @returns {string} WhatsApp message
+ */
+const formatAddressBook = (addresses) => {
+  if (!addresses || addresses.length === 0) {
+    return '📭 You have no saved addresses yet.\n\nAdd one with:\n`add address Home: 12 Allen Ave, Ikeja, Lagos`';
+  }
+
+  let msg = '📒 *Your saved addresses*\n\n';
+  addresses.forEach((address, idx) => {
+    msg += `${idx + 1}. ${address.isDefault ? '⭐ ' : ''}${formatAddress(address)}\n`;
+  });
+  msg += '\n• `add address [label]: [street], [city], [state]`';
+  msg += '\n• `default address [number]`';
+  msg += '\n• `delete address [number]`';
+  return msg;
+};
+
+module.exports = {
+  MAX_ADDRESSES_PER_USER,
+  listAddresses,
+  getAddress,
+  getDefaultAddress,
+  getAddressByPosition,
+  addAddress,
+  setDefaultAddress,
+  deleteAddress,
+  formatAddressBook
+};
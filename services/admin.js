@@ -3,6 +3,8 @@ const bcryptjs = require('bcryptjs');
 const { Admin, OTP, sequelize } = require('../models');
 const { sendOTPEmail } = require('../config/brevo');
 const { generateOTP, getOTPExpiry, isOTPValid } = require('../utils/otp');
+const { updateOrderStatus } = require('./orderLifecycle');
+const { commitOrderStock, releaseOrderStock } = require('./inventory');
 
 const ADMIN_TOKEN_EXPIRY_MINUTES = parseInt(process.env.ADMIN_TOKEN_EXPIRY_MINUTES || '60', 10);
 
@@ -172,10 +174,35 @@ const updateRecord = async (tableName, id, data, admin = null) => {
   if (!admin || !hasPermission(admin.role, 'update', tableName)) throw new Error('Permission denied');
   const rec = await Model.findByPk(id);
   if (!rec) throw new Error('Record not found');
+
+  // Order status changes go through the lifecycle so history and customer messages stay in sync
+  if (tableName === 'Order' && data && data.status && data.status !== rec.status) {
+    const { status, statusNote, ...rest } = data;
+    if (Object.keys(rest).length > 0) await rec.update(rest);
+    return changeOrderStatus(id, status, statusNote, admin);
+  }
+
   await rec.update(data);
   return rec;
 };
 
+// Change an order's status as an admin (validated transition, history, customer notification)
+const changeOrderStatus = async (orderId, status, note = null, admin = null, options = {}) => {
+  if (!admin || !hasPermission(admin.role, 'update', 'Order')) throw new Error('Permission denied');
+  const result = await updateOrderStatus(orderId, status, {
+    changedByType: 'admin',
+    changedBy: admin.email || admin.name || `admin:${admin.id}`,
+    note,
+    notify: options.notify !== false,
+    force: !!options.force && admin.role === 'Owner'
+  });
+  if (!result.success) throw new Error(result.error);
+  if (status === 'Cancelled') await releaseOrderStock(orderId);
+  // Confirming an unpaid order by hand (e.g. bank transfer) takes its reserved stock
+  if (status === 'Confirmed') await commitOrderStock(orderId);
+  return result.order;
+};
+
 // Generic delete
 const deleteRecord = async (tableName, id, admin = null) => {
   const Model = sequelize.models[tableName];
@@ -249,6 +276,20 @@ const getOTPStatus = async (email, adminUser) => {
   };
 };
 
+// Convert records (model instances or plain objects) to CSV
+const toCSV = (records) => {
+  if (!records || records.length === 0) return '';
+  const plain = records.map(r => (typeof r.toJSON === 'function' ? r.toJSON() : r));
+  const headers = Array.from(new Set(plain.flatMap(obj => Object.keys(obj))));
+  const escape = (val) => {
+    if (val === null || val === undefined) return '';
+    const s = String(val).replace(/"/g, '""');
+    return `"${s}"`;
+  };
+  const rows = [headers.join(',')].concat(plain.map(obj => headers.map(h => escape(obj[h])).join(',')));
+  return rows.join('\n');
+};
+
 // Export table as CSV or JSON (no pagination)
 const exportTable = async (tableName, query = {}, admin = null) => {
   const Model = sequelize.models[tableName];
@@ -280,19 +321,6 @@ const exportTable = async (tableName, query = {}, admin = null) => {
   }
 
   // CSV export
-  const toCSV = (records) => {
-    if (!records || records.length === 0) return '';
-    const plain = records.map(r => (typeof r.toJSON === 'function' ? r.toJSON() : r));
-    const headers = Array.from(new Set(plain.flatMap(obj => Object.keys(obj))));
-    const escape = (val) => {
-      if (val === null || val === undefined) return '';
-      const s = String(val).replace(/"/g, '""');
-      return `"${s}"`;
-    };
-    const rows = [headers.join(',')].concat(plain.map(obj => headers.map(h => escape(obj[h])).join(',')));
-    return rows.join('\n');
-  };
-
   const csv = toCSV(items);
   return { contentType: 'text/csv', filename: `${tableName}-export.csv`, payload: csv };
 };
@@ -310,6 +338,8 @@ module.exports = {
   addRecord,
   updateRecord,
   deleteRecord,
+  changeOrderStatus,
   exportTable,
+  toCSV,
   hasPermission
 };
@@ -95,8 +95,12 @@ const parseAppointmentDateTime = (dateTimeString) => {
   return null;
 };
 
+// Required when called: doctorSchedules reads TIMEZONES and the date parser from this module
+const checkAvailability = (doctorId, dateTime, options) => require('./doctorSchedules').checkDoctorAvailability(doctorId, dateTime, options);
+
 /**
  * Validate appointment date and time
+ * Working hours are the doctor's own; see checkDoctorAvailability in doctorSchedules
  * @param {Date|string} dateTime - Appointment date/time
  * @param {string} timezone - Timezone (e.g., 'Africa/Lagos')
  * @returns {Object} Validation result
@@ -138,18 +142,6 @@ const validateAppointmentDateTime = (dateTime, timezone = 'Africa/Lagos') => {
       };
     }
 
-    // Check if appointment is within business hours (8 AM to 6 PM)
-    const hours = appointmentDate.getHours();
-    if (hours < 8 || hours >= 18) {
-      warnings.push('⚠️ Appointment is outside normal business hours (8 AM - 6 PM). It may be rescheduled.');
-    }
-
-    // Check if it's a weekend
-    const dayOfWeek = appointmentDate.getDay();
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
-      warnings.push('⚠️ Appointment is on a weekend. Availability may be limited.');
-    }
-
     // Check if appointment is too far in the future (more than 3 months)
     const maxDate = new Date();
     maxDate.setMonth(maxDate.getMonth() + 3);
@@ -325,6 +317,7 @@ const bookAppointmentValidated = async (userId, doctorId, dateTime, timezone = '
     }
 
     // Check if user already has an appointment at this time with this doctor
+    // (checked first so rebooking the same time says so rather than "already booked")
     const existingAppointment = await Appointment.findOne({
       where: {
         userId,
@@ -342,12 +335,24 @@ const bookAppointmentValidated = async (userId, doctorId, dateTime, timezone = '
       };
     }
 
+    // The doctor's working hours, breaks, leave and other bookings
+    const availability = await checkAvailability(doctorId, validation.parsedDateTime);
+    if (!availability.available) {
+      return {
+        success: false,
+        error: availability.error,
+        errorCode: availability.errorCode
+      };
+    }
+
     // Create appointment
     const appointment = await Appointment.create({
       userId,
       doctorId,
       dateTime: validation.parsedDateTime,
       status: 'Scheduled',
+      consultationFee: doctor.consultationFee || null,
+      paymentStatus: doctor.consultationFee > 0 ? 'Pending' : 'Not Required',
       drugsngAppointmentId: null
     });
 
@@ -397,6 +402,8 @@ const bookAppointmentValidated = async (userId, doctorId, dateTime, timezone = '
       appointmentDate: appointmentDateFormatted,
       appointmentTime: appointmentTimeFormatted,
       status: appointment.status,
+      consultationFee: appointment.consultationFee,
+      paymentRequired: appointment.paymentStatus === 'Pending',
       syncedWithAPI,
       warnings: validation.warnings,
       message: `✅ Appointment confirmed!\n\n👨‍⚕️ Dr. ${doctor.name}\n📅 ${appointmentDateFormatted}\n🕐 ${appointmentTimeFormatted}\n\nAppointment ID: #${appointment.id}\n\nPlease arrive 10 minutes early.${validation.warnings.length > 0 ? '\n\n⚠️ ' + validation.warnings.join('\n⚠️ ') : ''}`
@@ -501,10 +508,10 @@ const cancelAppointment = async (appointmentId, userId) => {
       };
     }
 
-    if (appointment.status === 'Completed') {
+    if (appointment.status === 'Completed' || appointment.status === 'No-Show') {
       return {
         success: false,
-        error: 'Cannot cancel a completed appointment'
+        error: 'Cannot cancel a past appointment'
       };
     }
 
@@ -536,6 +543,66 @@ const cancelAppointment = async (appointmentId, userId) => {
   }
 };
 
+/**
+ * Move an appointment to a new date/time
+ * Reminders start over for the new time and the doctor's team is expected to be told by the caller.
+ * @param {number} appointmentId - Appointment ID
+ * @param {number} userId - User ID (for verification)
+ * @param {Date|string} dateTime - New date/time
+ * @param {string} timezone - Timezone
+ * @returns {Object} { success, appointment, previousDateTime, warnings, error, errorCode }
+ */
+const rescheduleAppointment = async (appointmentId, userId, dateTime, timezone = 'Africa/Lagos') => {
+  try {
+    const appointment = await Appointment.findByPk(appointmentId, { include: [Doctor] });
+    if (!appointment || appointment.userId !== userId) {
+      return { success: false, error: `Appointment #${appointmentId} not found`, errorCode: 'APPOINTMENT_NOT_FOUND' };
+    }
+    if (appointment.status !== 'Scheduled') {
+      return { success: false, error: `Appointment #${appointmentId} is ${appointment.status.toLowerCase()} and can't be rescheduled`, errorCode: 'APPOINTMENT_NOT_SCHEDULED' };
+    }
+
+    const validation = validateAppointmentDateTime(dateTime, timezone);
+    if (!validation.valid) {
+      return { success: false, error: validation.error, errorCode: 'INVALID_APPOINTMENT_DATETIME' };
+    }
+
+    const clash = await Appointment.findOne({
+      where: {
+        id: { [Op.ne]: appointment.id },
+        userId,
+        doctorId: appointment.doctorId,
+        dateTime: validation.parsedDateTime,
+        status: { [Op.ne]: 'Cancelled' }
+      }
+    });
+    if (clash) {
+      return { success: false, error: 'You already have an appointment with this doctor at this time', errorCode: 'DUPLICATE_APPOINTMENT' };
+    }
+    const availability = await checkAvailability(appointment.doctorId, validation.parsedDateTime, { excludeAppointmentId: appointment.id });
+    if (!availability.available) {
+      return { success: false, error: availability.error, errorCode: availability.errorCode };
+    }
+
+    const previousDateTime = appointment.dateTime;
+    await appointment.update({
+      dateTime: validation.parsedDateTime,
+      reminder24hSentAt: null,
+      reminder1hSentAt: null,
+      confirmedAt: null
+    });
+
+    return { success: true, appointment, previousDateTime, warnings: validation.warnings };
+  } catch (error) {
+    console.error('Error rescheduling appointment:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'RESCHEDULE_APPOINTMENT_FAILED'
+    };
+  }
+};
+
 module.exports = {
   parseAppointmentDateTime,
   validateAppointmentDateTime,
@@ -543,5 +610,6 @@ module.exports = {
   bookAppointmentValidated,
   getUserAppointmentsPaginated,
   cancelAppointment,
+  rescheduleAppointment,
   TIMEZONES
 };
@@ -0,0 +1,363 @@
+/**
+ * Appointment Reminder Service
+ * Keeps booked consultations from being forgotten:
+ * - WhatsApp reminders 24 hours and 1 hour before, with Confirm / Reschedule / Cancel buttons
+ * - Rescheduling offers the doctor's next free slots, or takes a typed date and time, in a short conversation flow
+ * - The medical team (doctor side) marks appointments Completed or No-Show with /appt commands
+ *   or the admin API; no-shows are counted on the user so support can see them
+ */
+
+const { Op } = require('sequelize');
+const { Appointment, Doctor, User } = require('../models');
+const { sendWhatsAppMessage, sendInteractiveMessage } = require('../config/whatsapp');
+const { registerFlow, startFlow, endFlow } = require('./conversationFlow');
+const { cancelAppointment, rescheduleAppointment } = require('./appointmentManagement');
+const { getDoctorSchedule, parseScheduleDateTime, parseSlotReply, offerDoctorSlots } = require('./doctorSchedules');
+const { notifySupportTeam } = require('./support');
+const { scheduleRecurringJob } = require('./jobQueue');
+
+const TIMEZONE = 'Africa/Lagos';
+const CHECK_INTERVAL_MINUTES = 5;
+const REMINDERS = [
+  { field: 'reminder24hSentAt', hours: 24, label: 'tomorrow' },
+  { field: 'reminder1hSentAt', hours: 1, label: 'in about an hour' }
+];
+const ATTENDANCE_STATUSES = ['Completed', 'No-Show'];
+
+const formatAppointmentTime = (dateTime) => new Date(dateTime).toLocaleString('en-NG', {
+  timeZone: TIMEZONE,
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * Send due 24h and 1h reminders for scheduled appointments
+ * @returns {Object} { success, reminded: [appointmentId] }
+ */
+const sendAppointmentReminders = async () => {
+  const now = new Date();
+  const reminded = [];
+
+  for (const [index, reminder] of REMINDERS.entries()) {
+    // An appointment already inside a later reminder's window only gets that one
+    const later = REMINDERS[index + 1];
+    const from = later ? new Date(now.getTime() + later.hours * 60 * 60 * 1000) : now;
+    const appointments = await Appointment.findAll({
+      where: {
+        status: 'Scheduled',
+        dateTime: { [Op.gt]: from, [Op.lte]: new Date(now.getTime() + reminder.hours * 60 * 60 * 1000) },
+        [reminder.field]: null
+      },
+      include: [User, Doctor]
+    });
+
+    for (const appointment of appointments) {
+      try {
+        if (!appointment.User || !appointment.User.phoneNumber) continue;
+
+        let body = `📅 Reminder: your appointment #${appointment.id} with Dr. ${appointment.Doctor ? appointment.Doctor.name : 'your doctor'} is ${reminder.label}.\n\n🕐 ${formatAppointmentTime(appointment.dateTime)}`;
+        if (appointment.Doctor && appointment.Doctor.location) {
+          body += `\n📍 ${appointment.Doctor.location}`;
+        }
+        if (appointment.paymentStatus === 'Pending') {
+          body += `\n\n💳 The consultation fee is still unpaid. Type 'pay consultation ${appointment.id} flutterwave' or 'pay consultation ${appointment.id} paystack'.`;
+        }
+        body += appointment.confirmedAt ? '\n\n✅ You have confirmed this appointment.' : '\n\nPlease confirm you will attend.';
+
+        await sendInteractiveMessage(appointment.User.phoneNumber, body, [
+          { id: `appt_confirm_${appointment.id}`, title: '✅ Confirm' },
+          { id: `appt_reschedule_${appointment.id}`, title: '📅 Reschedule' },
+          { id: `appt_cancel_${appointment.id}`, title: '❌ Cancel' }
+        ]);
+        await appointment.update({ [reminder.field]: now });
+        reminded.push(appointment.id);
+      } catch (error) {
+        console.error(`Appointment reminder failed for appointment #${appointment.id}:`, error.message);
+      }
+    }
+  }
+
+  if (reminded.length > 0) {
+    console.log(`📅 Appointment reminders sent: ${reminded.join(', ')}`);
+  }
+  return { success: true, reminded };
+};
+
+/**
+ * Mark an appointment as attended or missed (doctor side)
+ * A no-show adds to the user's no-show count; correcting it takes it off again.
+ * @param {number} appointmentId - Appointment ID
+ * @param {string} status - 'Completed' or 'No-Show'
+ * @param {string} markedBy - Doctor or staff member recording it
+ * @returns {Object} { success, appointment, noShowCount, error, errorCode }
+ */
+const recordAppointmentAttendance = async (appointmentId, status, markedBy) => {
+  if (!ATTENDANCE_STATUSES.includes(status)) {
+    return { success: false, error: 'Status must be Completed or No-Show', errorCode: 'INVALID_ATTENDANCE_STATUS' };
+  }
+
+  const appointment = await Appointment.findByPk(appointmentId, { include: [User, Doctor] });
+  if (!appointment) {
+    return { success: false, error: `Appointment #${appointmentId} not found`, errorCode: 'APPOINTMENT_NOT_FOUND' };
+  }
+  if (appointment.status === 'Cancelled') {
+    return { success: false, error: `Appointment #${appointmentId} was cancelled`, errorCode: 'APPOINTMENT_CANCELLED' };
+  }
+  if (new Date(appointment.dateTime) > new Date()) {
+    return { success: false, error: `Appointment #${appointmentId} is not due until ${formatAppointmentTime(appointment.dateTime)}`, errorCode: 'APPOINTMENT_NOT_DUE' };
+  }
+
+  const previous = appointment.status;
+  await appointment.update({ status, attendanceMarkedBy: markedBy, attendanceMarkedAt: new Date() });
+
+  const user = appointment.User;
+  if (user && previous !== status) {
+    if (status === 'No-Show') {
+      await user.increment('noShowCount');
+    } else if (previous === 'No-Show' && user.noShowCount > 0) {
+      await user.decrement('noShowCount');
+    }
+    await user.reload();
+  }
+
+  if (user && user.phoneNumber && status === 'No-Show' && previous !== status) {
+    try {
+      await sendWhatsAppMessage(user.phoneNumber, `😔 We missed you at appointment #${appointment.id} with Dr. ${appointment.Doctor ? appointment.Doctor.name : 'your doctor'} (${formatAppointmentTime(appointment.dateTime)}).\n\nType 'book appointment' to book a new time, or 'support' if something went wrong.`);
+    } catch (error) {
+      console.warn(`Could not tell the customer about no-show #${appointment.id}:`, error.message);
+    }
+  }
+
+  console.log(`📅 Appointment #${appointment.id} marked ${status} by ${markedBy}`);
+  return { success: true, appointment, noShowCount: user ? user.noShowCount : null };
+};
+
+// Appointments are answered from reminders that may reach logged-out customers
+const findCustomerAppointment = async (phoneNumber, session, appointmentId) => {
+  let userIds = session && session.data && session.data.userId ? [session.data.userId] : [];
+  if (userIds.length === 0) {
+    const users = await User.findAll({ where: { phoneNumber }, attributes: ['id'] });
+    userIds = users.map((user) => user.id);
+  }
+  return Appointment.findOne({ where: { id: appointmentId, userId: { [Op.in]: userIds } }, include: [Doctor] });
+};
+
+/**
+ * Handle a reminder button or "confirm / reschedule / cancel appointment N"
+ * @param {string} phoneNumber - Customer phone number
+ * @param {Object} session - Session instance
+ * @param {Object} parameters - { action: 'confirm'|'reschedule'|'cancel', appointmentId, dateTime }
+ */
+const handleAppointmentReply = async (phoneNumber, session, parameters = {}) => {
+  if (!parameters.appointmentId) {
+    await sendWhatsAppMessage(phoneNumber, `Which appointment? Example: '${parameters.action || 'confirm'} appointment 12'`);
+    return;
+  }
+
+  const appointment = await findCustomerAppointment(phoneNumber, session, parameters.appointmentId);
+  if (!appointment) {
+    await sendWhatsAppMessage(phoneNumber, `❌ Appointment #${parameters.appointmentId} was not found on your account.`);
+    return;
+  }
+  if (appointment.status !== 'Scheduled') {
+    await sendWhatsAppMessage(phoneNumber, `ℹ️ Appointment #${appointment.id} is ${appointment.status.toLowerCase()}.`);
+    return;
+  }
+  const doctorName = appointment.Doctor ? appointment.Doctor.name : 'your doctor';
+
+  switch (parameters.action) {
+    case 'confirm':
+      await appointment.update({ confirmedAt: new Date() });
+      await sendWhatsAppMessage(phoneNumber, `✅ Thanks! Appointment #${appointment.id} with Dr. ${doctorName} is confirmed for ${formatAppointmentTime(appointment.dateTime)}. Please arrive 10 minutes early.`);
+      return;
+
+    case 'cancel': {
+      const result = await cancelAppointment(appointment.id, appointment.userId);
+      if (!result.success) {
+        await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}`);
+        return;
+      }
+      await notifySupportTeam(phoneNumber, 'medical', 'Appointment Cancelled', {
+        appointmentId: appointment.id,
+        doctorName,
+        dateTime: appointment.dateTime
+      });
+      await sendWhatsAppMessage(phoneNumber, `❌ Appointment #${appointment.id} with Dr. ${doctorName} has been cancelled.${result.warnings.length ? `\n\n${result.warnings.join('\n')}` : ''}\n\nType 'book appointment' whenever you'd like a new one.`);
+      return;
+    }
+
+    case 'reschedule':
+      if (parameters.dateTime) {
+        await applyReschedule(phoneNumber, appointment, parameters.dateTime);
+        return;
+      }
+      await startFlow(session, 'appointment_reschedule', { data: { appointmentId: appointment.id, userId: appointment.userId } });
+      if (!(await offerDoctorSlots(phoneNumber, { id: appointment.doctorId, name: doctorName })).success) {
+        await sendWhatsAppMessage(phoneNumber, `📅 When would you like to see Dr. ${doctorName} instead? Reply with the new date and time, e.g. 2024-06-15 14:00 or "tomorrow 2pm".\n\nType 'cancel' to keep ${formatAppointmentTime(appointment.dateTime)}.`);
+      }
+      return;
+
+    default:
+      await sendWhatsAppMessage(phoneNumber, `Reply 'confirm appointment ${appointment.id}', 'reschedule appointment ${appointment.id}' or 'cancel appointment ${appointment.id}'.`);
+  }
+};
+
+const applyReschedule = async (phoneNumber, appointment, dateTime) => {
+  // Typed times are the doctor's local time
+  if (typeof dateTime === 'string') {
+    const { timezone } = await getDoctorSchedule(appointment.doctorId);
+    dateTime = parseScheduleDateTime(dateTime, timezone) || dateTime;
+  }
+  const result = await rescheduleAppointment(appointment.id, appointment.userId, dateTime);
+  if (!result.success) {
+    await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}`);
+    return false;
+  }
+
+  const doctorName = appointment.Doctor ? appointment.Doctor.name : 'your doctor';
+  await notifySupportTeam(phoneNumber, 'medical', 'Appointment Rescheduled', {
+    appointmentId: appointment.id,
+    doctorName,
+    from: result.previousDateTime,
+    to: result.appointment.dateTime
+  });
+  let msg = `✅ Appointment #${appointment.id} with Dr. ${doctorName} moved to ${formatAppointmentTime(result.appointment.dateTime)}. We'll remind you before it.`;
+  if (result.warnings.length > 0) {
+    msg += `\n\n${result.warnings.join('\n')}`;
+  }
+  await sendWhatsAppMessage(phoneNumber, msg);
+  return true;
+};
+
+registerFlow({
+  name: 'appointment_reschedule',
+  label: 'appointment rescheduling',
+  initialState: 'awaiting_datetime',
+  timeoutMinutes: 15,
+  requiresAuth: false,
+  exitCommands: ['cancel', 'keep', 'stop'],
+  onExit: async ({ phoneNumber, data }) => {
+    await sendWhatsAppMessage(phoneNumber, `👍 Appointment #${data.appointmentId} was not changed.`);
+  },
+  states: {
+    awaiting_datetime: {
+      inputs: [
+        {
+          match: /^(.{4,})$/,
+          handler: async ({ phoneNumber, session, data, match }) => {
+            const appointment = await Appointment.findOne({ where: { id: data.appointmentId, userId: data.userId }, include: [Doctor] });
+            if (!appointment) {
+              await endFlow(session);
+              await sendWhatsAppMessage(phoneNumber, `❌ Appointment #${data.appointmentId} was not found.`);
+              return;
+            }
+            // A row of the slot list: a time, or "later times"
+            const slot = parseSlotReply(match[1]);
+            if (slot && slot.after) {
+              const offer = await offerDoctorSlots(phoneNumber, { id: appointment.doctorId, name: appointment.Doctor ? appointment.Doctor.name : 'your doctor' }, { after: slot.after });
+              if (!offer.success) {
+                await sendWhatsAppMessage(phoneNumber, `😔 ${offer.error}. Reply with another date and time, or 'cancel' to keep your appointment.`);
+              }
+              return;
+            }
+            // Invalid or taken times keep the flow open so the customer can try again
+            if (await applyReschedule(phoneNumber, appointment, slot ? slot.dateTime : match[1].trim())) {
+              await endFlow(session);
+            }
+          }
+        }
+      ],
+      prompt: "📅 Please pick a new time from the list or reply with a date and time, e.g. 2024-06-15 14:00. Type 'cancel' to keep your appointment as it is."
+    }
+  }
+});
+
+/**
+ * Handle an /appt command from the medical team (doctor side)
+ * @param {Object} supportTeam - SupportTeam record of the sender
+ * @param {string} args - Command text after "/appt"
+ */
+const handleAppointmentCommand = async (supportTeam, args) => {
+  if (supportTeam.role !== 'medical') {
+    await sendWhatsAppMessage(supportTeam.phoneNumber, 'Only the medical team can use /appt commands.');
+    return;
+  }
+
+  const [action = 'help', idText] = args.trim().split(/\s+/);
+  const appointmentId = parseInt(idText, 10);
+  try {
+    switch (action.toLowerCase()) {
+      case 'today': {
+        const start = new Date();
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+        const appointments = await Appointment.findAll({
+          where: { dateTime: { [Op.gte]: start, [Op.lt]: end }, status: { [Op.ne]: 'Cancelled' } },
+          include: [User, Doctor],
+          order: [['dateTime', 'ASC']]
+        });
+        if (appointments.length === 0) {
+          await sendWhatsAppMessage(supportTeam.phoneNumber, '📅 No appointments today.');
+          return;
+        }
+        let message = `📅 Today's appointments (${appointments.length}):\n\n`;
+        appointments.forEach((appointment) => {
+          const noShows = appointment.User && appointment.User.noShowCount > 0 ? ` · ⚠️ ${appointment.User.noShowCount} no-show${appointment.User.noShowCount === 1 ? '' : 's'}` : '';
+          message += `#${appointment.id} ${formatAppointmentTime(appointment.dateTime)} · Dr. ${appointment.Doctor ? appointment.Doctor.name : '?'}\n`;
+          message += `   ${appointment.User ? appointment.User.name : '?'} · ${appointment.status}${appointment.confirmedAt ? ' (confirmed)' : ''}${noShows}\n`;
+        });
+        message += `\nMark with /appt done <id> or /appt noshow <id>`;
+        await sendWhatsAppMessage(supportTeam.phoneNumber, message);
+        return;
+      }
+
+      case 'done':
+      case 'completed':
+      case 'noshow':
+      case 'no-show': {
+        if (!appointmentId) {
+          await sendWhatsAppMessage(supportTeam.phoneNumber, `Usage: /appt ${action.toLowerCase()} <appointment id>`);
+          return;
+        }
+        const status = /^no-?show$/i.test(action) ? 'No-Show' : 'Completed';
+        const result = await recordAppointmentAttendance(appointmentId, status, `${supportTeam.name} (${supportTeam.phoneNumber})`);
+        if (!result.success) {
+          await sendWhatsAppMessage(supportTeam.phoneNumber, `❌ ${result.error}.`);
+          return;
+        }
+        let message = `✅ Appointment #${appointmentId} marked ${status}.`;
+        if (result.noShowCount > 0) {
+          message += ` The customer has ${result.noShowCount} no-show${result.noShowCount === 1 ? '' : 's'}.`;
+        }
+        await sendWhatsAppMessage(supportTeam.phoneNumber, message);
+        return;
+      }
+
+      default:
+        await sendWhatsAppMessage(supportTeam.phoneNumber, `📅 Appointment commands:\n\n/appt today - today's appointments\n/appt done <id> - the patient was seen\n/appt noshow <id> - the patient did not come`);
+    }
+  } catch (error) {
+    console.error(`Error handling /appt ${action} from ${supportTeam.phoneNumber}:`, error);
+    await sendWhatsAppMessage(supportTeam.phoneNumber, `❌ ${error.message || 'Something went wrong. Please try again.'}`);
+  }
+};
+
+/**
+ * Periodically send appointment reminders
+ * @returns {Promise<Object|null>} Recurring job
+ */
+const startAppointmentReminderScheduler = () => {
+  console.log(`📅 Appointment reminders scheduled ${REMINDERS.map((reminder) => `${reminder.hours}h`).join(' and ')} before`);
+  return scheduleRecurringJob('appointment-reminders', { everyMinutes: CHECK_INTERVAL_MINUTES }, () => sendAppointmentReminders());
+};
+
+module.exports = {
+  sendAppointmentReminders,
+  recordAppointmentAttendance,
+  handleAppointmentReply,
+  handleAppointmentCommand,
+  startAppointmentReminderScheduler
+};
@@ -0,0 +1,325 @@
+/**
+ * Catalog Service
+ * One catalog for everything customers can buy:
+ * - Medicines and healthcare products are both Product rows, told apart by productType
+ * - Shared search (full-text + trigram similarity, ranked, with synonyms), browsing, categories
+ *   and list item formatting
+ * - Shared image handling (Cloudinary folder per product type, placeholder images)
+ * Cart, checkout, stock reservations, batches and recalls all work on Product, so a
+ * healthcare product goes through the same cart and checkout as a medicine.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Product } = require('../models');
+const { uploadImage, uploadImageFromUrl } = require('./cloudinary');
+const { getAvailableStock } = require('./inventory');
+const { normalizeTerm, expandSearchTerms, findSimilarTerms } = require('./searchSynonyms');
+
+const PRODUCT_TYPES = ['medicine', 'healthcare'];
+
+const IMAGE_FOLDERS = {
+  medicine: 'drugs-ng/products/medicines',
+  healthcare: 'drugs-ng/products/healthcare'
+};
+
+const MAX_PAGE_SIZE = 50;
+
+// Must match the expression indexed by migrations/006-add-product-search-indexes.js
+const SEARCH_DOCUMENT = `to_tsvector('english', coalesce("name", '') || ' ' || coalesce("brand", '') || ' ' || coalesce("category", '') || ' ' || coalesce("description", ''))`;
+
+// pg_trgm word_similarity a name needs to count as a fuzzy match ("paracetmol" ~ "Paracetamol 500mg")
+const FUZZY_THRESHOLD = 0.4;
+const SUGGESTION_THRESHOLD = 0.3;
+
+const typeFilter = (productType) => {
+  if (!productType) return {};
+  if (!PRODUCT_TYPES.includes(productType)) {
+    throw new Error(`Unknown product type: ${productType}`);
+  }
+  return { productType };
+};
+
+/**
+ * Shape a product for search results and WhatsApp lists
+ * @param {Object} product - Product instance
+ * @returns {Object} Catalog item
+ */
+const toCatalogItem = (product) => ({
+  id: product.id,
+  type: 'product',
+  productType: product.productType || 'medicine',
+  name: product.name,
+  category: product.category,
+  brand: product.brand || null,
+  description: product.description,
+  usage: product.usage || null,
+  activeIngredient: product.activeIngredient || null,
+  strength: product.strength || null,
+  dosageForm: product.dosageForm || null,
+  requiresPrescription: Boolean(product.requiresPrescription),
+  price: product.price,
+  stock: getAvailableStock(product),
+  inStock: getAvailableStock(product) > 0,
+  imageUrl: product.imageUrl
+});
+
+const generatePlaceholderUrl = (name, productType) => {
+  const text = encodeURIComponent((name || (productType === 'healthcare' ? 'Health Product' : 'Medicine')).substring(0, 20));
+  return `https://via.placeholder.com/512x512.png?text=${text}`;
+};
+
+/**
+ * Give a product a placeholder image if it has none
+ * @param {Object} product - Product instance
+ * @returns {string|null} Image URL
+ */
+const ensureProductImage = async (product) => {
+  if (product.imageUrl) return product.imageUrl;
+  try {
+    const productType = product.productType || 'medicine';
+    const uploaded = await uploadImageFromUrl(generatePlaceholderUrl(product.name, productType), {
+      folder: IMAGE_FOLDERS[productType],
+      filename: `product-${product.id}-${Date.now()}`
+    });
+    product.imageUrl = uploaded.url;
+    await product.save();
+    return product.imageUrl;
+  } catch (e) {
+    console.warn('Placeholder upload failed:', e.message);
+    return null;
+  }
+};
+
+const withImages = async (products) => {
+  for (const product of products) {
+    if (!product.imageUrl) {
+      await ensureProductImage(product);
+    }
+  }
+  return products;
+};
+
+const plainSearch = async (query, productType, limit) => {
+  const term = `%${query}%`;
+  const products = await Product.findAll({
+    where: {
+      ...typeFilter(productType),
+      isActive: true,
+      [Op.or]: [
+        { name: { [Op.iLike]: term } },
+        { category: { [Op.iLike]: term } },
+        { brand: { [Op.iLike]: term } },
+        { description: { [Op.iLike]: term } }
+      ]
+    },
+    limit
+  });
+  return products;
+};
+
+/**
+ * Search active products, best matches first. A product matches when its text matches the
+ * query or one of its synonyms (full-text), or its name is close to them (trigram similarity)
+ * @param {string} query - Sanitized search text
+ * @param {Object} options - { productType, limit }
+ * @returns {Array} Catalog items with relevance and exactMatch (false when only synonyms or
+ *   misspellings matched)
+ */
+const searchCatalog = async (query, options = {}) => {
+  const { productType = null, limit = 10 } = options;
+  const normalized = normalizeTerm(query);
+
+  let products;
+  try {
+    const terms = await expandSearchTerms(normalized);
+    const escaped = terms.map((term) => sequelize.escape(term));
+    const original = escaped[0];
+    const tsQuery = escaped.map((term) => `plainto_tsquery('english', ${term})`).join(' || ');
+    const nameSimilarity = `GREATEST(${escaped.map((term) => `word_similarity(${term}, "name")`).join(', ')})`;
+    const brandSimilarity = `GREATEST(${escaped.map((term) => `word_similarity(${term}, coalesce("brand", ''))`).join(', ')})`;
+    const nameContains = `"name" ILIKE ${sequelize.escape(`%${normalized}%`)}`;
+
+    const relevance = `(ts_rank(${SEARCH_DOCUMENT}, ${tsQuery}) * 2 + ${nameSimilarity} + ${brandSimilarity} * 0.5 + CASE WHEN ${nameContains} THEN 1 ELSE 0 END)`;
+    const exactMatch = `(${SEARCH_DOCUMENT} @@ plainto_tsquery('english', ${original}) OR ${nameContains})`;
+
+    products = await Product.findAll({
+      attributes: {
+        include: [
+          [sequelize.literal(relevance), 'relevance'],
+          [sequelize.literal(exactMatch), 'exactMatch']
+        ]
+      },
+      where: {
+        ...typeFilter(productType),
+        isActive: true,
+        [Op.and]: [
+          sequelize.literal(`(${SEARCH_DOCUMENT} @@ (${tsQuery}) OR ${nameSimilarity} >= ${FUZZY_THRESHOLD} OR ${brandSimilarity} >= ${FUZZY_THRESHOLD} OR ${nameContains})`)
+        ]
+      },
+      order: [[sequelize.literal(relevance), 'DESC'], ['id', 'ASC']],
+      limit
+    });
+  } catch (error) {
+    // pg_trgm missing (migration 006 not run yet): keep search working with substring matching
+    console.warn('Ranked product search unavailable, using substring search:', error.message);
+    products = await plainSearch(normalized, productType, limit);
+  }
+
+  return (await withImages(products)).map((product) => ({
+    ...toCatalogItem(product),
+    relevance: Number(product.get('relevance') || 0),
+    exactMatch: product.get('exactMatch') !== false
+  }));
+};
+
+/**
+ * "Did you mean" suggestions for a query: product names and dictionary terms that look like it
+ * @param {string} query - Sanitized search text
+ * @param {Object} options - { productType, limit }
+ * @returns {Array} Suggested search phrases, closest first
+ */
+const suggestSearchTerms = async (query, options = {}) => {
+  const { productType = null, limit = 3 } = options;
+  const normalized = normalizeTerm(query);
+  if (!normalized) return [];
+
+  try {
+    const similarity = sequelize.literal(`word_similarity(${sequelize.escape(normalized)}, "name")`);
+    const products = await Product.findAll({
+      attributes: ['name', [similarity, 'similarity']],
+      where: {
+        ...typeFilter(productType),
+        isActive: true,
+        [Op.and]: [sequelize.where(similarity, Op.gte, SUGGESTION_THRESHOLD)]
+      },
+      order: [[similarity, 'DESC']],
+      limit,
+      raw: true
+    });
+    const dictionary = await findSimilarTerms(normalized, limit);
+
+    const suggestions = [
+      ...products.map((row) => ({ text: row.name, similarity: Number(row.similarity) })),
+      ...dictionary.map((row) => ({ text: row.term, similarity: row.similarity }))
+    ].sort((a, b) => b.similarity - a.similarity);
+
+    const seen = new Set([normalized]);
+    const unique = [];
+    for (const { text } of suggestions) {
+      if (seen.has(text.toLowerCase())) continue;
+      seen.add(text.toLowerCase());
+      unique.push(text);
+    }
+    return unique.slice(0, limit);
+  } catch (error) {
+    console.warn('Search suggestions unavailable:', error.message);
+    return [];
+  }
+};
+
+/**
+ * List active products page by page
+ * @param {Object} options - { productType, category, page, pageSize }
+ * @returns {Object} { items, total, totalPages, page, pageSize }
+ */
+const listCatalog = async (options = {}) => {
+  const { productType = null, category = null } = options;
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(options.pageSize || '5', 10)));
+  const page = Math.max(1, parseInt(options.page || '1', 10));
+
+  const where = { ...typeFilter(productType), isActive: true };
+  if (category) {
+    where[Op.or] = [
+      { name: { [Op.iLike]: `%${category}%` } },
+      { category: { [Op.iLike]: `%${category}%` } }
+    ];
+  }
+
+  const { rows, count } = await Product.findAndCountAll({
+    where,
+    order: [['id', 'ASC']],
+    offset: (page - 1) * pageSize,
+    limit: pageSize
+  });
+
+  const items = (await withImages(rows)).map(toCatalogItem);
+  return { items, total: count, totalPages: Math.max(1, Math.ceil(count / pageSize)), page, pageSize };
+};
+
+/**
+ * Categories that have active products
+ * @param {string} productType - Optional product type
+ * @returns {Array} Category names
+ */
+const getCatalogCategories = async (productType = null) => {
+  const rows = await Product.findAll({
+    where: { ...typeFilter(productType), isActive: true },
+    attributes: ['category'],
+    group: ['category'],
+    raw: true
+  });
+  return rows.map((row) => row.category);
+};
+
+/**
+ * Load one product, optionally requiring a product type
+ * @param {number} productId - Product ID
+ * @param {string} productType - Optional product type
+ * @returns {Object|null} Product instance
+ */
+const getCatalogProduct = async (productId, productType = null) => {
+  const product = await Product.findByPk(productId);
+  if (!product || (productType && product.productType !== productType)) {
+    return null;
+  }
+  return product;
+};
+
+/**
+ * Upload a product image to the folder for its product type
+ * @param {Buffer} fileBuffer - Image data
+ * @param {Object} options - { productType, productId, filename }
+ * @returns {Object} { url, publicId }
+ */
+const uploadCatalogImage = async (fileBuffer, options = {}) => {
+  if (!fileBuffer) {
+    throw new Error('File buffer is required');
+  }
+  const productType = PRODUCT_TYPES.includes(options.productType) ? options.productType : 'medicine';
+  const uploaded = await uploadImage(fileBuffer, {
+    folder: IMAGE_FOLDERS[productType],
+    filename: options.filename || `${productType}-product-${options.productId || Date.now()}`
+  });
+  return { url: uploaded.url, publicId: uploaded.publicId };
+};
+
+/**
+ * Replace a product's image
+ * @param {number} productId - Product ID
+ * @param {Buffer} fileBuffer - Image data
+ * @param {string} filename - Optional Cloudinary filename
+ * @returns {Object} Product instance
+ */
+const setProductImage = async (productId, fileBuffer, filename = null) => {
+  const product = await Product.findByPk(productId);
+  if (!product) {
+    throw new Error('Product not found');
+  }
+  const uploaded = await uploadCatalogImage(fileBuffer, { productType: product.productType, productId, filename });
+  product.imageUrl = uploaded.url;
+  await product.save();
+  return product;
+};
+
+module.exports = {
+  PRODUCT_TYPES,
+  toCatalogItem,
+  ensureProductImage,
+  searchCatalog,
+  suggestSearchTerms,
+  listCatalog,
+  getCatalogCategories,
+  getCatalogProduct,
+  uploadCatalogImage,
+  setProductImage
+};
@@ -0,0 +1,482 @@
+/**
+ * Guided Checkout Service
+ * Walks the customer through checkout as a conversation flow:
+ * - Cart review
+ * - Delivery address (saved address, typed, or shared location)
+ * - Payment method selection via buttons
+ * - Confirmation screen with items, delivery fee, COD surcharge and total before the order is placed
+ * - Orders with prescription-only items are placed as 'Awaiting Prescription' and ask for the prescription
+ * Each step is persisted on the Session so checkout resumes where the user left off.
+ */
+
+const { Order } = require('../models');
+const { sendWhatsAppMessage, sendInteractiveMessage, sendListMessage, sendLocationRequestMessage } = require('../config/whatsapp');
+const { registerFlow, startFlow, transitionFlow, endFlow } = require('./conversationFlow');
+const { getCartPaginated, placeOrderWithRetry } = require('./orderManagement');
+const { createPaymentLink } = require('./payables');
+const { notifySupportTeam } = require('./support');
+const { getPrescriptionRequirement } = require('./orderLifecycle');
+const { buildPrescriptionRequestMessage } = require('./prescriptionEnforcement');
+const { listAddresses, getAddress } = require('./addressBook');
+const { quoteDelivery } = require('./delivery');
+const { sanitizeInput } = require('../utils/validation');
+const { parseAddressText, formatAddress } = require('../utils/addressParser');
+
+// Checkout resumes as long as the login session is alive
+const CHECKOUT_TIMEOUT_MINUTES = parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES || '20', 10);
+
+const PAYMENT_METHOD_BUTTONS = [
+  { id: 'checkout_pay_flutterwave', title: '💳 Flutterwave' },
+  { id: 'checkout_pay_paystack', title: '💳 Paystack' },
+  { id: 'checkout_pay_cash', title: '💵 Cash on Delivery' }
+];
+
+/**
+ * Map free text or a button id to a supported payment method
+ * @param {string} text - User input
+ * @returns {string|null} 'Flutterwave' | 'Paystack' | 'Cash on Delivery' | null
+ */
+const parsePaymentMethod = (text) => {
+  const value = (text || '').toLowerCase().trim();
+  if (/flutterwave/.test(value)) return 'Flutterwave';
+  if (/paystack/.test(value)) return 'Paystack';
+  if (/cash|\bcod\b/.test(value)) return 'Cash on Delivery';
+  return null;
+};
+
+// Menu words that should resume the current step instead of being taken as an address
+const isAddressText = (text) => {
+  return !/^(checkout|order|cart|menu|help|resume)\b/i.test(text) && sanitizeInput(text).length >= 5;
+};
+
+const formatNaira = (amount) => `₦${Number(amount || 0).toLocaleString()}`;
+
+/**
+ * Load the full cart for checkout summaries
+ * @param {number} userId - User ID
+ * @returns {Object} Cart result from getCartPaginated
+ */
+const loadCheckoutCart = (userId) => getCartPaginated(userId, { page: 1, pageSize: 20 });
+
+// Location fields the delivery pricing needs from the checkout address
+const getDeliveryLocation = (address = {}) => ({
+  state: address.state || null,
+  city: address.city || null,
+  latitude: address.latitude != null ? address.latitude : null,
+  longitude: address.longitude != null ? address.longitude : null
+});
+
+/**
+ * Compute the fees and grand total for the confirmation screen
+ * @param {Object} cart - Cart result
+ * @param {Object} delivery - Delivery quote from quoteDelivery (optional)
+ * @returns {Object} { subtotal, fees: [{ label, amount }], total }
+ */
+const calculateCheckoutTotals = (cart, delivery = null) => {
+  const subtotal = cart.cartTotal || 0;
+  const fees = [];
+
+  if (delivery && delivery.zone) {
+    fees.push({
+      label: delivery.isFreeDelivery ? `🚚 Delivery (${delivery.zone.name}, free over ${formatNaira(delivery.zone.freeDeliveryThreshold)})` : `🚚 Delivery (${delivery.zone.name})`,
+      amount: delivery.deliveryFee
+    });
+  }
+  if (delivery && delivery.codSurcharge > 0) {
+    fees.push({ label: '💵 Cash on delivery fee', amount: delivery.codSurcharge });
+  }
+
+  const total = fees.reduce((sum, fee) => sum + fee.amount, subtotal);
+  return { subtotal, fees, total };
+};
+
+const formatCartItems = (items) => {
+  return items.map((item) => `${item.displayNumber}. ${item.productName} x${item.quantity} — ${formatNaira(item.subtotal)}`).join('\n');
+};
+
+const promptCartReview = async (phoneNumber, cart) => {
+  let msg = `🧾 *Checkout — Step 1 of 4: Review your cart*\n\n`;
+  msg += `${formatCartItems(cart.items)}\n\n`;
+  msg += `Subtotal: ${formatNaira(cart.cartTotal)}\n\n`;
+  msg += `Tap *Continue* to choose a delivery address, or type 'cancel' to leave checkout.`;
+  await sendInteractiveMessage(phoneNumber, msg, [
+    { id: 'checkout_continue', title: '✅ Continue' },
+    { id: 'checkout_cancel', title: '❌ Cancel' }
+  ]);
+};
+
+const promptAddress = async (phoneNumber, session) => {
+  const addresses = await listAddresses(session.data.userId);
+
+  if (addresses.length > 0) {
+    // Default address first; WhatsApp lists allow at most 10 rows
+    const sorted = [...addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault)).slice(0, 10);
+    const msg = `📍 *Checkout — Step 2 of 4: Delivery address*\n\nChoose a saved address, type a new one (street, area, city, state) or share your location 📎.\n\nType 'cancel' to leave checkout.`;
+    try {
+      await sendListMessage(phoneNumber, msg, 'Saved Addresses', [{
+        title: 'Saved addresses',
+        rows: sorted.map((address) => ({
+          id: `checkout_address_${address.id}`,
+          title: `${address.isDefault ? '⭐ ' : ''}${address.label}`.substring(0, 24),
+          description: formatAddress(address, { includeLabel: false }).substring(0, 72)
+        }))
+      }]);
+      return;
+    } catch (error) {
+      console.warn('Could not send saved address list, falling back to location request:', error.message);
+    }
+  }
+
+  const msg = `📍 *Checkout — Step 2 of 4: Delivery address*\n\nType your full delivery address (street, area, city, state) or tap the button to share your location.\n\nType 'cancel' to leave checkout.`;
+  try {
+    await sendLocationRequestMessage(phoneNumber, msg);
+  } catch (error) {
+    await sendWhatsAppMessage(phoneNumber, msg);
+  }
+};
+
+const promptPaymentMethod = async (phoneNumber, session, data) => {
+  let msg = `💳 *Checkout — Step 3 of 4: Payment method*\n\nDeliver to: ${data.address.description}\n`;
+
+  const cart = await loadCheckoutCart(session.data.userId);
+  const delivery = cart.success ? await quoteDelivery(getDeliveryLocation(data.address), cart.cartTotal, null) : null;
+  if (delivery && delivery.success && delivery.zone) {
+    msg += delivery.isFreeDelivery ? `🚚 Delivery: FREE\n` : `🚚 Delivery: ${formatNaira(delivery.deliveryFee)}\n`;
+    if (delivery.zone.codSurcharge > 0) {
+      msg += `💵 Cash on Delivery adds ${formatNaira(delivery.zone.codSurcharge)}\n`;
+    }
+  }
+
+  msg += `\nHow would you like to pay?`;
+  await sendInteractiveMessage(phoneNumber, msg, PAYMENT_METHOD_BUTTONS);
+};
+
+const promptConfirmation = async (phoneNumber, session, data) => {
+  const cart = await loadCheckoutCart(session.data.userId);
+  if (!cart.success || cart.empty) {
+    await endFlow(session);
+    await sendWhatsAppMessage(phoneNumber, 'Your cart is empty, so checkout was closed. Browse products and add items with "add [number] [qty]".');
+    return;
+  }
+
+  const delivery = await quoteDelivery(getDeliveryLocation(data.address), cart.cartTotal, data.paymentMethod);
+  if (!delivery.success) {
+    await sendWhatsAppMessage(phoneNumber, "⚠️ We couldn't calculate the delivery fee right now. Please type 'checkout' to try again in a moment.");
+    return;
+  }
+
+  const totals = calculateCheckoutTotals(cart, delivery);
+  let msg = `✅ *Checkout — Step 4 of 4: Confirm your order*\n\n`;
+  msg += `${formatCartItems(cart.items)}\n\n`;
+  msg += `Subtotal: ${formatNaira(totals.subtotal)}\n`;
+  totals.fees.forEach((fee) => {
+    msg += `${fee.label}: ${formatNaira(fee.amount)}\n`;
+  });
+  msg += `*Total: ${formatNaira(totals.total)}*\n\n`;
+  msg += `📍 Deliver to: ${data.address.description}\n`;
+  msg += `💳 Payment: ${data.paymentMethod}`;
+
+  const prescription = await getPrescriptionRequirement(cart.orderId);
+  if (prescription.required && !prescription.verified) {
+    msg += `\n\n📋 Prescription needed for: ${prescription.items.map((item) => item.name).join(', ')}. After you place the order, send your prescription; a pharmacist verifies it before payment and dispatch.`;
+  }
+
+  await sendInteractiveMessage(phoneNumber, msg, [
+    { id: 'checkout_confirm', title: '✅ Place Order' },
+    { id: 'checkout_change_address', title: '📍 Change Address' },
+    { id: 'checkout_change_payment', title: '💳 Change Payment' }
+  ]);
+};
+
+/**
+ * Re-send the prompt for the current checkout step (used when resuming)
+ * @param {string} phoneNumber - Customer phone number
+ * @param {Object} session - Session instance
+ * @param {string} state - Checkout flow state
+ * @param {Object} data - Checkout flow data
+ */
+const promptCheckoutStep = async (phoneNumber, session, state, data) => {
+  switch (state) {
+    case 'review_cart': {
+      const cart = await loadCheckoutCart(session.data.userId);
+      if (!cart.success || cart.empty) {
+        await endFlow(session);
+        await sendWhatsAppMessage(phoneNumber, 'Your cart is empty, so checkout was closed. Browse products and add items with "add [number] [qty]".');
+        return;
+      }
+      await promptCartReview(phoneNumber, cart);
+      break;
+    }
+    case 'awaiting_address':
+      await promptAddress(phoneNumber, session);
+      break;
+    case 'awaiting_payment':
+      await promptPaymentMethod(phoneNumber, session, data);
+      break;
+    case 'confirm':
+      await promptConfirmation(phoneNumber, session, data);
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Send the payment link for an online payment method, or COD instructions
+ * @param {string} phoneNumber - Customer phone number
+ * @param {number} orderId - Order ID
+ * @param {number} userId - User ID
+ * @param {string} paymentMethod - Selected payment method
+ */
+const sendOrderPaymentInstructions = async (phoneNumber, orderId, userId, paymentMethod) => {
+  const method = (paymentMethod || '').toLowerCase();
+
+  if (method.includes('cash')) {
+    const order = await Order.findByPk(orderId);
+    const amountText = order && order.totalAmount > 0 ? ` (${formatNaira(order.totalAmount)})` : '';
+    await sendWhatsAppMessage(phoneNumber, `💵 You've selected Cash on Delivery.\n\nPlease have the exact amount${amountText} ready when your order arrives. You'll receive delivery updates shortly.`);
+    return;
+  }
+
+  if (!method.includes('flutterwave') && !method.includes('paystack')) {
+    return;
+  }
+
+  try {
+    // Same path as 'pay N provider' so the reference is stored for webhooks and reconciliation
+    const provider = method.includes('flutterwave') ? 'Flutterwave' : 'Paystack';
+    const result = await createPaymentLink('order', orderId, provider, userId);
+    if (result.success) {
+      await sendWhatsAppMessage(phoneNumber, `💳 Complete your payment:\n${result.link}\n\nAmount: ${formatNaira(result.amount)}`);
+    } else if (['NO_PAYMENT_REQUIRED', 'PAYABLE_NOT_FOUND'].includes(result.errorCode)) {
+      await sendWhatsAppMessage(phoneNumber, `Your order is ready. Payment method: ${paymentMethod}`);
+    } else {
+      console.error('Payment link generation error:', result.error);
+      await sendWhatsAppMessage(phoneNumber, `⚠️  Payment link generation failed. You can pay later with 'pay ${orderId} ${provider.toLowerCase()}' or contact support.\nOrder ID: #${orderId}`);
+    }
+  } catch (error) {
+    console.error('Payment handling error:', error);
+    await sendWhatsAppMessage(phoneNumber, `Order placed but payment link could not be generated. Contact support with Order ID: #${orderId}`);
+  }
+};
+
+/**
+ * Start the guided checkout for a logged-in customer
+ * @param {string} phoneNumber - Customer phone number
+ * @param {Object} session - Session instance
+ * @param {Object} prefill - Optional { address, paymentMethod } already given in one message
+ * @returns {Object} { success, error }
+ */
+const startCheckout = async (phoneNumber, session, prefill = null) => {
+  try {
+    const cart = await loadCheckoutCart(session.data.userId);
+    if (!cart.success) {
+      await sendWhatsAppMessage(phoneNumber, 'Sorry, could not fetch your cart right now. Please try again shortly.');
+      return { success: false, error: cart.error };
+    }
+    if (cart.empty) {
+      await sendWhatsAppMessage(phoneNumber, 'Your cart is empty. Browse products and add items with "add [number] [qty]" before checking out.');
+      return { success: false, error: 'Cart is empty' };
+    }
+
+    if (prefill && prefill.address && parsePaymentMethod(prefill.paymentMethod)) {
+      const parsed = parseAddressText(prefill.address) || {};
+      await startFlow(session, 'checkout', {
+        state: 'confirm',
+        data: {
+          cartOrderId: cart.orderId,
+          address: { description: prefill.address, city: parsed.city || null, state: parsed.state || null },
+          paymentMethod: parsePaymentMethod(prefill.paymentMethod)
+        }
+      });
+      await promptConfirmation(phoneNumber, session, session.flowData);
+      return { success: true };
+    }
+
+    await startFlow(session, 'checkout', { data: { cartOrderId: cart.orderId } });
+    await promptCartReview(phoneNumber, cart);
+    return { success: true };
+  } catch (error) {
+    console.error('Error starting checkout:', error);
+    await sendWhatsAppMessage(phoneNumber, 'Sorry, we could not start checkout right now. Please try again later.');
+    return { success: false, error: error.message };
+  }
+};
+
+const setAddressAndContinue = async ({ phoneNumber, session, data }, address) => {
+  // Returning to an already confirmed step (e.g. "Change Address") goes back to confirmation
+  const nextState = data.paymentMethod ? 'confirm' : 'awaiting_payment';
+  await transitionFlow(session, nextState, { address });
+  await promptCheckoutStep(phoneNumber, session, nextState, session.flowData);
+};
+
+const placeCheckoutOrder = async ({ phoneNumber, session, data }) => {
+  const userId = session.data.userId;
+  const orderData = {
+    address: data.address.description,
+    addressId: data.address.addressId || null,
+    paymentMethod: data.paymentMethod,
+    deliveryLocation: getDeliveryLocation(data.address),
+    cartOrderId: data.cartOrderId
+  };
+
+  // placeOrderWithRetry records lastOrderId etc. on the session data it is given
+  const sessionData = { ...session.data };
+  const result = await placeOrderWithRetry(userId, orderData, sessionData);
+  if (result.errorCode === 'CART_CHANGED') {
+    await endFlow(session);
+    await sendWhatsAppMessage(phoneNumber, "🛒 Your cart has changed since you reviewed it, so nothing was ordered. Type 'checkout' to review it again.");
+    return;
+  }
+  if (!result.success) {
+    await sendWhatsAppMessage(phoneNumber, `❌ Failed to place order: ${result.error}\n\nTap *Place Order* to try again or type 'cancel' to leave checkout.`);
+    return;
+  }
+
+  session.data = sessionData;
+  await endFlow(session);
+
+  await notifySupportTeam(phoneNumber, 'orders', 'New Order Placed', {
+    orderId: result.orderId,
+    paymentMethod: orderData.paymentMethod,
+    amount: result.totalAmount || 'TBD'
+  });
+
+  let msg = `✅ Your order has been placed successfully!\n\nOrder ID: #${result.orderId}\n`;
+  if (result.deliveryFee > 0 || result.codSurcharge > 0) {
+    msg += `Items: ${formatNaira(result.subtotal)}\n`;
+    msg += `Delivery: ${formatNaira(result.deliveryFee)}\n`;
+    if (result.codSurcharge > 0) {
+      msg += `Cash on delivery fee: ${formatNaira(result.codSurcharge)}\n`;
+    }
+  }
+  msg += `Total: ${formatNaira(result.totalAmount)}\n\nType 'track ${result.orderId}' anytime to check its status.`;
+  await sendWhatsAppMessage(phoneNumber, msg);
+
+  // No payment link until a pharmacist has verified the prescription
+  if (result.status === 'Awaiting Prescription') {
+    await sendWhatsAppMessage(phoneNumber, buildPrescriptionRequestMessage(result.orderId, result.prescriptionItems));
+    return;
+  }
+  await sendOrderPaymentInstructions(phoneNumber, result.orderId, userId, orderData.paymentMethod);
+};
+
+registerFlow({
+  name: 'checkout',
+  label: 'checkout',
+  initialState: 'review_cart',
+  timeoutMinutes: CHECKOUT_TIMEOUT_MINUTES,
+  requiresAuth: true,
+  exitCommands: ['cancel', 'checkout_cancel', 'cancel checkout', 'quit', 'stop'],
+  onExit: async ({ phoneNumber }) => {
+    await sendWhatsAppMessage(phoneNumber, "❎ Checkout cancelled. Your cart is saved — type 'checkout' when you're ready.");
+  },
+  onTimeout: async ({ phoneNumber }) => {
+    await sendWhatsAppMessage(phoneNumber, "⏱️ Your checkout timed out. Your cart is saved — type 'checkout' to start again.");
+  },
+  states: {
+    review_cart: {
+      inputs: [
+        {
+          match: /^(checkout_continue|continue|yes|proceed|next)$/i,
+          handler: async ({ phoneNumber, session }) => {
+            await transitionFlow(session, 'awaiting_address');
+            await promptAddress(phoneNumber, session);
+          }
+        }
+      ],
+      onInvalid: ({ phoneNumber, session, state, data }) => promptCheckoutStep(phoneNumber, session, state, data)
+    },
+    awaiting_address: {
+      inputs: [
+        {
+          match: /^checkout_address_(\d+)$/,
+          handler: async (ctx) => {
+            const address = await getAddress(ctx.session.data.userId, parseInt(ctx.match[1], 10));
+            if (!address) {
+              await sendWhatsAppMessage(ctx.phoneNumber, '❌ That saved address is no longer available. Please choose another or type a new address.');
+              return;
+            }
+            await setAddressAndContinue(ctx, {
+              addressId: address.id,
+              description: formatAddress(address, { includeLabel: false }),
+              city: address.city,
+              state: address.state,
+              latitude: address.latitude,
+              longitude: address.longitude
+            });
+          }
+        },
+        {
+          type: 'location',
+          handler: (ctx) => setAddressAndContinue(ctx, {
+            description: ctx.location.description || `${ctx.location.latitude}, ${ctx.location.longitude}`,
+            latitude: ctx.location.latitude,
+            longitude: ctx.location.longitude
+          })
+        },
+        {
+          match: isAddressText,
+          handler: (ctx) => {
+            const parsed = parseAddressText(ctx.text) || {};
+            return setAddressAndContinue(ctx, {
+              description: sanitizeInput(ctx.text),
+              city: parsed.city || null,
+              state: parsed.state || null
+            });
+          }
+        }
+      ],
+      onInvalid: async ({ phoneNumber, session, text }) => {
+        if (text && sanitizeInput(text).length < 5) {
+          await sendWhatsAppMessage(phoneNumber, "❌ That address looks too short. Please type your full delivery address (street, area, city) or share your location. Type 'cancel' to leave checkout.");
+          return;
+        }
+        await promptAddress(phoneNumber, session);
+      }
+    },
+    awaiting_payment: {
+      inputs: [
+        {
+          match: (text) => !!parsePaymentMethod(text),
+          handler: async ({ phoneNumber, session, text }) => {
+            await transitionFlow(session, 'confirm', { paymentMethod: parsePaymentMethod(text) });
+            await promptConfirmation(phoneNumber, session, session.flowData);
+          }
+        }
+      ],
+      onInvalid: ({ phoneNumber, session, state, data }) => promptCheckoutStep(phoneNumber, session, state, data)
+    },
+    confirm: {
+      inputs: [
+        {
+          match: /^(checkout_confirm|confirm|place order|yes)$/i,
+          handler: placeCheckoutOrder
+        },
+        {
+          match: /^(checkout_change_address|change address)$/i,
+          handler: async ({ phoneNumber, session }) => {
+            await transitionFlow(session, 'awaiting_address');
+            await promptAddress(phoneNumber, session);
+          }
+        },
+        {
+          match: /^(checkout_change_payment|change payment)$/i,
+          handler: async ({ phoneNumber, session, data }) => {
+            await transitionFlow(session, 'awaiting_payment');
+            await promptPaymentMethod(phoneNumber, session, data);
+          }
+        }
+      ],
+      onInvalid: ({ phoneNumber, session, state, data }) => promptCheckoutStep(phoneNumber, session, state, data)
+    }
+  }
+});
+
+module.exports = {
+  startCheckout,
+  promptCheckoutStep,
+  parsePaymentMethod,
+  calculateCheckoutTotals,
+  sendOrderPaymentInstructions
+};
@@ -0,0 +1,376 @@
+/**
+ * Conversation Flow Engine
+ * Replaces ad-hoc session.data flags with declarative multi-step flows:
+ * - Each flow declares its states, allowed inputs, timeout and exit commands
+ * - The active flow is persisted on the Session (activeFlow, flowState, flowData, flowExpiresAt)
+ * - Flows take precedence over pagination contexts and NLP while active
+ *
+ * A flow definition looks like:
+ *   registerFlow({
+ *     name: 'checkout',
+ *     label: 'checkout',
+ *     initialState: 'awaiting_address',
+ *     timeoutMinutes: 15,
+ *     requiresAuth: true,
+ *     keepPaginationContext: false,
+ *     exitCommands: ['cancel'],
+ *     onExit: async (ctx) => {},
+ *     onTimeout: async (ctx) => {},
+ *     states: {
+ *       awaiting_address: {
+ *         inputs: [
+ *           { match: /^(.{5,})$/, handler: async (ctx) => {} },
+ *           { type: 'location', handler: async (ctx) => {} }
+ *         ],
+ *         onInvalid: async (ctx) => {},
+ *         passthrough: false
+ *       }
+ *     }
+ *   });
+ */
+
+const { sendWhatsAppMessage } = require('../config/whatsapp');
+
+const DEFAULT_EXIT_COMMANDS = ['cancel', 'quit', 'stop', 'abort'];
+const DEFAULT_TIMEOUT_MINUTES = 15;
+
+// Pagination keys that used to keep users "stuck" in a list context
+const PAGINATION_CONTEXT_KEYS = [
+  'productPagination',
+  'doctorSpecialtyPagination',
+  'doctorPagination',
+  'cartPagination'
+];
+
+const flows = new Map();
+
+/**
+ * Register a conversation flow definition
+ * @param {Object} definition - Flow definition (see module header)
+ * @returns {Object} Normalized flow definition
+ */
+const registerFlow = (definition) => {
+  if (!definition || !definition.name) {
+    throw new Error('Flow name is required');
+  }
+  if (!definition.states || !definition.initialState || !definition.states[definition.initialState]) {
+    throw new Error(`Flow "${definition.name}" must declare its initial state`);
+  }
+
+  const flow = {
+    label: definition.name.replace(/_/g, ' '),
+    timeoutMinutes: DEFAULT_TIMEOUT_MINUTES,
+    requiresAuth: false,
+    keepPaginationContext: false,
+    exitCommands: DEFAULT_EXIT_COMMANDS,
+    ...definition
+  };
+
+  flows.set(flow.name, flow);
+  return flow;
+};
+
+/**
+ * Get a registered flow definition by name
+ * @param {string} name - Flow name
+ * @returns {Object|null} Flow definition
+ */
+const getFlow = (name) => flows.get(name) || null;
+
+/**
+ * Remove pagination keys from session data so list navigation cannot hijack a flow
+ * @param {Object} data - Session data
+ * @returns {Object} Copy of data without pagination keys
+ */
+const clearPaginationContext = (data = {}) => {
+  const newData = { ...(data || {}) };
+  PAGINATION_CONTEXT_KEYS.forEach((key) => {
+    delete newData[key];
+  });
+  return newData;
+};
+
+const computeExpiry = (flow, now = new Date()) => {
+  if (!flow.timeoutMinutes) return null;
+  return new Date(now.getTime() + flow.timeoutMinutes * 60 * 1000);
+};
+
+/**
+ * Check whether the session's active flow has timed out
+ * @param {Object} session - Session instance
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if expired
+ */
+const isFlowExpired = (session, now = new Date()) => {
+  return !!(session && session.activeFlow && session.flowExpiresAt && new Date(session.flowExpiresAt) <= now);
+};
+
+/**
+ * Get the active flow, its current state and data for a session
+ * @param {Object} session - Session instance
+ * @returns {Object|null} { flow, state, data } or null when no flow is active
+ */
+const getActiveFlow = (session) => {
+  if (!session || !session.activeFlow) return null;
+  const flow = getFlow(session.activeFlow);
+  if (!flow) return null;
+  return {
+    flow,
+    state: session.flowState || flow.initialState,
+    data: session.flowData || {}
+  };
+};
+
+/**
+ * Start a flow on a session, replacing any flow already active
+ * @param {Object} session - Session instance
+ * @param {string} name - Flow name
+ * @param {Object} options - { state, data }
+ * @returns {Object} Session
+ */
+const startFlow = async (session, name, options = {}) => {
+  const flow = getFlow(name);
+  if (!flow) {
+    throw new Error(`Unknown conversation flow: ${name}`);
+  }
+
+  const state = options.state || flow.initialState;
+  if (!flow.states[state]) {
+    throw new Error(`Flow "${name}" has no state "${state}"`);
+  }
+
+  session.activeFlow = flow.name;
+  session.flowState = state;
+  session.flowData = { ...(options.data || {}) };
+  session.flowExpiresAt = computeExpiry(flow);
+  if (!flow.keepPaginationContext) {
+    // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+    session.data = clearPaginationContext(session.data);
+  }
+  await session.save();
+
+  console.log(`🧭 Started flow "${flow.name}" at state "${state}" for ${session.phoneNumber}`);
+  return session;
+};
+
+/**
+ * Move the active flow to another state, merging extra data and extending the timeout
+ * @param {Object} session - Session instance
+ * @param {string} nextState - Target state
+ * @param {Object} dataPatch - Data to merge into flowData
+ * @returns {Object} Session
+ */
+const transitionFlow = async (session, nextState, dataPatch = {}) => {
+  const active = getActiveFlow(session);
+  if (!active) {
+    throw new Error('No active conversation flow to transition');
+  }
+  if (!active.flow.states[nextState]) {
+    throw new Error(`Flow "${active.flow.name}" has no state "${nextState}"`);
+  }
+
+  session.flowState = nextState;
+  session.flowData = { ...active.data, ...dataPatch };
+  session.flowExpiresAt = computeExpiry(active.flow);
+  await session.save();
+
+  console.log(`🧭 Flow "${active.flow.name}" → "${nextState}" for ${session.phoneNumber}`);
+  return session;
+};
+
+/**
+ * Merge data into the active flow without changing state
+ * @param {Object} session - Session instance
+ * @param {Object} dataPatch - Data to merge into flowData
+ * @returns {Object} Session
+ */
+const updateFlowData = async (session, dataPatch = {}) => {
+  const active = getActiveFlow(session);
+  if (!active) {
+    throw new Error('No active conversation flow to update');
+  }
+  return transitionFlow(session, active.state, dataPatch);
+};
+
+/**
+ * Clear the active flow from a session
+ * @param {Object} session - Session instance
+ * @returns {Object} Session
+ */
+const endFlow = async (session) => {
+  if (!session || !session.activeFlow) return session;
+
+  const name = session.activeFlow;
+  session.activeFlow = null;
+  session.flowState = null;
+  session.flowData = {};
+  session.flowExpiresAt = null;
+  await session.save();
+
+  console.log(`🧭 Ended flow "${name}" for ${session.phoneNumber}`);
+  return session;
+};
+
+/**
+ * Check whether text is one of the flow's exit commands
+ * @param {Object} flow - Flow definition
+ * @param {string} text - User input
+ * @returns {boolean} True if the input exits the flow
+ */
+const isExitCommand = (flow, text) => {
+  if (!text) return false;
+  const normalized = text.toLowerCase().trim();
+  return (flow.exitCommands || []).some((cmd) => cmd.toLowerCase() === normalized);
+};
+
+/**
+ * Find the first input declaration of a state that accepts the given input
+ * @param {Object} stateDef - State definition
+ * @param {Object} input - { type: 'text'|'location', text, location }
+ * @returns {Object|null} { input, match }
+ */
+const matchFlowInput = (stateDef, input) => {
+  const inputs = (stateDef && stateDef.inputs) || [];
+
+  for (const declared of inputs) {
+    const type = declared.type || 'text';
+    if (type !== input.type) continue;
+
+    if (type !== 'text') {
+      return { input: declared, match: null };
+    }
+
+    const text = (input.text || '').trim();
+    if (!declared.match) {
+      return { input: declared, match: [text] };
+    }
+    if (declared.match instanceof RegExp) {
+      const match = text.match(declared.match);
+      if (match) return { input: declared, match };
+    } else if (typeof declared.match === 'function') {
+      const match = declared.match(text);
+      if (match) return { input: declared, match: Array.isArray(match) ? match : [text] };
+    } else if (Array.isArray(declared.match)) {
+      if (declared.match.some((value) => value.toLowerCase() === text.toLowerCase())) {
+        return { input: declared, match: [text] };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Route an input to the session's active flow
+ * @param {string} phoneNumber - Customer phone number
+ * @param {Object} session - Session instance
+ * @param {Object} input - { type: 'text', text } or { type: 'location', location }
+ * @param {Object} options - { isLoggedIn }
+ * @returns {boolean} True if the flow consumed the input
+ */
+const dispatchFlowInput = async (phoneNumber, session, input, options = {}) => {
+  if (!session || !session.activeFlow) return false;
+
+  const active = getActiveFlow(session);
+  if (!active) {
+    console.warn(`⚠️  Session ${phoneNumber} references unknown flow "${session.activeFlow}", clearing it`);
+    await endFlow(session);
+    return false;
+  }
+
+  const { flow, state } = active;
+  const ctx = {
+    phoneNumber,
+    session,
+    flow,
+    state,
+    data: active.data,
+    text: input.type === 'text' ? (input.text || '').trim() : null,
+    location: input.location || null
+  };
+
+  if (flow.requiresAuth && options.isLoggedIn === false) {
+    console.log(`🧭 Dropping flow "${flow.name}" for logged-out session ${phoneNumber}`);
+    await endFlow(session);
+    return false;
+  }
+
+  if (isFlowExpired(session)) {
+    await endFlow(session);
+    if (flow.onTimeout) {
+      await flow.onTimeout(ctx);
+    } else {
+      await sendWhatsAppMessage(phoneNumber, `⏱️ Your ${flow.label} timed out due to inactivity. Let's continue from the main menu.`);
+    }
+    return false;
+  }
+
+  if (input.type === 'text' && isExitCommand(flow, ctx.text)) {
+    await endFlow(session);
+    if (flow.onExit) {
+      await flow.onExit(ctx);
+    } else {
+      await sendWhatsAppMessage(phoneNumber, `❎ ${flow.label.charAt(0).toUpperCase() + flow.label.slice(1)} cancelled. Type 'help' to see the menu.`);
+    }
+    return true;
+  }
+
+  const stateDef = flow.states[state];
+  if (!stateDef) {
+    console.warn(`⚠️  Flow "${flow.name}" has no state "${state}", clearing it`);
+    await endFlow(session);
+    return false;
+  }
+
+  const matched = matchFlowInput(stateDef, input);
+  if (matched) {
+    // Refresh the timeout before the handler runs so any transition it makes wins
+    session.flowExpiresAt = computeExpiry(flow);
+    await session.save();
+    await matched.input.handler({ ...ctx, match: matched.match });
+    return true;
+  }
+
+  if (stateDef.passthrough) {
+    return false;
+  }
+
+  if (stateDef.onInvalid) {
+    await stateDef.onInvalid(ctx);
+  } else if (stateDef.prompt) {
+    await sendWhatsAppMessage(phoneNumber, stateDef.prompt);
+  } else {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Route a text message to the session's active flow
+ * @param {string} phoneNumber - Customer phone number
+ * @param {Object} session - Session instance
+ * @param {string} messageText - Message text
+ * @param {Object} options - { isLoggedIn }
+ * @returns {boolean} True if the flow consumed the message
+ */
+const dispatchFlowMessage = (phoneNumber, session, messageText, options = {}) => {
+  return dispatchFlowInput(phoneNumber, session, { type: 'text', text: messageText }, options);
+};
+
+module.exports = {
+  DEFAULT_EXIT_COMMANDS,
+  PAGINATION_CONTEXT_KEYS,
+  registerFlow,
+  getFlow,
+  getActiveFlow,
+  startFlow,
+  transitionFlow,
+  updateFlowData,
+  endFlow,
+  isFlowExpired,
+  isExitCommand,
+  matchFlowInput,
+  clearPaginationContext,
+  dispatchFlowInput,
+  dispatchFlowMessage
+};
@@ -0,0 +1,61 @@
+/**
+ * Delivery Pricing Service
+ * Handles delivery cost for orders:
+ * - Zone lookup by state/LGA or by distance from the pharmacy
+ * - Base fee, per-km rate and free-delivery threshold per zone
+ * - Cash-on-delivery surcharge
+ * Zones are managed by admins through the DeliveryZone table.
+ */
+
+const { DeliveryZone } = require('../models');
+const { selectDeliveryZone, computeDeliveryFee } = require('../utils/deliveryPricing');
+
+/**
+ * Default pharmacy location used by zones without their own coordinates
+ * @returns {Object|null} { latitude, longitude }
+ */
+const getPharmacyOrigin = () => {
+  const latitude = parseFloat(process.env.PHARMACY_LATITUDE);
+  const longitude = parseFloat(process.env.PHARMACY_LONGITUDE);
+  if (isNaN(latitude) || isNaN(longitude)) return null;
+  return { latitude, longitude };
+};
+
+/**
+ * Quote the delivery charges for an address
+ * @param {Object} location - { state, city, latitude, longitude }
+ * @param {number} subtotal - Order items subtotal
+ * @param {string} paymentMethod - Selected payment method (for the COD surcharge)
+ * @returns {Object} { success, zone, deliveryFee, codSurcharge, isFreeDelivery, distanceKm, total, error, errorCode }
+ */
+const quoteDelivery = async (location = {}, subtotal = 0, paymentMethod = null) => {
+  try {
+    const zones = await DeliveryZone.findAll({ where: { isActive: true } });
+    const { zone, distanceKm } = selectDeliveryZone(zones, location || {}, { origin: getPharmacyOrigin() });
+
+    if (!zone && zones.length > 0) {
+      console.warn(`⚠️  No delivery zone matched ${JSON.stringify(location)}; charging no delivery fee`);
+    }
+
+    const fee = computeDeliveryFee(zone, { subtotal, distanceKm, paymentMethod });
+
+    return {
+      success: true,
+      zone: zone ? { id: zone.id, name: zone.name, freeDeliveryThreshold: zone.freeDeliveryThreshold, codSurcharge: zone.codSurcharge } : null,
+      ...fee,
+      total: fee.deliveryFee + fee.codSurcharge
+    };
+  } catch (error) {
+    console.error('Error quoting delivery:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'DELIVERY_QUOTE_FAILED'
+    };
+  }
+};
+
+module.exports = {
+  getPharmacyOrigin,
+  quoteDelivery
+};
@@ -0,0 +1,377 @@
+/**
+ * Doctor Schedule Service
+ * Doctor availability calendars for slot-based booking:
+ * - Weekly working hours, slot length, breaks and leave days per doctor (DoctorSchedule);
+ *   doctors without one work DEFAULT_SCHEDULE
+ * - Availability checks against the schedule and the doctor's existing appointments
+ * - The next free slots, offered on WhatsApp as a list message (row IDs slot_<epoch minutes>)
+ */
+
+const { Op } = require('sequelize');
+const { Appointment, Doctor, DoctorSchedule } = require('../models');
+const { sendListMessage } = require('../config/whatsapp');
+const { TIMEZONES, parseAppointmentDateTime } = require('./appointmentManagement');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = { sun: 'Sunday', mon: 'Monday', tue: 'Tuesday', wed: 'Wednesday', thu: 'Thursday', fri: 'Friday', sat: 'Saturday' };
+const WEEKDAY_HOURS = { start: '08:00', end: '18:00' };
+// The business hours appointments were checked against before schedules existed
+const DEFAULT_SCHEDULE = {
+  weeklyHours: { mon: WEEKDAY_HOURS, tue: WEEKDAY_HOURS, wed: WEEKDAY_HOURS, thu: WEEKDAY_HOURS, fri: WEEKDAY_HOURS },
+  slotMinutes: 30,
+  breaks: [],
+  leaveDays: [],
+  timezone: 'Africa/Lagos'
+};
+const MIN_SLOT_MINUTES = 10;
+const MAX_SLOT_MINUTES = 240;
+// Same notice validateAppointmentDateTime asks for
+const MIN_NOTICE_MINUTES = 60;
+const SEARCH_DAYS = 14;
+// WhatsApp lists hold 10 rows; the last one asks for later times
+const LIST_SLOT_LIMIT = 9;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+const getOffsetMs = (timezone) => (TIMEZONES[timezone] || TIMEZONES[DEFAULT_SCHEDULE.timezone]).offset * 60 * 60 * 1000;
+
+// Local calendar date, day and minute of the day of an instant
+const toLocalParts = (dateTime, timezone) => {
+  const local = new Date(new Date(dateTime).getTime() + getOffsetMs(timezone));
+  return {
+    date: local.toISOString().slice(0, 10),
+    day: DAYS[local.getUTCDay()],
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+};
+
+/**
+ * The instant of a local date and time in a timezone
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timezone - Key of TIMEZONES
+ * @returns {Date|null} Null when the date or time is not valid
+ */
+const toScheduleDate = (date, time, timezone = DEFAULT_SCHEDULE.timezone) => {
+  if (!DATE_PATTERN.test(date) || !TIME_PATTERN.test(time)) return null;
+  const [year, month, day] = date.split('-').map(Number);
+  const result = new Date(Date.UTC(year, month - 1, day) + toMinutes(time) * 60 * 1000 - getOffsetMs(timezone));
+  // Rejects dates that roll over, e.g. 2024-02-31
+  return toLocalParts(result, timezone).date === date ? result : null;
+};
+
+/**
+ * Parse a typed date and time as the doctor's local time
+ * Accepts the formats of parseAppointmentDateTime ("2024-06-15 14:00", "15/06/2024 14:00", "tomorrow 2pm")
+ * @param {string} text - Date/time text
+ * @param {string} timezone - Key of TIMEZONES
+ * @returns {Date|null} Parsed instant or null
+ */
+const parseScheduleDateTime = (text, timezone = DEFAULT_SCHEDULE.timezone) => {
+  // parseAppointmentDateTime reads the wall-clock time in the server's timezone; read it again in the doctor's
+  const parsed = parseAppointmentDateTime(text);
+  if (!parsed || isNaN(parsed.getTime())) return null;
+  const date = `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+  return toScheduleDate(date, `${pad(parsed.getHours())}:${pad(parsed.getMinutes())}`, timezone);
+};
+
+/**
+ * Show a slot in the doctor's timezone, e.g. "Mon, 17 Jun, 2:30 pm"
+ * @param {Date} dateTime - Slot start
+ * @param {string} timezone - Key of TIMEZONES
+ * @returns {string} Formatted slot
+ */
+const formatSlot = (dateTime, timezone = DEFAULT_SCHEDULE.timezone) => new Date(dateTime).toLocaleString('en-NG', {
+  timeZone: timezone,
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const serializeSchedule = (doctorId, schedule) => ({
+  doctorId,
+  weeklyHours: schedule.weeklyHours,
+  slotMinutes: schedule.slotMinutes,
+  breaks: schedule.breaks || [],
+  leaveDays: schedule.leaveDays || [],
+  timezone: schedule.timezone,
+  isDefault: !schedule.id
+});
+
+/**
+ * A doctor's schedule, or the default one when none is set
+ * @param {number} doctorId - Doctor ID
+ * @returns {Object} { doctorId, weeklyHours, slotMinutes, breaks, leaveDays, timezone, isDefault }
+ */
+const getDoctorSchedule = async (doctorId) => {
+  const schedule = await DoctorSchedule.findOne({ where: { doctorId } });
+  return serializeSchedule(parseInt(doctorId, 10), schedule || DEFAULT_SCHEDULE);
+};
+
+// Error message for an invalid schedule, or null
+const validateSchedule = (schedule) => {
+  const days = Object.keys(schedule.weeklyHours || {});
+  if (days.length === 0) {
+    return 'weeklyHours needs at least one working day';
+  }
+  for (const day of days) {
+    const hours = schedule.weeklyHours[day];
+    if (!DAYS.includes(day)) {
+      return `Unknown day "${day}" in weeklyHours; use ${DAYS.join(', ')}`;
+    }
+    if (!hours || !TIME_PATTERN.test(hours.start) || !TIME_PATTERN.test(hours.end) || toMinutes(hours.start) >= toMinutes(hours.end)) {
+      return `Working hours for ${day} need a start before the end, e.g. { "start": "09:00", "end": "17:00" }`;
+    }
+  }
+
+  const slotMinutes = Number(schedule.slotMinutes);
+  if (!Number.isInteger(slotMinutes) || slotMinutes < MIN_SLOT_MINUTES || slotMinutes > MAX_SLOT_MINUTES) {
+    return `slotMinutes must be a whole number from ${MIN_SLOT_MINUTES} to ${MAX_SLOT_MINUTES}`;
+  }
+
+  if (!Array.isArray(schedule.breaks)) {
+    return 'breaks must be a list';
+  }
+  for (const pause of schedule.breaks) {
+    if (!pause || !TIME_PATTERN.test(pause.start) || !TIME_PATTERN.test(pause.end) || toMinutes(pause.start) >= toMinutes(pause.end)) {
+      return 'Each break needs a start before the end, e.g. { "start": "13:00", "end": "14:00" }';
+    }
+    if (pause.days && (!Array.isArray(pause.days) || pause.days.some((day) => !DAYS.includes(day)))) {
+      return `Break days must be a list of ${DAYS.join(', ')}`;
+    }
+  }
+
+  if (!Array.isArray(schedule.leaveDays)) {
+    return 'leaveDays must be a list';
+  }
+  for (const leave of schedule.leaveDays) {
+    if (!leave || !toScheduleDate(leave.from, '00:00') || (leave.to && (!toScheduleDate(leave.to, '00:00') || leave.to < leave.from))) {
+      return 'Each leave entry needs a from date (YYYY-MM-DD) and an optional later to date';
+    }
+  }
+
+  if (!TIMEZONES[schedule.timezone]) {
+    return `Unknown timezone "${schedule.timezone}"; use one of ${Object.keys(TIMEZONES).join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Set a doctor's schedule; fields left out keep their current (or default) values
+ * @param {number} doctorId - Doctor ID
+ * @param {Object} values - { weeklyHours, slotMinutes, breaks, leaveDays, timezone }
+ * @returns {Object} { success, schedule, error, errorCode }
+ */
+const setDoctorSchedule = async (doctorId, values = {}) => {
+  try {
+    const doctor = await Doctor.findByPk(doctorId);
+    if (!doctor) {
+      return { success: false, error: 'Doctor not found', errorCode: 'DOCTOR_NOT_FOUND' };
+    }
+
+    const current = await getDoctorSchedule(doctor.id);
+    const schedule = {};
+    ['weeklyHours', 'slotMinutes', 'breaks', 'leaveDays', 'timezone'].forEach((field) => {
+      schedule[field] = values[field] !== undefined ? values[field] : current[field];
+    });
+    const error = validateSchedule(schedule);
+    if (error) {
+      return { success: false, error, errorCode: 'INVALID_SCHEDULE' };
+    }
+    schedule.slotMinutes = Number(schedule.slotMinutes);
+
+    const existing = await DoctorSchedule.findOne({ where: { doctorId: doctor.id } });
+    const saved = existing ? await existing.update(schedule) : await DoctorSchedule.create({ doctorId: doctor.id, ...schedule });
+    console.log(`🗓️  Schedule updated for Dr. ${doctor.name}`);
+    return { success: true, schedule: serializeSchedule(doctor.id, saved) };
+  } catch (error) {
+    console.error('Error setting doctor schedule:', error);
+    return { success: false, error: error.message, errorCode: 'SET_SCHEDULE_FAILED' };
+  }
+};
+
+const findLeave = (schedule, date) => schedule.leaveDays.find((leave) => date >= leave.from && date <= (leave.to || leave.from));
+
+const findBreak = (schedule, day, start, end) => schedule.breaks.find((pause) =>
+  (!pause.days || pause.days.includes(day)) && start < toMinutes(pause.end) && end > toMinutes(pause.start));
+
+// Start minutes of the slots of a local date, before bookings are taken out
+const getDaySlots = (schedule, date) => {
+  const day = DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  const hours = schedule.weeklyHours[day];
+  if (!hours || findLeave(schedule, date)) return [];
+
+  const slots = [];
+  for (let start = toMinutes(hours.start); start + schedule.slotMinutes <= toMinutes(hours.end); start += schedule.slotMinutes) {
+    if (!findBreak(schedule, day, start, start + schedule.slotMinutes)) {
+      slots.push(start);
+    }
+  }
+  return slots;
+};
+
+/**
+ * Check a doctor can see a patient at a time: a working day, within hours, not on a break
+ * or leave, and no other appointment overlapping the slot
+ * @param {number} doctorId - Doctor ID
+ * @param {Date|string} dateTime - Appointment start
+ * @param {Object} options - { excludeAppointmentId } when moving an existing appointment
+ * @returns {Object} { available, schedule, error, errorCode }
+ */
+const checkDoctorAvailability = async (doctorId, dateTime, options = {}) => {
+  const schedule = await getDoctorSchedule(doctorId);
+  const start = new Date(dateTime);
+  if (isNaN(start.getTime())) {
+    return { available: false, schedule, error: 'Invalid date/time', errorCode: 'INVALID_APPOINTMENT_DATETIME' };
+  }
+
+  const local = toLocalParts(start, schedule.timezone);
+  const end = local.minutes + schedule.slotMinutes;
+  const hours = schedule.weeklyHours[local.day];
+  const leave = findLeave(schedule, local.date);
+  if (leave) {
+    return { available: false, schedule, error: `The doctor is on leave on ${local.date}${leave.to && leave.to !== leave.from ? ` (until ${leave.to})` : ''}`, errorCode: 'DOCTOR_ON_LEAVE' };
+  }
+  if (!hours) {
+    return { available: false, schedule, error: `The doctor does not work on ${DAY_NAMES[local.day]}s`, errorCode: 'DOCTOR_NOT_WORKING' };
+  }
+  if (local.minutes < toMinutes(hours.start) || end > toMinutes(hours.end)) {
+    return { available: false, schedule, error: `The doctor works ${hours.start} - ${hours.end} on ${DAY_NAMES[local.day]}s`, errorCode: 'OUTSIDE_WORKING_HOURS' };
+  }
+  const pause = findBreak(schedule, local.day, local.minutes, end);
+  if (pause) {
+    return { available: false, schedule, error: `The doctor is on a break from ${pause.start} to ${pause.end}`, errorCode: 'DOCTOR_ON_BREAK' };
+  }
+
+  const slotMs = schedule.slotMinutes * 60 * 1000;
+  const where = {
+    doctorId,
+    status: { [Op.ne]: 'Cancelled' },
+    dateTime: { [Op.gt]: new Date(start.getTime() - slotMs), [Op.lt]: new Date(start.getTime() + slotMs) }
+  };
+  if (options.excludeAppointmentId) {
+    where.id = { [Op.ne]: options.excludeAppointmentId };
+  }
+  const clash = await Appointment.findOne({ where });
+  if (clash) {
+    return { available: false, schedule, error: `The doctor is already booked at ${formatSlot(clash.dateTime, schedule.timezone)}`, errorCode: 'SLOT_TAKEN' };
+  }
+
+  return { available: true, schedule };
+};
+
+/**
+ * The next free slots of a doctor
+ * @param {number} doctorId - Doctor ID
+ * @param {Object} options - { from, days, limit }; slots start at least MIN_NOTICE_MINUTES from now
+ * @returns {Object} { slots: [Date], schedule }
+ */
+const getAvailableSlots = async (doctorId, options = {}) => {
+  const schedule = await getDoctorSchedule(doctorId);
+  const days = Math.min(parseInt(options.days, 10) || SEARCH_DAYS, 90);
+  const limit = parseInt(options.limit, 10) || LIST_SLOT_LIMIT;
+  const slotMs = schedule.slotMinutes * 60 * 1000;
+  const earliest = new Date(Math.max(options.from ? new Date(options.from).getTime() : 0, Date.now() + MIN_NOTICE_MINUTES * 60 * 1000));
+  const latest = new Date(earliest.getTime() + days * DAY_MS);
+
+  const booked = await Appointment.findAll({
+    where: {
+      doctorId,
+      status: { [Op.ne]: 'Cancelled' },
+      dateTime: { [Op.gt]: new Date(earliest.getTime() - slotMs), [Op.lt]: latest }
+    },
+    attributes: ['dateTime']
+  });
+  const bookedTimes = booked.map((appointment) => new Date(appointment.dateTime).getTime());
+
+  const slots = [];
+  for (let offset = 0; offset <= days && slots.length < limit; offset++) {
+    const date = toLocalParts(new Date(earliest.getTime() + offset * DAY_MS), schedule.timezone).date;
+    for (const minutes of getDaySlots(schedule, date)) {
+      const start = toScheduleDate(date, `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`, schedule.timezone);
+      if (start < earliest || start >= latest) continue;
+      if (bookedTimes.some((time) => Math.abs(time - start.getTime()) < slotMs)) continue;
+      slots.push(start);
+      if (slots.length >= limit) break;
+    }
+  }
+  return { slots, schedule };
+};
+
+/**
+ * Read a reply to the slot list
+ * @param {string} text - Message text or list row ID
+ * @returns {Object|null} { dateTime } for a slot, { after } for "later times", or null
+ */
+const parseSlotReply = (text) => {
+  const match = String(text || '').trim().match(/^slot_(more_)?(\d+)$/i);
+  if (!match) return null;
+  const dateTime = new Date(parseInt(match[2], 10) * 60 * 1000);
+  return match[1] ? { after: new Date(dateTime.getTime() + 60 * 1000) } : { dateTime };
+};
+
+/**
+ * Send a doctor's next free slots as a WhatsApp list grouped by day
+ * @param {string} phoneNumber - Customer phone number
+ * @param {Object} doctor - { id, name }
+ * @param {Object} options - { after } to show slots after an earlier list
+ * @returns {Object} { success, slots, error, errorCode }
+ */
+const offerDoctorSlots = async (phoneNumber, doctor, options = {}) => {
+  const { slots, schedule } = await getAvailableSlots(doctor.id, { from: options.after });
+  if (slots.length === 0) {
+    return {
+      success: false,
+      slots,
+      error: `Dr. ${doctor.name} has no free times in the ${options.after ? 'following' : 'next'} ${SEARCH_DAYS} days`,
+      errorCode: 'NO_FREE_SLOTS'
+    };
+  }
+
+  const sections = [];
+  slots.forEach((slot) => {
+    const title = new Date(slot).toLocaleDateString('en-NG', { timeZone: schedule.timezone, weekday: 'short', day: 'numeric', month: 'short' });
+    let section = sections.find((existing) => existing.title === title);
+    if (!section) {
+      section = { title, rows: [] };
+      sections.push(section);
+    }
+    section.rows.push({
+      id: `slot_${Math.round(slot.getTime() / 60000)}`,
+      title: new Date(slot).toLocaleTimeString('en-NG', { timeZone: schedule.timezone, hour: 'numeric', minute: '2-digit' }),
+      description: `${schedule.slotMinutes} min with Dr. ${doctor.name}`.slice(0, 72)
+    });
+  });
+  const last = slots[slots.length - 1];
+  sections[sections.length - 1].rows.push({ id: `slot_more_${Math.round(last.getTime() / 60000)}`, title: '⏭️ Later times', description: `After ${formatSlot(last, schedule.timezone)}` });
+
+  const zone = TIMEZONES[schedule.timezone] ? TIMEZONES[schedule.timezone].name : schedule.timezone;
+  await sendListMessage(
+    phoneNumber,
+    `📅 Next free times with Dr. ${doctor.name} (${zone}).\n\nTap "Choose a time" to pick one, or reply with a date and time, e.g. 2024-06-15 14:00.\n\nType 'cancel' to stop.`,
+    '🕐 Choose a time',
+    sections
+  );
+  return { success: true, slots };
+};
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  toScheduleDate,
+  parseScheduleDateTime,
+  formatSlot,
+  getDoctorSchedule,
+  setDoctorSchedule,
+  checkDoctorAvailability,
+  getAvailableSlots,
+  parseSlotReply,
+  offerDoctorSlots
+};
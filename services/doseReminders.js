@@ -0,0 +1,424 @@
+/**
+ * Dose Reminder Service
+ * Opt-in medication reminders from verified prescriptions:
+ * - After verification the patient is offered reminders for the medicines read from the prescription
+ * - Dose times follow the prescribed frequency (e.g. twice daily = 08:00 and 20:00 Africa/Lagos)
+ *   for the prescribed duration, or until stopped when no duration is given
+ * - Each reminder has "Taken" / "Skip" buttons; replies (and reminders left unanswered) are logged
+ *   for adherence reporting
+ * - 'stop reminders' ends them at any time
+ */
+
+const { Op } = require('sequelize');
+const { DoseSchedule, DoseLog, Prescription, Order, User } = require('../models');
+const { sendWhatsAppMessage, sendInteractiveMessage } = require('../config/whatsapp');
+const { TIMEZONES } = require('./appointmentManagement');
+const { scheduleRecurringJob } = require('./jobQueue');
+
+const TIMEZONE = 'Africa/Lagos';
+const UTC_OFFSET_MS = TIMEZONES[TIMEZONE].offset * 60 * 60 * 1000;
+const CHECK_INTERVAL_MINUTES = 5;
+// A dose time found more than this late (e.g. after downtime) is not reminded any more
+const LATE_LIMIT_MINUTES = 60;
+// Reminders without a reply after this long count as missed
+const MISSED_AFTER_HOURS = 4;
+
+// Local times of day by doses per day, spread over waking hours
+const DOSE_TIMES = {
+  1: ['08:00'],
+  2: ['08:00', '20:00'],
+  3: ['07:00', '14:00', '21:00'],
+  4: ['07:00', '12:00', '17:00', '22:00']
+};
+const DOSE_TIMES_BY_FREQUENCY = {
+  'at night': ['21:00'],
+  'in the morning': ['08:00']
+};
+
+const COUNTABLE_FORMS = ['tablet', 'capsule', 'suppository', 'sachet'];
+
+/**
+ * Local dose times for a parsed prescription medicine
+ * @param {Object} medicine - Medicine from the prescription parser
+ * @returns {Array|null} e.g. ['08:00', '20:00']; null when it is not taken on a schedule (prn, stat)
+ */
+const getDoseTimes = (medicine) => {
+  if (!medicine || !medicine.timesPerDay) return null;
+  return DOSE_TIMES_BY_FREQUENCY[medicine.frequency] || DOSE_TIMES[medicine.timesPerDay] || null;
+};
+
+/**
+ * First dose time strictly after a moment
+ * @param {Array} doseTimes - Local 'HH:MM' times
+ * @param {Date} after - Moment to search from
+ * @returns {Date} Next dose time
+ */
+const getNextDoseTime = (doseTimes, after) => {
+  // Shift into local time so the UTC getters read the Lagos calendar day
+  const local = new Date(new Date(after).getTime() + UTC_OFFSET_MS);
+  for (let day = 0; day <= 1; day += 1) {
+    for (const time of doseTimes) {
+      const [hours, minutes] = time.split(':').map((part) => parseInt(part, 10));
+      const candidate = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + day, hours, minutes) - UTC_OFFSET_MS;
+      if (candidate > new Date(after).getTime()) {
+        return new Date(candidate);
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Dose time as a Lagos clock time, e.g. "8:00 PM"
+ * @param {Date} date - Moment
+ * @returns {string} Local time
+ */
+const formatLocalTime = (date) => new Date(date).toLocaleTimeString('en-NG', { timeZone: TIMEZONE, hour: 'numeric', minute: '2-digit' });
+
+const describeDose = (medicine) => {
+  if (!medicine.dose || !COUNTABLE_FORMS.includes(medicine.dosageForm)) return null;
+  return `${medicine.dose} ${medicine.dosageForm}${medicine.dose > 1 ? 's' : ''}`;
+};
+
+const describeMedicine = (medicine) => [medicine.name, medicine.strength, medicine.dosageForm].filter(Boolean).join(' ');
+
+// Medicines of a prescription that are taken on a schedule
+const getSchedulableMedicines = (prescription) => {
+  const medicines = (prescription.parsedData && prescription.parsedData.medicines) || [];
+  return medicines.filter((medicine) => getDoseTimes(medicine));
+};
+
+/**
+ * Offer dose reminders to the patient once a prescription is verified
+ * @param {Object} prescription - Verified Prescription instance
+ * @returns {Object} { success, offered }
+ */
+const offerDoseReminders = async (prescription) => {
+  const medicines = getSchedulableMedicines(prescription);
+  if (prescription.verificationStatus !== 'Verified' || medicines.length === 0) {
+    return { success: true, offered: false };
+  }
+  const existing = await DoseSchedule.count({ where: { prescriptionId: prescription.id } });
+  if (existing > 0) {
+    return { success: true, offered: false };
+  }
+
+  const order = await Order.findByPk(prescription.orderId, { include: [User] });
+  if (!order || !order.User || !order.User.phoneNumber) {
+    return { success: true, offered: false };
+  }
+
+  const lines = medicines.map((medicine) => {
+    const times = getDoseTimes(medicine).join(', ');
+    return `• ${describeMedicine(medicine)}: ${medicine.frequency} (${times})${medicine.duration ? ` for ${medicine.duration}` : ''}`;
+  }).join('\n');
+  await sendInteractiveMessage(
+    order.User.phoneNumber,
+    `⏰ Would you like reminders to take your medicine? From prescription #${prescription.id}:\n${lines}\n\nTimes are Lagos time. You can also type 'remind me rx ${prescription.id}', and 'stop reminders' at any time.`,
+    [{ id: `dose_remind_${prescription.id}`, title: '⏰ Remind me' }]
+  );
+  return { success: true, offered: true };
+};
+
+/**
+ * Start dose reminders for the medicines of a verified prescription
+ * @param {number} userId - Patient
+ * @param {number} prescriptionId - Prescription ID
+ * @returns {Object} { success, schedules, error, errorCode }
+ */
+const startDoseReminders = async (userId, prescriptionId) => {
+  try {
+    const prescription = await Prescription.findByPk(prescriptionId, { include: [Order] });
+    if (!prescription || !prescription.Order || prescription.Order.userId !== userId) {
+      return { success: false, error: `Prescription #${prescriptionId} not found`, errorCode: 'PRESCRIPTION_NOT_FOUND' };
+    }
+    if (prescription.verificationStatus !== 'Verified') {
+      return { success: false, error: `Prescription #${prescriptionId} has not been verified by a pharmacist yet`, errorCode: 'PRESCRIPTION_NOT_VERIFIED' };
+    }
+
+    const medicines = getSchedulableMedicines(prescription);
+    if (medicines.length === 0) {
+      return { success: false, error: "We couldn't read how often to take the medicines on this prescription", errorCode: 'NO_DOSE_SCHEDULE' };
+    }
+
+    const active = await DoseSchedule.count({ where: { prescriptionId, status: 'active' } });
+    if (active > 0) {
+      return { success: false, error: `Reminders for prescription #${prescriptionId} are already on`, errorCode: 'REMINDERS_ACTIVE' };
+    }
+
+    const now = new Date();
+    const schedules = [];
+    for (const medicine of medicines) {
+      const doseTimes = getDoseTimes(medicine);
+      schedules.push(await DoseSchedule.create({
+        userId,
+        prescriptionId,
+        medicineName: describeMedicine(medicine),
+        dose: describeDose(medicine),
+        frequency: medicine.frequency,
+        doseTimes,
+        totalDoses: medicine.durationDays ? medicine.durationDays * doseTimes.length : null,
+        nextDoseAt: getNextDoseTime(doseTimes, now)
+      }));
+    }
+
+    console.log(`⏰ Dose reminders started for prescription #${prescriptionId} (${schedules.length} medicines)`);
+    return { success: true, schedules };
+  } catch (error) {
+    console.error('Error starting dose reminders:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'DOSE_REMINDERS_FAILED'
+    };
+  }
+};
+
+/**
+ * Stop a patient's dose reminders
+ * @param {number} userId - Patient
+ * @param {Object} options - { prescriptionId, scheduleId } to stop only some; all when omitted
+ * @returns {Object} { success, stopped }
+ */
+const stopDoseReminders = async (userId, options = {}) => {
+  const where = { userId, status: 'active' };
+  if (options.prescriptionId) where.prescriptionId = options.prescriptionId;
+  if (options.scheduleId) where.id = options.scheduleId;
+
+  const [stopped] = await DoseSchedule.update({ status: 'stopped', stoppedAt: new Date(), nextDoseAt: null }, { where });
+  return { success: true, stopped };
+};
+
+/**
+ * Record the patient's reply to a dose reminder
+ * @param {number} userId - Patient
+ * @param {number|null} logId - DoseLog ID; the latest unanswered reminder when null
+ * @param {string} status - 'taken' or 'skipped'
+ * @returns {Object} { success, log, schedule, error, errorCode }
+ */
+const recordDoseResponse = async (userId, logId, status) => {
+  const where = logId ? { id: logId, userId } : { userId, status: 'sent' };
+  const log = await DoseLog.findOne({ where, include: [DoseSchedule], order: [['scheduledAt', 'DESC']] });
+  if (!log) {
+    return { success: false, error: logId ? `Reminder #${logId} not found` : 'There is no dose reminder waiting for a reply', errorCode: 'DOSE_NOT_FOUND' };
+  }
+  // A late reply still counts; an earlier answer is corrected
+  await log.update({ status, respondedAt: new Date() });
+  return { success: true, log, schedule: log.DoseSchedule };
+};
+
+/**
+ * Adherence per medicine: replies to dose reminders
+ * @param {Object} where - { userId } or { prescriptionId }
+ * @returns {Array} [{ scheduleId, prescriptionId, medicineName, frequency, doseTimes, status, reminded, taken, skipped, missed, awaiting, adherenceRate }]
+ */
+const getAdherenceReport = async (where) => {
+  const schedules = await DoseSchedule.findAll({ where, include: [DoseLog], order: [['id', 'ASC']] });
+  return schedules.map((schedule) => {
+    const counts = { sent: 0, taken: 0, skipped: 0, missed: 0 };
+    (schedule.DoseLogs || []).forEach((log) => { counts[log.status] += 1; });
+    const answered = counts.taken + counts.skipped + counts.missed;
+    return {
+      scheduleId: schedule.id,
+      prescriptionId: schedule.prescriptionId,
+      medicineName: schedule.medicineName,
+      frequency: schedule.frequency,
+      doseTimes: schedule.doseTimes,
+      status: schedule.status,
+      reminded: answered + counts.sent,
+      taken: counts.taken,
+      skipped: counts.skipped,
+      missed: counts.missed,
+      awaiting: counts.sent,
+      adherenceRate: answered > 0 ? Math.round((counts.taken / answered) * 100) : null
+    };
+  });
+};
+
+/**
+ * WhatsApp summary of a patient's reminders and adherence
+ * @param {Array} report - From getAdherenceReport
+ * @returns {string} Message
+ */
+const formatAdherenceMessage = (report) => {
+  if (report.length === 0) {
+    return "⏰ You have no dose reminders. When a pharmacist verifies your prescription, we'll offer to remind you when to take your medicine.";
+  }
+
+  let message = '⏰ *Your dose reminders*\n\n';
+  report.forEach((entry) => {
+    message += `${entry.medicineName} (Rx #${entry.prescriptionId})\n`;
+    message += `   ${entry.frequency} at ${entry.doseTimes.join(', ')} · ${entry.status}\n`;
+    if (entry.reminded > 0) {
+      message += `   Taken ${entry.taken}, skipped ${entry.skipped}, missed ${entry.missed}${entry.adherenceRate !== null ? ` · ${entry.adherenceRate}% taken` : ''}\n`;
+    }
+  });
+  message += `\nType 'stop reminders' to turn them all off, or 'stop reminders rx [id]' for one prescription.`;
+  return message;
+};
+
+// Advance a schedule past the dose time it is on, completing the course after its last dose
+const advanceSchedule = async (schedule) => {
+  const dosesScheduled = schedule.dosesScheduled + 1;
+  if (schedule.totalDoses && dosesScheduled >= schedule.totalDoses) {
+    await schedule.update({ dosesScheduled, status: 'completed', nextDoseAt: null });
+    return true;
+  }
+  await schedule.update({ dosesScheduled, nextDoseAt: getNextDoseTime(schedule.doseTimes, schedule.nextDoseAt) });
+  return false;
+};
+
+/**
+ * Send reminders for doses that are due and mark unanswered reminders as missed
+ * @returns {Object} { success, reminded: [doseLogId], missed, completed: [scheduleId] }
+ */
+const sendDueDoseReminders = async () => {
+  const now = new Date();
+  const [missed] = await DoseLog.update(
+    { status: 'missed' },
+    { where: { status: 'sent', scheduledAt: { [Op.lt]: new Date(now.getTime() - MISSED_AFTER_HOURS * 60 * 60 * 1000) } } }
+  );
+
+  const schedules = await DoseSchedule.findAll({
+    where: { status: 'active', nextDoseAt: { [Op.lte]: now } },
+    include: [User]
+  });
+
+  const reminded = [];
+  const completed = [];
+  for (const schedule of schedules) {
+    try {
+      // Catch up past dose times one at a time; only the current one is worth reminding about
+      while (schedule.status === 'active' && new Date(schedule.nextDoseAt).getTime() < now.getTime() - LATE_LIMIT_MINUTES * 60 * 1000) {
+        await advanceSchedule(schedule);
+      }
+      if (schedule.status !== 'active' || new Date(schedule.nextDoseAt) > now) {
+        if (schedule.status === 'completed') completed.push(schedule.id);
+        continue;
+      }
+
+      const scheduledAt = schedule.nextDoseAt;
+      const isLast = await advanceSchedule(schedule);
+      if (!schedule.User || !schedule.User.phoneNumber) continue;
+
+      const log = await DoseLog.create({ doseScheduleId: schedule.id, userId: schedule.userId, scheduledAt });
+      let body = `💊 Time for your medicine (${formatLocalTime(scheduledAt)}):\n${schedule.medicineName}${schedule.dose ? ` — ${schedule.dose}` : ''}`;
+      if (schedule.totalDoses) {
+        body += `\n\nDose ${schedule.dosesScheduled} of ${schedule.totalDoses}${isLast ? ', the last of the course' : ''}`;
+      }
+      await sendInteractiveMessage(schedule.User.phoneNumber, body, [
+        { id: `dose_taken_${log.id}`, title: '✅ Taken' },
+        { id: `dose_skip_${log.id}`, title: '⏭️ Skip' },
+        { id: `dose_stop_${schedule.id}`, title: '🔕 Stop reminders' }
+      ]);
+      reminded.push(log.id);
+      if (isLast) completed.push(schedule.id);
+    } catch (error) {
+      console.error(`Dose reminder failed for schedule #${schedule.id}:`, error.message);
+    }
+  }
+
+  if (reminded.length > 0) {
+    console.log(`⏰ Dose reminders sent: ${reminded.length}${completed.length ? `; courses completed: ${completed.join(', ')}` : ''}`);
+  }
+  return { success: true, reminded, missed, completed };
+};
+
+/**
+ * Handle a dose reminder command or button reply from WhatsApp
+ * Reminder buttons reach patients who may not be logged in, so the phone number identifies them
+ * @param {string} phoneNumber - Patient phone number
+ * @param {Object} session - Session (may be logged out)
+ * @param {Object} parameters - { action: 'start'|'taken'|'skip'|'stop'|'list', prescriptionId, doseLogId, scheduleId }
+ */
+const handleDoseReminderCommand = async (phoneNumber, session, parameters = {}) => {
+  let userIds = session && session.data && session.data.userId ? [session.data.userId] : [];
+  if (userIds.length === 0) {
+    const users = await User.findAll({ where: { phoneNumber }, attributes: ['id'] });
+    userIds = users.map((user) => user.id);
+  }
+  if (userIds.length === 0) {
+    await sendWhatsAppMessage(phoneNumber, "We couldn't find an account for this number. Type 'login' to sign in.");
+    return;
+  }
+
+  const prescriptionId = parseInt(parameters.prescriptionId, 10) || null;
+  switch (parameters.action) {
+    case 'start': {
+      if (!prescriptionId) {
+        await sendWhatsAppMessage(phoneNumber, "Which prescription? Example: 'remind me rx 12'");
+        return;
+      }
+      let result;
+      for (const userId of userIds) {
+        result = await startDoseReminders(userId, prescriptionId);
+        if (result.errorCode !== 'PRESCRIPTION_NOT_FOUND') break;
+      }
+      if (!result.success) {
+        await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}.`);
+        return;
+      }
+      const lines = result.schedules.map((schedule) => {
+        const course = schedule.totalDoses ? ` (${schedule.totalDoses} doses)` : ' (until you stop them)';
+        return `• ${schedule.medicineName}: ${schedule.doseTimes.join(', ')}${course}`;
+      }).join('\n');
+      await sendWhatsAppMessage(phoneNumber, `✅ Dose reminders are on (Lagos time):\n${lines}\n\nFirst reminder: ${formatLocalTime(result.schedules.map((s) => s.nextDoseAt).sort((a, b) => a - b)[0])}. Reply to each with Taken or Skip. Type 'stop reminders' to turn them off.`);
+      return;
+    }
+    case 'taken':
+    case 'skip': {
+      const status = parameters.action === 'taken' ? 'taken' : 'skipped';
+      let result;
+      for (const userId of userIds) {
+        result = await recordDoseResponse(userId, parseInt(parameters.doseLogId, 10) || null, status);
+        if (result.success) break;
+      }
+      if (!result.success) {
+        await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}.`);
+        return;
+      }
+      await sendWhatsAppMessage(phoneNumber, status === 'taken'
+        ? `✅ Noted: ${result.schedule.medicineName} taken. Keep it up!`
+        : `⏭️ Noted: ${result.schedule.medicineName} skipped. If you keep missing doses, talk to your doctor or type 'support' to reach our pharmacist.`);
+      return;
+    }
+    case 'stop': {
+      const scheduleId = parseInt(parameters.scheduleId, 10) || null;
+      let stopped = 0;
+      for (const userId of userIds) {
+        stopped += (await stopDoseReminders(userId, { prescriptionId, scheduleId })).stopped;
+      }
+      await sendWhatsAppMessage(phoneNumber, stopped > 0
+        ? `🔕 Stopped ${stopped} dose reminder${stopped === 1 ? '' : 's'}. Type 'my reminders' to see your adherence.`
+        : 'You have no active dose reminders.');
+      return;
+    }
+    default: {
+      const report = await getAdherenceReport({ userId: { [Op.in]: userIds } });
+      await sendWhatsAppMessage(phoneNumber, formatAdherenceMessage(report));
+    }
+  }
+};
+
+/**
+ * Periodically send due dose reminders
+ * @returns {Promise<Object|null>} Recurring job
+ */
+const startDoseReminderScheduler = () => {
+  console.log(`⏰ Dose reminders checked every ${CHECK_INTERVAL_MINUTES} minutes (${TIMEZONE})`);
+  return scheduleRecurringJob('dose-reminders', { everyMinutes: CHECK_INTERVAL_MINUTES }, () => sendDueDoseReminders());
+};
+
+module.exports = {
+  getDoseTimes,
+  getNextDoseTime,
+  offerDoseReminders,
+  startDoseReminders,
+  stopDoseReminders,
+  recordDoseResponse,
+  getAdherenceReport,
+  formatAdherenceMessage,
+  sendDueDoseReminders,
+  handleDoseReminderCommand,
+  startDoseReminderScheduler
+};
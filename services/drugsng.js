@@ -3,7 +3,9 @@ const CryptoJS = require('crypto-js');
 const { User, Product, Doctor, Order, OrderItem, Appointment } = require('../models');
 const { encryptData } = require('./security');
 const { isValidEmail, isValidPhoneNumber, sanitizeInput } = require('../utils/validation');
-const { uploadImageFromUrl } = require('./cloudinary');
+const { checkProductAvailability } = require('./inventory');
+const { searchCatalog, listCatalog } = require('./catalog');
+const { checkDoctorAvailability } = require('./doctorSchedules');
 
 // Drugs.ng API client with timeout
 const drugsngAPI = axios.create({
@@ -14,27 +16,6 @@ const drugsngAPI = axios.create({
   timeout: 10000 // 10 second timeout
 });
 
-const generatePlaceholderUrl = (name) => {
-  const text = encodeURIComponent((name || 'Medicine').substring(0, 20));
-  return `https://via.placeholder.com/512x512.png?text=${text}`;
-};
-
-const ensureDbProductHasImage = async (product) => {
-  if (product.imageUrl) return product.imageUrl;
-  try {
-    const uploaded = await uploadImageFromUrl(generatePlaceholderUrl(product.name), {
-      folder: 'drugs-ng/products/medicines',
-      filename: `product-${product.id}-${Date.now()}`
-    });
-    product.imageUrl = uploaded.url;
-    await product.save();
-    return product.imageUrl;
-  } catch (e) {
-    console.warn('Placeholder upload failed:', e.message);
-    return null;
-  }
-};
-
 // Register new user in both PostgreSQL and Drugs.ng API
 const registerUser = async (userData) => {
   try {
@@ -191,34 +172,8 @@ const listAllProductsPaginated = async (page = 1, pageSize = 5) => {
   }
 
   // Fallback to PostgreSQL
-  const { Op } = require('sequelize');
-  const offset = (safePage - 1) * safeSize;
-  const { rows, count } = await Product.findAndCountAll({
-    where: { isActive: true },
-    order: [['id', 'ASC']],
-    offset,
-    limit: safeSize
-  });
-
-  // Ensure images for DB items
-  for (const p of rows) {
-    if (!p.imageUrl) {
-      await ensureDbProductHasImage(p);
-    }
-  }
-
-  const items = rows.map(p => ({
-    id: p.id,
-    name: p.name,
-    category: p.category,
-    description: p.description,
-    price: p.price,
-    stock: p.stock,
-    imageUrl: p.imageUrl
-  }));
-  const total = count;
-  const totalPages = Math.max(1, Math.ceil(total / safeSize));
-  return { items, total, totalPages, page: safePage, pageSize: safeSize, source: 'db' };
+  const result = await listCatalog({ productType: 'medicine', page: safePage, pageSize: safeSize });
+  return { ...result, source: 'db' };
 };
 
 // Search products (and doctors if applicable)
@@ -244,17 +199,8 @@ const searchProducts = async (query) => {
   // Fallback to PostgreSQL - search products
   try {
     const { Op } = require('sequelize');
-    const products = await Product.findAll({
-      where: {
-        [Op.or]: [
-          { name: { [Op.iLike]: `%${sanitizedQuery}%` } },
-          { category: { [Op.iLike]: `%${sanitizedQuery}%` } },
-          { description: { [Op.iLike]: `%${sanitizedQuery}%` } }
-        ],
-        isActive: true
-      },
-      limit: 10
-    });
+    // Medicines and healthcare products share one catalog, so one search covers both
+    const products = await searchCatalog(sanitizedQuery, { limit: 10 });
 
     // Check if query matches doctor keywords - if so, also search doctors
     const doctorKeywords = ['doctor', 'specialist', 'cardiologist', 'pediatrician', 'dermatologist', 'neurologist', 'physician'];
@@ -289,23 +235,7 @@ const searchProducts = async (query) => {
       }
     }
 
-    // Ensure images for DB items
-    for (const p of products) {
-      if (!p.imageUrl) {
-        await ensureDbProductHasImage(p);
-      }
-    }
-
-    return products.map(product => ({
-      id: product.id,
-      type: 'product',
-      name: product.name,
-      category: product.category,
-      description: product.description,
-      price: product.price,
-      stock: product.stock,
-      imageUrl: product.imageUrl
-    }));
+    return products;
   } catch (dbError) {
     console.error('Fallback search error:', dbError);
     throw new Error('Unable to search products. Please try again later.');
@@ -326,10 +256,13 @@ const addToCart = async (userId, productId, quantity) => {
       throw new Error('User not found');
     }
     
-    const product = await Product.findByPk(productId);
-    if (!product) {
-      throw new Error('Product not found');
+    const availability = await checkProductAvailability(productId, quantity, userId);
+    if (!availability.success) {
+      const stockError = new Error(availability.error);
+      stockError.code = availability.errorCode;
+      throw stockError;
     }
+    const { product } = availability;
     
     // Check if there's a pending order for this user
     let order = await Order.findOne({
@@ -457,6 +390,8 @@ const trackOrder = async (orderId) => {
       id: order.id,
       status: order.status,
       totalAmount: order.totalAmount,
+      deliveryFee: order.deliveryFee,
+      codSurcharge: order.codSurcharge,
       paymentStatus: order.paymentStatus,
       shippingAddress: order.shippingAddress,
       orderDate: order.orderDate,
@@ -526,6 +461,8 @@ const bookAppointment = async (userId, doctorId, dateTime) => {
       doctorId: doctorId,
       dateTime: dateTime,
       status: 'Scheduled',
+      consultationFee: doctor.consultationFee || null,
+      paymentStatus: doctor.consultationFee > 0 ? 'Pending' : 'Not Required',
       drugsngAppointmentId: null
     });
     
@@ -533,6 +470,8 @@ const bookAppointment = async (userId, doctorId, dateTime) => {
       success: true,
       appointmentId: appointment.id,
       status: appointment.status,
+      consultationFee: appointment.consultationFee,
+      paymentRequired: appointment.paymentStatus === 'Pending',
       message: 'Appointment booked (offline mode)'
     };
   }
@@ -677,17 +616,7 @@ const validateAppointmentDateTime = (dateTime, timezone = 'Africa/Lagos') => {
       };
     }
 
-    // Check if appointment is within business hours (8 AM to 6 PM)
-    const hours = appointmentDate.getHours();
-    if (hours < 8 || hours >= 18) {
-      warnings.push('⚠️ Appointment is outside normal business hours (8 AM - 6 PM). It may be rescheduled.');
-    }
-
-    // Check if it's a weekend
-    const dayOfWeek = appointmentDate.getDay();
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
-      warnings.push('⚠️ Appointment is on a weekend. Please note that weekend appointments may have limited availability.');
-    }
+    // Working hours are the doctor's own and are checked against their schedule when booking
 
     // Check if appointment is too far in the future (e.g., more than 3 months)
     const maxDate = new Date();
@@ -757,12 +686,24 @@ const bookAppointmentValidated = async (userId, doctorId, dateTime, timezone = '
       throw new Error('Doctor is not currently available');
     }
 
+    const availability = await checkDoctorAvailability(doctorId, dateTime);
+    if (!availability.available) {
+      return {
+        success: false,
+        error: availability.error,
+        errorCode: availability.errorCode,
+        warnings: validation.warnings
+      };
+    }
+
     // Create appointment
     const appointment = await Appointment.create({
       userId,
       doctorId,
       dateTime: new Date(dateTime),
       status: 'Scheduled',
+      consultationFee: doctor.consultationFee || null,
+      paymentStatus: doctor.consultationFee > 0 ? 'Pending' : 'Not Required',
       drugsngAppointmentId: null
     });
 
@@ -790,6 +731,8 @@ const bookAppointmentValidated = async (userId, doctorId, dateTime, timezone = '
       doctorName: doctor.name,
       appointmentDate: appointment.dateTime,
       status: appointment.status,
+      consultationFee: appointment.consultationFee,
+      paymentRequired: appointment.paymentStatus === 'Pending',
       syncedWithAPI,
       warnings: validation.warnings,
       message: `✅ Appointment confirmed with Dr. ${doctor.name} on ${appointment.dateTime.toLocaleDateString('en-NG')} at ${appointment.dateTime.toLocaleTimeString('en-NG')}`
@@ -1,6 +1,16 @@
 const axios = require('axios');
-const { HealthcareProduct, Cart, User, Product } = require('../models');
-const { uploadImage, deleteImage } = require('./cloudinary');
+const { addToCartWithSession } = require('./orderManagement');
+const {
+  searchCatalog,
+  listCatalog,
+  getCatalogCategories,
+  getCatalogProduct,
+  uploadCatalogImage,
+  setProductImage
+} = require('./catalog');
+
+// Healthcare products are Product rows with productType 'healthcare' (see services/catalog.js);
+// the old healthcare_products table is only read by migrations/005-unify-healthcare-products.js
 
 // Drugs.ng API client with timeout
 const drugsngAPI = axios.create({
@@ -31,16 +41,7 @@ const searchHealthcareProducts = async (query) => {
     }
 
     // Fallback to local database
-    const products = await HealthcareProduct.findAll({
-      where: {
-        isActive: true,
-        [require('sequelize').Op.or]: [
-          { name: { [require('sequelize').Op.iLike]: `%${query}%` } },
-          { category: { [require('sequelize').Op.iLike]: `%${query}%` } },
-          { description: { [require('sequelize').Op.iLike]: `%${query}%` } }
-        ]
-      }
-    });
+    const products = await searchCatalog(query, { productType: 'healthcare', limit: 20 });
 
     return products;
   } catch (error) {
@@ -69,14 +70,7 @@ const getHealthcareProductsByCategory = async (category) => {
     }
 
     // Fallback to local database
-    const products = await HealthcareProduct.findAll({
-      where: {
-        category: {
-          [require('sequelize').Op.iLike]: `%${category}%`
-        },
-        isActive: true
-      }
-    });
+    const { items: products } = await listCatalog({ productType: 'healthcare', category, pageSize: 50 });
 
     return products;
   } catch (error) {
@@ -101,14 +95,7 @@ const getHealthcareCategories = async () => {
     }
 
     // Fallback to local database
-    const products = await HealthcareProduct.findAll({
-      where: { isActive: true },
-      attributes: ['category'],
-      raw: true,
-      group: ['category']
-    });
-
-    return products.map(p => p.category);
+    return getCatalogCategories('healthcare');
   } catch (error) {
     console.error('Error fetching healthcare categories:', error);
     throw error;
@@ -118,7 +105,7 @@ const getHealthcareCategories = async () => {
 // Get product details
 const getHealthcareProductDetails = async (productId) => {
   try {
-    const product = await HealthcareProduct.findByPk(productId);
+    const product = await getCatalogProduct(productId, 'healthcare');
     if (!product) {
       throw new Error('Product not found');
     }
@@ -129,59 +116,31 @@ const getHealthcareProductDetails = async (productId) => {
   }
 };
 
-// Add healthcare product to cart
-const addHealthcareProductToCart = async (userId, productId, quantity = 1) => {
+// Add healthcare product to cart (the same Processing order cart as medicines)
+const addHealthcareProductToCart = async (userId, productId, quantity = 1, session = {}) => {
   try {
     if (!userId || !productId || quantity < 1) {
       throw new Error('Invalid user ID, product ID, or quantity');
     }
 
-    // Verify user exists
-    const user = await User.findByPk(userId);
-    if (!user) {
-      throw new Error('User not found');
-    }
-
-    // Get product details
-    const product = await HealthcareProduct.findByPk(productId);
+    const product = await getCatalogProduct(productId, 'healthcare');
     if (!product) {
       throw new Error('Product not found');
     }
 
-    if (!product.isActive) {
-      throw new Error('Product is not available');
-    }
-
-    if (product.stock < quantity) {
-      throw new Error(`Only ${product.stock} units available`);
-    }
-
-    // Check if product already in cart
-    let cartItem = await Cart.findOne({
-      where: { userId, productId }
-    });
-
-    if (cartItem) {
-      // Update quantity
-      cartItem.quantity += quantity;
-      await cartItem.save();
-    } else {
-      // Create new cart item
-      cartItem = await Cart.create({
-        userId,
-        productId,
-        quantity,
-        price: product.price
-      });
+    const result = await addToCartWithSession(userId, product.id, quantity, session);
+    if (!result.success) {
+      throw new Error(result.error);
     }
 
     return {
       success: true,
       message: `${product.name} added to cart`,
-      cartItem,
+      orderId: result.orderId,
       productName: product.name,
-      quantity: cartItem.quantity,
-      price: product.price
+      quantity: result.quantity,
+      price: product.price,
+      cartTotal: result.cartTotal
     };
   } catch (error) {
     console.error('Error adding healthcare product to cart:', error);
@@ -189,107 +148,6 @@ const addHealthcareProductToCart = async (userId, productId, quantity = 1) => {
   }
 };
 
-// Get user's cart
-const getUserCart = async (userId) => {
-  try {
-    const cartItems = await Cart.findAll({
-      where: { userId },
-      include: [
-        {
-          model: Product,
-          attributes: ['id', 'name', 'price']
-        }
-      ]
-    });
-
-    if (cartItems.length === 0) {
-      return {
-        items: [],
-        totalAmount: 0,
-        totalItems: 0
-      };
-    }
-
-    const totalAmount = cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-
-    return {
-      items: cartItems,
-      totalAmount,
-      totalItems: cartItems.length
-    };
-  } catch (error) {
-    console.error('Error fetching user cart:', error);
-    throw error;
-  }
-};
-
-// Remove item from cart
-const removeFromCart = async (userId, cartItemId) => {
-  try {
-    const cartItem = await Cart.findOne({
-      where: { id: cartItemId, userId }
-    });
-
-    if (!cartItem) {
-      throw new Error('Cart item not found');
-    }
-
-    await cartItem.destroy();
-
-    return {
-      success: true,
-      message: 'Item removed from cart'
-    };
-  } catch (error) {
-    console.error('Error removing from cart:', error);
-    throw error;
-  }
-};
-
-// Update cart item quantity
-const updateCartItemQuantity = async (userId, cartItemId, quantity) => {
-  try {
-    if (quantity < 1) {
-      throw new Error('Quantity must be at least 1');
-    }
-
-    const cartItem = await Cart.findOne({
-      where: { id: cartItemId, userId }
-    });
-
-    if (!cartItem) {
-      throw new Error('Cart item not found');
-    }
-
-    cartItem.quantity = quantity;
-    await cartItem.save();
-
-    return {
-      success: true,
-      message: 'Cart updated',
-      cartItem
-    };
-  } catch (error) {
-    console.error('Error updating cart item:', error);
-    throw error;
-  }
-};
-
-// Clear user's cart
-const clearCart = async (userId) => {
-  try {
-    await Cart.destroy({ where: { userId } });
-
-    return {
-      success: true,
-      message: 'Cart cleared'
-    };
-  } catch (error) {
-    console.error('Error clearing cart:', error);
-    throw error;
-  }
-};
-
 // Upload healthcare product image
 const uploadProductImage = async (fileBuffer, productId = null, filename = null) => {
   try {
@@ -297,11 +155,7 @@ const uploadProductImage = async (fileBuffer, productId = null, filename = null)
       throw new Error('File buffer is required');
     }
 
-    // Upload to Cloudinary
-    const uploadedFile = await uploadImage(fileBuffer, {
-      folder: 'drugs-ng/products/healthcare',
-      filename: filename || `healthcare-product-${productId || Date.now()}`
-    });
+    const uploadedFile = await uploadCatalogImage(fileBuffer, { productType: 'healthcare', productId, filename });
 
     return {
       success: true,
@@ -322,18 +176,12 @@ const updateProductImage = async (productId, fileBuffer, filename = null) => {
       throw new Error('Product ID and file buffer are required');
     }
 
-    // Get existing product
-    const product = await HealthcareProduct.findByPk(productId);
-    if (!product) {
+    const existing = await getCatalogProduct(productId, 'healthcare');
+    if (!existing) {
       throw new Error('Product not found');
     }
 
-    // Upload new image
-    const uploadResult = await uploadProductImage(fileBuffer, productId, filename);
-
-    // Update product with new image URL
-    product.imageUrl = uploadResult.url;
-    await product.save();
+    const product = await setProductImage(productId, fileBuffer, filename);
 
     return {
       success: true,
@@ -350,9 +198,7 @@ const updateProductImage = async (productId, fileBuffer, filename = null) => {
 // Get product image URL
 const getProductImageUrl = async (productId) => {
   try {
-    const product = await HealthcareProduct.findByPk(productId, {
-      attributes: ['id', 'name', 'imageUrl']
-    });
+    const product = await getCatalogProduct(productId, 'healthcare');
 
     if (!product) {
       throw new Error('Product not found');
@@ -375,10 +221,6 @@ module.exports = {
   getHealthcareCategories,
   getHealthcareProductDetails,
   addHealthcareProductToCart,
-  getUserCart,
-  removeFromCart,
-  updateCartItemQuantity,
-  clearCart,
   uploadProductImage,
   updateProductImage,
   getProductImageUrl
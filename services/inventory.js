@@ -0,0 +1,448 @@
+/**
+ * Inventory Service
+ * Handles product stock for orders:
+ * - Availability checks (stock minus units reserved by unpaid orders) for search and add-to-cart
+ * - Reserve stock when an order is placed
+ * - Commit (deduct) reserved stock when payment is confirmed, or straight away for cash on delivery,
+ *   taking units from batches first-expiry-first-out and recording them on the order items
+ * - Release stock when an order is cancelled or its payment times out
+ * - Record restock deliveries (supplier, batch number, expiry) and list products at their reorder threshold
+ * Product rows are locked (SELECT ... FOR UPDATE) while stock changes so concurrent
+ * customers cannot reserve the same units.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Order, OrderItem, Product, StockReservation, Restock } = require('../models');
+const { updateOrderStatus, CART_STATUS } = require('./orderLifecycle');
+const { receiveBatch, allocateBatches, returnBatchAllocations } = require('./productBatches');
+const { scheduleRecurringJob } = require('./jobQueue');
+
+const RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES || '120', 10);
+const SWEEP_INTERVAL_MINUTES = 5;
+// Reconciliation marks orders whose every payment attempt failed as 'Failed'; they are still unpaid
+const UNPAID_PAYMENT_STATUSES = ['Pending', 'Failed'];
+
+/**
+ * Units of a product that can still be sold
+ * @param {Object} product - Product instance or plain object
+ * @returns {number} Available units
+ */
+const getAvailableStock = (product) => Math.max(0, (product.stock || 0) - (product.reservedStock || 0));
+
+// Lock product rows in ID order so concurrent checkouts cannot deadlock
+const lockProducts = (productIds, transaction) => {
+  return Product.findAll({
+    where: { id: productIds },
+    order: [['id', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+};
+
+/**
+ * Check a product can be added to a user's cart
+ * @param {number} productId - Product ID
+ * @param {number} quantity - Quantity being added
+ * @param {number} userId - Counts what is already in the user's cart when given
+ * @returns {Object} { success, product, available, error, errorCode }
+ */
+const checkProductAvailability = async (productId, quantity, userId = null) => {
+  const product = await Product.findByPk(productId);
+  if (!product) {
+    return { success: false, error: 'Product not found', errorCode: 'PRODUCT_NOT_FOUND' };
+  }
+  if (!product.isActive) {
+    return { success: false, product, available: 0, error: `Sorry, ${product.name} is no longer available.`, errorCode: 'PRODUCT_UNAVAILABLE' };
+  }
+
+  let inCart = 0;
+  if (userId) {
+    const cart = await Order.findOne({ where: { userId, status: CART_STATUS } });
+    const item = cart ? await OrderItem.findOne({ where: { orderId: cart.id, productId } }) : null;
+    inCart = item ? item.quantity : 0;
+  }
+
+  const available = getAvailableStock(product);
+  if (available <= 0) {
+    return { success: false, product, available: 0, error: `Sorry, ${product.name} is out of stock.`, errorCode: 'OUT_OF_STOCK' };
+  }
+  if (inCart + quantity > available) {
+    return {
+      success: false,
+      product,
+      available,
+      error: `Only ${available} unit(s) of ${product.name} available${inCart > 0 ? ` and you already have ${inCart} in your cart` : ''}.`,
+      errorCode: 'INSUFFICIENT_STOCK'
+    };
+  }
+
+  return { success: true, product, available };
+};
+
+/**
+ * Reserve stock for every item of a placed order
+ * @param {Object} order - Order instance with OrderItems loaded
+ * @param {Object} options - { expires } unpaid reservations expire after STOCK_RESERVATION_MINUTES when true
+ * @returns {Object} { success, reservations, error, errorCode }
+ */
+const reserveOrderStock = async (order, options = {}) => {
+  try {
+    const items = order.OrderItems || await OrderItem.findAll({ where: { orderId: order.id } });
+    const expiresAt = options.expires ? new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000) : null;
+
+    const reservations = await sequelize.transaction(async (transaction) => {
+      // A retried placement must not reserve twice; the order row lock makes concurrent retries
+      // wait here until the first one has committed its reservations
+      await Order.findByPk(order.id, { lock: transaction.LOCK.UPDATE, transaction });
+      const existing = await StockReservation.count({ where: { orderId: order.id, status: { [Op.ne]: 'Released' } }, transaction });
+      if (existing > 0) {
+        return null;
+      }
+
+      const products = await lockProducts(items.map((item) => item.productId), transaction);
+      const byId = new Map(products.map((product) => [product.id, product]));
+
+      const shortages = items.filter((item) => {
+        const product = byId.get(item.productId);
+        return !product || !product.isActive || getAvailableStock(product) < item.quantity;
+      });
+      if (shortages.length > 0) {
+        const names = shortages.map((item) => {
+          const product = byId.get(item.productId);
+          if (!product) return `product #${item.productId}`;
+          return product.isActive ? `${product.name} (only ${getAvailableStock(product)} left)` : `${product.name} (no longer available)`;
+        });
+        const error = new Error(`Not enough stock for: ${names.join(', ')}. Please update your cart.`);
+        error.code = 'INSUFFICIENT_STOCK';
+        throw error;
+      }
+
+      const created = [];
+      for (const item of items) {
+        await byId.get(item.productId).increment('reservedStock', { by: item.quantity, transaction });
+        created.push(await StockReservation.create({
+          orderId: order.id,
+          productId: item.productId,
+          quantity: item.quantity,
+          expiresAt
+        }, { transaction }));
+      }
+      return created;
+    });
+
+    if (!reservations) {
+      return { success: true };
+    }
+
+    console.log(`📦 Stock reserved for order #${order.id}${expiresAt ? ` until ${expiresAt.toISOString()}` : ''}`);
+    return { success: true, reservations };
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_STOCK') {
+      return { success: false, error: error.message, errorCode: 'INSUFFICIENT_STOCK' };
+    }
+    console.error('Error reserving order stock:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'RESERVE_STOCK_FAILED'
+    };
+  }
+};
+
+/**
+ * Start the payment window of an order's reservation now (an order held for a prescription
+ * keeps its units without a deadline until it is released for payment)
+ * @param {number} orderId - Order ID
+ * @returns {Date} New expiry
+ */
+const renewOrderReservation = async (orderId) => {
+  const expiresAt = new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000);
+  await StockReservation.update({ expiresAt }, { where: { orderId, status: 'Reserved' } });
+  return expiresAt;
+};
+
+/**
+ * Deduct an order's reserved stock (payment confirmed or cash on delivery)
+ * @param {number} orderId - Order ID
+ * @returns {Object} { success, committed, error, errorCode }
+ */
+const commitOrderStock = async (orderId) => {
+  try {
+    const committed = await sequelize.transaction(async (transaction) => {
+      const reservations = await StockReservation.findAll({
+        where: { orderId, status: 'Reserved' },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (reservations.length === 0) {
+        return false;
+      }
+
+      const products = await lockProducts(reservations.map((r) => r.productId), transaction);
+      const byId = new Map(products.map((product) => [product.id, product]));
+
+      for (const reservation of reservations) {
+        const product = byId.get(reservation.productId);
+        await product.decrement({ stock: reservation.quantity, reservedStock: reservation.quantity }, { transaction });
+        const batchAllocations = await allocateBatches(reservation.productId, reservation.quantity, transaction);
+        await OrderItem.update({ batchAllocations }, { where: { orderId, productId: reservation.productId }, transaction });
+        await reservation.update({ status: 'Committed', committedAt: new Date() }, { transaction });
+      }
+      await Order.update({ stockCommitted: true }, { where: { id: orderId }, transaction });
+      return true;
+    });
+
+    if (committed) {
+      console.log(`📉 Stock deducted for order #${orderId}`);
+    }
+    return { success: true, committed };
+  } catch (error) {
+    console.error('Error committing order stock:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'COMMIT_STOCK_FAILED'
+    };
+  }
+};
+
+/**
+ * Return an order's reserved or deducted stock
+ * @param {number} orderId - Order ID
+ * @param {string} reason - Why the stock is released (e.g. cancelled, payment_timeout)
+ * @returns {Object} { success, released, error, errorCode }
+ */
+const releaseOrderStock = async (orderId, reason = 'cancelled') => {
+  try {
+    const order = await Order.findByPk(orderId, { include: [OrderItem] });
+    if (!order) {
+      return { success: false, error: 'Order not found', errorCode: 'ORDER_NOT_FOUND' };
+    }
+
+    const released = await sequelize.transaction(async (transaction) => {
+      const reservations = await StockReservation.findAll({
+        where: { orderId, status: { [Op.in]: ['Reserved', 'Committed'] } },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      // Orders placed before reservations existed only carry the stockCommitted flag
+      if (reservations.length === 0) {
+        if (!order.stockCommitted) {
+          return false;
+        }
+        for (const item of order.OrderItems) {
+          await Product.increment('stock', { by: item.quantity, where: { id: item.productId }, transaction });
+        }
+        await order.update({ stockCommitted: false }, { transaction });
+        return true;
+      }
+
+      const products = await lockProducts(reservations.map((r) => r.productId), transaction);
+      const byId = new Map(products.map((product) => [product.id, product]));
+
+      for (const reservation of reservations) {
+        const product = byId.get(reservation.productId);
+        if (reservation.status === 'Reserved') {
+          await product.decrement('reservedStock', { by: reservation.quantity, transaction });
+        } else {
+          const item = order.OrderItems.find((orderItem) => orderItem.productId === reservation.productId);
+          // Units from batches that expired in the meantime go back to their batch but not on sale
+          const unsellable = await returnBatchAllocations(item && item.batchAllocations, transaction);
+          if (reservation.quantity > unsellable) {
+            await product.increment('stock', { by: reservation.quantity - unsellable, transaction });
+          }
+          if (item) {
+            await item.update({ batchAllocations: null }, { transaction });
+          }
+        }
+        await reservation.update({ status: 'Released', releasedAt: new Date(), releaseReason: reason }, { transaction });
+      }
+      await order.update({ stockCommitted: false }, { transaction });
+      return true;
+    });
+
+    if (released) {
+      console.log(`📈 Stock released for order #${orderId} (${reason})`);
+    }
+    return { success: true, released };
+  } catch (error) {
+    console.error('Error releasing order stock:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'RELEASE_STOCK_FAILED'
+    };
+  }
+};
+
+/**
+ * Cancel unpaid orders whose reservations expired and release their stock
+ * @returns {Object} { success, cancelledOrderIds }
+ */
+const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.findAll({
+    attributes: ['orderId'],
+    where: { status: 'Reserved', expiresAt: { [Op.lt]: new Date() } },
+    group: ['orderId'],
+    raw: true
+  });
+
+  const cancelledOrderIds = [];
+  for (const { orderId } of expired) {
+    const order = await Order.findByPk(orderId);
+    if (!order || !UNPAID_PAYMENT_STATUSES.includes(order.paymentStatus) || order.status !== 'Pending Payment') {
+      continue;
+    }
+
+    const result = await updateOrderStatus(order.id, 'Cancelled', {
+      changedByType: 'system',
+      changedBy: 'stock-reservation',
+      note: `Payment not received within ${RESERVATION_MINUTES} minutes`
+    });
+    if (result.success) {
+      await releaseOrderStock(order.id, 'payment_timeout');
+      cancelledOrderIds.push(order.id);
+    }
+  }
+
+  if (cancelledOrderIds.length > 0) {
+    console.log(`⏰ Cancelled unpaid orders after reservation expiry: ${cancelledOrderIds.join(', ')}`);
+  }
+  return { success: true, cancelledOrderIds };
+};
+
+/**
+ * Record a stock delivery into its batch and add it to the product's stock
+ * @param {number} productId - Product ID
+ * @param {Object} delivery - { quantity, supplier, batchNumber, expiryDate, unitCost, receivedAt, note }
+ * @param {string} recordedBy - Admin email
+ * @returns {Object} { success, restock, batch, product, error, errorCode }
+ */
+const restockProduct = async (productId, delivery = {}, recordedBy) => {
+  const quantity = parseInt(delivery.quantity, 10);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return { success: false, error: 'Quantity must be a positive whole number', errorCode: 'INVALID_QUANTITY' };
+  }
+  const supplier = (delivery.supplier || '').trim();
+  const batchNumber = (delivery.batchNumber || '').trim();
+  if (!supplier || !batchNumber) {
+    return { success: false, error: 'Supplier and batch number are required', errorCode: 'MISSING_DELIVERY_DETAILS' };
+  }
+  const expiry = delivery.expiryDate ? new Date(delivery.expiryDate) : null;
+  if (!expiry || isNaN(expiry.getTime())) {
+    return { success: false, error: 'A valid expiry date (YYYY-MM-DD) is required', errorCode: 'INVALID_EXPIRY_DATE' };
+  }
+  const expiryDate = expiry.toISOString().slice(0, 10);
+  if (expiryDate < new Date().toISOString().slice(0, 10)) {
+    return { success: false, error: `Batch ${batchNumber} expired on ${expiryDate} and cannot be stocked`, errorCode: 'BATCH_EXPIRED' };
+  }
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const [product] = await lockProducts([productId], transaction);
+      if (!product) {
+        return null;
+      }
+
+      const stockBefore = product.stock || 0;
+      const batch = await receiveBatch(product, { batchNumber, expiryDate, quantity, supplier }, transaction);
+      await product.increment('stock', { by: quantity, transaction });
+      const restock = await Restock.create({
+        productId: product.id,
+        quantity,
+        supplier,
+        batchNumber,
+        expiryDate,
+        unitCost: delivery.unitCost != null ? parseFloat(delivery.unitCost) : null,
+        stockBefore,
+        stockAfter: stockBefore + quantity,
+        receivedAt: delivery.receivedAt ? new Date(delivery.receivedAt) : new Date(),
+        recordedBy,
+        note: delivery.note || null
+      }, { transaction });
+      await product.reload({ transaction });
+      return { restock, batch, product };
+    });
+
+    if (!result) {
+      return { success: false, error: 'Product not found', errorCode: 'PRODUCT_NOT_FOUND' };
+    }
+
+    console.log(`📥 Restocked ${result.product.name} (+${quantity}, batch ${batchNumber}) by ${recordedBy}`);
+    return { success: true, ...result };
+  } catch (error) {
+    if (error.code === 'BATCH_EXPIRY_MISMATCH' || error.code === 'BATCH_INACTIVE') {
+      return { success: false, error: error.message, errorCode: error.code };
+    }
+    console.error('Error recording restock:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'RESTOCK_FAILED'
+    };
+  }
+};
+
+/**
+ * Restock deliveries recorded for a product, newest first
+ * @param {number} productId - Product ID
+ * @returns {Array} Restock records
+ */
+const getRestockHistory = async (productId) => {
+  return Restock.findAll({
+    where: { productId },
+    order: [['receivedAt', 'DESC'], ['id', 'DESC']]
+  });
+};
+
+/**
+ * Active products whose available stock is at or below their reorder threshold
+ * @returns {Array} [{ id, name, category, stock, reservedStock, available, reorderThreshold }] lowest first
+ */
+const getLowStockProducts = async () => {
+  const products = await Product.findAll({
+    where: {
+      isActive: true,
+      [Op.and]: sequelize.where(
+        sequelize.literal('"stock" - COALESCE("reservedStock", 0)'),
+        Op.lte,
+        sequelize.col('reorderThreshold')
+      )
+    },
+    order: [['stock', 'ASC'], ['name', 'ASC']]
+  });
+
+  return products.map((product) => ({
+    id: product.id,
+    name: product.name,
+    category: product.category,
+    stock: product.stock,
+    reservedStock: product.reservedStock,
+    available: getAvailableStock(product),
+    reorderThreshold: product.reorderThreshold
+  }));
+};
+
+/**
+ * Periodically release expired reservations
+ * @returns {Promise<Object|null>} Recurring job
+ */
+const startReservationSweeper = () => {
+  console.log(`📦 Stock reservations expire after ${RESERVATION_MINUTES} minutes without payment`);
+  return scheduleRecurringJob('stock-reservation-sweep', { everyMinutes: SWEEP_INTERVAL_MINUTES }, () => releaseExpiredReservations());
+};
+
+module.exports = {
+  getAvailableStock,
+  checkProductAvailability,
+  reserveOrderStock,
+  renewOrderReservation,
+  commitOrderStock,
+  releaseOrderStock,
+  releaseExpiredReservations,
+  startReservationSweeper,
+  restockProduct,
+  getRestockHistory,
+  getLowStockProducts
+};
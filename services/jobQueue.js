@@ -0,0 +1,337 @@
+/**
+ * Job Queue Service
+ * Postgres-backed background jobs shared by every running instance:
+ * - One-off jobs, optionally delayed (enqueueJob) and de-duplicated by a unique key
+ * - Recurring jobs on an interval or a custom schedule (scheduleRecurringJob)
+ * - Failed attempts retry with exponential backoff up to maxAttempts
+ * - Row locks (FOR UPDATE SKIP LOCKED) so a job due on several instances runs once;
+ *   a running job's lock is refreshed while its handler works, and jobs left 'running' by a
+ *   crashed instance are picked up again after LOCK_TIMEOUT_MINUTES
+ * Handlers are registered in-process; an instance only claims jobs it has a handler for.
+ */
+
+const os = require('os');
+const { Op } = require('sequelize');
+const { sequelize, Job } = require('../models');
+
+const POLL_INTERVAL_SECONDS = parseInt(process.env.JOB_POLL_INTERVAL_SECONDS || '15', 10);
+const LOCK_TIMEOUT_MINUTES = parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES || '15', 10);
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_MINUTES = 60;
+const BATCH_SIZE = 5;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// name -> { handler, nextRunAt } (nextRunAt only for recurring jobs)
+const handlers = new Map();
+let polling = false;
+
+/**
+ * Delay before retrying a failed attempt: 30s, 1m, 2m, 4m ... capped at an hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  const delay = BACKOFF_BASE_SECONDS * 1000 * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, BACKOFF_MAX_MINUTES * 60 * 1000);
+};
+
+/**
+ * Register the function that runs jobs of a name
+ * @param {string} name - Job name
+ * @param {Function} handler - async (payload, job); throwing or returning { success: false } fails the attempt
+ */
+const registerJobHandler = (name, handler) => {
+  handlers.set(name, { ...handlers.get(name), handler });
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} name - Job name (a handler must be registered on some instance)
+ * @param {Object} payload - JSON data passed to the handler
+ * @param {Object} options - { runAt, delayMs, maxAttempts, uniqueKey }; a job with the same
+ *   uniqueKey that is still pending or running is returned instead of adding another
+ * @returns {Object} Job record
+ */
+const enqueueJob = async (name, payload = {}, options = {}) => {
+  const runAt = options.runAt ? new Date(options.runAt) : new Date(Date.now() + (options.delayMs || 0));
+  const values = {
+    name,
+    payload,
+    runAt,
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    uniqueKey: options.uniqueKey || null,
+    recurring: Boolean(options.recurring)
+  };
+  if (!options.uniqueKey) {
+    return Job.create(values);
+  }
+
+  const existing = await Job.findOne({ where: { uniqueKey: options.uniqueKey } });
+  if (existing && ['pending', 'running'].includes(existing.status)) {
+    return existing;
+  }
+  if (existing) {
+    return existing.update({ ...values, lockedAt: null, lockedBy: null, completedAt: null });
+  }
+  try {
+    return await Job.create(values);
+  } catch (error) {
+    // Another instance added it first
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return Job.findOne({ where: { uniqueKey: options.uniqueKey } });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Run a job on a schedule for as long as the app runs; safe to call on every instance
+ * @param {string} name - Job name
+ * @param {Object} schedule - { everyMinutes } or { nextRunAt: (from) => Date }
+ * @param {Function} handler - async (payload, job)
+ * @returns {Object|null} Job record (null when it could not be scheduled)
+ */
+const scheduleRecurringJob = async (name, schedule, handler) => {
+  const nextRunAt = schedule.nextRunAt || ((from) => new Date(new Date(from).getTime() + schedule.everyMinutes * 60 * 1000));
+  handlers.set(name, { handler, nextRunAt });
+
+  try {
+    const firstRun = nextRunAt(new Date());
+    const job = await enqueueJob(name, {}, { runAt: firstRun, uniqueKey: `recurring:${name}`, recurring: true });
+    // A shorter interval than the one it was scheduled with takes effect now
+    if (job.status === 'pending' && new Date(job.runAt) > firstRun) {
+      await job.update({ runAt: firstRun });
+    }
+    return job;
+  } catch (error) {
+    console.error(`Could not schedule recurring job ${name}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Lock due jobs for this worker
+ * @returns {Array} Job records now 'running'
+ */
+const claimDueJobs = async () => {
+  const names = [...handlers.keys()];
+  if (names.length === 0) return [];
+
+  return sequelize.transaction(async (transaction) => {
+    const jobs = await Job.findAll({
+      where: { status: 'pending', runAt: { [Op.lte]: new Date() }, name: { [Op.in]: names } },
+      order: [['runAt', 'ASC']],
+      limit: BATCH_SIZE,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction
+    });
+    for (const job of jobs) {
+      await job.update({ status: 'running', lockedAt: new Date(), lockedBy: WORKER_ID, attempts: job.attempts + 1 }, { transaction });
+    }
+    return jobs;
+  });
+};
+
+// Write a job's outcome only while this worker still holds its lock; if the lock expired and
+// another instance recovered the job, a late write would overwrite that run's state
+const updateClaimedJob = async (job, updates) => {
+  const [updated] = await Job.update(updates, { where: { id: job.id, lockedBy: WORKER_ID, status: 'running' } });
+  if (updated === 0) {
+    console.warn(`⚠️  Job #${job.id} ${job.name} is no longer locked by ${WORKER_ID}; its outcome was not recorded`);
+    return false;
+  }
+  return true;
+};
+
+// Record a failed attempt: retry with backoff, move a recurring job to its next run, or give up
+const failJob = async (job, error, extraUpdates = {}) => {
+  const updates = {
+    ...extraUpdates,
+    lastError: error.message || String(error),
+    lastFailedAt: new Date(),
+    failureCount: job.failureCount + 1,
+    lockedAt: null,
+    lockedBy: null
+  };
+
+  if (job.attempts < job.maxAttempts) {
+    if (!await updateClaimedJob(job, { ...updates, status: 'pending', runAt: new Date(Date.now() + getRetryDelay(job.attempts)) })) return;
+    console.warn(`⚠️  Job #${job.id} ${job.name} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying: ${updates.lastError}`);
+    return;
+  }
+
+  const entry = handlers.get(job.name);
+  const recorded = job.recurring && entry && entry.nextRunAt
+    ? await updateClaimedJob(job, { ...updates, status: 'pending', attempts: 0, runAt: entry.nextRunAt(new Date()) })
+    : await updateClaimedJob(job, { ...updates, status: 'failed' });
+  if (!recorded) return;
+  console.error(`❌ Job #${job.id} ${job.name} failed after ${job.attempts} attempts: ${updates.lastError}`);
+};
+
+/**
+ * Run one claimed job and record the outcome
+ * @param {Object} job - Job record locked by this worker
+ */
+const runJob = async (job) => {
+  const entry = handlers.get(job.name);
+  const startedAt = new Date();
+  // Keep the lock fresh so a handler that runs longer than LOCK_TIMEOUT_MINUTES is not taken for crashed
+  const heartbeat = setInterval(() => {
+    Job.update({ lockedAt: new Date() }, { where: { id: job.id, status: 'running', lockedBy: WORKER_ID } })
+      .catch((error) => console.warn(`Could not refresh the lock of job #${job.id}:`, error.message));
+  }, Math.max(LOCK_TIMEOUT_MINUTES * 60 * 1000 / 3, 1000));
+  heartbeat.unref();
+  try {
+    const result = await entry.handler(job.payload, job);
+    if (result && result.success === false) {
+      throw new Error(result.error || `${job.name} reported a failure`);
+    }
+
+    if (job.recurring && entry.nextRunAt) {
+      await updateClaimedJob(job, { status: 'pending', attempts: 0, runAt: entry.nextRunAt(startedAt), lastRunAt: startedAt, completedAt: new Date(), lockedAt: null, lockedBy: null });
+    } else {
+      await updateClaimedJob(job, { status: 'completed', lastRunAt: startedAt, completedAt: new Date(), lockedAt: null, lockedBy: null });
+    }
+  } catch (error) {
+    await failJob(job, error, { lastRunAt: startedAt });
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Put jobs locked by an instance that stopped responding back in the queue
+ * @returns {number} Jobs recovered
+ */
+const recoverStaleJobs = async () => {
+  const staleBefore = new Date(Date.now() - LOCK_TIMEOUT_MINUTES * 60 * 1000);
+
+  // Claim them like due jobs so only one instance recovers each; the claim refreshes lockedAt
+  const claimed = await sequelize.transaction(async (transaction) => {
+    const jobs = await Job.findAll({
+      where: { status: 'running', lockedAt: { [Op.lt]: staleBefore } },
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction
+    });
+    const stale = [];
+    for (const job of jobs) {
+      const previousOwner = job.lockedBy;
+      await job.update({ lockedAt: new Date(), lockedBy: WORKER_ID }, { transaction });
+      stale.push({ job, previousOwner });
+    }
+    return stale;
+  });
+
+  for (const { job, previousOwner } of claimed) {
+    await failJob(job, new Error(`Lock held by ${previousOwner} expired after ${LOCK_TIMEOUT_MINUTES} minutes`));
+  }
+  return claimed.length;
+};
+
+/**
+ * Claim and run due jobs until none are left
+ * @returns {Object} { success, ran, recovered }
+ */
+const processDueJobs = async () => {
+  if (polling) {
+    return { success: true, ran: 0, recovered: 0 };
+  }
+  polling = true;
+  try {
+    const recovered = await recoverStaleJobs();
+    let ran = 0;
+    let jobs = await claimDueJobs();
+    while (jobs.length > 0) {
+      for (const job of jobs) {
+        await runJob(job);
+        ran += 1;
+      }
+      jobs = await claimDueJobs();
+    }
+    return { success: true, ran, recovered };
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Poll the queue in the background
+ * @returns {Object} Interval handle
+ */
+const startJobWorker = () => {
+  const handle = setInterval(() => {
+    processDueJobs().catch((error) => console.error('Job queue error:', error));
+  }, POLL_INTERVAL_SECONDS * 1000);
+  handle.unref();
+
+  console.log(`🗂️  Job worker ${WORKER_ID} polling every ${POLL_INTERVAL_SECONDS}s for: ${[...handlers.keys()].join(', ') || 'no jobs'}`);
+  return handle;
+};
+
+/**
+ * Jobs for the admin dashboard, most recently due first, with counts by status
+ * @param {Object} options - { status, name, page, limit }
+ * @returns {Object} { items, summary: { pending, running, completed, failed }, pagination }
+ */
+const listJobs = async (options = {}) => {
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+  const where = {};
+  if (options.status) where.status = options.status;
+  if (options.name) where.name = options.name;
+
+  const { rows, count } = await Job.findAndCountAll({
+    where,
+    order: [['runAt', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  const counts = await Job.findAll({
+    where: options.name ? { name: options.name } : {},
+    attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['status'],
+    raw: true
+  });
+  const summary = { pending: 0, running: 0, completed: 0, failed: 0 };
+  counts.forEach((row) => { summary[row.status] = parseInt(row.count, 10); });
+
+  return {
+    items: rows,
+    summary,
+    pagination: { currentPage: page, totalPages: Math.ceil(count / limit) || 1, total: count, pageSize: limit }
+  };
+};
+
+/**
+ * Queue a failed job again
+ * @param {number} jobId - Job ID
+ * @returns {Object} { success, job, error, errorCode }
+ */
+const retryJob = async (jobId) => {
+  const job = await Job.findByPk(jobId);
+  if (!job) {
+    return { success: false, error: 'Job not found', errorCode: 'JOB_NOT_FOUND' };
+  }
+  if (job.status !== 'failed') {
+    return { success: false, error: `Job is ${job.status}; only failed jobs can be retried`, errorCode: 'JOB_NOT_FAILED' };
+  }
+  await job.update({ status: 'pending', attempts: 0, runAt: new Date() });
+  return { success: true, job };
+};
+
+module.exports = {
+  getRetryDelay,
+  registerJobHandler,
+  enqueueJob,
+  scheduleRecurringJob,
+  processDueJobs,
+  startJobWorker,
+  listJobs,
+  retryJob
+};
@@ -0,0 +1,113 @@
+/**
+ * Low Stock Alerts Service
+ * Tells pharmacy staff which products need reordering:
+ * - Collects active products at or below their reorder threshold
+ * - Sends a daily digest to the orders support team on WhatsApp and to staff by email (Brevo)
+ * Recipients: LOW_STOCK_ALERT_EMAILS (comma-separated), otherwise active Owner/Admin accounts.
+ */
+
+const { Admin } = require('../models');
+const { sendLowStockDigestEmail } = require('../config/brevo');
+const { sendSupportTeamMessage } = require('./support');
+const { getLowStockProducts } = require('./inventory');
+const { scheduleRecurringJob } = require('./jobQueue');
+
+const DIGEST_HOUR = parseInt(process.env.LOW_STOCK_DIGEST_HOUR || '8', 10);
+const WHATSAPP_ITEM_LIMIT = 30;
+
+const getDigestRecipients = async () => {
+  const configured = (process.env.LOW_STOCK_ALERT_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim())
+    .filter(Boolean);
+  if (configured.length > 0) {
+    return configured;
+  }
+
+  const admins = await Admin.findAll({ where: { role: ['Owner', 'Admin'], isActive: true } });
+  return admins.map((admin) => admin.email).filter(Boolean);
+};
+
+/**
+ * Format the digest for WhatsApp, keeping long lists readable
+ * @param {Array} products - Low stock products
+ * @param {string} digestDate - YYYY-MM-DD
+ * @returns {string} Message
+ */
+const formatDigestMessage = (products, digestDate) => {
+  let message = `⚠️ Low Stock Digest — ${digestDate}\n\n`;
+  message += `${products.length} product(s) at or below their reorder threshold:\n\n`;
+
+  products.slice(0, WHATSAPP_ITEM_LIMIT).forEach((product, index) => {
+    const level = product.available === 0 ? 'OUT OF STOCK' : `${product.available} left`;
+    message += `${index + 1}. ${product.name} (#${product.id}) — ${level} (reorder at ${product.reorderThreshold})\n`;
+  });
+
+  if (products.length > WHATSAPP_ITEM_LIMIT) {
+    message += `\n…and ${products.length - WHATSAPP_ITEM_LIMIT} more. See the email digest for the full list.`;
+  }
+  return message;
+};
+
+/**
+ * Send the low stock digest to staff now
+ * @returns {Object} { success, products, whatsappSent, emailSent, error, errorCode }
+ */
+const sendLowStockDigest = async () => {
+  try {
+    const products = await getLowStockProducts();
+    const digestDate = new Date().toISOString().slice(0, 10);
+
+    if (products.length === 0) {
+      console.log('📦 Low stock digest: every product is above its reorder threshold');
+      return { success: true, products, whatsappSent: false, emailSent: false };
+    }
+
+    const whatsappSent = await sendSupportTeamMessage('orders', formatDigestMessage(products, digestDate));
+
+    let emailSent = false;
+    const recipients = await getDigestRecipients();
+    if (recipients.length > 0) {
+      try {
+        await sendLowStockDigestEmail(recipients, products, digestDate);
+        emailSent = true;
+      } catch (emailError) {
+        console.warn('Low stock digest email failed:', emailError.message);
+      }
+    }
+
+    console.log(`📦 Low stock digest sent for ${products.length} product(s) (WhatsApp: ${whatsappSent}, email: ${emailSent})`);
+    return { success: true, products, whatsappSent, emailSent };
+  } catch (error) {
+    console.error('Error sending low stock digest:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'LOW_STOCK_DIGEST_FAILED'
+    };
+  }
+};
+
+// Next LOW_STOCK_DIGEST_HOUR:00 (server time) after a moment
+const getNextDigestTime = (from) => {
+  const next = new Date(from);
+  next.setHours(DIGEST_HOUR, 0, 0, 0);
+  if (next <= new Date(from)) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+};
+
+/**
+ * Send the digest once a day at LOW_STOCK_DIGEST_HOUR (server time)
+ * @returns {Promise<Object|null>} Recurring job
+ */
+const startLowStockDigestScheduler = () => {
+  console.log(`📦 Low stock digest scheduled daily at ${DIGEST_HOUR}:00`);
+  return scheduleRecurringJob('low-stock-digest', { nextRunAt: getNextDigestTime }, () => sendLowStockDigest());
+};
+
+module.exports = {
+  sendLowStockDigest,
+  startLowStockDigestScheduler
+};
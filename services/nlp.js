@@ -173,6 +173,54 @@ const processMessage = async (message, phoneNumber, session) => {
       return handleLoginIntent(message);
     }
 
+    // Saved address book: "my addresses", "add address ...", "default address 2", "delete address 2"
+    // Checked before product/cart intents so "add address" is not read as add-to-cart
+    if (/^(my addresses|addresses|address book|saved addresses|list addresses|show addresses)$/.test(lowerMessage) ||
+        /^(add|new|save)\s+(an\s+)?address\b/.test(lowerMessage) ||
+        /^(set\s+)?default\s+address\s+#?\d+$/.test(lowerMessage) ||
+        /^(delete|remove)\s+address\s+#?\d+$/.test(lowerMessage)) {
+      return handleAddressIntent(message);
+    }
+
+    // Recall notice acknowledgement: "recall ok 3" or the notice's button (recall_ack_3)
+    const recallAck = lowerMessage.match(/^(?:recall_ack_|(?:recall\s+(?:ok|ack|acknowledged?|read)|acknowledge\s+recall)\s*#?)(\d+)?$/);
+    if (recallAck) {
+      return createResponse('acknowledge_recall', recallAck[1] ? { recallId: recallAck[1] } : {});
+    }
+
+    // Refills: "my refills", "refill order 123 monthly", "pause refill 2" or a reminder's buttons
+    // Checked before cancel-order and checkout so "cancel refill" and "reorder refill" stay here
+    if (/^refill_(reorder|skip|pause)_\d+$/.test(lowerMessage) ||
+        /^(my\s+)?refills$/.test(lowerMessage) ||
+        /^(pause|resume|stop|cancel|skip|reorder)\s+refill\b/.test(lowerMessage) ||
+        /^refill\s+(order|rx|prescription)\b/.test(lowerMessage)) {
+      return handleRefillIntent(lowerMessage);
+    }
+
+    // Dose reminders: "remind me rx 12", "stop reminders", "my reminders" or a reminder's buttons
+    if (/^dose_(remind|taken|skip|stop)_\d+$/.test(lowerMessage) ||
+        /^(remind\s+me|(dose\s+)?reminders?)\s+(for\s+)?(rx|prescription)\b/.test(lowerMessage) ||
+        /^stop\s+(dose\s+|medicine\s+)?reminders?\b/.test(lowerMessage) ||
+        /^(taken|took it|i took it|skip dose|skipped)$/.test(lowerMessage) ||
+        /^((my\s+)?(dose\s+)?reminders|my doses|adherence)$/.test(lowerMessage)) {
+      return handleDoseReminderIntent(lowerMessage);
+    }
+
+    // Appointment reminders: "confirm appointment 12", "reschedule appointment 12 to tomorrow 2pm" or a reminder's buttons
+    if (/^appt_(confirm|reschedule|cancel)_\d+$/.test(lowerMessage) ||
+        /^(confirm|reschedule|cancel)\s+(my\s+)?appointment\b/.test(lowerMessage)) {
+      return handleAppointmentReminderIntent(message);
+    }
+
+    // Changes to a placed order: "cancel order 123", "change address for order 123 to ..."
+    // Checked before checkout so "cancel order" is not read as placing one
+    if (/^cancel\s+(my\s+)?order\b/.test(lowerMessage)) {
+      return handleCancelOrderIntent(message);
+    }
+    if (/^(change|update|edit)\s+(the\s+)?(delivery\s+)?address\s+(for|of|on)\s+(my\s+)?order\b/.test(lowerMessage)) {
+      return handleChangeOrderAddressIntent(message);
+    }
+
     // ⚠️ CRITICAL: Doctor search intents MUST BE FIRST to prevent "look for doctor" being misclassified as product search
     // This pattern is now more specific to avoid catching phrases like "add product..."
     if (/\b(doctor|physician|specialist|cardiologist|pediatrician|dermatologist|gynecologist|neurologist|orthopedic)\b/i.test(lowerMessage) ||
@@ -282,12 +330,18 @@ const createResponse = (intent, parameters = {}, fulfillmentText = null, source
     track_order: 'Please provide your order ID to track it.\n\nExample: track 12345 (or send part of your payment reference like drugsng-12345-... or caption: rx 12345)',
     search_doctors: 'What type of doctor are you looking for? (e.g., cardiologist, pediatrician)',
     book_appointment: 'I can help you book an appointment. Please provide the doctor and your preferred date and time.',
-    payment: 'I can help you make a payment. Please provide your order ID and preferred payment method.',
+    payment: 'I can help you make a payment. Please provide your order ID (or lab booking / consultation ID) and preferred payment method.',
     support: 'Connecting you to our support team. Please describe your issue.',
     diagnostic_tests: 'What diagnostic test would you like to book? (e.g., blood test, malaria test, thyroid test)',
     healthcare_products: 'What healthcare product would you like to browse? (e.g., first aid kit, thermometer, oximeter)',
     password_reset: "I'll help you reset your password. Please provide your email address.",
     prescription_upload: 'Please upload your prescription document (image or PDF) by sending it as an attachment.',
+    manage_addresses: 'Here are your saved delivery addresses.',
+    manage_refills: "Which order or prescription would you like to refill?\n\nExample: refill order 12345 every 30 days",
+    dose_reminders: 'Here are your dose reminders.',
+    appointment_reminder: "Which appointment?\n\nExample: confirm appointment 12",
+    cancel_order: 'Which order would you like to cancel?\n\nExample: cancel order 12345',
+    change_order_address: 'Which order should be delivered elsewhere?\n\nExample: change address for order 12345 to 5 Allen Ave, Ikeja, Lagos',
     logout: 'You have been logged out. Type "help" to get started again.',
     unknown: "I'm not sure how to help with that. Type 'help' to see available options.",
     error: 'I encountered an error. Please try again.'
@@ -420,12 +474,150 @@ const handleAddToCartIntent = (message) => {
   return createResponse('add_to_cart', parameters);
 };
 
+const handleAddressIntent = (message) => {
+  const text = message.trim();
+  const parameters = { action: 'list' };
+
+  const addMatch = text.match(/^(?:add|new|save)\s+(?:an\s+)?address\b[:\s]*(.*)$/i);
+  const defaultMatch = text.match(/^(?:set\s+)?default\s+address\s+#?(\d+)$/i);
+  const deleteMatch = text.match(/^(?:delete|remove)\s+address\s+#?(\d+)$/i);
+
+  if (addMatch) {
+    parameters.action = 'add';
+    parameters.addressText = addMatch[1].trim();
+  } else if (defaultMatch) {
+    parameters.action = 'default';
+    parameters.position = parseInt(defaultMatch[1], 10);
+  } else if (deleteMatch) {
+    parameters.action = 'delete';
+    parameters.position = parseInt(deleteMatch[1], 10);
+  }
+
+  return createResponse('manage_addresses', parameters);
+};
+
+const handleCancelOrderIntent = (message) => {
+  const parameters = {};
+
+  const match = message.match(/^cancel\s+(?:my\s+)?order\s*#?(\d+)?\s*(?:(?:because|reason:?|-)\s*(.+))?$/i);
+  if (match && match[1]) {
+    parameters.orderId = match[1];
+  }
+  if (match && match[2]) {
+    parameters.reason = match[2].trim();
+  }
+
+  return createResponse('cancel_order', parameters);
+};
+
+const REFILL_INTERVAL_UNITS = { day: 1, days: 1, week: 7, weeks: 7, month: 30, months: 30 };
+
+const handleRefillIntent = (lowerMessage) => {
+  const button = lowerMessage.match(/^refill_(reorder|skip|pause)_(\d+)$/);
+  if (button) {
+    return createResponse('manage_refills', { action: button[1], refillId: button[2] });
+  }
+
+  const command = lowerMessage.match(/^(pause|resume|stop|cancel|skip|reorder)\s+refill\s*#?(\d+)?/);
+  if (command) {
+    const action = command[1] === 'stop' ? 'cancel' : command[1];
+    return createResponse('manage_refills', command[2] ? { action, refillId: command[2] } : { action });
+  }
+
+  const create = lowerMessage.match(/^refill\s+(order|rx|prescription)\s*#?(\d+)?(.*)$/);
+  if (create) {
+    const parameters = { action: 'create', sourceType: create[1] === 'order' ? 'order' : 'prescription' };
+    if (create[2]) {
+      parameters.sourceId = create[2];
+    }
+    // "every 30 days", "every 2 weeks", "monthly", "weekly"
+    const every = create[3].match(/every\s+(\d+)?\s*(days?|weeks?|months?)/);
+    if (every) {
+      parameters.intervalDays = (parseInt(every[1], 10) || 1) * REFILL_INTERVAL_UNITS[every[2]];
+    } else if (/\bmonthly\b/.test(create[3])) {
+      parameters.intervalDays = 30;
+    } else if (/\bweekly\b/.test(create[3])) {
+      parameters.intervalDays = 7;
+    }
+    return createResponse('manage_refills', parameters);
+  }
+
+  return createResponse('manage_refills', { action: 'list' }, 'Here are your refills.');
+};
+
+const handleDoseReminderIntent = (lowerMessage) => {
+  const button = lowerMessage.match(/^dose_(remind|taken|skip|stop)_(\d+)$/);
+  if (button) {
+    // The offer's button carries the prescription, answers the reminder, stop the schedule
+    const action = button[1] === 'remind' ? 'start' : button[1];
+    const key = { start: 'prescriptionId', taken: 'doseLogId', skip: 'doseLogId', stop: 'scheduleId' }[action];
+    return createResponse('dose_reminders', { action, [key]: button[2] });
+  }
+
+  const prescriptionMatch = lowerMessage.match(/\b(?:rx|prescription)\s*#?(\d+)/);
+  const parameters = prescriptionMatch ? { prescriptionId: prescriptionMatch[1] } : {};
+  if (/^stop\b/.test(lowerMessage)) {
+    return createResponse('dose_reminders', { ...parameters, action: 'stop' });
+  }
+  if (/^(remind|dose|reminder)/.test(lowerMessage) && /\b(rx|prescription)\b/.test(lowerMessage)) {
+    return createResponse('dose_reminders', { ...parameters, action: 'start' });
+  }
+  if (/^(taken|took it|i took it)$/.test(lowerMessage)) {
+    return createResponse('dose_reminders', { action: 'taken' });
+  }
+  if (/^(skip dose|skipped)$/.test(lowerMessage)) {
+    return createResponse('dose_reminders', { action: 'skip' });
+  }
+  return createResponse('dose_reminders', { action: 'list' });
+};
+
+const handleAppointmentReminderIntent = (message) => {
+  const button = message.toLowerCase().match(/^appt_(confirm|reschedule|cancel)_(\d+)$/);
+  if (button) {
+    return createResponse('appointment_reminder', { action: button[1], appointmentId: button[2] });
+  }
+
+  const parameters = {};
+  const match = message.match(/^(confirm|reschedule|cancel)\s+(?:my\s+)?appointment\s*#?(\d+)?(?:\s+(?:to|for)\s+(.+))?$/i);
+  if (match) {
+    parameters.action = match[1].toLowerCase();
+    if (match[2]) {
+      parameters.appointmentId = match[2];
+    }
+    if (match[3] && parameters.action === 'reschedule') {
+      parameters.dateTime = match[3].trim();
+    }
+  } else {
+    parameters.action = message.trim().split(/\s+/)[0].toLowerCase();
+  }
+  return createResponse('appointment_reminder', parameters);
+};
+
+const handleChangeOrderAddressIntent = (message) => {
+  const parameters = {};
+
+  const match = message.match(/order\s*#?(\d+)(?:\s+(?:to|:)\s*(.+))?$/i);
+  if (match && match[1]) {
+    parameters.orderId = match[1];
+  }
+  if (match && match[2]) {
+    parameters.addressText = match[2].trim();
+  }
+
+  return createResponse('change_order_address', parameters);
+};
+
 const handlePlaceOrderIntent = (message) => {
   const parameters = {};
 
   // Look for address patterns (usually contains comma or specific location words)
-  const addressMatch = message.match(/(?:at|to|address|location)?\s*([^,]+(,[^,]+)?)/i);
-  if (addressMatch) {
+  // The command word and payment method are stripped so a bare "checkout" starts the guided flow
+  const addressText = message
+    .replace(/^\s*(place order|confirm order|proceed to checkout|proceed to|checkout|order|buy|purchase|complete)\b/i, '')
+    .replace(/\b(flutterwave|paystack|cash on delivery|cash)\b/ig, '')
+    .trim();
+  const addressMatch = addressText.match(/(?:at|to|address|location)?\s*([^,]+(,[^,]+)?)/i);
+  if (addressMatch && addressMatch[1].trim().length >= 5) {
     parameters.address = addressMatch[1].trim();
   }
 
@@ -505,9 +697,20 @@ const handlePaymentIntent = (message) => {
   const parameters = {};
   const lowerMessage = message.toLowerCase();
 
-  const parsed = parseOrderIdFromText(message);
-  if (parsed) {
-    parameters.orderId = parsed;
+  // Lab test bookings and consultations are named explicitly: "pay lab 45", "pay consultation 7"
+  const labMatch = lowerMessage.match(/\b(?:lab|test|diagnostic|booking)\s*#?(\d+)/);
+  const consultationMatch = lowerMessage.match(/\b(?:consult(?:ation)?|appointment)\s*#?(\d+)/);
+  if (labMatch) {
+    parameters.entityType = 'diagnostic_booking';
+    parameters.entityId = labMatch[1];
+  } else if (consultationMatch) {
+    parameters.entityType = 'consultation';
+    parameters.entityId = consultationMatch[1];
+  } else {
+    const parsed = parseOrderIdFromText(message);
+    if (parsed) {
+      parameters.orderId = parsed;
+    }
   }
 
   if (/flutterwave/i.test(lowerMessage)) {
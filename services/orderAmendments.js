@@ -0,0 +1,376 @@
+/**
+ * Order Amendments Service
+ * Lets customers change a placed order from WhatsApp:
+ * - "cancel order 123": free cancellation until the order is dispatched
+ * - "change address for order 123 to ...": new delivery address until dispatch
+ * Cancelling releases stock and requests a refund for paid orders; the 'orders'
+ * support team is notified of every change.
+ */
+
+const { Order, OrderItem } = require('../models');
+const { sendWhatsAppMessage, sendInteractiveMessage } = require('../config/whatsapp');
+const { registerFlow, startFlow, endFlow } = require('./conversationFlow');
+const { updateOrderStatus } = require('./orderLifecycle');
+const { releaseOrderStock } = require('./inventory');
+const { requestRefund } = require('./refunds');
+const { quoteDelivery } = require('./delivery');
+const { createPaymentLink } = require('./payables');
+const { notifySupportTeam } = require('./support');
+const { sanitizeInput } = require('../utils/validation');
+const { parseAddressText } = require('../utils/addressParser');
+
+// Orders can be changed by the customer only before they leave the pharmacy
+const CUSTOMER_CHANGEABLE_STATUSES = ['Pending Payment', 'Awaiting Prescription', 'Confirmed', 'Packed'];
+
+const formatNaira = (amount) => `₦${Number(amount || 0).toLocaleString()}`;
+
+/**
+ * Load one of the customer's placed orders and check it can still be changed
+ * @param {number} userId - User ID
+ * @param {number} orderId - Order ID
+ * @param {string} action - 'cancel' | 'change the address of' (used in messages)
+ * @returns {Object} { success, order, error, errorCode }
+ */
+const getChangeableOrder = async (userId, orderId, action) => {
+  const order = await Order.findOne({ where: { id: orderId, userId }, include: [OrderItem] });
+  if (!order) {
+    return { success: false, error: `Order #${orderId} was not found on your account.`, errorCode: 'ORDER_NOT_FOUND' };
+  }
+  if (order.status === 'Processing') {
+    return { success: false, error: `Order #${orderId} hasn't been placed yet — it's your cart. Type 'cart' to review it.`, errorCode: 'ORDER_NOT_PLACED' };
+  }
+  if (['Cancelled', 'Refunded'].includes(order.status)) {
+    return { success: false, error: `Order #${orderId} is already ${order.status.toLowerCase()}.`, errorCode: 'ORDER_ALREADY_CLOSED' };
+  }
+  if (!CUSTOMER_CHANGEABLE_STATUSES.includes(order.status)) {
+    return {
+      success: false,
+      error: `Order #${orderId} is ${order.status.toLowerCase()}, so we can no longer ${action} it here. Type 'support' and our team will help.`,
+      errorCode: 'ORDER_NOT_CHANGEABLE'
+    };
+  }
+  return { success: true, order };
+};
+
+/**
+ * Cancel a customer's order, release its stock and request a refund if paid
+ * @param {number} userId - User ID
+ * @param {number} orderId - Order ID
+ * @param {Object} options - { reason, phoneNumber }
+ * @returns {Object} { success, order, refundRequired, refund, error, errorCode }
+ */
+const cancelCustomerOrder = async (userId, orderId, options = {}) => {
+  try {
+    const { reason = null, phoneNumber = null } = options;
+    const check = await getChangeableOrder(userId, orderId, 'cancel');
+    if (!check.success) return check;
+    const { order } = check;
+
+    const refundRequired = order.paymentStatus === 'Paid';
+    const result = await updateOrderStatus(order.id, 'Cancelled', {
+      changedByType: 'customer',
+      changedBy: phoneNumber,
+      note: reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer',
+      notify: false
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const stock = await releaseOrderStock(order.id);
+    if (!stock.success) {
+      console.warn(`⚠️  Order #${order.id} cancelled but stock was not released: ${stock.error}`);
+    }
+
+    let refund = null;
+    if (refundRequired) {
+      const refundResult = await requestRefund(order.id, {
+        reason: reason ? `Order cancelled: ${reason}` : 'Order cancelled by customer',
+        requestedBy: phoneNumber,
+        requestedByType: 'customer'
+      });
+      if (refundResult.success) {
+        refund = refundResult.refund;
+      } else {
+        console.warn(`⚠️  Order #${order.id} cancelled but refund was not requested: ${refundResult.error}`);
+      }
+    }
+
+    await notifySupportTeam(phoneNumber, 'orders', 'Order Cancelled by Customer', {
+      orderId: order.id,
+      reason: reason || 'Not given',
+      amount: order.totalAmount,
+      paymentMethod: order.paymentMethod,
+      paymentReference: order.paymentReference,
+      refundRequired,
+      refundId: refund ? refund.id : null,
+      stockReleased: stock.success && stock.released
+    });
+
+    return { success: true, order: result.order, refundRequired, refund };
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'CANCEL_ORDER_FAILED'
+    };
+  }
+};
+
+/**
+ * Change the delivery address of a customer's order
+ * Unpaid orders are re-priced for the new address; when the total changes, links sent for the
+ * old amount would be rejected as an amount mismatch, so a new payment link is issued.
+ * Paid orders keep the fee already charged, and a move to a more expensive zone is referred to support.
+ * @param {number} userId - User ID
+ * @param {number} orderId - Order ID
+ * @param {Object} address - { description, addressId, city, state, latitude, longitude }
+ * @param {Object} options - { phoneNumber }
+ * @returns {Object} { success, order, previousFee, deliveryFee, totalChanged, paymentLink, error, errorCode }
+ */
+const changeCustomerOrderAddress = async (userId, orderId, address, options = {}) => {
+  try {
+    const { phoneNumber = null } = options;
+    if (!address || !address.description || address.description.length < 5) {
+      return { success: false, error: 'Please provide the full new delivery address (street, area, city).', errorCode: 'INVALID_ADDRESS' };
+    }
+
+    const check = await getChangeableOrder(userId, orderId, 'change the address of');
+    if (!check.success) return check;
+    const { order } = check;
+
+    const subtotal = order.OrderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const delivery = await quoteDelivery({
+      state: address.state,
+      city: address.city,
+      latitude: address.latitude,
+      longitude: address.longitude
+    }, subtotal, order.paymentMethod);
+    if (!delivery.success) {
+      throw new Error('Could not calculate the delivery fee for the new address');
+    }
+
+    const previousFee = (order.deliveryFee || 0) + (order.codSurcharge || 0);
+    const newFee = delivery.deliveryFee + delivery.codSurcharge;
+    const isPaid = order.paymentStatus === 'Paid';
+
+    if (isPaid && newFee > previousFee) {
+      return {
+        success: false,
+        error: `Delivering to that address costs ${formatNaira(newFee)}, more than the ${formatNaira(previousFee)} you paid. Type 'support' and our team will arrange it.`,
+        errorCode: 'DELIVERY_FEE_INCREASE'
+      };
+    }
+
+    const updates = {
+      shippingAddress: address.description,
+      deliveryAddressId: address.addressId || null
+    };
+    const previousTotal = order.totalAmount;
+    if (!isPaid) {
+      Object.assign(updates, {
+        deliveryFee: delivery.deliveryFee,
+        codSurcharge: delivery.codSurcharge,
+        deliveryZoneId: delivery.zone ? delivery.zone.id : null,
+        deliveryDistanceKm: delivery.distanceKm,
+        totalAmount: subtotal + newFee
+      });
+    }
+    await order.update(updates);
+
+    const totalChanged = !isPaid && Number(order.totalAmount) !== Number(previousTotal);
+    let paymentLink = null;
+    if (totalChanged && order.status === 'Pending Payment' && ['Flutterwave', 'Paystack'].includes(order.paymentMethod)) {
+      const link = await createPaymentLink('order', order.id, order.paymentMethod, userId);
+      if (link.success) {
+        paymentLink = link.link;
+      } else {
+        console.warn(`Could not issue a new payment link for order #${order.id}:`, link.error);
+      }
+    }
+
+    await notifySupportTeam(phoneNumber, 'orders', 'Order Address Changed by Customer', {
+      orderId: order.id,
+      status: order.status,
+      newAddress: address.description,
+      deliveryFee: isPaid ? previousFee : newFee
+    });
+
+    return { success: true, order, previousFee, deliveryFee: isPaid ? previousFee : newFee, totalChanged, paymentLink };
+  } catch (error) {
+    console.error('Error changing order address:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'CHANGE_ORDER_ADDRESS_FAILED'
+    };
+  }
+};
+
+/**
+ * Handle "cancel order N": show the order and ask for confirmation
+ * @param {string} phoneNumber - Customer phone number
+ * @param {Object} session - Session instance
+ * @param {Object} parameters - { orderId, reason }
+ */
+const requestOrderCancellation = async (phoneNumber, session, parameters = {}) => {
+  if (!parameters.orderId) {
+    await sendWhatsAppMessage(phoneNumber, "Which order would you like to cancel?\n\nExample: cancel order 12345");
+    return;
+  }
+
+  const check = await getChangeableOrder(session.data.userId, parameters.orderId, 'cancel');
+  if (!check.success) {
+    await sendWhatsAppMessage(phoneNumber, `❌ ${check.error}`);
+    return;
+  }
+  const { order } = check;
+
+  await startFlow(session, 'order_cancel', { data: { orderId: order.id, reason: parameters.reason || null } });
+
+  let msg = `⚠️ *Cancel order #${order.id}?*\n\n`;
+  msg += `Status: ${order.status}\nTotal: ${formatNaira(order.totalAmount)}\n`;
+  if (order.paymentStatus === 'Paid') {
+    msg += `\n💸 You've paid for this order, so a refund of ${formatNaira(order.totalAmount)} will be started.`;
+  }
+  await sendInteractiveMessage(phoneNumber, msg, [
+    { id: 'order_cancel_yes', title: '✅ Yes, cancel' },
+    { id: 'order_cancel_no', title: '↩️ Keep order' }
+  ]);
+};
+
+/**
+ * Handle "change address for order N [to ...]"
+ * @param {string} phoneNumber - Customer phone number
+ * @param {Object} session - Session instance
+ * @param {Object} parameters - { orderId, addressText }
+ */
+const requestOrderAddressChange = async (phoneNumber, session, parameters = {}) => {
+  if (!parameters.orderId) {
+    await sendWhatsAppMessage(phoneNumber, "Which order should be delivered elsewhere?\n\nExample: change address for order 12345 to 5 Allen Ave, Ikeja, Lagos");
+    return;
+  }
+
+  if (!parameters.addressText) {
+    const check = await getChangeableOrder(session.data.userId, parameters.orderId, 'change the address of');
+    if (!check.success) {
+      await sendWhatsAppMessage(phoneNumber, `❌ ${check.error}`);
+      return;
+    }
+    await startFlow(session, 'order_address_change', { data: { orderId: check.order.id } });
+    await sendWhatsAppMessage(phoneNumber, `📍 Send the new delivery address for order #${check.order.id} (street, area, city, state) or share your location 📎.\n\nType 'cancel' to keep the current address.`);
+    return;
+  }
+
+  const parsed = parseAddressText(parameters.addressText) || {};
+  await applyOrderAddressChange(phoneNumber, session, parameters.orderId, {
+    description: sanitizeInput(parameters.addressText),
+    city: parsed.city || null,
+    state: parsed.state || null
+  });
+};
+
+const applyOrderAddressChange = async (phoneNumber, session, orderId, address) => {
+  const result = await changeCustomerOrderAddress(session.data.userId, orderId, address, { phoneNumber });
+  if (!result.success) {
+    await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}`);
+    return;
+  }
+
+  let msg = `✅ Order #${result.order.id} will now be delivered to:\n${address.description}\n\n`;
+  msg += `🚚 Delivery: ${formatNaira(result.deliveryFee)}\n`;
+  msg += `Total: ${formatNaira(result.order.totalAmount)}`;
+  if (result.paymentLink) {
+    msg += `\n\n💳 Your total has changed, so earlier payment links no longer work. Pay ${formatNaira(result.order.totalAmount)} here:\n${result.paymentLink}`;
+  } else if (result.totalChanged && result.order.status === 'Pending Payment' && result.order.paymentMethod !== 'Cash on Delivery') {
+    msg += `\n\n💳 Your total has changed, so earlier payment links no longer work. Type 'pay ${result.order.id} ${result.order.paymentMethod.toLowerCase()}' for a new link.`;
+  }
+  await sendWhatsAppMessage(phoneNumber, msg);
+};
+
+registerFlow({
+  name: 'order_cancel',
+  label: 'order cancellation',
+  initialState: 'awaiting_confirmation',
+  timeoutMinutes: 10,
+  requiresAuth: true,
+  exitCommands: ['order_cancel_no', 'no', 'keep', 'keep order'],
+  onExit: async ({ phoneNumber, data }) => {
+    await sendWhatsAppMessage(phoneNumber, `👍 Order #${data.orderId} was not cancelled.`);
+  },
+  states: {
+    awaiting_confirmation: {
+      inputs: [
+        {
+          match: /^(order_cancel_yes|yes|yes, cancel|confirm)$/i,
+          handler: async ({ phoneNumber, session, data }) => {
+            await endFlow(session);
+            const result = await cancelCustomerOrder(session.data.userId, data.orderId, { reason: data.reason, phoneNumber });
+            if (!result.success) {
+              await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}`);
+              return;
+            }
+
+            let msg = `❌ Order #${result.order.id} has been cancelled.`;
+            if (result.refundRequired) {
+              msg += `\n\n💸 A refund of ${formatNaira(result.order.totalAmount)} has been requested to your original payment method. We'll message you when it is processed.`;
+            }
+            await sendWhatsAppMessage(phoneNumber, msg);
+          }
+        }
+      ],
+      prompt: "Tap *Yes, cancel* to cancel the order or *Keep order* to leave it as it is."
+    }
+  }
+});
+
+registerFlow({
+  name: 'order_address_change',
+  label: 'address change',
+  initialState: 'awaiting_address',
+  timeoutMinutes: 15,
+  requiresAuth: true,
+  exitCommands: ['cancel', 'keep', 'stop'],
+  onExit: async ({ phoneNumber, data }) => {
+    await sendWhatsAppMessage(phoneNumber, `👍 The delivery address for order #${data.orderId} was not changed.`);
+  },
+  states: {
+    awaiting_address: {
+      inputs: [
+        {
+          type: 'location',
+          handler: async ({ phoneNumber, session, data, location }) => {
+            await endFlow(session);
+            await applyOrderAddressChange(phoneNumber, session, data.orderId, {
+              description: location.description || `${location.latitude}, ${location.longitude}`,
+              latitude: location.latitude,
+              longitude: location.longitude
+            });
+          }
+        },
+        {
+          match: (text) => sanitizeInput(text).length >= 5,
+          handler: async ({ phoneNumber, session, data, text }) => {
+            await endFlow(session);
+            const parsed = parseAddressText(text) || {};
+            await applyOrderAddressChange(phoneNumber, session, data.orderId, {
+              description: sanitizeInput(text),
+              city: parsed.city || null,
+              state: parsed.state || null
+            });
+          }
+        }
+      ],
+      prompt: "Please send the full new delivery address (street, area, city, state) or share your location. Type 'cancel' to keep the current address."
+    }
+  }
+});
+
+module.exports = {
+  CUSTOMER_CHANGEABLE_STATUSES,
+  cancelCustomerOrder,
+  changeCustomerOrderAddress,
+  requestOrderCancellation,
+  requestOrderAddressChange
+};
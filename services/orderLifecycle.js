@@ -0,0 +1,317 @@
+/**
+ * Order Lifecycle Service
+ * Handles order status changes:
+ * - Allowed transitions between lifecycle statuses
+ * - OrderStatusHistory audit trail (who changed it and when)
+ * - Templated WhatsApp notification to the customer on every transition
+ * - Timeline formatting for order tracking
+ * - Prescription-only items: an order cannot be released for payment or dispensing until it has a
+ *   Verified prescription
+ */
+
+const { Order, OrderItem, OrderStatusHistory, Product, Prescription, User } = require('../models');
+const { sendWhatsAppMessage } = require('../config/whatsapp');
+
+// The open cart is an Order in 'Processing'; it becomes a real order once placed
+const CART_STATUS = 'Processing';
+
+const ORDER_STATUSES = [
+  'Pending Payment',
+  'Awaiting Prescription',
+  'Confirmed',
+  'Packed',
+  'Dispatched',
+  'Out for Delivery',
+  'Delivered',
+  'Cancelled',
+  'Refunded'
+];
+
+const ALLOWED_TRANSITIONS = {
+  'Processing': ['Pending Payment', 'Awaiting Prescription', 'Confirmed', 'Cancelled'],
+  'Pending Payment': ['Awaiting Prescription', 'Confirmed', 'Cancelled'],
+  'Awaiting Prescription': ['Pending Payment', 'Confirmed', 'Cancelled'],
+  'Confirmed': ['Packed', 'Cancelled', 'Refunded'],
+  'Packed': ['Dispatched', 'Cancelled', 'Refunded'],
+  'Dispatched': ['Out for Delivery', 'Delivered'],
+  'Out for Delivery': ['Delivered'],
+  'Delivered': ['Refunded'],
+  'Cancelled': ['Refunded'],
+  'Refunded': [],
+  // Legacy status from before the lifecycle existed
+  'Shipped': ['Out for Delivery', 'Delivered']
+};
+
+const STATUS_EMOJI = {
+  'Processing': '🛒',
+  'Pending Payment': '💳',
+  'Awaiting Prescription': '📋',
+  'Confirmed': '✅',
+  'Packed': '📦',
+  'Dispatched': '🚚',
+  'Shipped': '🚚',
+  'Out for Delivery': '🛵',
+  'Delivered': '🎉',
+  'Cancelled': '❌',
+  'Refunded': '💸'
+};
+
+const STATUS_TEMPLATES = {
+  'Pending Payment': (order) => `💳 Order #${order.id} is waiting for payment of ₦${Number(order.totalAmount || 0).toLocaleString()}. Type 'pay ${order.id} flutterwave' or 'pay ${order.id} paystack' to get a payment link.`,
+  'Awaiting Prescription': (order) => `${order.paymentStatus === 'Paid' ? `✅ Payment received for order #${order.id}. ` : ''}📋 Order #${order.id} needs a valid prescription before we can dispense it. Send a photo of your prescription with the caption "rx ${order.id}".`,
+  'Confirmed': (order) => order.paymentStatus === 'Paid'
+    ? `✅ Payment confirmed! Your order #${order.id} is confirmed and our pharmacists are preparing it.`
+    : `✅ Your order #${order.id} is confirmed and our pharmacists are preparing it.`,
+  'Packed': (order) => `📦 Your order #${order.id} has been packed and is waiting for a rider.`,
+  'Dispatched': (order) => `🚚 Your order #${order.id} has been dispatched and is on its way.`,
+  'Out for Delivery': (order) => `🛵 Your order #${order.id} is out for delivery. Please keep your phone close — the rider may call you.`,
+  'Delivered': (order) => `🎉 Your order #${order.id} has been delivered. Thank you for choosing Drugs.ng!\n\n🔁 Need these again regularly? Type 'refill order ${order.id} monthly' and we'll remind you before you run out.`,
+  'Cancelled': (order) => `❌ Your order #${order.id} has been cancelled.`,
+  'Refunded': (order) => `💸 Your payment for order #${order.id} has been refunded.`
+};
+
+// Leaving these statuses for 'Pending Payment' or 'Confirmed' releases the order
+const PRESCRIPTION_GATED_STATUSES = ['Processing', 'Awaiting Prescription'];
+
+/**
+ * Prescription-only (POM) items of an order and whether a verified prescription covers them
+ * @param {number} orderId - Order ID
+ * @returns {Object} { required, items: [{ productId, name, quantity }], prescription, verified }
+ */
+const getPrescriptionRequirement = async (orderId) => {
+  const orderItems = await OrderItem.findAll({
+    where: { orderId },
+    include: [{ model: Product, attributes: ['id', 'name', 'requiresPrescription'] }]
+  });
+  const items = orderItems
+    .filter((item) => item.Product && item.Product.requiresPrescription)
+    .map((item) => ({ productId: item.productId, name: item.Product.name, quantity: item.quantity }));
+
+  const prescription = await Prescription.findOne({ where: { orderId }, order: [['updatedAt', 'DESC']] });
+  return {
+    required: items.length > 0,
+    items,
+    prescription,
+    verified: Boolean(prescription && prescription.verificationStatus === 'Verified')
+  };
+};
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (fromStatus, toStatus) => {
+  return (ALLOWED_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * Build the customer message for a status
+ * @param {Object} order - Order record
+ * @param {string} status - New status
+ * @param {string} note - Optional note appended to the message
+ * @returns {string|null} Message text, or null if the status has no template
+ */
+const buildStatusMessage = (order, status, note = null) => {
+  const template = STATUS_TEMPLATES[status];
+  if (!template) return null;
+  let msg = template(order);
+  if (note) msg += `\n\n📝 ${note}`;
+  msg += `\n\nType 'track ${order.id}' to see the full timeline.`;
+  return msg;
+};
+
+/**
+ * Move an order to a new status, record the change and notify the customer
+ * @param {number} orderId - Order ID
+ * @param {string} newStatus - Target status
+ * @param {Object} options - { changedBy, changedByType, note, notify, force, updates }
+ *   updates: extra Order fields to save with the status (e.g. paymentStatus)
+ *   force: skip transition validation (admin corrections)
+ * @returns {Object} { success, order, history, error, errorCode }
+ */
+const updateOrderStatus = async (orderId, newStatus, options = {}) => {
+  const {
+    changedBy = null,
+    changedByType = 'system',
+    note = null,
+    notify = true,
+    force = false,
+    updates = {}
+  } = options;
+
+  try {
+    if (!ORDER_STATUSES.includes(newStatus)) {
+      return {
+        success: false,
+        error: `Unknown order status "${newStatus}". Valid statuses: ${ORDER_STATUSES.join(', ')}`,
+        errorCode: 'INVALID_STATUS'
+      };
+    }
+
+    const order = await Order.findByPk(orderId);
+    if (!order) {
+      return { success: false, error: 'Order not found', errorCode: 'ORDER_NOT_FOUND' };
+    }
+
+    const fromStatus = order.status;
+    if (fromStatus === newStatus) {
+      if (Object.keys(updates).length > 0) {
+        await order.update(updates);
+      }
+      return { success: true, order, history: null, unchanged: true };
+    }
+
+    if (!force && !canTransition(fromStatus, newStatus)) {
+      return {
+        success: false,
+        error: `Order #${order.id} cannot move from ${fromStatus} to ${newStatus}`,
+        errorCode: 'INVALID_TRANSITION'
+      };
+    }
+
+    if (!force && PRESCRIPTION_GATED_STATUSES.includes(fromStatus) && ['Pending Payment', 'Confirmed'].includes(newStatus)) {
+      const prescription = await getPrescriptionRequirement(order.id);
+      if (prescription.required && !prescription.verified) {
+        return {
+          success: false,
+          error: `Order #${order.id} contains prescription-only items (${prescription.items.map((item) => item.name).join(', ')}) and needs a verified prescription first`,
+          errorCode: 'PRESCRIPTION_REQUIRED'
+        };
+      }
+    }
+
+    await order.update({ ...updates, status: newStatus });
+
+    const history = await OrderStatusHistory.create({
+      orderId: order.id,
+      fromStatus,
+      toStatus: newStatus,
+      changedByType,
+      changedBy,
+      note
+    });
+
+    console.log(`📦 Order #${order.id}: ${fromStatus} → ${newStatus} (${changedByType}${changedBy ? `: ${changedBy}` : ''})`);
+
+    if (notify) {
+      try {
+        const user = await User.findByPk(order.userId);
+        const message = buildStatusMessage(order, newStatus, note);
+        if (user && user.phoneNumber && message) {
+          await sendWhatsAppMessage(user.phoneNumber, message);
+        }
+      } catch (notifyError) {
+        // The status change stands even if the customer could not be reached
+        console.error(`Error notifying customer about order #${order.id}:`, notifyError.message);
+      }
+    }
+
+    return { success: true, order, history };
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'UPDATE_ORDER_STATUS_FAILED'
+    };
+  }
+};
+
+/**
+ * Record a successful payment and confirm the order
+ * Orders with prescription-only items and no verified prescription go to (or stay in)
+ * 'Awaiting Prescription' instead; the payment is saved either way.
+ * @param {number} orderId - Order ID
+ * @param {Object} payment - { provider, reference }
+ * @returns {Object} { success, order, error, errorCode }
+ */
+const confirmOrderPayment = async (orderId, payment = {}) => {
+  const updates = { paymentStatus: 'Paid', paymentReference: payment.reference || null };
+  // A cash-on-delivery order paid online is refunded through the provider that took the money
+  if (['Flutterwave', 'Paystack'].includes(payment.provider)) {
+    updates.paymentMethod = payment.provider;
+  }
+  const note = `Payment received via ${payment.provider}`;
+
+  const order = await Order.findByPk(orderId);
+  if (!order) {
+    return { success: false, error: 'Order not found', errorCode: 'ORDER_NOT_FOUND' };
+  }
+
+  // Redelivered confirmations for the same payment must not notify the customer again
+  if (order.paymentStatus === 'Paid' && order.paymentReference === updates.paymentReference) {
+    return { success: true, order, unchanged: true };
+  }
+
+  if (['Processing', 'Pending Payment'].includes(order.status)) {
+    // The money is taken either way; an unverified prescription only holds back dispensing
+    const prescription = await getPrescriptionRequirement(order.id);
+    const nextStatus = prescription.required && !prescription.verified ? 'Awaiting Prescription' : 'Confirmed';
+    return updateOrderStatus(order.id, nextStatus, {
+      changedByType: 'webhook',
+      changedBy: payment.provider,
+      note,
+      updates
+    });
+  }
+
+  await order.update(updates);
+  console.log(`💳 Order #${order.id} marked paid via ${payment.provider} (status stays ${order.status})`);
+
+  const user = await User.findByPk(order.userId);
+  if (user && user.phoneNumber) {
+    const followUp = order.status === 'Awaiting Prescription'
+      ? `We'll dispense it once your prescription is verified.`
+      : `Current status: ${order.status}.`;
+    await sendWhatsAppMessage(user.phoneNumber, `✅ Payment confirmed for order #${order.id}. ${followUp}`);
+  }
+  return { success: true, order };
+};
+
+/**
+ * Get the status history of an order, oldest first
+ * @param {number} orderId - Order ID
+ * @returns {Array} OrderStatusHistory records
+ */
+const getOrderTimeline = async (orderId) => {
+  return OrderStatusHistory.findAll({
+    where: { orderId },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+};
+
+/**
+ * Format an order timeline for WhatsApp
+ * @param {Array} history - OrderStatusHistory records
+ * @returns {string} Timeline text
+ */
+const formatOrderTimeline = (history) => {
+  if (!history || history.length === 0) return '';
+  return history.map((entry) => {
+    const when = new Date(entry.createdAt).toLocaleString('en-NG', {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    let line = `${STATUS_EMOJI[entry.toStatus] || '•'} ${entry.toStatus} — ${when}`;
+    if (entry.note) line += `\n   _${entry.note}_`;
+    return line;
+  }).join('\n');
+};
+
+module.exports = {
+  CART_STATUS,
+  ORDER_STATUSES,
+  ALLOWED_TRANSITIONS,
+  STATUS_EMOJI,
+  canTransition,
+  getPrescriptionRequirement,
+  buildStatusMessage,
+  updateOrderStatus,
+  confirmOrderPayment,
+  getOrderTimeline,
+  formatOrderTimeline
+};
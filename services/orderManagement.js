@@ -10,6 +10,9 @@
 const axios = require('axios');
 const { Order, OrderItem, Product, User, Cart } = require('../models');
 const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { quoteDelivery } = require('./delivery');
+const { updateOrderStatus, getPrescriptionRequirement } = require('./orderLifecycle');
+const { checkProductAvailability, reserveOrderStock, commitOrderStock, releaseOrderStock } = require('./inventory');
 
 // API configuration
 const drugsngAPI = axios.create({
@@ -80,14 +83,12 @@ const addToCartWithSession = async (userId, productId, quantity, session = {}) =
       throw new Error('User not found');
     }
 
-    const product = await Product.findByPk(productId);
-    if (!product) {
-      throw new Error('Product not found');
-    }
-
-    if (product.stock < quantity) {
-      throw new Error(`Insufficient stock. Available: ${product.stock}, Requested: ${quantity}`);
+    // Units held by unpaid orders and already in this cart are not available
+    const availability = await checkProductAvailability(productId, quantity, userId);
+    if (!availability.success) {
+      throw new Error(availability.error);
     }
+    const product = availability.product;
 
     // Find or create pending order
     let order = await Order.findOne({
@@ -169,7 +170,8 @@ const addToCartWithSession = async (userId, productId, quantity, session = {}) =
  * Place order with retry logic for external API
  * Preserves order state throughout the process
  * @param {number} userId - User ID
- * @param {Object} orderData - Order data (address, paymentMethod)
+ * @param {Object} orderData - Order data (address, addressId, paymentMethod, deliveryLocation: { state, city, latitude, longitude },
+ *   cartOrderId: the cart the customer reviewed; placement is refused if it is no longer the open cart)
  * @param {Object} session - User session
  * @returns {Object} Order result
  */
@@ -196,14 +198,65 @@ const placeOrderWithRetry = async (userId, orderData, session = {}) => {
     if (!order || !order.OrderItems || order.OrderItems.length === 0) {
       throw new Error('No items in cart. Please add items before placing an order.');
     }
+    if (orderData.cartOrderId && String(order.id) !== String(orderData.cartOrderId)) {
+      return {
+        success: false,
+        error: 'Your cart has changed since you reviewed it',
+        errorCode: 'CART_CHANGED'
+      };
+    }
+
+    // Price delivery from the items themselves so a retried placement never adds the fee twice
+    const subtotal = order.OrderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const delivery = await quoteDelivery(orderData.deliveryLocation || {}, subtotal, orderData.paymentMethod);
+    if (!delivery.success) {
+      throw new Error('Could not calculate the delivery fee. Please try again shortly.');
+    }
 
     // Update order with shipping details
     await order.update({
       shippingAddress: orderData.address,
+      deliveryAddressId: orderData.addressId || null,
       paymentMethod: orderData.paymentMethod,
-      status: 'Processing'
+      deliveryFee: delivery.deliveryFee,
+      codSurcharge: delivery.codSurcharge,
+      deliveryZoneId: delivery.zone ? delivery.zone.id : null,
+      deliveryDistanceKm: delivery.distanceKm,
+      totalAmount: subtotal + delivery.deliveryFee + delivery.codSurcharge
     });
 
+    // Prescription-only medicines wait for a verified prescription before payment or dispensing
+    const prescription = await getPrescriptionRequirement(order.id);
+    const awaitingPrescription = prescription.required && !prescription.verified;
+
+    // Online payments hold the stock until paid; cash on delivery deducts it straight away.
+    // Orders waiting for a prescription hold it without a deadline until they are released.
+    const isCashOnDelivery = /cash/i.test(orderData.paymentMethod);
+    const stock = await reserveOrderStock(order, { expires: !isCashOnDelivery && !awaitingPrescription });
+    if (!stock.success) {
+      throw new Error(stock.error);
+    }
+
+    let placedStatus = isCashOnDelivery ? 'Confirmed' : 'Pending Payment';
+    if (awaitingPrescription) {
+      placedStatus = 'Awaiting Prescription';
+    }
+
+    // Leaving 'Processing' turns the cart into a placed order; checkout sends its own confirmation
+    const placed = await updateOrderStatus(order.id, placedStatus, {
+      changedByType: 'customer',
+      changedBy: user.phoneNumber,
+      note: 'Order placed via WhatsApp',
+      notify: false
+    });
+    if (!placed.success) {
+      await releaseOrderStock(order.id, 'placement_failed');
+      throw new Error(placed.error);
+    }
+    if (isCashOnDelivery && !awaitingPrescription) {
+      await commitOrderStock(order.id);
+    }
+
     // Try to sync with Drugs.ng API with retry logic
     let syncedWithAPI = false;
     let drugsngOrderId = null;
@@ -214,6 +267,7 @@ const placeOrderWithRetry = async (userId, orderData, session = {}) => {
           userId,
           address: orderData.address,
           paymentMethod: orderData.paymentMethod,
+          deliveryFee: delivery.deliveryFee + delivery.codSurcharge,
           items: order.OrderItems.map(item => ({
             productId: item.productId,
             quantity: item.quantity
@@ -246,8 +300,12 @@ const placeOrderWithRetry = async (userId, orderData, session = {}) => {
       orderId: order.id,
       drugsngOrderId,
       totalAmount: order.totalAmount,
+      subtotal,
+      deliveryFee: delivery.deliveryFee,
+      codSurcharge: delivery.codSurcharge,
       paymentMethod: orderData.paymentMethod,
-      status: order.status,
+      status: placed.order.status,
+      prescriptionItems: awaitingPrescription ? prescription.items : [],
       syncedWithAPI,
       message: `✅ Order #${order.id} placed successfully for ₦${order.totalAmount.toFixed(2)}`
     };
@@ -0,0 +1,256 @@
+/**
+ * Payables Service
+ * Handles online payment for anything a customer can pay for:
+ * - Orders, diagnostic (lab) test bookings and doctor consultations
+ * - Payment links whose reference encodes the entity type (see utils/paymentReference)
+ * - Confirming a payment on the right model and sending the matching confirmation
+ */
+
+const { Order, DiagnosticBooking, DiagnosticTest, Appointment, Doctor, User } = require('../models');
+const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { sendBookingConfirmationEmail } = require('../config/brevo');
+const { processFlutterwavePayment, processPaystackPayment } = require('./payment');
+const { confirmOrderPayment } = require('./orderLifecycle');
+const { commitOrderStock } = require('./inventory');
+const { PAYABLE_TYPES } = require('../utils/paymentReference');
+
+const PAYABLE_MODELS = {
+  order: Order,
+  diagnostic_booking: DiagnosticBooking,
+  consultation: Appointment
+};
+
+const PAYABLE_LABELS = {
+  order: 'Order',
+  diagnostic_booking: 'Lab test booking',
+  consultation: 'Consultation'
+};
+
+const CLOSED_STATUSES = ['Cancelled', 'Refunded', 'Completed'];
+
+const formatNaira = (amount) => `₦${Number(amount || 0).toLocaleString()}`;
+
+/**
+ * Load a payable entity with its amount and payment state
+ * @param {string} entityType - 'order' | 'diagnostic_booking' | 'consultation'
+ * @param {number|string} entityId - Entity ID
+ * @returns {Object|null} { entityType, entity, amount, label, awaitingPayment }
+ */
+const getPayable = async (entityType, entityId) => {
+  const Model = PAYABLE_MODELS[entityType];
+  if (!Model || !entityId) {
+    return null;
+  }
+
+  const entity = await Model.findByPk(entityId);
+  if (!entity) {
+    return null;
+  }
+
+  return {
+    entityType,
+    entity,
+    amount: entityType === 'consultation' ? (entity.consultationFee || 0) : entity.totalAmount,
+    label: `${PAYABLE_LABELS[entityType]} #${entity.id}`,
+    awaitingPayment: ['Pending', 'Failed'].includes(entity.paymentStatus)
+  };
+};
+
+/**
+ * Generate a payment link for a payable that belongs to the user
+ * @param {string} entityType - 'order' | 'diagnostic_booking' | 'consultation'
+ * @param {number|string} entityId - Entity ID
+ * @param {string} provider - 'Flutterwave' | 'Paystack'
+ * @param {number} userId - Paying user
+ * @returns {Object} { success, link, reference, amount, label, error, errorCode }
+ */
+const createPaymentLink = async (entityType, entityId, provider, userId) => {
+  try {
+    if (!PAYABLE_TYPES.includes(entityType)) {
+      return { success: false, error: `Unsupported payable type: ${entityType}`, errorCode: 'UNSUPPORTED_PAYABLE' };
+    }
+
+    const payable = await getPayable(entityType, entityId);
+    if (!payable || payable.entity.userId !== userId) {
+      return { success: false, error: `${PAYABLE_LABELS[entityType]} #${entityId} was not found on your account`, errorCode: 'PAYABLE_NOT_FOUND' };
+    }
+
+    const { entity, amount, label } = payable;
+    if (CLOSED_STATUSES.includes(entity.status)) {
+      return { success: false, error: `${label} is ${entity.status.toLowerCase()}, so no payment is needed`, errorCode: 'PAYABLE_CLOSED' };
+    }
+    if (entityType === 'order' && entity.status === 'Awaiting Prescription') {
+      return { success: false, error: `${label} contains prescription-only medicine. Send your prescription with the caption "rx ${entity.id}"; you can pay once a pharmacist has verified it.`, errorCode: 'PRESCRIPTION_REQUIRED' };
+    }
+    if (entity.paymentStatus === 'Not Required' || !(amount > 0)) {
+      return { success: false, error: `${label} does not require payment`, errorCode: 'NO_PAYMENT_REQUIRED' };
+    }
+    if (!payable.awaitingPayment) {
+      return { success: false, error: `${label} has already been paid`, errorCode: 'ALREADY_PAID' };
+    }
+
+    const user = await User.findByPk(userId);
+    if (!user || !user.email) {
+      return { success: false, error: 'An email address is required for online payment', errorCode: 'EMAIL_REQUIRED' };
+    }
+
+    const paymentDetails = {
+      amount,
+      email: user.email,
+      name: user.name,
+      phoneNumber: user.phoneNumber,
+      entityType,
+      entityId: entity.id,
+      orderId: entityType === 'order' ? entity.id : undefined,
+      description: `Payment for ${label}`
+    };
+
+    let link;
+    let reference;
+    if (provider === 'Flutterwave') {
+      const result = await processFlutterwavePayment(paymentDetails);
+      link = result.data.link;
+      reference = result.data.tx_ref;
+    } else if (provider === 'Paystack') {
+      const result = await processPaystackPayment(paymentDetails);
+      link = result.data.authorization_url;
+      reference = result.data.reference;
+    } else {
+      return { success: false, error: 'Sorry, we only support Flutterwave and Paystack for online payments.', errorCode: 'UNSUPPORTED_PROVIDER' };
+    }
+
+    // Keep the pending reference so reconciliation can find the payment if its webhook is lost
+    await entity.update({ paymentReference: reference });
+
+    return { success: true, link, reference, amount, label };
+  } catch (error) {
+    console.error('Error creating payment link:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'PAYMENT_LINK_FAILED'
+    };
+  }
+};
+
+/**
+ * Mark a diagnostic booking as paid and send the sample collection details
+ * @param {Object} booking - DiagnosticBooking instance
+ * @param {Object} payment - { provider, reference }
+ * @returns {Object} { success, booking }
+ */
+const confirmDiagnosticBookingPayment = async (booking, payment) => {
+  await booking.update({
+    paymentStatus: 'Paid',
+    paymentReference: payment.reference || booking.paymentReference,
+    status: booking.status === 'Pending' ? 'Scheduled' : booking.status
+  });
+  console.log(`💳 Lab test booking #${booking.id} paid via ${payment.provider}`);
+
+  const test = await DiagnosticTest.findByPk(booking.diagnosticTestId);
+  const user = await User.findByPk(booking.userId);
+  const collectionDate = new Date(booking.sampleCollectionDate).toLocaleString('en-NG');
+
+  if (user && user.phoneNumber) {
+    await sendWhatsAppMessage(user.phoneNumber, `✅ Payment confirmed for lab test booking #${booking.id}.\n\n🔬 Test: ${test ? test.name : 'N/A'}\n🧪 Sample: ${(test && test.sampleType) || 'N/A'}\n📅 Collection: ${collectionDate}\n📍 Location: ${booking.sampleCollectionLocation}\n\nOur sample collection team will contact you before the collection date.`);
+  }
+
+  if (user && user.email) {
+    try {
+      await sendBookingConfirmationEmail(user.email, {
+        bookingType: 'diagnostic',
+        testName: test ? test.name : null,
+        sampleType: test ? test.sampleType : null,
+        resultTime: test ? test.resultTime : null,
+        collectionDate,
+        collectionLocation: booking.sampleCollectionLocation,
+        amountPaid: formatNaira(booking.totalAmount),
+        bookingId: booking.id
+      }, user.name);
+    } catch (emailError) {
+      console.warn(`Booking confirmation email failed for lab test booking #${booking.id}:`, emailError.message);
+    }
+  }
+
+  return { success: true, booking };
+};
+
+/**
+ * Mark a consultation as paid and confirm the appointment
+ * @param {Object} appointment - Appointment instance
+ * @param {Object} payment - { provider, reference }
+ * @returns {Object} { success, appointment }
+ */
+const confirmConsultationPayment = async (appointment, payment) => {
+  await appointment.update({
+    paymentStatus: 'Paid',
+    paymentReference: payment.reference || appointment.paymentReference
+  });
+  console.log(`💳 Consultation #${appointment.id} paid via ${payment.provider}`);
+
+  const doctor = await Doctor.findByPk(appointment.doctorId);
+  const user = await User.findByPk(appointment.userId);
+  const dateTime = new Date(appointment.dateTime).toLocaleString('en-NG');
+
+  if (user && user.phoneNumber) {
+    await sendWhatsAppMessage(user.phoneNumber, `✅ Payment confirmed for your consultation #${appointment.id}.\n\n👨‍⚕️ Doctor: ${doctor ? `Dr. ${doctor.name}` : 'N/A'}\n📅 Date & Time: ${dateTime}\n\nPlease be available 10 minutes early.`);
+  }
+
+  if (user && user.email) {
+    try {
+      await sendBookingConfirmationEmail(user.email, {
+        doctorName: doctor ? doctor.name : null,
+        specialty: doctor ? doctor.specialty : null,
+        dateTime,
+        amountPaid: formatNaira(appointment.consultationFee),
+        bookingId: appointment.id
+      }, user.name);
+    } catch (emailError) {
+      console.warn(`Booking confirmation email failed for consultation #${appointment.id}:`, emailError.message);
+    }
+  }
+
+  return { success: true, appointment };
+};
+
+/**
+ * Record a successful payment on the payable it was made for
+ * @param {string} entityType - 'order' | 'diagnostic_booking' | 'consultation'
+ * @param {number|string} entityId - Entity ID
+ * @param {Object} payment - { provider, reference }
+ * @returns {Object} { success, error, errorCode }
+ */
+const confirmPayablePayment = async (entityType, entityId, payment = {}) => {
+  if (entityType === 'order') {
+    const result = await confirmOrderPayment(entityId, payment);
+    // Orders held for a prescription commit their stock when the pharmacist releases them
+    if (result.success && !result.unchanged && result.order && result.order.status === 'Confirmed') {
+      const stock = await commitOrderStock(entityId);
+      if (!stock.success) {
+        console.warn(`⚠️  Order #${entityId} paid but its reserved stock was not deducted: ${stock.error}`);
+      }
+    }
+    return result;
+  }
+
+  const payable = await getPayable(entityType, entityId);
+  if (!payable) {
+    return { success: false, error: `${PAYABLE_LABELS[entityType] || entityType} #${entityId} not found`, errorCode: 'PAYABLE_NOT_FOUND' };
+  }
+
+  // Redelivered confirmations for the same payment must not notify the customer again
+  if (payable.entity.paymentStatus === 'Paid' && payable.entity.paymentReference === payment.reference) {
+    return { success: true, unchanged: true };
+  }
+
+  return entityType === 'diagnostic_booking'
+    ? confirmDiagnosticBookingPayment(payable.entity, payment)
+    : confirmConsultationPayment(payable.entity, payment);
+};
+
+module.exports = {
+  PAYABLE_LABELS,
+  getPayable,
+  createPaymentLink,
+  confirmPayablePayment
+};
@@ -1,8 +1,10 @@
 const axios = require('axios');
+const { buildPaymentReference } = require('../utils/paymentReference');
 
 // Flutterwave API v3 configuration
+// Base URLs can be overridden to point at a local mock of the provider APIs
 const flutterwaveAPI = axios.create({
-  baseURL: 'https://api.flutterwave.com/v3',
+  baseURL: process.env.FLUTTERWAVE_API_BASE_URL || 'https://api.flutterwave.com/v3',
   headers: {
     'Authorization': `Bearer ${process.env.FLUTTERWAVE_SECRET_KEY}`,
     'Content-Type': 'application/json'
@@ -11,7 +13,7 @@ const flutterwaveAPI = axios.create({
 
 // Paystack API configuration
 const paystackAPI = axios.create({
-  baseURL: 'https://api.paystack.co',
+  baseURL: process.env.PAYSTACK_API_BASE_URL || 'https://api.paystack.co',
   headers: {
     'Authorization': `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
     'Content-Type': 'application/json'
@@ -43,12 +45,16 @@ const processFlutterwavePayment = async (paymentDetails) => {
     if (!paymentDetails.email) {
       throw new Error('Customer email is required');
     }
-    if (!paymentDetails.orderId) {
-      throw new Error('Order ID is required');
+    // Orders pass orderId; other payables pass entityType and entityId
+    const entityType = paymentDetails.entityType || 'order';
+    const entityId = paymentDetails.entityId || paymentDetails.orderId;
+    if (!entityId) {
+      throw new Error('Order or booking ID is required');
     }
+    const description = paymentDetails.description || `Payment for Order #${entityId}`;
 
     const payload = {
-      tx_ref: `drugsng-${paymentDetails.orderId}-${Date.now()}`,
+      tx_ref: buildPaymentReference(entityType, entityId),
       amount: parseFloat(paymentDetails.amount),
       currency: 'NGN',
       redirect_url: process.env.PAYMENT_REDIRECT_URL || 'https://your-domain.com/payment/callback',
@@ -60,11 +66,13 @@ const processFlutterwavePayment = async (paymentDetails) => {
       },
       customizations: {
         title: 'Drugs.ng Payment',
-        description: `Payment for Order #${paymentDetails.orderId}`,
+        description,
         logo: process.env.COMPANY_LOGO || 'https://drugsng.com/logo.png'
       },
       meta: {
-        orderId: paymentDetails.orderId,
+        orderId: entityType === 'order' ? entityId : undefined,
+        entityType,
+        entityId,
         timestamp: new Date().toISOString()
       }
     };
@@ -105,18 +113,25 @@ const processPaystackPayment = async (paymentDetails) => {
     if (!paymentDetails.email) {
       throw new Error('Customer email is required');
     }
-    if (!paymentDetails.orderId) {
-      throw new Error('Order ID is required');
+    // Orders pass orderId; other payables pass entityType and entityId
+    const entityType = paymentDetails.entityType || 'order';
+    const entityId = paymentDetails.entityId || paymentDetails.orderId;
+    if (!entityId) {
+      throw new Error('Order or booking ID is required');
     }
+    const description = paymentDetails.description || `Payment for Order #${entityId}`;
 
     const payload = {
-      reference: `drugsng-${paymentDetails.orderId}-${Date.now()}`,
+      reference: buildPaymentReference(entityType, entityId),
       amount: Math.round(parseFloat(paymentDetails.amount) * 100), // Paystack expects amount in kobo
       email: paymentDetails.email,
       currency: 'NGN',
       callback_url: process.env.PAYMENT_REDIRECT_URL || 'https://your-domain.com/payment/callback',
       metadata: {
-        orderId: paymentDetails.orderId,
+        orderId: entityType === 'order' ? entityId : undefined,
+        entityType,
+        entityId,
+        description,
         customerName: paymentDetails.name || 'Customer',
         customerPhone: paymentDetails.phoneNumber || '',
         timestamp: new Date().toISOString()
@@ -156,7 +171,10 @@ const verifyFlutterwavePayment = async (transactionId) => {
       throw new Error('Transaction ID is required');
     }
 
-    const response = await flutterwaveAPI.get(`/transactions/${transactionId}/verify`);
+    // Payment links only know their tx_ref until a webhook brings the numeric transaction ID
+    const response = isNaN(transactionId)
+      ? await flutterwaveAPI.get('/transactions/verify_by_reference', { params: { tx_ref: transactionId } })
+      : await flutterwaveAPI.get(`/transactions/${transactionId}/verify`);
 
     if (!response.data.data) {
       throw new Error('Invalid response from Flutterwave');
@@ -221,6 +239,196 @@ const verifyPaystackPayment = async (reference) => {
   }
 };
 
+// Refund a Flutterwave transaction (full refund when amount is omitted)
+const refundFlutterwavePayment = async (transactionReference, amount = null) => {
+  try {
+    validateFlutterwaveConfig();
+
+    if (!transactionReference) {
+      throw new Error('Transaction ID is required');
+    }
+
+    // Refunds need the numeric transaction ID; look it up when only the tx_ref is known
+    let transactionId = transactionReference;
+    if (isNaN(transactionReference)) {
+      const lookup = await flutterwaveAPI.get('/transactions/verify_by_reference', { params: { tx_ref: transactionReference } });
+      if (!lookup.data.data || !lookup.data.data.id) {
+        throw new Error('Transaction not found on Flutterwave');
+      }
+      transactionId = lookup.data.data.id;
+    }
+
+    const payload = amount ? { amount: parseFloat(amount) } : {};
+    const response = await flutterwaveAPI.post(`/transactions/${transactionId}/refund`, payload);
+
+    if (!response.data.data) {
+      throw new Error('Invalid response from Flutterwave');
+    }
+
+    return {
+      status: 'success',
+      data: {
+        id: response.data.data.id,
+        amount: response.data.data.amount_refunded || response.data.data.amount,
+        status: response.data.data.status,
+        transactionId,
+        raw: response.data.data
+      }
+    };
+  } catch (error) {
+    console.error('Flutterwave refund error:', error.response?.data || error.message);
+    throw {
+      status: 'error',
+      message: error.response?.data?.message || error.message,
+      code: error.response?.status || 500
+    };
+  }
+};
+
+// Refund a Paystack transaction (full refund when amount is omitted)
+const refundPaystackPayment = async (reference, amount = null, note = null) => {
+  try {
+    validatePaystackConfig();
+
+    if (!reference) {
+      throw new Error('Reference is required');
+    }
+
+    const payload = {
+      transaction: reference,
+      currency: 'NGN'
+    };
+    if (amount) {
+      payload.amount = Math.round(parseFloat(amount) * 100); // Paystack expects amount in kobo
+    }
+    if (note) {
+      payload.merchant_note = note;
+    }
+
+    const response = await paystackAPI.post('/refund', payload);
+
+    if (!response.data.status || !response.data.data) {
+      throw new Error('Invalid response from Paystack');
+    }
+
+    return {
+      status: 'success',
+      data: {
+        id: response.data.data.id,
+        amount: response.data.data.amount / 100, // Convert from kobo to naira
+        status: response.data.data.status,
+        raw: response.data.data
+      }
+    };
+  } catch (error) {
+    console.error('Paystack refund error:', error.response?.data || error.message);
+    throw {
+      status: 'error',
+      message: error.response?.data?.message || error.message,
+      code: error.response?.status || 500
+    };
+  }
+};
+
+// Cap on pages fetched per listing so a large window cannot run away
+const MAX_TRANSACTION_PAGES = 20;
+
+// List Flutterwave transactions created in a date window
+const listFlutterwaveTransactions = async ({ from, to }) => {
+  try {
+    validateFlutterwaveConfig();
+
+    const transactions = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await flutterwaveAPI.get('/transactions', {
+        params: {
+          from: from.toISOString().slice(0, 10),
+          to: to.toISOString().slice(0, 10),
+          page
+        }
+      });
+
+      if (!Array.isArray(response.data.data)) {
+        throw new Error('Invalid response from Flutterwave');
+      }
+
+      for (const tx of response.data.data) {
+        transactions.push({
+          provider: 'Flutterwave',
+          id: String(tx.id),
+          reference: tx.tx_ref,
+          amount: tx.amount,
+          currency: tx.currency,
+          status: tx.status === 'successful' ? 'success' : tx.status,
+          meta: tx.meta || null,
+          timestamp: tx.created_at
+        });
+      }
+
+      totalPages = response.data.meta?.page_info?.total_pages || 1;
+      page++;
+    } while (page <= totalPages && page <= MAX_TRANSACTION_PAGES);
+
+    return { status: 'success', data: transactions };
+  } catch (error) {
+    console.error('Flutterwave transaction list error:', error.response?.data || error.message);
+    throw {
+      status: 'error',
+      message: error.response?.data?.message || error.message,
+      code: error.response?.status || 500
+    };
+  }
+};
+
+// List Paystack transactions created in a date window
+const listPaystackTransactions = async ({ from, to }) => {
+  try {
+    validatePaystackConfig();
+
+    const transactions = [];
+    let page = 1;
+    let pageCount = 1;
+
+    do {
+      const response = await paystackAPI.get('/transaction', {
+        params: { from: from.toISOString(), to: to.toISOString(), perPage: 100, page }
+      });
+
+      if (!response.data.status || !Array.isArray(response.data.data)) {
+        throw new Error('Invalid response from Paystack');
+      }
+
+      for (const tx of response.data.data) {
+        transactions.push({
+          provider: 'Paystack',
+          id: String(tx.id),
+          reference: tx.reference,
+          amount: tx.amount / 100, // Convert from kobo to naira
+          currency: tx.currency,
+          status: tx.status,
+          meta: tx.metadata || null,
+          timestamp: tx.paid_at || tx.created_at
+        });
+      }
+
+      pageCount = response.data.meta?.pageCount || 1;
+      page++;
+    } while (page <= pageCount && page <= MAX_TRANSACTION_PAGES);
+
+    return { status: 'success', data: transactions };
+  } catch (error) {
+    console.error('Paystack transaction list error:', error.response?.data || error.message);
+    throw {
+      status: 'error',
+      message: error.response?.data?.message || error.message,
+      code: error.response?.status || 500
+    };
+  }
+};
+
 // Unified payment verification
 const verifyPayment = async (reference, provider) => {
   try {
@@ -248,5 +456,9 @@ module.exports = {
   processPaystackPayment,
   verifyFlutterwavePayment,
   verifyPaystackPayment,
-  verifyPayment
+  verifyPayment,
+  listFlutterwaveTransactions,
+  listPaystackTransactions,
+  refundFlutterwavePayment,
+  refundPaystackPayment
 };
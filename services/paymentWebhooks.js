@@ -0,0 +1,296 @@
+/**
+ * Payment Webhook Service
+ * Idempotent processing of Flutterwave and Paystack webhooks:
+ * - Every delivery is stored in the PaymentEvent ledger (raw payload, signature result, outcome)
+ * - Provider retries are deduplicated by event id
+ * - Charges are routed by their reference to the order, lab test booking or consultation they paid for
+ * - Paid amount and currency are checked against the payable's amount before it is marked paid
+ * - Failed events can be replayed from the admin API
+ */
+
+const { PaymentEvent } = require('../models');
+const { getPayable, confirmPayablePayment } = require('./payables');
+const { handleRefundWebhook } = require('./refunds');
+const { notifySupportTeam } = require('./support');
+const { parsePaymentReference } = require('../utils/paymentReference');
+
+const SUPPORTED_CURRENCY = 'NGN';
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Normalize a Flutterwave webhook into the fields the ledger needs
+ * Newer webhooks wrap the transaction in `data`; older ones send it flat.
+ * @param {Object} payload - Raw webhook body
+ * @returns {Object} Normalized event
+ */
+const normalizeFlutterwaveEvent = (payload) => {
+  const data = payload.data && typeof payload.data === 'object' ? payload.data : payload;
+  const eventType = typeof payload.event === 'string' ? payload.event : `charge.${data.status || 'unknown'}`;
+
+  if (eventType.startsWith('refund.')) {
+    return {
+      eventType,
+      eventId: `${eventType}:${data.id}:${data.status || ''}`,
+      reference: data.TransactionId != null ? String(data.TransactionId) : (data.transaction_id != null ? String(data.transaction_id) : null),
+      isRefund: true,
+      refund: {
+        providerRefundId: data.id,
+        paymentReference: data.TransactionId || data.transaction_id,
+        status: data.status || eventType.split('.')[1],
+        failureReason: data.comments || null,
+        raw: data
+      }
+    };
+  }
+
+  const reference = data.tx_ref || data.txRef || null;
+  return {
+    eventType,
+    eventId: `${eventType}:${data.id != null ? data.id : reference}`,
+    reference,
+    paymentReference: data.id != null ? String(data.id) : (data.transaction_id != null ? String(data.transaction_id) : reference),
+    payable: parsePaymentReference(reference, data.meta || payload.meta),
+    amount: data.amount != null ? parseFloat(data.amount) : null,
+    currency: data.currency || null,
+    isSuccessfulCharge: data.status === 'successful'
+  };
+};
+
+/**
+ * Normalize a Paystack webhook into the fields the ledger needs
+ * @param {Object} payload - Raw webhook body
+ * @returns {Object} Normalized event
+ */
+const normalizePaystackEvent = (payload) => {
+  const data = payload.data || {};
+  const eventType = payload.event;
+
+  if (eventType.startsWith('refund.')) {
+    return {
+      eventType,
+      eventId: `${eventType}:${data.refund_reference || data.id || data.transaction_reference}`,
+      reference: data.transaction_reference || null,
+      isRefund: true,
+      refund: {
+        providerRefundId: data.id,
+        paymentReference: data.transaction_reference,
+        status: data.status || eventType.split('.')[1],
+        raw: data
+      }
+    };
+  }
+
+  return {
+    eventType,
+    eventId: `${eventType}:${data.id != null ? data.id : data.reference}`,
+    reference: data.reference || null,
+    paymentReference: data.reference || null,
+    payable: parsePaymentReference(data.reference, data.metadata),
+    amount: data.amount != null ? data.amount / 100 : null, // Convert from kobo to naira
+    currency: data.currency || null,
+    isSuccessfulCharge: eventType === 'charge.success'
+  };
+};
+
+const normalizeEvent = (provider, payload) => {
+  return provider === 'Flutterwave' ? normalizeFlutterwaveEvent(payload) : normalizePaystackEvent(payload);
+};
+
+/**
+ * Apply a successful charge to its payable after verifying amount and currency
+ * @param {string} provider - Payment provider
+ * @param {Object} normalized - Normalized event
+ * @returns {Object} { status, outcome, error }
+ */
+const applyChargeEvent = async (provider, normalized) => {
+  if (!normalized.payable) {
+    return { status: 'Failed', outcome: 'PAYABLE_NOT_IDENTIFIED', error: 'Could not tell what the payment was for from its reference' };
+  }
+
+  const { entityType, entityId } = normalized.payable;
+  const payable = await getPayable(entityType, entityId);
+  if (!payable) {
+    return { status: 'Failed', outcome: 'PAYABLE_NOT_FOUND', error: `${entityType} ${entityId} not found` };
+  }
+
+  const { entity, label } = payable;
+  if (!payable.awaitingPayment) {
+    if (entity.paymentReference === normalized.paymentReference) {
+      return { status: 'Ignored', outcome: 'ALREADY_PAID' };
+    }
+    // A second payment (or one nothing was owed for) needs a person to refund it
+    await notifySupportTeam(null, 'orders', 'Unexpected Payment Received', {
+      payable: label,
+      provider,
+      reference: normalized.paymentReference,
+      amount: normalized.amount,
+      paymentStatus: entity.paymentStatus,
+      existingReference: entity.paymentReference
+    });
+    return { status: 'Failed', outcome: 'DUPLICATE_PAYMENT', error: `${label} is ${entity.paymentStatus} (reference ${entity.paymentReference})` };
+  }
+
+  // e.g. an order cancelled after its stock reservation expired; the money has to go back
+  if (entity.status === 'Cancelled') {
+    await notifySupportTeam(null, 'orders', 'Payment For Cancelled Item', {
+      payable: label,
+      provider,
+      reference: normalized.paymentReference,
+      amount: normalized.amount
+    });
+    return { status: 'Failed', outcome: 'PAYABLE_CANCELLED', error: `${label} was cancelled before payment arrived` };
+  }
+
+  if ((normalized.currency || '').toUpperCase() !== SUPPORTED_CURRENCY) {
+    return { status: 'Failed', outcome: 'CURRENCY_MISMATCH', error: `Expected ${SUPPORTED_CURRENCY}, received ${normalized.currency}` };
+  }
+
+  if (normalized.amount == null || Math.abs(normalized.amount - payable.amount) > AMOUNT_TOLERANCE) {
+    await notifySupportTeam(null, 'orders', 'Payment Amount Mismatch', {
+      payable: label,
+      provider,
+      reference: normalized.paymentReference,
+      paid: normalized.amount,
+      expected: payable.amount
+    });
+    return {
+      status: 'Failed',
+      outcome: 'AMOUNT_MISMATCH',
+      error: `Paid ${normalized.amount} but ${label} totals ${payable.amount}`
+    };
+  }
+
+  const result = await confirmPayablePayment(entityType, entity.id, { provider, reference: normalized.paymentReference });
+  if (!result.success) {
+    return { status: 'Failed', outcome: 'CONFIRM_FAILED', error: result.error };
+  }
+  return { status: 'Processed', outcome: 'PAYMENT_CONFIRMED' };
+};
+
+/**
+ * Run the business processing for a ledger entry and record the outcome
+ * @param {Object} event - PaymentEvent instance
+ * @returns {Object} PaymentEvent
+ */
+const processPaymentEvent = async (event) => {
+  let result;
+  try {
+    const normalized = normalizeEvent(event.provider, event.payload);
+
+    if (normalized.isRefund) {
+      const refundResult = await handleRefundWebhook(event.provider, normalized.refund);
+      result = refundResult.success
+        ? { status: 'Processed', outcome: 'REFUND_UPDATED' }
+        : { status: 'Failed', outcome: 'REFUND_NOT_FOUND', error: refundResult.error };
+    } else if (normalized.isSuccessfulCharge) {
+      result = await applyChargeEvent(event.provider, normalized);
+    } else {
+      result = { status: 'Ignored', outcome: 'EVENT_NOT_HANDLED' };
+    }
+  } catch (error) {
+    console.error(`Error processing ${event.provider} event #${event.id}:`, error);
+    result = { status: 'Failed', outcome: 'PROCESSING_ERROR', error: error.message };
+  }
+
+  await event.update({
+    status: result.status,
+    outcome: result.outcome,
+    error: result.error || null,
+    attempts: (event.attempts || 0) + 1,
+    processedAt: new Date()
+  });
+
+  console.log(`💳 ${event.provider} event #${event.id} (${event.eventType}): ${result.status} — ${result.outcome}`);
+  return event;
+};
+
+/**
+ * Record a webhook delivery in the ledger and process it once
+ * @param {string} provider - 'Flutterwave' | 'Paystack'
+ * @param {Object} payload - Raw webhook body
+ * @param {Object} options - { signatureValid }
+ * @returns {Object} { accepted, duplicate, event }
+ */
+const receivePaymentWebhook = async (provider, payload, options = {}) => {
+  const { signatureValid = false } = options;
+  const normalized = normalizeEvent(provider, payload);
+
+  const payable = normalized.payable || null;
+  const base = {
+    provider,
+    eventType: normalized.eventType,
+    reference: normalized.reference,
+    entityType: payable ? payable.entityType : null,
+    entityId: payable ? parseInt(payable.entityId, 10) : null,
+    orderId: payable && payable.entityType === 'order' ? parseInt(payable.entityId, 10) : null,
+    amount: normalized.amount != null ? normalized.amount : null,
+    currency: normalized.currency || null,
+    payload
+  };
+
+  if (!signatureValid) {
+    // Kept for auditing, but never deduplicated against or processed
+    const event = await PaymentEvent.create({ ...base, eventId: null, signatureValid: false, status: 'Rejected', outcome: 'INVALID_SIGNATURE' });
+    return { accepted: false, duplicate: false, event };
+  }
+
+  const existing = await PaymentEvent.findOne({ where: { provider, eventId: normalized.eventId } });
+  if (existing) {
+    await existing.increment('deliveryCount');
+    console.log(`💳 Duplicate ${provider} event ${normalized.eventId} ignored (delivery #${existing.deliveryCount + 1})`);
+    return { accepted: true, duplicate: true, event: existing };
+  }
+
+  let event;
+  try {
+    event = await PaymentEvent.create({ ...base, eventId: normalized.eventId, signatureValid: true, status: 'Received' });
+  } catch (error) {
+    // A concurrent delivery of the same event won the insert
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      const winner = await PaymentEvent.findOne({ where: { provider, eventId: normalized.eventId } });
+      return { accepted: true, duplicate: true, event: winner };
+    }
+    throw error;
+  }
+
+  await processPaymentEvent(event);
+  return { accepted: true, duplicate: false, event };
+};
+
+/**
+ * Re-run processing for a ledger entry (admin replay)
+ * @param {number} eventId - PaymentEvent ID
+ * @param {Object} options - { force } allow replaying events that already succeeded
+ * @returns {Object} { success, event, error, errorCode }
+ */
+const replayPaymentEvent = async (eventId, options = {}) => {
+  try {
+    const event = await PaymentEvent.findByPk(eventId);
+    if (!event) {
+      return { success: false, error: 'Payment event not found', errorCode: 'EVENT_NOT_FOUND' };
+    }
+    if (!event.signatureValid) {
+      return { success: false, error: 'Events with an invalid signature cannot be replayed', errorCode: 'INVALID_SIGNATURE' };
+    }
+    if (['Processed', 'Ignored'].includes(event.status) && !options.force) {
+      return { success: false, error: `Event #${event.id} was already ${event.status.toLowerCase()}; pass force to replay it`, errorCode: 'EVENT_ALREADY_PROCESSED' };
+    }
+
+    await processPaymentEvent(event);
+    return { success: event.status !== 'Failed', event, error: event.status === 'Failed' ? event.error : null };
+  } catch (error) {
+    console.error('Error replaying payment event:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'REPLAY_FAILED'
+    };
+  }
+};
+
+module.exports = {
+  normalizeEvent,
+  receivePaymentWebhook,
+  processPaymentEvent,
+  replayPaymentEvent
+};
@@ -0,0 +1,221 @@
+/**
+ * Pharmacist Console Service
+ * WhatsApp commands for support team members with the 'pharmacist' role:
+ * - /rx pending [page], /rx next, /rx previous - prescriptions waiting for verification
+ * - /rx view <id> - prescription details, medicines read from it, and the uploaded file
+ * - /rx approve <id> [notes] and /rx reject <id> <reason> - the customer is notified of the decision
+ */
+
+const { Prescription, Order, OrderItem, Product, Session } = require('../models');
+const { sendWhatsAppMessage, sendImageMessage, sendDocumentMessage } = require('../config/whatsapp');
+const { getPendingPrescriptionsForPharmacist, verifyPrescription } = require('./prescription');
+const { centralPaginationFormatter, parseNavigationCommand } = require('../utils/pagination');
+
+const PAGE_SIZE = 5;
+const OCR_EXCERPT_LENGTH = 300;
+
+const HELP_TEXT = `💊 Pharmacist commands:\n\n/rx pending [page] - prescriptions to verify\n/rx next, /rx previous - move through the list\n/rx view <id> - details and the prescription file\n/rx approve <id> [notes] - verify and release the order\n/rx reject <id> <reason> - reject and ask the customer for a new one`;
+
+const getConsoleSession = async (phoneNumber) => {
+  const [session] = await Session.findOrCreate({ where: { phoneNumber }, defaults: { state: 'NEW', data: {} } });
+  return session;
+};
+
+const formatWaiting = (createdAt) => {
+  const hours = Math.floor((Date.now() - new Date(createdAt).getTime()) / (60 * 60 * 1000));
+  return hours < 1 ? 'just now' : hours < 48 ? `${hours}h ago` : `${Math.floor(hours / 24)}d ago`;
+};
+
+/**
+ * Send a page of pending prescriptions and remember it for /rx next and /rx previous
+ * @param {Object} supportTeam - Pharmacist SupportTeam record
+ * @param {number} page - Page number
+ */
+const sendPendingPage = async (supportTeam, page) => {
+  const result = await getPendingPrescriptionsForPharmacist(page, PAGE_SIZE);
+  if (result.items.length === 0) {
+    await sendWhatsAppMessage(supportTeam.phoneNumber, '✅ No prescriptions are waiting for verification.');
+    return;
+  }
+
+  const { currentPage, totalPages, total } = result.pagination;
+  const formatted = centralPaginationFormatter(result.items, currentPage, totalPages, `📋 Prescriptions to verify (${total})`, (item) => {
+    let line = `Rx #${item.id} · Order #${item.orderId}`;
+    if (item.orderData) {
+      line += `\n   ${item.orderData.status} · ₦${Number(item.orderData.totalAmount || 0).toLocaleString()}`;
+    }
+    line += `\n   Uploaded ${formatWaiting(item.createdAt)} · OCR: ${item.ocrStatus}`;
+    return line;
+  }, { showNumbers: false, showNavigation: false });
+
+  let message = `${formatted.message}📍 *Commands:*\n`;
+  if (formatted.canGoPrevious) message += `• /rx previous - page ${currentPage - 1}\n`;
+  if (formatted.canGoNext) message += `• /rx next - page ${currentPage + 1}\n`;
+  message += `• /rx view <id> to review one`;
+
+  const session = await getConsoleSession(supportTeam.phoneNumber);
+  // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+  session.data = { ...session.data, rxPendingPagination: { currentPage, totalPages, pageSize: PAGE_SIZE } };
+  await session.save();
+
+  await sendWhatsAppMessage(supportTeam.phoneNumber, message);
+};
+
+const describeMedicine = (medicine) => {
+  const directions = [medicine.frequency, medicine.duration ? `for ${medicine.duration}` : null, medicine.quantity ? `qty ${medicine.quantity}` : null]
+    .filter(Boolean).join(', ');
+  const match = medicine.match ? ` → ${medicine.match.name}` : ' → not in catalog';
+  return `• ${[medicine.name, medicine.strength, medicine.dosageForm].filter(Boolean).join(' ')}${directions ? ` (${directions})` : ''}${match}`;
+};
+
+/**
+ * Send a prescription's details and its file to a pharmacist
+ * @param {Object} supportTeam - Pharmacist SupportTeam record
+ * @param {number} prescriptionId - Prescription ID
+ */
+const sendPrescriptionDetails = async (supportTeam, prescriptionId) => {
+  const prescription = await Prescription.findByPk(prescriptionId, {
+    include: [{ model: Order, include: [{ model: OrderItem, include: [Product] }] }]
+  });
+  if (!prescription) {
+    await sendWhatsAppMessage(supportTeam.phoneNumber, `❌ Prescription #${prescriptionId} not found.`);
+    return;
+  }
+
+  const order = prescription.Order;
+  let message = `📋 Prescription #${prescription.id} · ${prescription.verificationStatus}\n`;
+  if (prescription.verifiedBy) {
+    message += `Reviewed by ${prescription.verifiedBy}${prescription.pharmacistNotes ? `: ${prescription.pharmacistNotes}` : ''}\n`;
+  }
+  if (order) {
+    message += `\nOrder #${order.id} · ${order.status} · ₦${Number(order.totalAmount || 0).toLocaleString()}\n`;
+    (order.OrderItems || []).forEach((item) => {
+      const name = item.Product ? item.Product.name : `Product #${item.productId}`;
+      message += `• ${name} x${item.quantity}${item.Product && item.Product.requiresPrescription ? ' ⚕️ POM' : ''}\n`;
+    });
+  }
+
+  const parsed = prescription.parsedData || {};
+  const medicines = parsed.medicines || [];
+  if (parsed.patientName || parsed.doctorName || parsed.issueDate) {
+    message += `\nPatient: ${parsed.patientName || '?'} · Prescriber: ${parsed.doctorName || '?'} · Date: ${parsed.issueDate || '?'}\n`;
+  }
+  if (medicines.length > 0) {
+    message += `\nRead from the prescription:\n${medicines.map(describeMedicine).join('\n')}\n`;
+  } else if (prescription.extractedText) {
+    const text = prescription.extractedText.trim();
+    message += `\nOCR text:\n${text.length > OCR_EXCERPT_LENGTH ? `${text.slice(0, OCR_EXCERPT_LENGTH)}…` : text}\n`;
+  }
+  message += `\nReply /rx approve ${prescription.id} [notes] or /rx reject ${prescription.id} <reason>`;
+  await sendWhatsAppMessage(supportTeam.phoneNumber, message);
+
+  const caption = `Prescription #${prescription.id}${order ? ` · Order #${order.id}` : ''}`;
+  try {
+    if (/\.pdf(?:$|\?)/i.test(prescription.fileUrl)) {
+      await sendDocumentMessage(supportTeam.phoneNumber, prescription.fileUrl, `prescription-${prescription.id}.pdf`, caption);
+    } else {
+      await sendImageMessage(supportTeam.phoneNumber, prescription.fileUrl, caption);
+    }
+  } catch (error) {
+    await sendWhatsAppMessage(supportTeam.phoneNumber, `⚠️ Could not send the file. Open it here: ${prescription.fileUrl}`);
+  }
+};
+
+/**
+ * Verify or reject a prescription; verifyPrescription releases the order and notifies the customer
+ * @param {Object} supportTeam - Pharmacist SupportTeam record
+ * @param {number} prescriptionId - Prescription ID
+ * @param {string} status - 'Verified' or 'Rejected'
+ * @param {string} notes - Pharmacist notes (the reason, for rejections)
+ */
+const reviewPrescription = async (supportTeam, prescriptionId, status, notes) => {
+  const existing = await Prescription.findByPk(prescriptionId);
+  if (!existing) {
+    await sendWhatsAppMessage(supportTeam.phoneNumber, `❌ Prescription #${prescriptionId} not found.`);
+    return;
+  }
+  const previous = existing.verificationStatus;
+
+  const result = await verifyPrescription(prescriptionId, status, notes || null, `${supportTeam.name} (${supportTeam.phoneNumber})`);
+  let message = status === 'Verified'
+    ? `✅ Prescription #${prescriptionId} verified.`
+    : `❌ Prescription #${prescriptionId} rejected.`;
+  if (previous !== 'Pending' && previous !== status) {
+    message += ` (It was ${previous}.)`;
+  }
+  message += ` Order #${result.prescription.orderId}${result.orderStatus ? ` is ${result.orderStatus}` : ''}. The customer has been notified.`;
+  await sendWhatsAppMessage(supportTeam.phoneNumber, message);
+};
+
+/**
+ * Handle a /rx command from a support team member
+ * @param {Object} supportTeam - SupportTeam record of the sender
+ * @param {string} args - Command text after "/rx"
+ */
+const handlePharmacistCommand = async (supportTeam, args) => {
+  if (supportTeam.role !== 'pharmacist') {
+    await sendWhatsAppMessage(supportTeam.phoneNumber, 'Only pharmacists can use /rx commands.');
+    return;
+  }
+
+  const [action = 'help', idText, ...rest] = args.trim().split(/\s+/);
+  const notes = rest.join(' ').trim();
+  const prescriptionId = parseInt(idText, 10);
+
+  try {
+    switch (action.toLowerCase()) {
+      case 'pending':
+      case 'list':
+        await sendPendingPage(supportTeam, parseInt(idText, 10) || 1);
+        break;
+
+      case 'next':
+      case 'previous': {
+        const session = await getConsoleSession(supportTeam.phoneNumber);
+        const pagination = session.data && session.data.rxPendingPagination;
+        const targetPage = pagination && parseNavigationCommand(action.toLowerCase(), pagination.currentPage, pagination.totalPages);
+        if (!targetPage) {
+          await sendWhatsAppMessage(supportTeam.phoneNumber, pagination ? `No ${action.toLowerCase()} page. Type /rx pending to refresh the list.` : 'Type /rx pending to list prescriptions first.');
+          return;
+        }
+        await sendPendingPage(supportTeam, targetPage);
+        break;
+      }
+
+      case 'view':
+        if (!prescriptionId) {
+          await sendWhatsAppMessage(supportTeam.phoneNumber, 'Usage: /rx view <prescription id>');
+          return;
+        }
+        await sendPrescriptionDetails(supportTeam, prescriptionId);
+        break;
+
+      case 'approve':
+      case 'verify':
+        if (!prescriptionId) {
+          await sendWhatsAppMessage(supportTeam.phoneNumber, 'Usage: /rx approve <prescription id> [notes]');
+          return;
+        }
+        await reviewPrescription(supportTeam, prescriptionId, 'Verified', notes);
+        break;
+
+      case 'reject':
+        if (!prescriptionId || !notes) {
+          await sendWhatsAppMessage(supportTeam.phoneNumber, 'Usage: /rx reject <prescription id> <reason>\nThe reason is sent to the customer.');
+          return;
+        }
+        await reviewPrescription(supportTeam, prescriptionId, 'Rejected', notes);
+        break;
+
+      default:
+        await sendWhatsAppMessage(supportTeam.phoneNumber, HELP_TEXT);
+    }
+  } catch (error) {
+    console.error(`Error handling /rx ${action} from ${supportTeam.phoneNumber}:`, error);
+    await sendWhatsAppMessage(supportTeam.phoneNumber, `❌ ${error.message || 'Something went wrong. Please try again.'}`);
+  }
+};
+
+module.exports = {
+  handlePharmacistCommand
+};
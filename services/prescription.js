@@ -1,8 +1,19 @@
 const Tesseract = require('tesseract.js');
-const { Prescription, Order } = require('../models');
+const { Prescription, Order, OrderItem, Product } = require('../models');
 const fs = require('fs');
 const path = require('path');
 const { uploadImage } = require('./cloudinary');
+const { onPrescriptionSubmitted, onPrescriptionReviewed } = require('./prescriptionEnforcement');
+const { searchCatalog, toCatalogItem } = require('./catalog');
+const { getAvailableStock } = require('./inventory');
+const { addToCartWithSession } = require('./orderManagement');
+const { parsePrescriptionText } = require('../utils/prescriptionParser');
+const { offerDoseReminders } = require('./doseReminders');
+
+// Catalog results considered for each prescribed medicine
+const MATCH_CANDIDATES = 5;
+// Packs of each prescribed medicine added by "add all to cart"; customers adjust in the cart
+const CART_QUANTITY = 1;
 
 // Initialize Tesseract worker
 let worker = null;
@@ -61,77 +72,42 @@ const extractPrescriptionFromBuffer = async (buffer) => {
   }
 };
 
-// Parse prescription text to extract key information
-const parsePrescriptionText = (text) => {
-  try {
-    const prescription = {
-      patientName: null,
-      doctorName: null,
-      medicines: [],
-      instructions: [],
-      issueDate: null
-    };
-
-    // Extract patient name (usually after "Patient:" or "Name:")
-    const patientMatch = text.match(/(?:Patient:|Name:)\s*([^\n]+)/i);
-    if (patientMatch) {
-      prescription.patientName = patientMatch[1].trim();
-    }
-
-    // Extract doctor name (usually after "Doctor:" or "Dr.")
-    const doctorMatch = text.match(/(?:Doctor:|Dr\.?)\s*([^\n]+)/i);
-    if (doctorMatch) {
-      prescription.doctorName = doctorMatch[1].trim();
-    }
-
-    // Extract medicines (look for common patterns like "Rx" or medicine names followed by dosage)
-    const medicinePattern = /([A-Za-z\s]+)\s*(\d+\s*mg|\d+\s*ml|\d+\s*[a-z]+)?\s*(?:,|\|)?(?:\s*\d+\s*times?)?/gi;
-    const medicineMatches = text.match(medicinePattern);
-    if (medicineMatches) {
-      prescription.medicines = medicineMatches.slice(0, 10).map(m => m.trim()).filter(m => m.length > 3);
-    }
-
-    // Extract date
-    const dateMatch = text.match(/(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/);
-    if (dateMatch) {
-      prescription.issueDate = dateMatch[1];
-    }
-
-    return prescription;
-  } catch (error) {
-    console.error('Error parsing prescription text:', error);
-    return {
-      patientName: null,
-      doctorName: null,
-      medicines: [],
-      instructions: [],
-      issueDate: null
-    };
-  }
-};
-
-// Save prescription for an order
-const savePrescription = async (orderId, fileUrl, extractedText = null, parsedData = null) => {
+// Save prescription for an order. Pass { userId } when a customer attaches it, so only the
+// order's owner can replace (and so un-verify) its prescription.
+const savePrescription = async (orderId, fileUrl, extractedText = null, parsedData = null, { userId = null } = {}) => {
   try {
     if (!orderId || !fileUrl) {
       throw new Error('Order ID and file URL are required');
     }
 
-    // Verify order exists
+    // Verify order exists (and, for customers, that it is theirs; same error so IDs can't be probed)
     const order = await Order.findByPk(orderId);
-    if (!order) {
+    if (!order || (userId && String(order.userId) !== String(userId))) {
       throw new Error('Order not found');
     }
 
+    // Structured medicines from the OCR text, each matched against the catalog
+    let structured = null;
+    try {
+      const parsed = parsedData || (extractedText ? parsePrescriptionText(extractedText) : null);
+      structured = parsed ? await matchPrescriptionItems(parsed) : null;
+    } catch (parseError) {
+      console.warn(`Could not read medicines from the prescription for order #${orderId}:`, parseError.message);
+    }
+
     // Check if prescription already exists
     let prescription = await Prescription.findOne({ where: { orderId } });
 
     if (prescription) {
-      // Update existing prescription
+      // Update existing prescription; a new file has to be verified again
       prescription.fileUrl = fileUrl;
       if (extractedText) {
         prescription.extractedText = extractedText;
       }
+      prescription.parsedData = structured;
+      prescription.verificationStatus = 'Pending';
+      prescription.verifiedAt = null;
+      prescription.verifiedBy = null;
       await prescription.save();
     } else {
       // Create new prescription
@@ -139,6 +115,7 @@ const savePrescription = async (orderId, fileUrl, extractedText = null, parsedDa
         orderId,
         fileUrl,
         extractedText,
+        parsedData: structured,
         verificationStatus: 'Pending'
       });
     }
@@ -149,11 +126,19 @@ const savePrescription = async (orderId, fileUrl, extractedText = null, parsedDa
       await order.save();
     }
 
+    // Orders held for a prescription go to the pharmacists for verification
+    try {
+      await onPrescriptionSubmitted(order.id);
+    } catch (notifyError) {
+      console.warn(`Could not notify pharmacists about the prescription for order #${order.id}:`, notifyError.message);
+    }
+
     return {
       success: true,
       message: 'Prescription saved successfully',
       prescriptionId: prescription.id,
-      verificationStatus: prescription.verificationStatus
+      verificationStatus: prescription.verificationStatus,
+      medicineCount: structured ? structured.medicines.length : 0
     };
   } catch (error) {
     console.error('Error saving prescription:', error);
@@ -161,6 +146,174 @@ const savePrescription = async (orderId, fileUrl, extractedText = null, parsedDa
   }
 };
 
+const normalizeStrength = (strength) => String(strength || '').toLowerCase().replace(/\s+/g, '').replace(/units?$/, 'iu');
+
+// Best catalog product for a prescribed medicine. A different strength or dosage form is a
+// different medicine, so those are never matched; unknown values on either side are accepted.
+const pickCatalogMatch = (medicine, results) => {
+  const strength = normalizeStrength(medicine.strength);
+  const form = medicine.dosageForm;
+  const scored = results
+    .filter((product) => !strength || !product.strength || normalizeStrength(product.strength) === strength)
+    .filter((product) => !form || !product.dosageForm || product.dosageForm.toLowerCase() === form)
+    .map((product) => ({
+      product,
+      score: (strength && normalizeStrength(product.strength) === strength ? 2 : 0)
+        + (form && product.dosageForm && product.dosageForm.toLowerCase() === form ? 1 : 0)
+        + product.relevance
+    }))
+    .sort((a, b) => b.score - a.score);
+  return scored.length > 0 ? scored[0].product : null;
+};
+
+/**
+ * Match each parsed medicine to a catalog product
+ * @param {Object} parsedData - From parsePrescriptionText
+ * @returns {Object} parsedData with match ({ productId, name, price, strength, dosageForm,
+ *   requiresPrescription } or null) on each medicine
+ */
+const matchPrescriptionItems = async (parsedData) => {
+  const medicines = [];
+  for (const medicine of parsedData.medicines || []) {
+    let match = null;
+    try {
+      const results = await searchCatalog(medicine.name, { productType: 'medicine', limit: MATCH_CANDIDATES });
+      const product = pickCatalogMatch(medicine, results);
+      if (product) {
+        match = {
+          productId: product.id,
+          name: product.name,
+          price: product.price,
+          strength: product.strength,
+          dosageForm: product.dosageForm,
+          requiresPrescription: product.requiresPrescription
+        };
+      }
+    } catch (error) {
+      console.warn(`Catalog match failed for prescribed "${medicine.name}":`, error.message);
+    }
+    medicines.push({ ...medicine, match });
+  }
+  return { ...parsedData, medicines };
+};
+
+/**
+ * Prescribed medicines that can go into the customer's cart right now
+ * @param {number} prescriptionId - Prescription ID
+ * @param {number} userId - Customer; when given, the prescription must be on one of their orders
+ * @returns {Object} { success, prescription, items: [{ medicine, product, status, reason }], error, errorCode }
+ *   status is available (product is the catalog item to add), ordered, unavailable or unmatched
+ */
+const getPrescriptionCartItems = async (prescriptionId, userId = null) => {
+  const prescription = await Prescription.findByPk(prescriptionId, {
+    include: [{ model: Order, include: [OrderItem] }]
+  });
+  if (!prescription || !prescription.Order || (userId && prescription.Order.userId !== userId)) {
+    return { success: false, error: 'Prescription not found', errorCode: 'PRESCRIPTION_NOT_FOUND' };
+  }
+
+  const order = prescription.Order;
+  const ordered = new Set((order.OrderItems || []).map((item) => item.productId));
+  const medicines = (prescription.parsedData && prescription.parsedData.medicines) || [];
+
+  const items = [];
+  for (const medicine of medicines) {
+    if (!medicine.match) {
+      items.push({ medicine, product: null, status: 'unmatched', reason: 'not found in our catalog' });
+      continue;
+    }
+    if (ordered.has(medicine.match.productId)) {
+      items.push({ medicine, product: null, status: 'ordered', reason: `already in order #${order.id}` });
+      continue;
+    }
+    const product = await Product.findByPk(medicine.match.productId);
+    if (!product || !product.isActive || getAvailableStock(product) <= 0) {
+      items.push({ medicine, product: null, status: 'unavailable', reason: 'out of stock' });
+      continue;
+    }
+    items.push({ medicine, product: toCatalogItem(product), status: 'available', reason: null });
+  }
+
+  return { success: true, prescription, items };
+};
+
+/**
+ * Add every available prescribed medicine to the customer's cart
+ * @param {number} prescriptionId - Prescription ID
+ * @param {number} userId - Customer
+ * @param {Object} session - Session data updated with the cart summary (optional)
+ * @returns {Object} { success, added: [{ name, quantity }], skipped: [{ name, reason }], cartTotal, error, errorCode }
+ */
+const addPrescriptionItemsToCart = async (prescriptionId, userId, session = {}) => {
+  try {
+    const result = await getPrescriptionCartItems(prescriptionId, userId);
+    if (!result.success) {
+      return result;
+    }
+
+    const added = [];
+    const skipped = [];
+    let cartTotal = null;
+    for (const { medicine, product, reason } of result.items) {
+      if (!product) {
+        skipped.push({ name: medicine.name, reason });
+        continue;
+      }
+      try {
+        const cart = await addToCartWithSession(userId, product.id, CART_QUANTITY, session);
+        cartTotal = cart.cartTotal;
+        added.push({ name: product.name, quantity: CART_QUANTITY });
+      } catch (error) {
+        skipped.push({ name: product.name, reason: error.message });
+      }
+    }
+
+    if (added.length === 0) {
+      return { success: false, error: 'None of the prescribed medicines can be added to your cart', errorCode: 'NOTHING_TO_ADD', skipped };
+    }
+    console.log(`📋 Added ${added.length} item(s) from prescription #${prescriptionId} to user ${userId}'s cart`);
+    return { success: true, added, skipped, cartTotal };
+  } catch (error) {
+    console.error('Error adding prescription items to cart:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'PRESCRIPTION_CART_FAILED'
+    };
+  }
+};
+
+const describeDirections = (medicine) => {
+  const parts = [medicine.frequency, medicine.duration ? `for ${medicine.duration}` : null].filter(Boolean);
+  if (medicine.quantity) {
+    parts.push(medicine.quantitySource === 'calculated' && medicine.dosageForm ? `${medicine.quantity} ${medicine.dosageForm}s` : `qty ${medicine.quantity}`);
+  }
+  return parts.join(', ');
+};
+
+/**
+ * WhatsApp message listing the medicines read from a prescription and what we can supply
+ * @param {Array} items - From getPrescriptionCartItems
+ * @returns {string} Message
+ */
+const formatPrescriptionItemsMessage = (items) => {
+  let message = `📋 We read these medicines from your prescription:\n\n`;
+
+  const icons = { available: '✅', ordered: '☑️', unavailable: '❌', unmatched: '❓' };
+  items.forEach(({ medicine, product, status, reason }, index) => {
+    message += `${index + 1}. ${[medicine.name, medicine.strength, medicine.dosageForm].filter(Boolean).join(' ')}\n`;
+    if (describeDirections(medicine)) {
+      message += `   ${describeDirections(medicine)}\n`;
+    }
+    message += product
+      ? `   ${icons[status]} ${product.name} — ₦${product.price}\n`
+      : `   ${icons[status]} ${medicine.match ? medicine.match.name : medicine.name}: ${reason}\n`;
+  });
+
+  message += `\nPlease check the list against your prescription: handwriting is not always read correctly.`;
+  return message;
+};
+
 // Upload prescription file to Cloudinary, run OCR, and save to database
 const uploadAndSavePrescription = async (orderId, fileBuffer, filename = null) => {
   try {
@@ -256,10 +409,26 @@ const verifyPrescription = async (prescriptionId, verificationStatus, pharmacist
 
     await prescription.save();
 
+    // Verification releases an order held for this prescription; rejection asks for a new one
+    const release = await onPrescriptionReviewed(prescription);
+    if (!release.success) {
+      console.warn(`Prescription #${prescription.id} ${verificationStatus.toLowerCase()} but order #${prescription.orderId} was not updated: ${release.error}`);
+    }
+
+    // Patients opt in to reminders for the medicines on a verified prescription
+    if (verificationStatus === 'Verified') {
+      try {
+        await offerDoseReminders(prescription);
+      } catch (offerError) {
+        console.warn(`Could not offer dose reminders for prescription #${prescription.id}:`, offerError.message);
+      }
+    }
+
     return {
       success: true,
       message: `Prescription ${verificationStatus.toLowerCase()} successfully`,
-      prescription
+      prescription,
+      orderStatus: release.order ? release.order.status : null
     };
   } catch (error) {
     console.error('Error verifying prescription:', error);
@@ -420,7 +589,11 @@ module.exports = {
   extractPrescriptionText,
   extractPrescriptionFromBuffer,
   parsePrescriptionText,
+  matchPrescriptionItems,
   savePrescription,
+  getPrescriptionCartItems,
+  addPrescriptionItemsToCart,
+  formatPrescriptionItemsMessage,
   uploadAndSavePrescription,
   getPrescription,
   verifyPrescription,
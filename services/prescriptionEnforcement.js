@@ -0,0 +1,190 @@
+/**
+ * Prescription Enforcement Service
+ * Holds orders with prescription-only medicines (POM) until a pharmacist verifies a prescription:
+ * - Placed orders with POM items wait in 'Awaiting Prescription' (no payment link, no dispensing)
+ * - Uploaded prescriptions are sent to the pharmacists for verification (/rx commands)
+ * - Verification releases the order: to 'Pending Payment', or straight to 'Confirmed' when it is
+ *   already paid or cash on delivery; rejection asks the customer for a new prescription.
+ *   The customer hears about every decision.
+ * - Reminders while the customer has not sent a usable prescription
+ * The status rule itself lives in orderLifecycle.updateOrderStatus (PRESCRIPTION_REQUIRED).
+ */
+
+const { Op } = require('sequelize');
+const { Order, User } = require('../models');
+const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { updateOrderStatus, getPrescriptionRequirement } = require('./orderLifecycle');
+const { commitOrderStock, renewOrderReservation } = require('./inventory');
+const { sendSupportTeamMessage, sendPharmacistMessage } = require('./support');
+const { scheduleRecurringJob } = require('./jobQueue');
+
+const REMINDER_HOURS = parseInt(process.env.PRESCRIPTION_REMINDER_HOURS || '24', 10);
+const REMINDER_LIMIT = parseInt(process.env.PRESCRIPTION_REMINDER_LIMIT || '3', 10);
+const CHECK_INTERVAL_MINUTES = 60;
+
+const formatItems = (items) => items.map((item) => `• ${item.name} x${item.quantity}`).join('\n');
+
+/**
+ * Customer message asking for a prescription
+ * @param {number} orderId - Order ID
+ * @param {Array} items - Prescription-only items from getPrescriptionRequirement
+ * @returns {string} Message
+ */
+const buildPrescriptionRequestMessage = (orderId, items) => {
+  return `📋 Order #${orderId} contains prescription-only medicine:\n${formatItems(items)}\n\nPlease send a clear photo or PDF of your prescription with the caption "rx ${orderId}". A pharmacist will verify it, and then we'll send your payment details (or confirm your cash on delivery order).`;
+};
+
+const notifyCustomer = async (order, message) => {
+  const user = await User.findByPk(order.userId);
+  if (user && user.phoneNumber) {
+    await sendWhatsAppMessage(user.phoneNumber, message);
+  }
+};
+
+/**
+ * A prescription was attached to an order: ask the medical team to verify it
+ * @param {number} orderId - Order ID
+ * @returns {Object} { success, notified }
+ */
+const onPrescriptionSubmitted = async (orderId) => {
+  const order = await Order.findByPk(orderId);
+  if (!order || order.status !== 'Awaiting Prescription') {
+    return { success: true, notified: false };
+  }
+
+  const requirement = await getPrescriptionRequirement(order.id);
+  const prescription = requirement.prescription;
+  const notified = await sendPharmacistMessage(`📋 Prescription to verify\n\nOrder #${order.id}\nPrescription #${prescription ? prescription.id : 'N/A'}\n${formatItems(requirement.items)}${prescription ? `\n\nFile: ${prescription.fileUrl}\n\nReply /rx view ${prescription.id}, /rx approve ${prescription.id} [notes] or /rx reject ${prescription.id} [reason]` : ''}`);
+  return { success: true, notified };
+};
+
+/**
+ * Release an order held for a prescription once the prescription is verified
+ * @param {number} orderId - Order ID
+ * @param {string} releasedBy - Pharmacist who verified the prescription
+ * @returns {Object} { success, order, unchanged, error, errorCode }
+ */
+const releasePrescriptionOrder = async (orderId, releasedBy = null) => {
+  const order = await Order.findByPk(orderId);
+  if (!order) {
+    return { success: false, error: 'Order not found', errorCode: 'ORDER_NOT_FOUND' };
+  }
+  if (order.status !== 'Awaiting Prescription') {
+    return { success: true, order, unchanged: true };
+  }
+
+  const options = { changedByType: 'pharmacist', changedBy: releasedBy, note: 'Prescription verified' };
+
+  // Paid or cash on delivery: nothing left to wait for
+  if (order.paymentStatus === 'Paid' || /cash/i.test(order.paymentMethod || '')) {
+    const result = await updateOrderStatus(order.id, 'Confirmed', options);
+    if (result.success) {
+      const stock = await commitOrderStock(order.id);
+      if (!stock.success) {
+        console.warn(`⚠️  Order #${order.id} released but its reserved stock was not deducted: ${stock.error}`);
+      }
+    }
+    return result;
+  }
+
+  // The payment window starts now, not when the order was placed
+  await renewOrderReservation(order.id);
+  return updateOrderStatus(order.id, 'Pending Payment', options);
+};
+
+/**
+ * React to a pharmacist's decision on a prescription
+ * @param {Object} prescription - Prescription instance after verification
+ * @returns {Object} { success, order, error, errorCode }
+ */
+const onPrescriptionReviewed = async (prescription) => {
+  const reason = prescription.pharmacistNotes ? `\n\nPharmacist's note: ${prescription.pharmacistNotes}` : '';
+
+  if (prescription.verificationStatus === 'Verified') {
+    const result = await releasePrescriptionOrder(prescription.orderId, prescription.verifiedBy);
+    // Released orders announce their new status; orders that were not held hear about it here
+    if (result.success && result.unchanged) {
+      await notifyCustomer(result.order, `✅ Our pharmacist has verified the prescription for order #${result.order.id}.${reason}`);
+    }
+    return result;
+  }
+
+  const order = await Order.findByPk(prescription.orderId);
+  if (!order) {
+    return { success: true, order, unchanged: true };
+  }
+  if (order.status !== 'Awaiting Prescription') {
+    await notifyCustomer(order, `❌ Our pharmacist could not verify the prescription for order #${order.id}.${reason}\n\nType 'support' if you have questions.`);
+    return { success: true, order, unchanged: true };
+  }
+
+  // A rejected prescription restarts the reminders
+  await order.update({ prescriptionRemindersSent: 0, lastPrescriptionReminderAt: new Date() });
+  await notifyCustomer(order, `❌ We couldn't verify the prescription for order #${order.id}.${reason}\n\nPlease send a valid prescription with the caption "rx ${order.id}", or type 'support' if you need help.`);
+  return { success: true, order };
+};
+
+/**
+ * Remind customers whose orders still wait for a prescription they have not sent
+ * @returns {Object} { success, reminded: [orderId] }
+ */
+const sendPrescriptionReminders = async () => {
+  const dueBefore = new Date(Date.now() - REMINDER_HOURS * 60 * 60 * 1000);
+  const orders = await Order.findAll({
+    where: {
+      status: 'Awaiting Prescription',
+      prescriptionRemindersSent: { [Op.lt]: REMINDER_LIMIT }
+    }
+  });
+
+  const reminded = [];
+  for (const order of orders) {
+    const lastNudge = order.lastPrescriptionReminderAt || order.updatedAt;
+    if (new Date(lastNudge) > dueBefore) continue;
+
+    const requirement = await getPrescriptionRequirement(order.id);
+    // Pending or verified prescriptions are waiting on us, not the customer
+    if (requirement.prescription && requirement.prescription.verificationStatus !== 'Rejected') continue;
+
+    const remindersSent = order.prescriptionRemindersSent + 1;
+    const isLast = remindersSent >= REMINDER_LIMIT;
+    let message = `⏰ Reminder: ${buildPrescriptionRequestMessage(order.id, requirement.items)}`;
+    if (isLast) {
+      message += `\n\nThis is our last reminder. Our team will contact you about this order, or type 'cancel order ${order.id}' if you no longer need it.`;
+    }
+
+    try {
+      await notifyCustomer(order, message);
+      await order.update({ prescriptionRemindersSent: remindersSent, lastPrescriptionReminderAt: new Date() });
+      reminded.push(order.id);
+      if (isLast) {
+        await sendSupportTeamMessage('orders', `📋 Order #${order.id} is still waiting for a prescription after ${remindersSent} reminders. Please contact the customer.`);
+      }
+    } catch (error) {
+      console.error(`Prescription reminder failed for order #${order.id}:`, error.message);
+    }
+  }
+
+  if (reminded.length > 0) {
+    console.log(`📋 Prescription reminders sent for orders: ${reminded.join(', ')}`);
+  }
+  return { success: true, reminded };
+};
+
+/**
+ * Periodically remind customers about orders awaiting a prescription
+ * @returns {Promise<Object|null>} Recurring job
+ */
+const startPrescriptionReminderScheduler = () => {
+  console.log(`📋 Prescription reminders scheduled every ${REMINDER_HOURS} hours (max ${REMINDER_LIMIT})`);
+  return scheduleRecurringJob('prescription-reminders', { everyMinutes: CHECK_INTERVAL_MINUTES }, () => sendPrescriptionReminders());
+};
+
+module.exports = {
+  buildPrescriptionRequestMessage,
+  onPrescriptionSubmitted,
+  onPrescriptionReviewed,
+  releasePrescriptionOrder,
+  sendPrescriptionReminders,
+  startPrescriptionReminderScheduler
+};
@@ -0,0 +1,239 @@
+/**
+ * Product Batch Service
+ * Tracks medicine stock by supplier batch and expiry date:
+ * - Receive deliveries into batches (one row per product + batch number)
+ * - Allocate units first-expiry-first-out (FEFO) when an order's stock is committed
+ * - Deactivate expired (or recalled) batches and write their units off the product's stock
+ * - Near-expiry report for the admin API
+ * Product.stock stays the sellable total; stock received before batches existed is allocated as
+ * untracked units (batchId null) once the product's batches run out.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Product, ProductBatch } = require('../models');
+const { scheduleRecurringJob } = require('./jobQueue');
+
+const NEAR_EXPIRY_DAYS = parseInt(process.env.NEAR_EXPIRY_DAYS || '90', 10);
+const EXPIRY_CHECK_INTERVAL_HOURS = 6;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * Add a delivery to its batch, creating the batch the first time it is seen
+ * @param {Object} product - Locked Product instance
+ * @param {Object} delivery - { batchNumber, expiryDate, quantity, supplier }
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Object} ProductBatch
+ */
+const receiveBatch = async (product, delivery, transaction) => {
+  const batch = await ProductBatch.findOne({
+    where: { productId: product.id, batchNumber: delivery.batchNumber },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (!batch) {
+    return ProductBatch.create({
+      productId: product.id,
+      batchNumber: delivery.batchNumber,
+      expiryDate: delivery.expiryDate,
+      quantity: delivery.quantity,
+      remainingQuantity: delivery.quantity,
+      supplier: delivery.supplier || null
+    }, { transaction });
+  }
+
+  if (batch.expiryDate !== delivery.expiryDate) {
+    const error = new Error(`Batch ${delivery.batchNumber} is recorded with expiry ${batch.expiryDate}, not ${delivery.expiryDate}`);
+    error.code = 'BATCH_EXPIRY_MISMATCH';
+    throw error;
+  }
+  if (!batch.isActive) {
+    const error = new Error(`Batch ${delivery.batchNumber} was deactivated (${batch.deactivationReason}) and cannot be restocked`);
+    error.code = 'BATCH_INACTIVE';
+    throw error;
+  }
+
+  await batch.increment({ quantity: delivery.quantity, remainingQuantity: delivery.quantity }, { transaction });
+  return batch.reload({ transaction });
+};
+
+/**
+ * Take units of a product from its batches, earliest expiry first
+ * @param {number} productId - Product ID
+ * @param {number} quantity - Units needed
+ * @param {Object} transaction - Sequelize transaction (the product row must already be locked)
+ * @returns {Array} [{ batchId, batchNumber, expiryDate, quantity }]
+ */
+const allocateBatches = async (productId, quantity, transaction) => {
+  const batches = await ProductBatch.findAll({
+    where: {
+      productId,
+      isActive: true,
+      remainingQuantity: { [Op.gt]: 0 },
+      expiryDate: { [Op.gte]: today() }
+    },
+    order: [['expiryDate', 'ASC'], ['id', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  const allocations = [];
+  let outstanding = quantity;
+  for (const batch of batches) {
+    if (outstanding <= 0) break;
+    const take = Math.min(batch.remainingQuantity, outstanding);
+    await batch.decrement('remainingQuantity', { by: take, transaction });
+    allocations.push({ batchId: batch.id, batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, quantity: take });
+    outstanding -= take;
+  }
+
+  if (outstanding > 0) {
+    allocations.push({ batchId: null, batchNumber: null, expiryDate: null, quantity: outstanding });
+  }
+  return allocations;
+};
+
+/**
+ * Put allocated units back into their batches (order cancelled after its stock was committed)
+ * @param {Array} allocations - OrderItem.batchAllocations
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {number} Units returned to deactivated batches, which must not go back on sale
+ */
+const returnBatchAllocations = async (allocations, transaction) => {
+  let unsellable = 0;
+  for (const allocation of allocations || []) {
+    if (!allocation.batchId) continue;
+    const batch = await ProductBatch.findByPk(allocation.batchId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!batch) continue;
+    await batch.increment('remainingQuantity', { by: allocation.quantity, transaction });
+    if (!batch.isActive) {
+      unsellable += allocation.quantity;
+    }
+  }
+  return unsellable;
+};
+
+/**
+ * Take a batch off sale and remove its remaining units from the product's sellable stock
+ * Units already reserved by unpaid orders stay in stock (they are not sellable anyway) so a
+ * later commit cannot push stock below reservedStock; they are reported as the shortfall.
+ * @param {number} batchId - ProductBatch ID
+ * @param {string} reason - e.g. expired, recalled
+ * @returns {Object|null} { batchId, productId, batchNumber, expiryDate, writtenOff, shortfall } or null if already inactive
+ */
+const deactivateBatch = async (batchId, reason) => {
+  const existing = await ProductBatch.findByPk(batchId, { attributes: ['id', 'productId'] });
+  if (!existing) {
+    return null;
+  }
+  const { productId } = existing;
+
+  // Product first, then batch: the same lock order as restocks and order commits
+  return sequelize.transaction(async (transaction) => {
+    const product = await Product.findByPk(productId, { lock: transaction.LOCK.UPDATE, transaction });
+    const batch = await ProductBatch.findByPk(batchId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!batch || !batch.isActive) {
+      return null;
+    }
+
+    const unreserved = product ? Math.max((product.stock || 0) - (product.reservedStock || 0), 0) : 0;
+    const writtenOff = Math.min(batch.remainingQuantity, unreserved);
+    const shortfall = product ? batch.remainingQuantity - writtenOff : 0;
+    if (writtenOff > 0) {
+      await product.decrement('stock', { by: writtenOff, transaction });
+    }
+    if (shortfall > 0) {
+      console.warn(`⚠️  Batch ${batch.batchNumber} (${reason}): ${shortfall} unit(s) not written off, only ${unreserved} unreserved in stock; check pending orders of this product before they are packed`);
+    }
+    await batch.update({ isActive: false, deactivatedAt: new Date(), deactivationReason: reason }, { transaction });
+    return { batchId: batch.id, productId, batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, writtenOff, shortfall };
+  });
+};
+
+/**
+ * Deactivate batches past their expiry date and remove their units from sellable stock
+ * @returns {Object} { success, deactivated: [{ batchId, productId, batchNumber, expiryDate, writtenOff, shortfall }] }
+ */
+const deactivateExpiredBatches = async () => {
+  const expired = await ProductBatch.findAll({
+    where: { isActive: true, expiryDate: { [Op.lt]: today() } },
+    attributes: ['id']
+  });
+
+  const deactivated = [];
+  for (const { id } of expired) {
+    const entry = await deactivateBatch(id, 'expired');
+    if (entry) deactivated.push(entry);
+  }
+
+  if (deactivated.length > 0) {
+    console.log(`🗓️  Deactivated ${deactivated.length} expired batch(es): ${deactivated.map((d) => d.batchNumber).join(', ')}`);
+  }
+  return { success: true, deactivated };
+};
+
+/**
+ * Active batches with stock left that expire within the given number of days
+ * @param {number} days - Look-ahead window (defaults to NEAR_EXPIRY_DAYS)
+ * @returns {Array} Batches with product name and days to expiry, soonest first
+ */
+const getNearExpiryBatches = async (days = NEAR_EXPIRY_DAYS) => {
+  const from = today();
+  const batches = await ProductBatch.findAll({
+    where: {
+      isActive: true,
+      remainingQuantity: { [Op.gt]: 0 },
+      expiryDate: { [Op.between]: [from, addDays(from, days)] }
+    },
+    include: [{ model: Product, attributes: ['id', 'name', 'category'] }],
+    order: [['expiryDate', 'ASC'], ['id', 'ASC']]
+  });
+
+  return batches.map((batch) => ({
+    batchId: batch.id,
+    productId: batch.productId,
+    productName: batch.Product ? batch.Product.name : null,
+    category: batch.Product ? batch.Product.category : null,
+    batchNumber: batch.batchNumber,
+    supplier: batch.supplier,
+    expiryDate: batch.expiryDate,
+    daysToExpiry: Math.round((new Date(batch.expiryDate) - new Date(from)) / (24 * 60 * 60 * 1000)),
+    remainingQuantity: batch.remainingQuantity
+  }));
+};
+
+/**
+ * All batches of a product, earliest expiry first
+ * @param {number} productId - Product ID
+ * @returns {Array} ProductBatch records
+ */
+const getProductBatches = async (productId) => {
+  return ProductBatch.findAll({
+    where: { productId },
+    order: [['expiryDate', 'ASC'], ['id', 'ASC']]
+  });
+};
+
+/**
+ * Periodically deactivate expired batches
+ * @returns {Promise<Object|null>} Recurring job
+ */
+const startBatchExpiryScheduler = () => {
+  console.log(`🗓️  Expired batch check scheduled every ${EXPIRY_CHECK_INTERVAL_HOURS} hours`);
+  return scheduleRecurringJob('batch-expiry-check', { everyMinutes: EXPIRY_CHECK_INTERVAL_HOURS * 60 }, () => deactivateExpiredBatches());
+};
+
+module.exports = {
+  NEAR_EXPIRY_DAYS,
+  receiveBatch,
+  allocateBatches,
+  returnBatchAllocations,
+  deactivateBatch,
+  deactivateExpiredBatches,
+  getNearExpiryBatches,
+  getProductBatches,
+  startBatchExpiryScheduler
+};
@@ -0,0 +1,329 @@
+/**
+ * Product Recall Service
+ * Handles recalls of products customers have already received:
+ * - Stops further sales (the product, or only the recalled batch)
+ * - Finds affected customers through OrderItem → Order → User, optionally narrowed by
+ *   batch number (OrderItem.batchAllocations) and order date range
+ * - Sends each customer a WhatsApp and email notice with instructions
+ * - Tracks acknowledgement ("recall ok N" on WhatsApp, the email link, or by an admin)
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Product, ProductBatch, Order, OrderItem, User, ProductRecall, RecallNotice } = require('../models');
+const { sendWhatsAppMessage, sendInteractiveMessage } = require('../config/whatsapp');
+const { sendRecallNoticeEmail } = require('../config/brevo');
+const { deactivateBatch } = require('./productBatches');
+const { notifySupportTeam } = require('./support');
+
+// Orders that have not left the pharmacy yet; staff must pull the item before dispatch
+const UNDISPATCHED_STATUSES = ['Pending Payment', 'Awaiting Prescription', 'Confirmed', 'Packed'];
+// Orders whose units have left stock; also matched by status for orders placed before
+// stockCommitted existed (backfilled by migration 012)
+const FULFILLED_STATUSES = ['Confirmed', 'Packed', 'Dispatched', 'Shipped', 'Out for Delivery', 'Delivered'];
+
+const acknowledgeUrlFor = (notice) => {
+  const base = process.env.PUBLIC_BASE_URL;
+  return base ? `${base.replace(/\/$/, '')}/api/recalls/acknowledge/${notice.ackToken}` : null;
+};
+
+/**
+ * Order items that took stock of the recalled product within the recall's scope
+ * @param {Object} recall - ProductRecall instance
+ * @returns {Array} OrderItems with their Order
+ */
+const findAffectedOrderItems = async (recall) => {
+  const where = { productId: recall.productId };
+  if (recall.batchNumber) {
+    where.batchAllocations = { [Op.contains]: [{ batchNumber: recall.batchNumber }] };
+  }
+
+  // stockCommitted marks orders whose units actually left stock (paid or cash on delivery)
+  const orderWhere = { [Op.or]: [{ stockCommitted: true }, { status: { [Op.in]: FULFILLED_STATUSES } }] };
+  if (recall.orderDateFrom || recall.orderDateTo) {
+    orderWhere.createdAt = {};
+    if (recall.orderDateFrom) orderWhere.createdAt[Op.gte] = recall.orderDateFrom;
+    if (recall.orderDateTo) orderWhere.createdAt[Op.lte] = recall.orderDateTo;
+  }
+
+  return OrderItem.findAll({
+    where,
+    include: [{ model: Order, where: orderWhere, required: true }]
+  });
+};
+
+/**
+ * Send one recall notice by WhatsApp and email
+ * @param {Object} notice - RecallNotice instance
+ * @param {Object} recall - ProductRecall instance
+ * @param {Object} product - Product instance
+ * @returns {Object} { whatsappSent, emailSent }
+ */
+const sendRecallNotice = async (notice, recall, product) => {
+  const user = await User.findByPk(notice.userId);
+  if (!user) {
+    return { whatsappSent: false, emailSent: false };
+  }
+
+  const productLabel = `${product.name}${recall.batchNumber ? ` (batch ${recall.batchNumber})` : ''}`;
+  const updates = {};
+
+  if (user.phoneNumber) {
+    try {
+      let msg = `⚠️ *Product recall notice*\n\n`;
+      msg += `${productLabel}, which you received in order #${notice.orderId}, is being recalled.\n\n`;
+      msg += `*Reason:* ${recall.reason}\n\n`;
+      msg += `*What to do:* ${recall.instructions}`;
+      await sendWhatsAppMessage(user.phoneNumber, msg);
+      await sendInteractiveMessage(user.phoneNumber, `Please confirm you've read this notice, or reply "recall ok ${recall.id}".`, [
+        { id: `recall_ack_${recall.id}`, title: '✅ I have read it' }
+      ]);
+      updates.whatsappSentAt = new Date();
+    } catch (error) {
+      console.error(`Recall #${recall.id} WhatsApp notice to user ${user.id} failed:`, error.message);
+    }
+  }
+
+  if (user.email) {
+    try {
+      await sendRecallNoticeEmail(user.email, {
+        recallId: recall.id,
+        productName: product.name,
+        batchNumber: recall.batchNumber,
+        orderId: notice.orderId,
+        reason: recall.reason,
+        instructions: recall.instructions,
+        acknowledgeUrl: acknowledgeUrlFor(notice)
+      }, user.name);
+      updates.emailSentAt = new Date();
+    } catch (error) {
+      console.error(`Recall #${recall.id} email notice to user ${user.id} failed:`, error.message);
+    }
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await notice.update(updates);
+  }
+  return { whatsappSent: !!updates.whatsappSentAt, emailSent: !!updates.emailSentAt };
+};
+
+/**
+ * Recall a product: block sales, find affected customers and notify them
+ * @param {number} productId - Product ID
+ * @param {Object} details - { reason, instructions, batchNumber, orderDateFrom, orderDateTo }
+ * @param {string} initiatedBy - Admin email
+ * @returns {Object} { success, recall, notices, undispatchedOrderIds, error, errorCode }
+ */
+const initiateRecall = async (productId, details = {}, initiatedBy) => {
+  try {
+    const reason = (details.reason || '').trim();
+    const instructions = (details.instructions || '').trim();
+    if (!reason || !instructions) {
+      return { success: false, error: 'A reason and instructions for customers are required', errorCode: 'MISSING_RECALL_DETAILS' };
+    }
+
+    const orderDateFrom = details.orderDateFrom ? new Date(details.orderDateFrom) : null;
+    const orderDateTo = details.orderDateTo ? new Date(details.orderDateTo) : null;
+    if ((orderDateFrom && isNaN(orderDateFrom.getTime())) || (orderDateTo && isNaN(orderDateTo.getTime()))) {
+      return { success: false, error: 'Order dates must be valid dates (YYYY-MM-DD)', errorCode: 'INVALID_DATE_RANGE' };
+    }
+    if (orderDateFrom && orderDateTo && orderDateFrom > orderDateTo) {
+      return { success: false, error: 'orderDateFrom must be before orderDateTo', errorCode: 'INVALID_DATE_RANGE' };
+    }
+
+    const product = await Product.findByPk(productId);
+    if (!product) {
+      return { success: false, error: 'Product not found', errorCode: 'PRODUCT_NOT_FOUND' };
+    }
+
+    const batchNumber = details.batchNumber ? String(details.batchNumber).trim() : null;
+    let batch = null;
+    if (batchNumber) {
+      batch = await ProductBatch.findOne({ where: { productId: product.id, batchNumber } });
+      if (!batch) {
+        return { success: false, error: `Batch ${batchNumber} was not found for ${product.name}`, errorCode: 'BATCH_NOT_FOUND' };
+      }
+    }
+
+    const recall = await ProductRecall.create({
+      productId: product.id,
+      batchNumber,
+      orderDateFrom,
+      orderDateTo,
+      reason,
+      instructions,
+      initiatedBy
+    });
+
+    // Block further sales before anyone is notified
+    if (batch) {
+      await deactivateBatch(batch.id, 'recalled');
+    } else {
+      await product.update({ isActive: false });
+    }
+    console.log(`🚨 Recall #${recall.id} of ${product.name}${batchNumber ? ` batch ${batchNumber}` : ''} started by ${initiatedBy}`);
+
+    const items = await findAffectedOrderItems(recall);
+    const notices = [];
+    for (const item of items) {
+      const [notice] = await RecallNotice.findOrCreate({
+        where: { recallId: recall.id, orderId: item.orderId },
+        defaults: {
+          userId: item.Order.userId,
+          quantity: item.quantity,
+          ackToken: crypto.randomBytes(24).toString('hex')
+        }
+      });
+      notices.push(notice);
+    }
+
+    for (const notice of notices) {
+      await sendRecallNotice(notice, recall, product);
+    }
+
+    const affectedCustomers = new Set(notices.map((notice) => notice.userId)).size;
+    await recall.update({ affectedCustomers });
+
+    const undispatchedOrderIds = items
+      .filter((item) => UNDISPATCHED_STATUSES.includes(item.Order.status))
+      .map((item) => item.orderId);
+    if (undispatchedOrderIds.length > 0) {
+      await notifySupportTeam(null, 'orders', 'Recalled Item In Undispatched Orders', {
+        recall: recall.id,
+        product: product.name,
+        batchNumber,
+        orders: undispatchedOrderIds
+      });
+    }
+
+    return { success: true, recall, notices, undispatchedOrderIds };
+  } catch (error) {
+    console.error('Error initiating recall:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'RECALL_FAILED'
+    };
+  }
+};
+
+/**
+ * Mark a customer's notices for a recall as acknowledged
+ * @param {number} recallId - ProductRecall ID
+ * @param {number} userId - User ID
+ * @param {string} via - 'whatsapp' | 'email' | 'admin'
+ * @returns {Object} { success, acknowledged, error, errorCode }
+ */
+const acknowledgeRecall = async (recallId, userId, via) => {
+  const notices = await RecallNotice.findAll({ where: { recallId, userId } });
+  if (notices.length === 0) {
+    return { success: false, error: `Recall #${recallId} does not apply to your account.`, errorCode: 'NOTICE_NOT_FOUND' };
+  }
+
+  const pending = notices.filter((notice) => !notice.acknowledgedAt);
+  for (const notice of pending) {
+    await notice.update({ acknowledgedAt: new Date(), acknowledgedVia: via });
+  }
+  if (pending.length > 0) {
+    console.log(`✅ Recall #${recallId} acknowledged by user ${userId} via ${via}`);
+  }
+  return { success: true, acknowledged: pending.length };
+};
+
+/**
+ * Acknowledge a recall from the link in the notice email
+ * @param {string} token - RecallNotice.ackToken
+ * @returns {Object} { success, recall, error, errorCode }
+ */
+const acknowledgeRecallByToken = async (token) => {
+  const notice = await RecallNotice.findOne({ where: { ackToken: token }, include: [ProductRecall] });
+  if (!notice) {
+    return { success: false, error: 'This recall link is not valid.', errorCode: 'NOTICE_NOT_FOUND' };
+  }
+  const result = await acknowledgeRecall(notice.recallId, notice.userId, 'email');
+  return { ...result, recall: notice.ProductRecall };
+};
+
+/**
+ * Handle "recall ok N" (or the acknowledgement button) from WhatsApp
+ * @param {string} phoneNumber - Customer phone number
+ * @param {Object} session - Session instance
+ * @param {Object} parameters - { recallId }
+ */
+const handleRecallAcknowledgement = async (phoneNumber, session, parameters = {}) => {
+  if (!parameters.recallId) {
+    await sendWhatsAppMessage(phoneNumber, 'Which recall notice are you confirming? Reply with the number from the notice, e.g. "recall ok 3".');
+    return;
+  }
+
+  // Notices go to customers who may not be logged in, so fall back to the phone number
+  let userIds = session && session.data && session.data.userId ? [session.data.userId] : [];
+  if (userIds.length === 0) {
+    const users = await User.findAll({ where: { phoneNumber }, attributes: ['id'] });
+    userIds = users.map((user) => user.id);
+  }
+
+  let acknowledged = false;
+  for (const userId of userIds) {
+    const result = await acknowledgeRecall(parameters.recallId, userId, 'whatsapp');
+    if (result.success) acknowledged = true;
+  }
+
+  if (!acknowledged) {
+    await sendWhatsAppMessage(phoneNumber, `❌ We couldn't find recall notice #${parameters.recallId} for this number. Type 'support' if you need help.`);
+    return;
+  }
+  await sendWhatsAppMessage(phoneNumber, `✅ Thank you for confirming recall notice #${parameters.recallId}. Type 'support' if you have questions or need help returning the product.`);
+};
+
+/**
+ * Recall with acknowledgement progress and every notice
+ * @param {number} recallId - ProductRecall ID
+ * @returns {Object|null} { recall, summary, notices }
+ */
+const getRecallStatus = async (recallId) => {
+  const recall = await ProductRecall.findByPk(recallId, { include: [{ model: Product, attributes: ['id', 'name'] }] });
+  if (!recall) {
+    return null;
+  }
+
+  const notices = await RecallNotice.findAll({
+    where: { recallId },
+    include: [{ model: User, attributes: ['id', 'name', 'phoneNumber', 'email'] }],
+    order: [['id', 'ASC']]
+  });
+
+  const summary = {
+    notices: notices.length,
+    customers: new Set(notices.map((notice) => notice.userId)).size,
+    whatsappSent: notices.filter((notice) => notice.whatsappSentAt).length,
+    emailSent: notices.filter((notice) => notice.emailSentAt).length,
+    acknowledged: notices.filter((notice) => notice.acknowledgedAt).length
+  };
+
+  return {
+    recall,
+    summary,
+    notices: notices.map((notice) => ({
+      id: notice.id,
+      orderId: notice.orderId,
+      quantity: notice.quantity,
+      userId: notice.userId,
+      customerName: notice.User ? notice.User.name : null,
+      phoneNumber: notice.User ? notice.User.phoneNumber : null,
+      email: notice.User ? notice.User.email : null,
+      whatsappSentAt: notice.whatsappSentAt,
+      emailSentAt: notice.emailSentAt,
+      acknowledgedAt: notice.acknowledgedAt,
+      acknowledgedVia: notice.acknowledgedVia
+    }))
+  };
+};
+
+module.exports = {
+  initiateRecall,
+  acknowledgeRecall,
+  acknowledgeRecallByToken,
+  handleRecallAcknowledgement,
+  getRecallStatus
+};
@@ -0,0 +1,331 @@
+/**
+ * Payment Reconciliation Service
+ * Catches payments whose webhooks never arrived:
+ * - Lists recent Flutterwave and Paystack transactions
+ * - Verifies successful ones with verifyPayment and matches them to orders, lab test bookings and consultations
+ * - Verifies the stored reference of pending payments the listing did not cover before reporting or failing them
+ * - Confirms pending payments that were actually paid, flags amount mismatches and orphan transactions
+ * - Merges every run into a daily ReconciliationReport that admins can download
+ */
+
+const { Op } = require('sequelize');
+const { Order, DiagnosticBooking, Appointment, ReconciliationReport } = require('../models');
+const { verifyPayment, listFlutterwaveTransactions, listPaystackTransactions } = require('./payment');
+const { CART_STATUS } = require('./orderLifecycle');
+const { getPayable, confirmPayablePayment } = require('./payables');
+const { notifySupportTeam } = require('./support');
+const { scheduleRecurringJob } = require('./jobQueue');
+const { parsePaymentReference } = require('../utils/paymentReference');
+
+const PENDING_MINUTES = parseInt(process.env.RECONCILIATION_PENDING_MINUTES || '30', 10);
+const LOOKBACK_HOURS = parseInt(process.env.RECONCILIATION_LOOKBACK_HOURS || '48', 10);
+const INTERVAL_MINUTES = parseInt(process.env.RECONCILIATION_INTERVAL_MINUTES || '60', 10);
+
+const ONLINE_PROVIDERS = ['Flutterwave', 'Paystack'];
+const AMOUNT_TOLERANCE = 0.01;
+const REPORT_CATEGORIES = ['matched', 'fixed', 'mismatched', 'orphan', 'failed', 'unpaid'];
+
+let reconciliationRunning = false;
+
+const providerConfigured = (provider) => {
+  return provider === 'Flutterwave' ? !!process.env.FLUTTERWAVE_SECRET_KEY : !!process.env.PAYSTACK_SECRET_KEY;
+};
+
+// Flutterwave payments are stored by transaction ID, Paystack payments by reference
+const paymentReferenceFor = (tx) => (tx.provider === 'Flutterwave' ? tx.id : tx.reference);
+
+const referencesOf = (tx) => [tx.id, tx.reference].filter(Boolean).map(String);
+
+/**
+ * Confirm a payable from a verified provider payment, unless the amount does not match
+ * @param {Object} entry - Report entry
+ * @param {Object} payable - Payable from getPayable
+ * @param {string} provider - 'Flutterwave' | 'Paystack'
+ * @param {Object} verified - verifyPayment data
+ * @returns {Object} Report entry
+ */
+const settleVerifiedPayment = async (entry, payable, provider, verified) => {
+  const reference = paymentReferenceFor({ provider, id: verified.id != null ? String(verified.id) : null, reference: verified.reference });
+  if ((verified.currency || '').toUpperCase() !== 'NGN' || Math.abs(verified.amount - payable.amount) > AMOUNT_TOLERANCE) {
+    await notifySupportTeam(null, 'orders', 'Reconciliation Amount Mismatch', {
+      payable: payable.label,
+      provider,
+      reference,
+      paid: `${verified.amount} ${verified.currency}`,
+      expected: payable.amount
+    });
+    return { ...entry, amount: verified.amount, currency: verified.currency, category: 'mismatched' };
+  }
+
+  const result = await confirmPayablePayment(payable.entityType, payable.entity.id, { provider, reference });
+  if (!result.success) {
+    return { ...entry, category: 'mismatched', note: `Could not confirm payment: ${result.error}` };
+  }
+
+  console.log(`🔎 Reconciliation confirmed ${payable.label} from ${provider} transaction ${verified.id}`);
+  return { ...entry, category: 'fixed' };
+};
+
+/**
+ * Verify a pending entity's stored payment reference directly with the provider
+ * Bookings and consultations do not record their provider, so each configured one is asked.
+ * @param {string} type - Payable type
+ * @param {Object} entity - Pending order, booking or consultation
+ * @returns {Object|null} { provider, verification } or null when no provider knows the reference
+ */
+const verifyStoredReference = async (type, entity) => {
+  const providers = type === 'order' ? [entity.paymentMethod] : ONLINE_PROVIDERS;
+  for (const provider of providers.filter(providerConfigured)) {
+    try {
+      return { provider, verification: await verifyPayment(entity.paymentReference, provider) };
+    } catch (error) {
+      console.warn(`Reconciliation could not verify ${type} #${entity.id} reference ${entity.paymentReference} with ${provider}:`, error.message);
+    }
+  }
+  return null;
+};
+
+/**
+ * Reconcile one successful provider transaction
+ * @param {Object} tx - Normalized provider transaction
+ * @returns {Object} Report entry
+ */
+const reconcileTransaction = async (tx) => {
+  const entry = {
+    key: `${tx.provider}:${tx.id}`,
+    provider: tx.provider,
+    transactionId: tx.id,
+    reference: tx.reference,
+    amount: tx.amount,
+    currency: tx.currency,
+    entityType: null,
+    entityId: null,
+    expectedAmount: null
+  };
+
+  const target = parsePaymentReference(tx.reference, tx.meta);
+  const payable = target ? await getPayable(target.entityType, target.entityId) : null;
+  if (!payable) {
+    return { ...entry, category: 'orphan', note: 'No order, booking or consultation matches this transaction' };
+  }
+
+  const { entity, label } = payable;
+  Object.assign(entry, { entityType: payable.entityType, entityId: entity.id, expectedAmount: payable.amount });
+
+  if (!payable.awaitingPayment) {
+    if (referencesOf(tx).includes(String(entity.paymentReference))) {
+      return { ...entry, category: 'matched' };
+    }
+    return { ...entry, category: 'orphan', note: `${label} is ${entity.paymentStatus} (reference ${entity.paymentReference})` };
+  }
+
+  if (['Cancelled', 'Refunded'].includes(entity.status)) {
+    return { ...entry, category: 'orphan', note: `${label} is ${entity.status.toLowerCase()}` };
+  }
+
+  // Re-check with the provider; the listing alone is not trusted to mark anything paid
+  const verification = await verifyPayment(paymentReferenceFor(tx), tx.provider);
+  if (verification.status !== 'success') {
+    return { ...entry, category: 'failed', note: `Provider verification returned ${verification.data.status}` };
+  }
+
+  return settleVerifiedPayment(entry, payable, tx.provider, { ...verification.data, id: tx.id, reference: tx.reference });
+};
+
+/**
+ * Merge a run's entries into the report for today
+ * @param {Array} entries - Report entries
+ * @param {Array} providerErrors - Listing errors
+ * @returns {Object} ReconciliationReport
+ */
+const mergeIntoDailyReport = async (entries, providerErrors) => {
+  const reportDate = new Date().toISOString().slice(0, 10);
+  const [report] = await ReconciliationReport.findOrCreate({ where: { reportDate } });
+
+  // Later runs overwrite earlier entries for the same transaction or entity
+  const byKey = new Map((report.entries || []).map((entry) => [entry.key, entry]));
+  for (const entry of entries) {
+    byKey.set(entry.key, { ...entry, checkedAt: new Date().toISOString() });
+  }
+  const merged = Array.from(byKey.values());
+
+  const summary = REPORT_CATEGORIES.reduce((counts, category) => {
+    counts[category] = merged.filter((entry) => entry.category === category).length;
+    return counts;
+  }, {});
+
+  await report.update({
+    runs: (report.runs || 0) + 1,
+    lastRunAt: new Date(),
+    summary,
+    entries: merged,
+    providerErrors: [...(report.providerErrors || []), ...providerErrors]
+  });
+  return report;
+};
+
+/**
+ * Verify pending payments against the providers and fix their status
+ * @param {Object} options - { pendingMinutes, lookbackHours }
+ * @returns {Object} { success, report, entries, skipped, error, errorCode }
+ */
+const runPaymentReconciliation = async (options = {}) => {
+  if (reconciliationRunning) {
+    return { success: false, skipped: true, error: 'Reconciliation is already running', errorCode: 'RECONCILIATION_RUNNING' };
+  }
+  reconciliationRunning = true;
+
+  try {
+    const pendingMinutes = options.pendingMinutes || PENDING_MINUTES;
+    const lookbackHours = options.lookbackHours || LOOKBACK_HOURS;
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - pendingMinutes * 60 * 1000);
+    const since = new Date(now.getTime() - lookbackHours * 60 * 60 * 1000);
+
+    const pendingOrders = await Order.findAll({
+      where: {
+        paymentStatus: 'Pending',
+        paymentMethod: { [Op.in]: ONLINE_PROVIDERS },
+        status: { [Op.notIn]: [CART_STATUS, 'Cancelled', 'Refunded'] },
+        updatedAt: { [Op.lt]: cutoff }
+      }
+    });
+    // Bookings and consultations only count once a payment link has been generated for them
+    const pendingBookings = await DiagnosticBooking.findAll({
+      where: { paymentStatus: 'Pending', paymentReference: { [Op.ne]: null }, status: { [Op.ne]: 'Cancelled' }, updatedAt: { [Op.lt]: cutoff } }
+    });
+    const pendingConsultations = await Appointment.findAll({
+      where: { paymentStatus: 'Pending', paymentReference: { [Op.ne]: null }, status: { [Op.ne]: 'Cancelled' }, updatedAt: { [Op.lt]: cutoff } }
+    });
+
+    const entries = [];
+    const providerErrors = [];
+    const transactions = [];
+
+    for (const provider of ONLINE_PROVIDERS) {
+      if (!providerConfigured(provider)) continue;
+      try {
+        const list = provider === 'Flutterwave'
+          ? await listFlutterwaveTransactions({ from: since, to: now })
+          : await listPaystackTransactions({ from: since, to: now });
+        transactions.push(...list.data);
+      } catch (error) {
+        console.error(`Reconciliation could not list ${provider} transactions:`, error.message);
+        providerErrors.push({ provider, error: error.message, at: now.toISOString() });
+      }
+    }
+
+    for (const tx of transactions.filter((t) => t.status === 'success')) {
+      try {
+        entries.push(await reconcileTransaction(tx));
+      } catch (error) {
+        console.error(`Reconciliation failed for ${tx.provider} transaction ${tx.id}:`, error.message || error);
+        providerErrors.push({ provider: tx.provider, transactionId: tx.id, error: error.message, at: now.toISOString() });
+      }
+    }
+
+    // Pending entities still without a successful transaction
+    const resolved = new Set(entries.filter((e) => e.entityType).map((e) => `${e.entityType}:${e.entityId}`));
+    const pendingEntities = [
+      ...pendingOrders.map((entity) => ({ type: 'order', entity })),
+      ...pendingBookings.map((entity) => ({ type: 'diagnostic_booking', entity })),
+      ...pendingConsultations.map((entity) => ({ type: 'consultation', entity }))
+    ];
+
+    for (const { type, entity } of pendingEntities) {
+      if (resolved.has(`${type}:${entity.id}`)) continue;
+
+      // The listing is capped to the lookback window; a payment outside it is still found by its reference
+      if (entity.paymentReference) {
+        try {
+          const direct = await verifyStoredReference(type, entity);
+          if (direct && direct.verification.status === 'success') {
+            const verified = direct.verification.data;
+            const payable = await getPayable(type, entity.id);
+            entries.push(await settleVerifiedPayment({
+              key: `${direct.provider}:${verified.id}`,
+              provider: direct.provider,
+              transactionId: verified.id != null ? String(verified.id) : null,
+              reference: verified.reference || verified.txRef || entity.paymentReference,
+              amount: verified.amount,
+              currency: verified.currency,
+              entityType: type,
+              entityId: entity.id,
+              expectedAmount: payable.amount
+            }, payable, direct.provider, { ...verified, reference: verified.reference || verified.txRef }));
+            continue;
+          }
+        } catch (error) {
+          console.error(`Reconciliation failed for ${type} #${entity.id}:`, error.message || error);
+          providerErrors.push({ entityType: type, entityId: entity.id, error: error.message, at: now.toISOString() });
+        }
+      }
+
+      const attempts = transactions.filter((tx) => {
+        const target = parsePaymentReference(tx.reference, tx.meta);
+        return target && target.entityType === type && target.entityId === String(entity.id);
+      });
+      const failedOnly = attempts.length > 0 && attempts.every((tx) => tx.status === 'failed');
+
+      if (failedOnly) {
+        await entity.update({ paymentStatus: 'Failed' });
+      }
+
+      entries.push({
+        key: `${type}:${entity.id}`,
+        provider: type === 'order' ? entity.paymentMethod : null,
+        transactionId: attempts.length > 0 ? attempts[0].id : null,
+        reference: entity.paymentReference || null,
+        amount: null,
+        currency: null,
+        entityType: type,
+        entityId: entity.id,
+        expectedAmount: type === 'consultation' ? entity.consultationFee : entity.totalAmount,
+        category: failedOnly ? 'failed' : 'unpaid',
+        note: failedOnly ? 'Every provider attempt failed; payment marked failed' : 'No successful transaction found'
+      });
+    }
+
+    const report = await mergeIntoDailyReport(entries, providerErrors);
+    console.log(`🔎 Payment reconciliation finished: ${JSON.stringify(report.summary)}`);
+    return { success: true, report, entries };
+  } catch (error) {
+    console.error('Error running payment reconciliation:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'RECONCILIATION_FAILED'
+    };
+  } finally {
+    reconciliationRunning = false;
+  }
+};
+
+/**
+ * Get the reconciliation report for a day
+ * @param {string} reportDate - YYYY-MM-DD
+ * @returns {Object|null} ReconciliationReport
+ */
+const getReconciliationReport = async (reportDate) => {
+  return ReconciliationReport.findOne({ where: { reportDate } });
+};
+
+/**
+ * Run reconciliation on an interval (disabled when RECONCILIATION_INTERVAL_MINUTES is 0)
+ * @returns {Promise<Object|null>} Recurring job
+ */
+const startReconciliationScheduler = () => {
+  if (!(INTERVAL_MINUTES > 0)) {
+    console.log('ℹ️  Payment reconciliation scheduler disabled');
+    return Promise.resolve(null);
+  }
+
+  console.log(`🔎 Payment reconciliation scheduled every ${INTERVAL_MINUTES} minutes`);
+  return scheduleRecurringJob('payment-reconciliation', { everyMinutes: INTERVAL_MINUTES }, () => runPaymentReconciliation());
+};
+
+module.exports = {
+  runPaymentReconciliation,
+  getReconciliationReport,
+  startReconciliationScheduler
+};
@@ -0,0 +1,382 @@
+/**
+ * Refill Service
+ * Recurring refills for chronic medication (antihypertensives, diabetes drugs, ...):
+ * - Customers turn a past order or a prescription into a refill repeating every N days
+ * - A WhatsApp reminder with one-tap Reorder / Skip / Pause buttons goes out a few days before
+ * - Reordering places the order with the refill's address and payment method, then sends the
+ *   payment link; prescription-only items re-submit the refill's prescription for verification
+ * - A cycle the customer lets pass without reordering rolls over to the next one
+ */
+
+const { Op } = require('sequelize');
+const { Refill, Order, OrderItem, Product, Prescription, Address, User } = require('../models');
+const { sendInteractiveMessage } = require('../config/whatsapp');
+const { addToCartWithSession, placeOrderWithRetry } = require('./orderManagement');
+const { savePrescription } = require('./prescription');
+const { getDefaultAddress } = require('./addressBook');
+const { scheduleRecurringJob } = require('./jobQueue');
+const { formatAddress, parseAddressText } = require('../utils/addressParser');
+
+const REMINDER_DAYS = parseInt(process.env.REFILL_REMINDER_DAYS || '3', 10);
+const DEFAULT_INTERVAL_DAYS = 30;
+const MIN_INTERVAL_DAYS = 7;
+const MAX_INTERVAL_DAYS = 180;
+const CHECK_INTERVAL_MINUTES = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Short label for a refill: its first item and how many more
+ * @param {Object} refill - Refill record
+ * @returns {string} Label
+ */
+const describeRefill = (refill) => {
+  const items = refill.items || [];
+  if (items.length === 0) return `Refill #${refill.id}`;
+  return items.length > 1 ? `${items[0].name} + ${items.length - 1} more` : items[0].name;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-NG', { weekday: 'short', day: 'numeric', month: 'short' });
+
+// Items, delivery details and prescription of a past order owned by the user
+const fromOrder = async (userId, orderId) => {
+  const order = await Order.findOne({
+    where: { id: orderId, userId },
+    include: [{ model: OrderItem, include: [Product] }]
+  });
+  if (!order || order.status === 'Processing') {
+    return { error: `Order #${orderId} not found among your placed orders`, errorCode: 'ORDER_NOT_FOUND' };
+  }
+
+  const prescription = await Prescription.findOne({ where: { orderId: order.id } });
+  return {
+    order,
+    prescriptionId: prescription ? prescription.id : null,
+    items: order.OrderItems.map((item) => ({
+      productId: item.productId,
+      name: item.Product ? item.Product.name : `Product #${item.productId}`,
+      quantity: item.quantity
+    }))
+  };
+};
+
+// Medicines read from a prescription (one pack each), falling back to the items of its order
+const fromPrescription = async (userId, prescriptionId) => {
+  const prescription = await Prescription.findByPk(prescriptionId, {
+    include: [{ model: Order, include: [{ model: OrderItem, include: [Product] }] }]
+  });
+  if (!prescription || !prescription.Order || prescription.Order.userId !== userId) {
+    return { error: `Prescription #${prescriptionId} not found`, errorCode: 'PRESCRIPTION_NOT_FOUND' };
+  }
+
+  const medicines = ((prescription.parsedData && prescription.parsedData.medicines) || []).filter((medicine) => medicine.match);
+  const items = medicines.length > 0
+    ? medicines.map((medicine) => ({ productId: medicine.match.productId, name: medicine.match.name, quantity: 1 }))
+    : prescription.Order.OrderItems.map((item) => ({
+      productId: item.productId,
+      name: item.Product ? item.Product.name : `Product #${item.productId}`,
+      quantity: item.quantity
+    }));
+  return { order: prescription.Order, prescriptionId: prescription.id, items };
+};
+
+/**
+ * Create a refill from a past order or a prescription
+ * @param {number} userId - Customer
+ * @param {Object} options - { sourceType: 'order'|'prescription', sourceId, intervalDays }
+ * @returns {Object} { success, refill, error, errorCode }
+ */
+const createRefill = async (userId, options = {}) => {
+  try {
+    const { sourceType, sourceId } = options;
+    const intervalDays = parseInt(options.intervalDays, 10) || DEFAULT_INTERVAL_DAYS;
+    if (intervalDays < MIN_INTERVAL_DAYS || intervalDays > MAX_INTERVAL_DAYS) {
+      return { success: false, error: `Refills can repeat every ${MIN_INTERVAL_DAYS} to ${MAX_INTERVAL_DAYS} days`, errorCode: 'INVALID_INTERVAL' };
+    }
+
+    const source = sourceType === 'prescription'
+      ? await fromPrescription(userId, sourceId)
+      : await fromOrder(userId, sourceId);
+    if (source.error) {
+      return { success: false, error: source.error, errorCode: source.errorCode };
+    }
+    if (source.items.length === 0) {
+      return { success: false, error: 'There are no medicines to refill', errorCode: 'NOTHING_TO_REFILL' };
+    }
+
+    const existing = await Refill.findOne({ where: { userId, sourceType, sourceId, status: { [Op.ne]: 'cancelled' } } });
+    if (existing) {
+      return { success: false, error: `You already have refill #${existing.id} for this ${sourceType}`, errorCode: 'REFILL_EXISTS' };
+    }
+
+    // Deliver where the source order went, or to the default address for a cart prescription
+    let shippingAddress = source.order.shippingAddress;
+    let deliveryAddressId = source.order.deliveryAddressId || null;
+    if (!shippingAddress || shippingAddress === 'To be provided') {
+      const address = await getDefaultAddress(userId);
+      if (!address) {
+        return { success: false, error: "We don't have a delivery address for this refill. Save one with 'add address ...' first", errorCode: 'NO_DELIVERY_ADDRESS' };
+      }
+      shippingAddress = formatAddress(address);
+      deliveryAddressId = address.id;
+    }
+
+    // A refill of an order is due one interval after that order; otherwise one interval from now
+    const start = sourceType === 'order' ? source.order.createdAt : new Date();
+    const nextRefillAt = new Date(Math.max(addDays(start, intervalDays).getTime(), Date.now()));
+
+    const refill = await Refill.create({
+      userId,
+      sourceType,
+      sourceId,
+      prescriptionId: source.prescriptionId,
+      items: source.items,
+      intervalDays,
+      nextRefillAt,
+      shippingAddress,
+      deliveryAddressId,
+      paymentMethod: source.order.paymentMethod || 'Cash on Delivery'
+    });
+
+    console.log(`🔁 Refill #${refill.id} created for user ${userId} from ${sourceType} #${sourceId} every ${intervalDays} days`);
+    return { success: true, refill };
+  } catch (error) {
+    console.error('Error creating refill:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'REFILL_CREATE_FAILED'
+    };
+  }
+};
+
+/**
+ * A customer's active and paused refills, soonest first
+ * @param {number} userId - Customer
+ * @returns {Array} Refill records
+ */
+const listRefills = async (userId) => {
+  return Refill.findAll({
+    where: { userId, status: { [Op.ne]: 'cancelled' } },
+    order: [['nextRefillAt', 'ASC']]
+  });
+};
+
+const findUserRefill = async (userId, refillId) => {
+  const refill = await Refill.findOne({ where: { id: refillId, userId } });
+  return refill && refill.status !== 'cancelled' ? refill : null;
+};
+
+/**
+ * Pause, resume or cancel a refill
+ * @param {number} userId - Customer
+ * @param {number} refillId - Refill ID
+ * @param {string} status - 'active', 'paused' or 'cancelled'
+ * @returns {Object} { success, refill, error, errorCode }
+ */
+const setRefillStatus = async (userId, refillId, status) => {
+  const refill = await findUserRefill(userId, refillId);
+  if (!refill) {
+    return { success: false, error: `Refill #${refillId} not found`, errorCode: 'REFILL_NOT_FOUND' };
+  }
+
+  const updates = { status };
+  // Resuming after the due date starts a fresh cycle instead of reminding about a missed one
+  if (status === 'active' && new Date(refill.nextRefillAt) < new Date()) {
+    updates.nextRefillAt = addDays(new Date(), refill.intervalDays);
+    updates.lastReminderAt = null;
+  }
+  await refill.update(updates);
+  return { success: true, refill };
+};
+
+/**
+ * Skip the current cycle of a refill
+ * @param {number} userId - Customer
+ * @param {number} refillId - Refill ID
+ * @returns {Object} { success, refill, error, errorCode }
+ */
+const skipRefill = async (userId, refillId) => {
+  const refill = await findUserRefill(userId, refillId);
+  if (!refill) {
+    return { success: false, error: `Refill #${refillId} not found`, errorCode: 'REFILL_NOT_FOUND' };
+  }
+  await refill.update({ nextRefillAt: addDays(refill.nextRefillAt, refill.intervalDays), lastReminderAt: null });
+  return { success: true, refill };
+};
+
+// Delivery location for pricing: the saved address when there is one, else parsed from the text
+const getRefillDeliveryLocation = async (refill) => {
+  const address = refill.deliveryAddressId ? await Address.findByPk(refill.deliveryAddressId) : null;
+  const source = address || parseAddressText(refill.shippingAddress) || {};
+  return {
+    state: source.state || null,
+    city: source.city || null,
+    latitude: source.latitude != null ? source.latitude : null,
+    longitude: source.longitude != null ? source.longitude : null
+  };
+};
+
+/**
+ * Place the order for a refill now
+ * Items go through the cart so stock checks and pricing match a normal order; a cart that
+ * already holds other items is left alone rather than ordered along with the refill.
+ * @param {number} userId - Customer
+ * @param {number} refillId - Refill ID
+ * @param {Object} session - Session data updated with lastOrderId etc. (optional)
+ * @returns {Object} { success, refill, order, unavailable: [{ name, reason }], prescriptionResubmitted, error, errorCode }
+ */
+const reorderRefill = async (userId, refillId, session = {}) => {
+  try {
+    const refill = await findUserRefill(userId, refillId);
+    if (!refill) {
+      return { success: false, error: `Refill #${refillId} not found`, errorCode: 'REFILL_NOT_FOUND' };
+    }
+
+    const cart = await Order.findOne({ where: { userId, status: 'Processing' }, include: [OrderItem] });
+    if (cart && cart.OrderItems && cart.OrderItems.length > 0) {
+      return { success: false, error: "Your cart has other items. Check out or empty your cart first, then reorder your refill", errorCode: 'CART_NOT_EMPTY' };
+    }
+
+    const unavailable = [];
+    let added = 0;
+    for (const item of refill.items) {
+      try {
+        await addToCartWithSession(userId, item.productId, item.quantity, session);
+        added += 1;
+      } catch (error) {
+        unavailable.push({ name: item.name, reason: error.message });
+      }
+    }
+    if (added === 0) {
+      return { success: false, error: 'None of the refill items are available right now', errorCode: 'NOTHING_AVAILABLE', unavailable };
+    }
+
+    const order = await placeOrderWithRetry(userId, {
+      address: refill.shippingAddress,
+      addressId: refill.deliveryAddressId,
+      paymentMethod: refill.paymentMethod,
+      deliveryLocation: await getRefillDeliveryLocation(refill)
+    }, session);
+    if (!order.success) {
+      return { success: false, error: `${order.error}. The refill items are in your cart; type 'checkout' to order them`, errorCode: 'REFILL_ORDER_FAILED', unavailable };
+    }
+
+    // Prescription-only items: the prescription on file goes back to the pharmacists
+    let prescriptionResubmitted = false;
+    if (order.status === 'Awaiting Prescription' && refill.prescriptionId) {
+      const prescription = await Prescription.findByPk(refill.prescriptionId);
+      if (prescription) {
+        try {
+          await savePrescription(order.orderId, prescription.fileUrl, prescription.extractedText, prescription.parsedData);
+          prescriptionResubmitted = true;
+        } catch (error) {
+          console.warn(`Refill #${refill.id}: could not re-submit prescription #${prescription.id} for order #${order.orderId}:`, error.message);
+        }
+      }
+    }
+
+    // Early reorders keep the schedule; late ones restart it from today
+    const base = new Date(Math.max(new Date(refill.nextRefillAt).getTime(), Date.now()));
+    await refill.update({ lastOrderId: order.orderId, nextRefillAt: addDays(base, refill.intervalDays), lastReminderAt: null });
+
+    console.log(`🔁 Refill #${refill.id} reordered as order #${order.orderId}`);
+    return { success: true, refill, order, unavailable, prescriptionResubmitted };
+  } catch (error) {
+    console.error('Error reordering refill:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'REFILL_ORDER_FAILED'
+    };
+  }
+};
+
+/**
+ * WhatsApp list of a customer's refills
+ * @param {Array} refills - From listRefills
+ * @returns {string} Message
+ */
+const formatRefillsMessage = (refills) => {
+  if (refills.length === 0) {
+    return "🔁 You have no refills yet.\n\nTo get medicines you buy regularly delivered again, type e.g. 'refill order 12345 every 30 days' or 'refill rx 12 monthly'.";
+  }
+
+  let message = '🔁 *Your refills*\n\n';
+  refills.forEach((refill) => {
+    message += `#${refill.id} ${describeRefill(refill)}\n`;
+    message += `   Every ${refill.intervalDays} days · ${refill.status === 'paused' ? '⏸️ paused' : `next ${formatDate(refill.nextRefillAt)}`}\n`;
+  });
+  message += `\nCommands: 'reorder refill [id]', 'pause refill [id]', 'resume refill [id]', 'cancel refill [id]'`;
+  return message;
+};
+
+/**
+ * Remind customers of refills due within the reminder window, and roll over missed cycles
+ * @returns {Object} { success, reminded: [refillId], rolledOver: [refillId] }
+ */
+const sendRefillReminders = async () => {
+  const now = new Date();
+  const refills = await Refill.findAll({
+    where: { status: 'active', nextRefillAt: { [Op.lte]: addDays(now, REMINDER_DAYS) } },
+    include: [User]
+  });
+
+  const reminded = [];
+  const rolledOver = [];
+  for (const refill of refills) {
+    try {
+      // Reminded, and the due date passed a reminder window ago: this cycle was missed
+      if (refill.lastReminderAt && addDays(refill.nextRefillAt, REMINDER_DAYS) < now) {
+        await refill.update({ nextRefillAt: addDays(refill.nextRefillAt, refill.intervalDays), lastReminderAt: null });
+        rolledOver.push(refill.id);
+        continue;
+      }
+      if (refill.lastReminderAt || !refill.User || !refill.User.phoneNumber) continue;
+
+      const items = refill.items.map((item) => `• ${item.name} x${item.quantity}`).join('\n');
+      const due = new Date(refill.nextRefillAt) <= now ? 'is due now' : `is due on ${formatDate(refill.nextRefillAt)}`;
+      await sendInteractiveMessage(
+        refill.User.phoneNumber,
+        `💊 Refill reminder: your refill #${refill.id} ${due}.\n\n${items}\n\nDelivery to: ${refill.shippingAddress}\nPayment: ${refill.paymentMethod}`,
+        [
+          { id: `refill_reorder_${refill.id}`, title: '🔁 Reorder now' },
+          { id: `refill_skip_${refill.id}`, title: '⏭️ Skip this time' },
+          { id: `refill_pause_${refill.id}`, title: '⏸️ Pause refills' }
+        ]
+      );
+      await refill.update({ lastReminderAt: now });
+      reminded.push(refill.id);
+    } catch (error) {
+      console.error(`Refill reminder failed for refill #${refill.id}:`, error.message);
+    }
+  }
+
+  if (reminded.length > 0 || rolledOver.length > 0) {
+    console.log(`🔁 Refill reminders sent: ${reminded.join(', ') || 'none'}; missed cycles rolled over: ${rolledOver.join(', ') || 'none'}`);
+  }
+  return { success: true, reminded, rolledOver };
+};
+
+/**
+ * Periodically send refill reminders
+ * @returns {Promise<Object|null>} Recurring job
+ */
+const startRefillReminderScheduler = () => {
+  console.log(`🔁 Refill reminders scheduled ${REMINDER_DAYS} days before each refill`);
+  return scheduleRecurringJob('refill-reminders', { everyMinutes: CHECK_INTERVAL_MINUTES }, () => sendRefillReminders());
+};
+
+module.exports = {
+  DEFAULT_INTERVAL_DAYS,
+  describeRefill,
+  createRefill,
+  listRefills,
+  setRefillStatus,
+  skipRefill,
+  reorderRefill,
+  formatRefillsMessage,
+  sendRefillReminders,
+  startRefillReminderScheduler
+};
@@ -0,0 +1,341 @@
+/**
+ * Refund Service
+ * Handles refunds for orders paid online:
+ * - Refund requests (full or partial) recorded as Refund entities
+ * - Admin approval / rejection
+ * - Issuing the refund through the Flutterwave or Paystack refund API
+ * - Settling refunds from provider webhooks and keeping Order.paymentStatus in sync
+ */
+
+const { sequelize, Order, Refund, User } = require('../models');
+const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { refundFlutterwavePayment, refundPaystackPayment } = require('./payment');
+const { updateOrderStatus } = require('./orderLifecycle');
+const { notifySupportTeam } = require('./support');
+
+const REFUNDABLE_PROVIDERS = ['Flutterwave', 'Paystack'];
+const OPEN_REFUND_STATUSES = ['Requested', 'Processing'];
+
+const formatNaira = (amount) => `₦${Number(amount || 0).toLocaleString()}`;
+
+const sumAmounts = (refunds) => refunds.reduce((sum, refund) => sum + (refund.amount || 0), 0);
+
+/**
+ * Amount of an order that can still be refunded
+ * @param {Object} order - Order instance
+ * @param {Array} refunds - The order's Refund records
+ * @returns {number} Refundable amount
+ */
+const getRefundableAmount = (order, refunds = []) => {
+  const committed = refunds.filter((refund) => [...OPEN_REFUND_STATUSES, 'Completed'].includes(refund.status));
+  return Math.max(0, (order.totalAmount || 0) - sumAmounts(committed));
+};
+
+/**
+ * Recompute Order.paymentStatus from its refunds
+ * @param {number} orderId - Order ID
+ * @returns {Object} { order, refundedAmount, fullyRefunded }
+ */
+const syncOrderPaymentStatus = async (orderId) => {
+  const order = await Order.findByPk(orderId);
+  const refunds = await Refund.findAll({ where: { orderId } });
+
+  const refundedAmount = sumAmounts(refunds.filter((refund) => refund.status === 'Completed'));
+  const fullyRefunded = refundedAmount > 0 && refundedAmount >= (order.totalAmount || 0);
+
+  let paymentStatus = 'Paid';
+  if (refunds.some((refund) => OPEN_REFUND_STATUSES.includes(refund.status))) {
+    paymentStatus = 'Refund Pending';
+  } else if (fullyRefunded) {
+    paymentStatus = 'Refunded';
+  } else if (refundedAmount > 0) {
+    paymentStatus = 'Partially Refunded';
+  }
+
+  if (order.paymentStatus !== paymentStatus) {
+    await order.update({ paymentStatus });
+  }
+  return { order, refundedAmount, fullyRefunded };
+};
+
+/**
+ * Request a refund for a paid order; it is issued once an admin approves it
+ * @param {number} orderId - Order ID
+ * @param {Object} options - { amount, reason, requestedBy, requestedByType }
+ *   amount defaults to everything still refundable
+ * @returns {Object} { success, refund, error, errorCode }
+ */
+const requestRefund = async (orderId, options = {}) => {
+  try {
+    const { reason = null, requestedBy = null, requestedByType = 'customer' } = options;
+
+    // The order row lock serialises concurrent requests (admin and customer, a double submit)
+    // so each computes the refundable balance after the other's refund is recorded
+    const result = await sequelize.transaction(async (transaction) => {
+      const order = await Order.findByPk(orderId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!order) {
+        return { success: false, error: 'Order not found', errorCode: 'ORDER_NOT_FOUND' };
+      }
+      if (!['Paid', 'Partially Refunded', 'Refund Pending'].includes(order.paymentStatus) || !order.paymentReference) {
+        return { success: false, error: `Order #${order.id} has no online payment to refund`, errorCode: 'ORDER_NOT_PAID' };
+      }
+      if (!REFUNDABLE_PROVIDERS.includes(order.paymentMethod)) {
+        return { success: false, error: `${order.paymentMethod} payments must be refunded manually`, errorCode: 'PROVIDER_NOT_SUPPORTED' };
+      }
+
+      const refunds = await Refund.findAll({ where: { orderId: order.id }, transaction });
+      const refundable = getRefundableAmount(order, refunds);
+      const amount = options.amount != null ? parseFloat(options.amount) : refundable;
+
+      if (!(amount > 0)) {
+        return { success: false, error: `Order #${order.id} has nothing left to refund`, errorCode: 'NOTHING_TO_REFUND' };
+      }
+      if (amount > refundable) {
+        return {
+          success: false,
+          error: `Refund amount ${formatNaira(amount)} exceeds the refundable balance of ${formatNaira(refundable)}`,
+          errorCode: 'REFUND_EXCEEDS_BALANCE'
+        };
+      }
+
+      const refund = await Refund.create({
+        orderId: order.id,
+        provider: order.paymentMethod,
+        paymentReference: order.paymentReference,
+        amount,
+        reason,
+        status: 'Requested',
+        requestedByType,
+        requestedBy
+      }, { transaction });
+      return { success: true, refund };
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    const { refund } = result;
+    await syncOrderPaymentStatus(refund.orderId);
+
+    console.log(`💸 Refund #${refund.id} requested for order #${refund.orderId}: ${formatNaira(refund.amount)}`);
+    return { success: true, refund };
+  } catch (error) {
+    console.error('Error requesting refund:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'REQUEST_REFUND_FAILED'
+    };
+  }
+};
+
+/**
+ * Approve a requested refund and issue it through the payment provider
+ * @param {number} refundId - Refund ID
+ * @param {string} approvedBy - Admin identifier
+ * @returns {Object} { success, refund, error, errorCode }
+ */
+const approveRefund = async (refundId, approvedBy) => {
+  try {
+    const refund = await Refund.findByPk(refundId);
+    if (!refund) {
+      return { success: false, error: 'Refund not found', errorCode: 'REFUND_NOT_FOUND' };
+    }
+    if (refund.status !== 'Requested') {
+      return { success: false, error: `Refund #${refund.id} is already ${refund.status.toLowerCase()}`, errorCode: 'REFUND_NOT_PENDING' };
+    }
+
+    // Claim the refund before calling the provider so a second approval (another admin, a
+    // double click) cannot send the money twice
+    const [claimed] = await Refund.update(
+      { status: 'Processing', approvedBy, approvedAt: new Date() },
+      { where: { id: refund.id, status: 'Requested' } }
+    );
+    if (claimed === 0) {
+      await refund.reload();
+      return { success: false, error: `Refund #${refund.id} is already ${refund.status.toLowerCase()}`, errorCode: 'REFUND_NOT_PENDING' };
+    }
+    await refund.reload();
+
+    let response;
+    try {
+      response = refund.provider === 'Flutterwave'
+        ? await refundFlutterwavePayment(refund.paymentReference, refund.amount)
+        : await refundPaystackPayment(refund.paymentReference, refund.amount, refund.reason);
+    } catch (providerError) {
+      await refund.update({ status: 'Failed', failureReason: providerError.message || 'Provider refund failed' });
+      await syncOrderPaymentStatus(refund.orderId);
+      return {
+        success: false,
+        refund,
+        error: `${refund.provider} refund failed: ${providerError.message}`,
+        errorCode: 'PROVIDER_REFUND_FAILED'
+      };
+    }
+
+    await refund.update({
+      providerRefundId: response.data.id != null ? String(response.data.id) : null,
+      providerResponse: response.data.raw
+    });
+
+    // Flutterwave may complete a refund immediately; Paystack confirms through its webhook
+    if (['completed', 'processed'].includes(String(response.data.status).toLowerCase())) {
+      await settleRefund(refund, 'Completed');
+    }
+
+    console.log(`💸 Refund #${refund.id} approved by ${approvedBy} and sent to ${refund.provider}`);
+    return { success: true, refund };
+  } catch (error) {
+    console.error('Error approving refund:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'APPROVE_REFUND_FAILED'
+    };
+  }
+};
+
+/**
+ * Reject a requested refund
+ * @param {number} refundId - Refund ID
+ * @param {string} rejectedBy - Admin identifier
+ * @param {string} reason - Reason shown to the customer
+ * @returns {Object} { success, refund, error, errorCode }
+ */
+const rejectRefund = async (refundId, rejectedBy, reason = null) => {
+  try {
+    const refund = await Refund.findByPk(refundId);
+    if (!refund) {
+      return { success: false, error: 'Refund not found', errorCode: 'REFUND_NOT_FOUND' };
+    }
+    if (refund.status !== 'Requested') {
+      return { success: false, error: `Refund #${refund.id} is already ${refund.status.toLowerCase()}`, errorCode: 'REFUND_NOT_PENDING' };
+    }
+
+    const [claimed] = await Refund.update(
+      { status: 'Rejected', approvedBy: rejectedBy, failureReason: reason },
+      { where: { id: refund.id, status: 'Requested' } }
+    );
+    if (claimed === 0) {
+      await refund.reload();
+      return { success: false, error: `Refund #${refund.id} is already ${refund.status.toLowerCase()}`, errorCode: 'REFUND_NOT_PENDING' };
+    }
+    await refund.reload();
+    await syncOrderPaymentStatus(refund.orderId);
+
+    const order = await Order.findByPk(refund.orderId);
+    const user = order ? await User.findByPk(order.userId) : null;
+    if (user && user.phoneNumber) {
+      await sendWhatsAppMessage(user.phoneNumber, `ℹ️ Your refund request for order #${refund.orderId} was not approved.${reason ? `\n\nReason: ${reason}` : ''}\n\nType 'support' if you have questions.`);
+    }
+
+    return { success: true, refund };
+  } catch (error) {
+    console.error('Error rejecting refund:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'REJECT_REFUND_FAILED'
+    };
+  }
+};
+
+/**
+ * Mark a refund as completed or failed, update the order and tell the customer
+ * @param {Object} refund - Refund instance
+ * @param {string} status - 'Completed' | 'Failed'
+ * @param {Object} details - { failureReason, providerResponse }
+ * @returns {Object} Refund
+ */
+const settleRefund = async (refund, status, details = {}) => {
+  if (['Completed', 'Failed', 'Rejected'].includes(refund.status)) {
+    return refund;
+  }
+
+  await refund.update({
+    status,
+    completedAt: status === 'Completed' ? new Date() : null,
+    failureReason: details.failureReason || null,
+    providerResponse: details.providerResponse || refund.providerResponse
+  });
+
+  const { order, refundedAmount, fullyRefunded } = await syncOrderPaymentStatus(refund.orderId);
+  const user = await User.findByPk(order.userId);
+
+  if (status === 'Failed') {
+    await notifySupportTeam(user ? user.phoneNumber : null, 'orders', 'Refund Failed', {
+      orderId: order.id,
+      refundId: refund.id,
+      amount: refund.amount,
+      provider: refund.provider,
+      reason: details.failureReason || 'Not given'
+    });
+    return refund;
+  }
+
+  if (fullyRefunded) {
+    // The lifecycle template tells the customer about the refund
+    const result = await updateOrderStatus(order.id, 'Refunded', {
+      changedByType: 'webhook',
+      changedBy: refund.provider,
+      note: `Refund of ${formatNaira(refundedAmount)} completed`
+    });
+    if (result.success && !result.unchanged) {
+      return refund;
+    }
+  }
+
+  if (user && user.phoneNumber) {
+    await sendWhatsAppMessage(user.phoneNumber, `💸 A refund of ${formatNaira(refund.amount)} for order #${order.id} has been sent to your original payment method. It may take a few business days to reflect.`);
+  }
+  return refund;
+};
+
+/**
+ * Apply a refund event received on a payment webhook
+ * @param {string} provider - 'Flutterwave' | 'Paystack'
+ * @param {Object} event - { providerRefundId, paymentReference, status, failureReason, raw }
+ *   status is the provider's refund status (completed/processed/failed/...)
+ * @returns {Object} { success, refund, error }
+ */
+const handleRefundWebhook = async (provider, event = {}) => {
+  try {
+    let refund = null;
+    if (event.providerRefundId != null) {
+      refund = await Refund.findOne({ where: { provider, providerRefundId: String(event.providerRefundId) } });
+    }
+    if (!refund && event.paymentReference) {
+      refund = await Refund.findOne({
+        where: { provider, paymentReference: String(event.paymentReference), status: 'Processing' },
+        order: [['createdAt', 'DESC']]
+      });
+    }
+    if (!refund) {
+      console.warn(`${provider} refund webhook did not match a refund: ${JSON.stringify({ id: event.providerRefundId, reference: event.paymentReference })}`);
+      return { success: false, error: 'Refund not found' };
+    }
+
+    const status = String(event.status || '').toLowerCase();
+    if (['completed', 'processed', 'successful', 'success'].includes(status)) {
+      await settleRefund(refund, 'Completed', { providerResponse: event.raw });
+    } else if (['failed', 'declined', 'reversed'].includes(status)) {
+      await settleRefund(refund, 'Failed', { failureReason: event.failureReason || `Refund ${status}`, providerResponse: event.raw });
+    } else {
+      console.log(`💸 Refund #${refund.id} is ${status || 'pending'} at ${provider}`);
+    }
+
+    return { success: true, refund };
+  } catch (error) {
+    console.error('Error handling refund webhook:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  getRefundableAmount,
+  requestRefund,
+  approveRefund,
+  rejectRefund,
+  settleRefund,
+  handleRefundWebhook
+};
@@ -0,0 +1,163 @@
+/**
+ * Search Synonym Service
+ * Maintains the product search dictionary:
+ * - Brand to generic names (panadol -> paracetamol) and alternative names (acetaminophen -> paracetamol)
+ * - Expanding a customer's query into the alternative phrasings searched by the catalog
+ * - Dictionary terms close to a misspelt query, for "did you mean" suggestions
+ * Terms and synonyms are stored lowercase; lookups work in both directions.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, SearchSynonym } = require('../models');
+
+const KINDS = ['brand', 'synonym'];
+const MAX_EXPANSIONS = 8;
+const SUGGESTION_SIMILARITY = 0.3;
+
+const normalizeTerm = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const normalizeSynonyms = (values, term) => {
+  const list = Array.isArray(values) ? values : String(values || '').split(',');
+  return [...new Set(list.map(normalizeTerm).filter((value) => value && value !== term))];
+};
+
+/**
+ * Phrasings of a query to search for, the query itself first
+ * @param {string} query - Customer search text
+ * @returns {Array} Lowercase search phrases
+ */
+const expandSearchTerms = async (query) => {
+  const normalized = normalizeTerm(query);
+  if (!normalized) return [];
+
+  // Whole query plus its words, so "panadol extra" still expands on "panadol"
+  const candidates = [...new Set([normalized, ...normalized.split(' ').filter((word) => word.length >= 3)])];
+  const entries = await SearchSynonym.findAll({
+    where: {
+      [Op.or]: [
+        { term: candidates },
+        { synonyms: { [Op.overlap]: candidates } }
+      ]
+    }
+  });
+
+  const expansions = new Set([normalized]);
+  for (const entry of entries) {
+    const names = [entry.term, ...(entry.synonyms || [])];
+    const matched = names.find((name) => candidates.includes(name));
+    if (!matched) continue;
+    for (const name of names) {
+      if (name !== matched) {
+        // "panadol extra" searches "paracetamol extra" first, then any paracetamol
+        expansions.add(normalized.replace(matched, name));
+        expansions.add(name);
+      }
+    }
+  }
+  return [...expansions].slice(0, MAX_EXPANSIONS);
+};
+
+/**
+ * Dictionary terms that look like a (possibly misspelt) query
+ * @param {string} query - Customer search text
+ * @param {number} limit - Maximum suggestions
+ * @returns {Array} [{ term, similarity }]
+ */
+const findSimilarTerms = async (query, limit = 3) => {
+  const normalized = normalizeTerm(query);
+  if (!normalized) return [];
+
+  const similarity = sequelize.literal(`similarity("term", ${sequelize.escape(normalized)})`);
+  const rows = await SearchSynonym.findAll({
+    attributes: ['term', [similarity, 'similarity']],
+    where: sequelize.where(similarity, Op.gte, SUGGESTION_SIMILARITY),
+    order: [[similarity, 'DESC']],
+    limit,
+    raw: true
+  });
+  return rows.map((row) => ({ term: row.term, similarity: Number(row.similarity) }));
+};
+
+/**
+ * All dictionary entries, alphabetically
+ * @returns {Array} SearchSynonym records
+ */
+const listSearchSynonyms = async () => {
+  return SearchSynonym.findAll({ order: [['term', 'ASC']] });
+};
+
+/**
+ * Create a dictionary entry, or replace the synonyms of an existing term
+ * @param {Object} entry - { term, synonyms, kind }
+ * @param {string} adminEmail - Admin making the change
+ * @param {number} id - Entry to update (optional; otherwise matched by term)
+ * @returns {Object} { success, synonym, created, error, errorCode }
+ */
+const saveSearchSynonym = async (entry = {}, adminEmail, id = null) => {
+  try {
+    const term = normalizeTerm(entry.term);
+    const synonyms = normalizeSynonyms(entry.synonyms, term);
+    const kind = entry.kind || 'synonym';
+
+    if (!term) {
+      return { success: false, error: 'A search term is required', errorCode: 'TERM_REQUIRED' };
+    }
+    if (synonyms.length === 0) {
+      return { success: false, error: 'At least one synonym different from the term is required', errorCode: 'SYNONYMS_REQUIRED' };
+    }
+    if (!KINDS.includes(kind)) {
+      return { success: false, error: `Kind must be one of: ${KINDS.join(', ')}`, errorCode: 'INVALID_KIND' };
+    }
+
+    const existing = id
+      ? await SearchSynonym.findByPk(id)
+      : await SearchSynonym.findOne({ where: { term } });
+    if (id && !existing) {
+      return { success: false, error: `Search synonym #${id} not found`, errorCode: 'SYNONYM_NOT_FOUND' };
+    }
+
+    if (existing) {
+      const clash = existing.term !== term && await SearchSynonym.findOne({ where: { term } });
+      if (clash) {
+        return { success: false, error: `"${term}" already has an entry (#${clash.id})`, errorCode: 'TERM_EXISTS' };
+      }
+      await existing.update({ term, synonyms, kind, updatedBy: adminEmail });
+      console.log(`🔤 Search synonym "${term}" updated by ${adminEmail}`);
+      return { success: true, synonym: existing, created: false };
+    }
+
+    const synonym = await SearchSynonym.create({ term, synonyms, kind, createdBy: adminEmail, updatedBy: adminEmail });
+    console.log(`🔤 Search synonym "${term}" → ${synonyms.join(', ')} added by ${adminEmail}`);
+    return { success: true, synonym, created: true };
+  } catch (error) {
+    console.error('Error saving search synonym:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'SYNONYM_SAVE_FAILED'
+    };
+  }
+};
+
+/**
+ * Remove a dictionary entry
+ * @param {number} id - SearchSynonym ID
+ * @returns {Object} { success, error, errorCode }
+ */
+const deleteSearchSynonym = async (id) => {
+  const synonym = await SearchSynonym.findByPk(id);
+  if (!synonym) {
+    return { success: false, error: `Search synonym #${id} not found`, errorCode: 'SYNONYM_NOT_FOUND' };
+  }
+  await synonym.destroy();
+  return { success: true };
+};
+
+module.exports = {
+  normalizeTerm,
+  expandSearchTerms,
+  findSimilarTerms,
+  listSearchSynonyms,
+  saveSearchSynonym,
+  deleteSearchSynonym
+};
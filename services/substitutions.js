@@ -0,0 +1,174 @@
+/**
+ * Substitution Service
+ * Suggests equivalent medicines when the one a customer wants is out of stock or not carried:
+ * - Substitutes share the active ingredient and strength (and dosage form, when both are known)
+ * - Each suggestion is labelled generic or other brand
+ * - Prescription-only (POM) substitutions are flagged for pharmacist approval when added to a cart
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Product, OrderItem } = require('../models');
+const { toCatalogItem } = require('./catalog');
+const { getAvailableStock } = require('./inventory');
+const { expandSearchTerms, normalizeTerm } = require('./searchSynonyms');
+const { sendPharmacistMessage } = require('./support');
+
+const MAX_SUBSTITUTES = 5;
+
+const normalizeStrength = (strength) => String(strength || '').toLowerCase().replace(/\s+/g, '');
+
+const normalizeForm = (form) => String(form || '').toLowerCase().trim();
+
+const ingredientWhere = (ingredients) => sequelize.where(
+  sequelize.fn('lower', sequelize.col('activeIngredient')),
+  { [Op.in]: ingredients.map((ingredient) => normalizeTerm(ingredient)) }
+);
+
+const describe = (product) => [product.strength, product.dosageForm].filter(Boolean).join(' ');
+
+const toSubstitute = (candidate, requested) => ({
+  ...toCatalogItem(candidate),
+  substituteFor: requested ? requested.id : null,
+  substituteLabel: candidate.brand ? `Other brand (${candidate.brand})` : 'Generic',
+  requiresPharmacistApproval: Boolean(candidate.requiresPrescription || (requested && requested.requiresPrescription))
+});
+
+/**
+ * In-stock products therapeutically equivalent to a product
+ * @param {Object|number} productOrId - Product instance or ID
+ * @param {Object} options - { limit }
+ * @returns {Array} Catalog items with substituteFor, substituteLabel, requiresPharmacistApproval
+ */
+const findSubstitutes = async (productOrId, options = {}) => {
+  const { limit = MAX_SUBSTITUTES } = options;
+  const product = typeof productOrId === 'object' ? productOrId : await Product.findByPk(productOrId);
+  if (!product || !product.activeIngredient) {
+    return [];
+  }
+
+  const candidates = await Product.findAll({
+    where: {
+      id: { [Op.ne]: product.id },
+      isActive: true,
+      [Op.and]: [ingredientWhere([product.activeIngredient])]
+    }
+  });
+
+  const strength = normalizeStrength(product.strength);
+  const form = normalizeForm(product.dosageForm);
+  return candidates
+    .filter((candidate) => normalizeStrength(candidate.strength) === strength)
+    .filter((candidate) => !form || !candidate.dosageForm || normalizeForm(candidate.dosageForm) === form)
+    .filter((candidate) => getAvailableStock(candidate) > 0)
+    .sort((a, b) => {
+      // Same dosage form first, then cheapest
+      const formA = normalizeForm(a.dosageForm) === form ? 0 : 1;
+      const formB = normalizeForm(b.dosageForm) === form ? 0 : 1;
+      return formA - formB || a.price - b.price;
+    })
+    .slice(0, limit)
+    .map((candidate) => toSubstitute(candidate, product));
+};
+
+/**
+ * Alternatives for a search that found nothing available
+ * @param {string} query - Customer search text
+ * @returns {Object} { requested, substitutes } - requested is the unavailable product we carry
+ *   (null when we do not carry it; substitutes then share an ingredient the query names)
+ */
+const findAlternativesForQuery = async (query) => {
+  const normalized = normalizeTerm(query);
+  if (!normalized) {
+    return { requested: null, substitutes: [] };
+  }
+
+  // A product we carry but cannot sell right now (out of stock, discontinued or recalled)
+  const requested = await Product.findOne({
+    where: { name: { [Op.iLike]: `%${normalized}%` }, productType: 'medicine' },
+    order: [['isActive', 'DESC'], ['id', 'ASC']]
+  });
+  if (requested) {
+    return { requested, substitutes: await findSubstitutes(requested) };
+  }
+
+  // Not carried: offer products whose ingredient is the query or one of its synonyms
+  // (a brand we do not stock, e.g. "tylenol" -> paracetamol)
+  let terms = [normalized];
+  try {
+    terms = await expandSearchTerms(normalized);
+  } catch (error) {
+    console.warn('Synonym expansion unavailable for substitutes:', error.message);
+  }
+  const sameIngredient = await Product.findAll({
+    where: { isActive: true, [Op.and]: [ingredientWhere(terms)] },
+    order: [['price', 'ASC']]
+  });
+  const substitutes = sameIngredient
+    .filter((product) => getAvailableStock(product) > 0)
+    .slice(0, MAX_SUBSTITUTES)
+    .map((product) => toSubstitute(product, null));
+  return { requested: null, substitutes };
+};
+
+/**
+ * WhatsApp message listing substitutes, numbered for "add [number] [quantity]"
+ * @param {string} requestedName - What the customer asked for
+ * @param {Array} substitutes - From findSubstitutes / findAlternativesForQuery
+ * @returns {string} Message
+ */
+const formatSubstitutesMessage = (requestedName, substitutes) => {
+  const ingredient = substitutes[0].activeIngredient;
+  let message = `🔁 ${requestedName} is not available right now. These contain the same active ingredient (${ingredient})${substitutes[0].substituteFor ? ' and strength' : ''}:\n\n`;
+
+  substitutes.forEach((item, index) => {
+    message += `${index + 1}. ${item.name} — ₦${item.price}\n`;
+    message += `   ${item.substituteLabel}${describe(item) ? ` · ${describe(item)}` : ''}\n`;
+    if (item.requiresPharmacistApproval) {
+      message += `   ⚕️ Prescription-only: our pharmacist must approve this substitution\n`;
+    }
+    message += `\n`;
+  });
+
+  message += `Substitutes are suggestions — check with your doctor or pharmacist if you are unsure.\nTo add one to your cart, reply with "add [number] [quantity]".`;
+  return message;
+};
+
+/**
+ * Record on the cart item that it replaces another product, and ask a pharmacist to approve
+ * prescription-only substitutions
+ * @param {number} orderId - Cart order ID
+ * @param {Object} substitute - Catalog item from a substitutes list
+ * @returns {Object} { success, requiresPharmacistApproval, error, errorCode }
+ */
+const recordSubstitution = async (orderId, substitute) => {
+  try {
+    const item = await OrderItem.findOne({ where: { orderId, productId: substitute.id } });
+    if (!item) {
+      return { success: false, error: `Product #${substitute.id} is not in order #${orderId}`, errorCode: 'ITEM_NOT_FOUND' };
+    }
+    if (substitute.substituteFor) {
+      await item.update({ substituteForProductId: substitute.substituteFor });
+    }
+
+    if (substitute.requiresPharmacistApproval) {
+      const requested = substitute.substituteFor ? await Product.findByPk(substitute.substituteFor) : null;
+      await sendPharmacistMessage(`⚕️ Substitution needs pharmacist approval\n\nOrder #${orderId}\nRequested: ${requested ? requested.name : 'not carried'}\nSubstitute: ${substitute.name} (${substitute.activeIngredient}${substitute.strength ? ` ${substitute.strength}` : ''})\n\nPlease confirm before the order is released.`);
+      console.log(`⚕️  Order #${orderId}: substitute ${substitute.name} flagged for pharmacist approval`);
+    }
+    return { success: true, requiresPharmacistApproval: substitute.requiresPharmacistApproval };
+  } catch (error) {
+    console.error('Error recording substitution:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'SUBSTITUTION_RECORD_FAILED'
+    };
+  }
+};
+
+module.exports = {
+  findSubstitutes,
+  findAlternativesForQuery,
+  formatSubstitutesMessage,
+  recordSubstitution
+};
@@ -1,5 +1,6 @@
-const { SupportTeam, SupportChat, Session } = require('../models');
+const { SupportTeam, SupportChat, Session, User } = require('../models');
 const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { registerFlow, startFlow, endFlow } = require('./conversationFlow');
 
 // Notify support teams about customer activities
 const notifySupportTeams = async (customerPhoneNumber, activity, details) => {
@@ -64,6 +65,32 @@ const notifySupportTeam = async (customerPhoneNumber, supportTeamRole, activity,
   }
 };
 
+// Send a staff message (e.g. a stock digest) to a specific support team
+const sendSupportTeamMessage = async (supportTeamRole, message) => {
+  try {
+    const supportTeam = await SupportTeam.findOne({
+      where: { role: supportTeamRole, isActive: true }
+    });
+
+    if (!supportTeam) {
+      console.error(`Support team with role ${supportTeamRole} not found`);
+      return false;
+    }
+
+    await sendWhatsAppMessage(supportTeam.phoneNumber, message);
+    return true;
+  } catch (error) {
+    console.error(`Error messaging support team ${supportTeamRole}:`, error);
+    return false;
+  }
+};
+
+// Send a message for the pharmacists; deployments without a pharmacist team use the medical team
+const sendPharmacistMessage = async (message) => {
+  const sent = await sendSupportTeamMessage('pharmacist', message);
+  return sent || sendSupportTeamMessage('medical', message);
+};
+
 // Start support chat
 const startSupportChat = async (customerPhoneNumber, supportTeamRole = 'general') => {
   try {
@@ -100,9 +127,9 @@ const startSupportChat = async (customerPhoneNumber, supportTeamRole = 'general'
       throw new Error('No active support team available');
     }
 
-    // Update session with support team ID
+    // Update session with support team ID and hand the conversation to the support flow
     session.supportTeamId = supportTeam.id;
-    await session.save();
+    await startFlow(session, 'support');
 
     // Notify customer and support team
     try {
@@ -110,14 +137,20 @@ const startSupportChat = async (customerPhoneNumber, supportTeamRole = 'general'
         customerPhoneNumber,
         `You're now connected with ${supportTeam.name}. Please describe your issue and our support team will assist you shortly.`
       );
+      // Missed appointments help support judge booking requests
+      const customer = await User.findOne({ where: { phoneNumber: customerPhoneNumber }, attributes: ['noShowCount'] });
+      const noShows = customer && customer.noShowCount > 0
+        ? `\n⚠️ ${customer.noShowCount} missed appointment${customer.noShowCount === 1 ? '' : 's'} (no-show).`
+        : '';
       await sendWhatsAppMessage(
         supportTeam.phoneNumber,
-        `🆘 New support request from ${customerPhoneNumber}. Please respond to assist.`
+        `🆘 New support request from ${customerPhoneNumber}. Please respond to assist.${noShows}`
       );
     } catch (sendErr) {
       // Graceful fallback: end support chat and revert session
       session.state = 'LOGGED_IN';
       session.supportTeamId = null;
+      await endFlow(session);
       await session.save();
       console.error('Support notification failed, closing chat:', sendErr.message);
       throw new Error('Support chat unavailable at the moment');
@@ -213,6 +246,7 @@ const endSupportChat = async (customerPhoneNumber) => {
     // Update session state
     session.state = 'LOGGED_IN';
     session.supportTeamId = null;
+    await endFlow(session);
     await session.save();
 
     // Best-effort notifications
@@ -272,9 +306,45 @@ const getUnreadSupportMessages = async (supportTeamId) => {
   }
 };
 
+// Support chat flow: every customer message is forwarded to the assigned support team
+registerFlow({
+  name: 'support',
+  label: 'support chat',
+  initialState: 'chatting',
+  timeoutMinutes: null,
+  exitCommands: ['close', 'exit', 'end chat', 'stop support'],
+  onExit: async ({ phoneNumber }) => {
+    try {
+      await endSupportChat(phoneNumber);
+    } catch (_) {}
+    await sendWhatsAppMessage(phoneNumber, 'Exited support chat. You are now back with the bot. Type "help" to continue.');
+  },
+  states: {
+    chatting: {
+      inputs: [
+        {
+          handler: async ({ phoneNumber, text }) => {
+            try {
+              await sendSupportMessage(phoneNumber, text, true);
+            } catch (err) {
+              console.error('Forward to support failed:', err.message);
+              try {
+                await endSupportChat(phoneNumber);
+                await sendWhatsAppMessage(phoneNumber, 'Support chat is unavailable right now. You are back with the bot. Type "help" for options.');
+              } catch (_) {}
+            }
+          }
+        }
+      ]
+    }
+  }
+});
+
 module.exports = {
   notifySupportTeams,
   notifySupportTeam,
+  sendSupportTeamMessage,
+  sendPharmacistMessage,
   startSupportChat,
   sendSupportMessage,
   endSupportChat,
@@ -68,6 +68,30 @@ describe('E2E: Prescription Upload and Verification Flow', () => {
     // 3. Pharmacist can still verify manually
     // 4. User can still attach prescription to order
   });
+
+  it('should not attach a prescription to another customer\'s order', async function() {
+    const { Order, Prescription } = require('../../models');
+    const { savePrescription } = require('../../services/prescription');
+    const originalFindByPk = Order.findByPk;
+    const originalFindOne = Prescription.findOne;
+    let prescriptionTouched = false;
+    Order.findByPk = async () => ({ id: testConfig.testOrderId, userId: testConfig.testUserId + 1, hasPrescription: true });
+    Prescription.findOne = async () => {
+      prescriptionTouched = true;
+      return null;
+    };
+
+    try {
+      await assert.rejects(
+        savePrescription(testConfig.testOrderId, 'https://example.com/rx.jpg', null, null, { userId: testConfig.testUserId }),
+        /Order not found/
+      );
+      assert.strictEqual(prescriptionTouched, false);
+    } finally {
+      Order.findByPk = originalFindByPk;
+      Prescription.findOne = originalFindOne;
+    }
+  });
 });
 
 /**
@@ -363,7 +387,7 @@ describe('E2E: Error Handling and Retry Logic', () => {
 
 // Test execution helpers
 const testSummary = {
-  totalTests: 20,
+  totalTests: 21,
   completedTests: 0,
   failedTests: 0
 };
@@ -379,7 +403,7 @@ To run these tests:
   npm test -- tests/integration/e2e.flows.test.js
 
 Test categories:
-  1. Prescription Upload and Verification (4 tests)
+  1. Prescription Upload and Verification (5 tests)
   2. Medicine Order and Payment Flow (7 tests)
   3. Doctor Appointment Booking Flow (7 tests)
   4. Session and Token Management (5 tests)
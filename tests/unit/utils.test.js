@@ -4,6 +4,10 @@
  * - Order parsing and validation
  * - Pagination formatting
  * - Session/token management
+ * - Address parsing
+ * - Delivery pricing
+ * - Payment references
+ * - Prescription parsing
  */
 
 const assert = require('assert');
@@ -28,6 +32,31 @@ const {
   checkTokenRefreshNeeded
 } = require('../../utils/sessionTokenManager');
 
+const {
+  normalizeStateName,
+  parseAddressText,
+  formatAddress
+} = require('../../utils/addressParser');
+
+const {
+  haversineDistanceKm,
+  selectDeliveryZone,
+  computeDeliveryFee
+} = require('../../utils/deliveryPricing');
+
+const {
+  buildPaymentReference,
+  parsePaymentReference
+} = require('../../utils/paymentReference');
+
+const {
+  parsePrescriptionText,
+  parsePrescriptionLine,
+  parseStrength,
+  parseFrequency,
+  parseDuration
+} = require('../../utils/prescriptionParser');
+
 // Test suite for orderParser utilities
 describe('Order Parser Utilities', () => {
   describe('parseOrderIdFromText', () => {
@@ -442,6 +471,239 @@ describe('Session and Token Management', () => {
   });
 });
 
+// Test suite for address parsing utilities
+describe('Address Parser Utilities', () => {
+  describe('parseAddressText', () => {
+    it('should split label, street, city and state', () => {
+      const result = parseAddressText('Home: 12 Allen Ave, Ikeja, Lagos');
+      assert.strictEqual(result.label, 'Home');
+      assert.strictEqual(result.street, '12 Allen Ave');
+      assert.strictEqual(result.city, 'Ikeja');
+      assert.strictEqual(result.state, 'Lagos');
+    });
+
+    it('should extract landmark and phone number', () => {
+      const result = parseAddressText('12 Allen Ave, Ikeja, Lagos near Shoprite 08031234567');
+      assert.strictEqual(result.landmark, 'near Shoprite');
+      assert.strictEqual(result.phone, '08031234567');
+      assert.strictEqual(result.state, 'Lagos');
+    });
+
+    it('should treat a single trailing part as city when it is not a state', () => {
+      const result = parseAddressText('5 Aba Road, Port Harcourt');
+      assert.strictEqual(result.street, '5 Aba Road');
+      assert.strictEqual(result.city, 'Port Harcourt');
+      assert.strictEqual(result.state, null);
+    });
+
+    it('should return null for empty input', () => {
+      assert.strictEqual(parseAddressText(''), null);
+      assert.strictEqual(parseAddressText(null), null);
+    });
+  });
+
+  describe('normalizeStateName', () => {
+    it('should normalize "Lagos State" and Abuja', () => {
+      assert.strictEqual(normalizeStateName('lagos state'), 'Lagos');
+      assert.strictEqual(normalizeStateName('Abuja'), 'FCT');
+      assert.strictEqual(normalizeStateName('Ikeja'), null);
+    });
+  });
+
+  describe('formatAddress', () => {
+    it('should format an address with label and landmark', () => {
+      const text = formatAddress({ label: 'Office', street: '3 Broad St', city: 'Marina', state: 'Lagos', landmark: 'near UBA House' });
+      assert.strictEqual(text, 'Office: 3 Broad St, Marina, Lagos (near UBA House)');
+    });
+  });
+});
+
+describe('Delivery Pricing Utilities', () => {
+  const zones = [
+    { id: 1, name: 'Ikeja', zoneType: 'lga', states: ['Lagos'], lgas: ['Ikeja'], baseFee: 1000, isActive: true },
+    { id: 2, name: 'Lagos State', zoneType: 'state', states: ['Lagos'], baseFee: 2000, isActive: true },
+    { id: 3, name: 'Within 10km', zoneType: 'distance', pharmacyLatitude: 6.6018, pharmacyLongitude: 3.3515, maxDistanceKm: 10, baseFee: 500, perKmRate: 100, isActive: true },
+    { id: 4, name: 'Nationwide', zoneType: 'state', states: [], baseFee: 5000, isDefault: true, isActive: true }
+  ];
+
+  describe('haversineDistanceKm', () => {
+    it('should return zero for the same point', () => {
+      assert.strictEqual(haversineDistanceKm({ latitude: 6.5, longitude: 3.3 }, { latitude: 6.5, longitude: 3.3 }), 0);
+    });
+
+    it('should approximate the Lagos to Abuja distance', () => {
+      const distance = haversineDistanceKm({ latitude: 6.5244, longitude: 3.3792 }, { latitude: 9.0765, longitude: 7.3986 });
+      assert(distance > 510 && distance < 540);
+    });
+
+    it('should return null when coordinates are missing', () => {
+      assert.strictEqual(haversineDistanceKm({ latitude: 6.5 }, { latitude: 6.5, longitude: 3.3 }), null);
+    });
+  });
+
+  describe('selectDeliveryZone', () => {
+    it('should prefer a distance zone when coordinates are within range', () => {
+      const { zone, distanceKm } = selectDeliveryZone(zones, { state: 'Lagos', city: 'Ikeja', latitude: 6.6018, longitude: 3.3715 });
+      assert.strictEqual(zone.id, 3);
+      assert(distanceKm > 0 && distanceKm < 10);
+    });
+
+    it('should prefer an LGA zone over a state zone', () => {
+      const { zone } = selectDeliveryZone(zones, { state: 'lagos state', city: 'ikeja' });
+      assert.strictEqual(zone.id, 1);
+    });
+
+    it('should match the state zone for other cities', () => {
+      const { zone } = selectDeliveryZone(zones, { state: 'Lagos', city: 'Epe' });
+      assert.strictEqual(zone.id, 2);
+    });
+
+    it('should fall back to the default zone', () => {
+      const { zone } = selectDeliveryZone(zones, { state: 'Kano' });
+      assert.strictEqual(zone.id, 4);
+    });
+
+    it('should ignore inactive zones', () => {
+      const { zone } = selectDeliveryZone([{ ...zones[1], isActive: false }], { state: 'Lagos' });
+      assert.strictEqual(zone, null);
+    });
+  });
+
+  describe('computeDeliveryFee', () => {
+    const zone = { baseFee: 1000, perKmRate: 50, freeDeliveryThreshold: 20000, codSurcharge: 200 };
+
+    it('should add the per-km rate to the base fee', () => {
+      const fee = computeDeliveryFee(zone, { subtotal: 5000, distanceKm: 4 });
+      assert.strictEqual(fee.deliveryFee, 1200);
+      assert.strictEqual(fee.codSurcharge, 0);
+    });
+
+    it('should waive the fee at the free-delivery threshold but keep the COD surcharge', () => {
+      const fee = computeDeliveryFee(zone, { subtotal: 20000, distanceKm: 4, paymentMethod: 'Cash on Delivery' });
+      assert.strictEqual(fee.deliveryFee, 0);
+      assert.strictEqual(fee.isFreeDelivery, true);
+      assert.strictEqual(fee.codSurcharge, 200);
+    });
+
+    it('should charge nothing without a zone', () => {
+      const fee = computeDeliveryFee(null, { subtotal: 5000 });
+      assert.strictEqual(fee.deliveryFee, 0);
+      assert.strictEqual(fee.codSurcharge, 0);
+    });
+  });
+});
+
+describe('Payment Reference Utilities', () => {
+  describe('buildPaymentReference', () => {
+    it('should keep the original format for orders', () => {
+      assert.strictEqual(buildPaymentReference('order', 123, 1700000000000), 'drugsng-123-1700000000000');
+    });
+
+    it('should prefix diagnostic bookings and consultations', () => {
+      assert.strictEqual(buildPaymentReference('diagnostic_booking', 45, 1700000000000), 'drugsng-lab-45-1700000000000');
+      assert.strictEqual(buildPaymentReference('consultation', 7, 1700000000000), 'drugsng-consult-7-1700000000000');
+    });
+
+    it('should reject unknown types', () => {
+      assert.throws(() => buildPaymentReference('invoice', 1));
+    });
+  });
+
+  describe('parsePaymentReference', () => {
+    it('should parse legacy order references', () => {
+      assert.deepStrictEqual(parsePaymentReference('drugsng-123-1700000000000'), { entityType: 'order', entityId: '123' });
+    });
+
+    it('should parse typed references', () => {
+      assert.deepStrictEqual(parsePaymentReference('drugsng-lab-45-1700000000000'), { entityType: 'diagnostic_booking', entityId: '45' });
+      assert.deepStrictEqual(parsePaymentReference('drugsng-consult-7-1700000000000'), { entityType: 'consultation', entityId: '7' });
+    });
+
+    it('should prefer typed metadata and fall back to a legacy orderId', () => {
+      assert.deepStrictEqual(parsePaymentReference('unknown', { entityType: 'consultation', entityId: 9 }), { entityType: 'consultation', entityId: '9' });
+      assert.deepStrictEqual(parsePaymentReference('unknown', { orderId: 12 }), { entityType: 'order', entityId: '12' });
+    });
+
+    it('should return null for foreign references', () => {
+      assert.strictEqual(parsePaymentReference('FLW-MOCK-123'), null);
+      assert.strictEqual(parsePaymentReference('drugsng-invoice-5-1700000000000'), null);
+    });
+  });
+});
+
+describe('Prescription Parser Utilities', () => {
+  describe('parsePrescriptionLine', () => {
+    it('should read name, strength, form, frequency, duration and quantity', () => {
+      const medicine = parsePrescriptionLine('1. Tab. Amoxicillin 500mg 1 x 3 x 5/7');
+      assert.strictEqual(medicine.name, 'Amoxicillin');
+      assert.strictEqual(medicine.strength, '500mg');
+      assert.strictEqual(medicine.dosageForm, 'tablet');
+      assert.strictEqual(medicine.frequency, 'three times daily');
+      assert.strictEqual(medicine.durationDays, 5);
+      assert.strictEqual(medicine.quantity, 15);
+      assert.strictEqual(medicine.quantitySource, 'calculated');
+    });
+
+    it('should prefer a prescribed quantity', () => {
+      const medicine = parsePrescriptionLine('Telmisartan 40 mg od qty: 30');
+      assert.strictEqual(medicine.strength, '40mg');
+      assert.strictEqual(medicine.frequency, 'once daily');
+      assert.strictEqual(medicine.quantity, 30);
+      assert.strictEqual(medicine.quantitySource, 'prescribed');
+    });
+
+    it('should not calculate a quantity for liquids', () => {
+      const medicine = parsePrescriptionLine('Syr Amoxil 125mg/5ml 5ml b.d. x 1/52');
+      assert.strictEqual(medicine.strength, '125mg/5ml');
+      assert.strictEqual(medicine.dosageForm, 'syrup');
+      assert.strictEqual(medicine.duration, '1 week');
+      assert.strictEqual(medicine.quantity, null);
+    });
+
+    it('should ignore header and address lines', () => {
+      assert.strictEqual(parsePrescriptionLine('Date: 12/05/2024'), null);
+      assert.strictEqual(parsePrescriptionLine('12 Allen Avenue, Ikeja'), null);
+      assert.strictEqual(parsePrescriptionLine('Lagos University Teaching Hospital'), null);
+    });
+  });
+
+  describe('parseStrength / parseFrequency / parseDuration', () => {
+    it('should normalize strengths', () => {
+      assert.strictEqual(parseStrength('Insulin 100 units'), '100iu');
+      assert.strictEqual(parseStrength('5ml'), null);
+    });
+
+    it('should read frequency abbreviations and notation', () => {
+      assert.strictEqual(parseFrequency('2 tabs tds').timesPerDay, 3);
+      assert.strictEqual(parseFrequency('2 tabs tds').dose, 2);
+      assert.strictEqual(parseFrequency('twice daily').timesPerDay, 2);
+      assert.strictEqual(parseFrequency('prn').frequency, 'when needed');
+    });
+
+    it('should read durations in words and fractions', () => {
+      assert.strictEqual(parseDuration('for 2 weeks').durationDays, 14);
+      assert.strictEqual(parseDuration('x 1/12').durationDays, 30);
+      assert.strictEqual(parseDuration('12/05/2024').durationDays, null);
+    });
+  });
+
+  describe('parsePrescriptionText', () => {
+    it('should read header fields and complete medicines from direction lines', () => {
+      const result = parsePrescriptionText('Patient: Ada Obi   Age: 34\nRx\nMetformin 500mg\nSig: 1 tab bd x 2/12\nDr. John Okafor');
+      assert.strictEqual(result.patientName, 'Ada Obi');
+      assert.strictEqual(result.doctorName, 'John Okafor');
+      assert.strictEqual(result.medicines.length, 1);
+      assert.strictEqual(result.medicines[0].frequency, 'twice daily');
+      assert.strictEqual(result.medicines[0].quantity, 120);
+      assert.deepStrictEqual(result.instructions, ['Sig: 1 tab bd x 2/12']);
+    });
+
+    it('should return an empty structure for empty text', () => {
+      assert.deepStrictEqual(parsePrescriptionText('').medicines, []);
+    });
+  });
+});
+
 // Summary
 console.log('\n✅ All unit tests defined. Run with: npm test\n');
 
@@ -455,5 +717,14 @@ module.exports = {
   attachNumberedOptions,
   parseUserSelection,
   validateSessionValidity,
-  checkTokenRefreshNeeded
+  checkTokenRefreshNeeded,
+  parseAddressText,
+  formatAddress,
+  haversineDistanceKm,
+  selectDeliveryZone,
+  computeDeliveryFee,
+  buildPaymentReference,
+  parsePaymentReference,
+  parsePrescriptionText,
+  parsePrescriptionLine
 };
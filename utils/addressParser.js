@@ -0,0 +1,99 @@
+// Utilities for parsing and formatting delivery addresses typed on WhatsApp
+const { sanitizeInput } = require('./validation');
+
+const NIGERIAN_STATES = [
+  'Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa', 'Benue', 'Borno',
+  'Cross River', 'Delta', 'Ebonyi', 'Edo', 'Ekiti', 'Enugu', 'FCT', 'Gombe', 'Imo',
+  'Jigawa', 'Kaduna', 'Kano', 'Katsina', 'Kebbi', 'Kogi', 'Kwara', 'Lagos', 'Nasarawa',
+  'Niger', 'Ogun', 'Ondo', 'Osun', 'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba',
+  'Yobe', 'Zamfara'
+];
+
+/**
+ * Match free text to a Nigerian state name
+ * Accepts "Lagos", "lagos state", "Abuja" / "FCT"
+ * @param {string} text - Text to match
+ * @returns {string|null} Canonical state name or null
+ */
+const normalizeStateName = (text) => {
+  if (!text || typeof text !== 'string') return null;
+  const value = text.toLowerCase().replace(/\bstate\b/g, '').replace(/\s+/g, ' ').trim();
+  if (!value) return null;
+  if (value === 'abuja' || value === 'fct' || value === 'federal capital territory') return 'FCT';
+  const match = NIGERIAN_STATES.find((state) => state.toLowerCase() === value);
+  return match || null;
+};
+
+/**
+ * Parse a typed address into its parts
+ * Supports: "Home: 12 Allen Ave, Ikeja, Lagos near Shoprite 08031234567"
+ * @param {string} text - Address text
+ * @returns {Object|null} { label, street, city, state, landmark, phone } or null if empty
+ */
+const parseAddressText = (text) => {
+  if (!text || typeof text !== 'string') return null;
+  let s = sanitizeInput(text);
+  if (!s) return null;
+
+  const result = { label: null, street: null, city: null, state: null, landmark: null, phone: null };
+
+  // Optional short label before a colon: "Office: ..."
+  const labelMatch = s.match(/^([A-Za-z][A-Za-z0-9 '-]{0,19}):\s*(.+)$/);
+  if (labelMatch) {
+    result.label = labelMatch[1].trim();
+    s = labelMatch[2];
+  }
+
+  // Contact phone (Nigerian format)
+  const phoneMatch = s.match(/(\+?234[789]\d{9}|\b0[789]\d{9})\b/);
+  if (phoneMatch) {
+    result.phone = phoneMatch[1];
+    s = s.replace(phoneMatch[0], ' ');
+  }
+
+  // Landmark: "near X", "opposite X", "beside X", "landmark: X"
+  const landmarkMatch = s.match(/\b(near|opposite|beside|behind|landmark:?)\s+([^,]+)/i);
+  if (landmarkMatch) {
+    const keyword = landmarkMatch[1].replace(/:$/, '').toLowerCase();
+    result.landmark = keyword === 'landmark' ? landmarkMatch[2].trim() : `${keyword} ${landmarkMatch[2].trim()}`;
+    s = s.replace(landmarkMatch[0], ' ');
+  }
+
+  const parts = s.split(',').map((p) => p.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const lastState = parts.length > 1 ? normalizeStateName(parts[parts.length - 1]) : null;
+  if (lastState) {
+    result.state = lastState;
+    parts.pop();
+  }
+
+  if (parts.length > 1) {
+    result.city = parts.pop();
+  }
+
+  result.street = parts.join(', ');
+  return result;
+};
+
+/**
+ * Format an address record for WhatsApp messages
+ * @param {Object} address - Address record or plain object
+ * @param {Object} options - { includeLabel }
+ * @returns {string} Formatted address
+ */
+const formatAddress = (address, options = {}) => {
+  if (!address) return '';
+  const { includeLabel = true } = options;
+  const line = [address.street, address.city, address.state].filter(Boolean).join(', ');
+  let text = includeLabel && address.label ? `${address.label}: ${line}` : line;
+  if (address.landmark) text += ` (${address.landmark})`;
+  return text;
+};
+
+module.exports = {
+  NIGERIAN_STATES,
+  normalizeStateName,
+  parseAddressText,
+  formatAddress
+};
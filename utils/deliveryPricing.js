@@ -0,0 +1,150 @@
+// Pure helpers for delivery zone matching and fee calculation
+const { normalizeStateName } = require('./addressParser');
+
+const EARTH_RADIUS_KM = 6371;
+
+// More specific zone types win over broader ones
+const ZONE_TYPE_RANK = {
+  distance: 3,
+  lga: 2,
+  state: 1
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const hasCoordinates = (point) => {
+  return !!point && point.latitude != null && point.longitude != null &&
+    !isNaN(parseFloat(point.latitude)) && !isNaN(parseFloat(point.longitude));
+};
+
+/**
+ * Great-circle distance between two coordinates (haversine)
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number|null} Distance in km rounded to 0.1, or null if a point is missing
+ */
+const haversineDistanceKm = (from, to) => {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+
+  const lat1 = parseFloat(from.latitude);
+  const lat2 = parseFloat(to.latitude);
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(parseFloat(to.longitude) - parseFloat(from.longitude));
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  const distance = 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return Math.round(distance * 10) / 10;
+};
+
+const normalizeList = (values) => {
+  if (!Array.isArray(values)) return [];
+  return values.map((value) => String(value).toLowerCase().trim()).filter(Boolean);
+};
+
+// Zone origin: its own pharmacy coordinates, else the default pharmacy location
+const zoneOrigin = (zone, defaultOrigin) => {
+  const own = { latitude: zone.pharmacyLatitude, longitude: zone.pharmacyLongitude };
+  return hasCoordinates(own) ? own : (hasCoordinates(defaultOrigin) ? defaultOrigin : null);
+};
+
+/**
+ * Pick the delivery zone that applies to an address
+ * Distance zones beat LGA zones, which beat state zones; ties go to the higher priority
+ * and, for distance zones, the smaller radius. The default zone is used when nothing matches.
+ * @param {Array} zones - Active delivery zones
+ * @param {Object} location - { state, city, latitude, longitude }
+ * @param {Object} options - { origin: { latitude, longitude } } default pharmacy location
+ * @returns {Object} { zone, distanceKm } (zone is null when no zone applies)
+ */
+const selectDeliveryZone = (zones = [], location = {}, options = {}) => {
+  const state = normalizeStateName(location.state);
+  const city = location.city ? String(location.city).toLowerCase().trim() : null;
+  const candidates = [];
+
+  zones.forEach((zone) => {
+    if (!zone || zone.isActive === false) return;
+
+    const origin = zoneOrigin(zone, options.origin);
+    const distanceKm = haversineDistanceKm(origin, location);
+    const zoneStates = normalizeList(zone.states);
+    const stateMatches = !!state && zoneStates.includes(state.toLowerCase());
+
+    let matches = false;
+    if (zone.zoneType === 'distance') {
+      matches = distanceKm != null && (zone.maxDistanceKm == null || distanceKm <= zone.maxDistanceKm);
+    } else if (zone.zoneType === 'lga') {
+      matches = !!city && normalizeList(zone.lgas).includes(city) && (zoneStates.length === 0 || stateMatches);
+    } else if (zone.zoneType === 'state') {
+      matches = stateMatches;
+    }
+
+    if (matches) {
+      candidates.push({ zone, distanceKm });
+    }
+  });
+
+  candidates.sort((a, b) => {
+    const rankDiff = (ZONE_TYPE_RANK[b.zone.zoneType] || 0) - (ZONE_TYPE_RANK[a.zone.zoneType] || 0);
+    if (rankDiff !== 0) return rankDiff;
+    const priorityDiff = (b.zone.priority || 0) - (a.zone.priority || 0);
+    if (priorityDiff !== 0) return priorityDiff;
+    return (a.zone.maxDistanceKm || Infinity) - (b.zone.maxDistanceKm || Infinity);
+  });
+
+  if (candidates.length > 0) {
+    return candidates[0];
+  }
+
+  const fallback = zones.find((zone) => zone && zone.isDefault && zone.isActive !== false);
+  if (fallback) {
+    return { zone: fallback, distanceKm: haversineDistanceKm(zoneOrigin(fallback, options.origin), location) };
+  }
+
+  return { zone: null, distanceKm: null };
+};
+
+/**
+ * Calculate the delivery fee for a zone
+ * fee = baseFee + perKmRate × distance, waived when the subtotal reaches the free threshold.
+ * The cash-on-delivery surcharge is charged separately and is never waived.
+ * @param {Object} zone - Delivery zone (null means no delivery charge)
+ * @param {Object} params - { subtotal, distanceKm, paymentMethod }
+ * @returns {Object} { deliveryFee, codSurcharge, isFreeDelivery, distanceKm }
+ */
+const computeDeliveryFee = (zone, params = {}) => {
+  const { subtotal = 0, distanceKm = null, paymentMethod = null } = params;
+
+  if (!zone) {
+    return { deliveryFee: 0, codSurcharge: 0, isFreeDelivery: false, distanceKm };
+  }
+
+  let deliveryFee = parseFloat(zone.baseFee) || 0;
+  const perKmRate = parseFloat(zone.perKmRate) || 0;
+  if (perKmRate > 0 && distanceKm != null) {
+    deliveryFee += perKmRate * distanceKm;
+  }
+
+  const threshold = parseFloat(zone.freeDeliveryThreshold);
+  const isFreeDelivery = threshold > 0 && subtotal >= threshold;
+  if (isFreeDelivery) {
+    deliveryFee = 0;
+  }
+
+  const isCashOnDelivery = /cash|\bcod\b/i.test(paymentMethod || '');
+  const codSurcharge = isCashOnDelivery ? (parseFloat(zone.codSurcharge) || 0) : 0;
+
+  return {
+    deliveryFee: Math.round(deliveryFee),
+    codSurcharge: Math.round(codSurcharge),
+    isFreeDelivery,
+    distanceKm
+  };
+};
+
+module.exports = {
+  haversineDistanceKm,
+  selectDeliveryZone,
+  computeDeliveryFee
+};
@@ -0,0 +1,65 @@
+// Pure helpers for payment references (tx_ref) that identify what is being paid for
+
+// Reference prefix for each payable entity type; orders keep the original unprefixed format
+const REFERENCE_PREFIXES = {
+  order: null,
+  diagnostic_booking: 'lab',
+  consultation: 'consult'
+};
+
+const PAYABLE_TYPES = Object.keys(REFERENCE_PREFIXES);
+
+const PREFIX_TO_TYPE = Object.entries(REFERENCE_PREFIXES).reduce((map, [type, prefix]) => {
+  if (prefix) map[prefix] = type;
+  return map;
+}, {});
+
+/**
+ * Build a payment reference for a payable entity
+ * @param {string} entityType - 'order' | 'diagnostic_booking' | 'consultation'
+ * @param {number|string} entityId - Entity ID
+ * @param {number} timestamp - Defaults to now
+ * @returns {string} e.g. drugsng-123-1700000000000 or drugsng-lab-45-1700000000000
+ */
+const buildPaymentReference = (entityType, entityId, timestamp = Date.now()) => {
+  if (!PAYABLE_TYPES.includes(entityType)) {
+    throw new Error(`Unsupported payable type: ${entityType}`);
+  }
+  const prefix = REFERENCE_PREFIXES[entityType];
+  return prefix ? `drugsng-${prefix}-${entityId}-${timestamp}` : `drugsng-${entityId}-${timestamp}`;
+};
+
+/**
+ * Work out which entity a payment reference (or provider metadata) belongs to
+ * @param {string} reference - tx_ref / reference
+ * @param {Object} metadata - Provider metadata ({ entityType, entityId } or legacy { orderId })
+ * @returns {Object|null} { entityType, entityId }
+ */
+const parsePaymentReference = (reference, metadata = null) => {
+  if (metadata && metadata.entityType && metadata.entityId && PAYABLE_TYPES.includes(metadata.entityType)) {
+    return { entityType: metadata.entityType, entityId: String(metadata.entityId) };
+  }
+
+  if (reference && typeof reference === 'string') {
+    const typed = reference.match(/^drugsng-([a-z]+)-(\d+)(?:-\d+)?$/i);
+    if (typed && PREFIX_TO_TYPE[typed[1].toLowerCase()]) {
+      return { entityType: PREFIX_TO_TYPE[typed[1].toLowerCase()], entityId: typed[2] };
+    }
+
+    const legacy = reference.match(/^drugsng-(\d+)(?:-\d+)?$/i);
+    if (legacy) {
+      return { entityType: 'order', entityId: legacy[1] };
+    }
+  }
+
+  if (metadata && metadata.orderId) {
+    return { entityType: 'order', entityId: String(metadata.orderId) };
+  }
+  return null;
+};
+
+module.exports = {
+  PAYABLE_TYPES,
+  buildPaymentReference,
+  parsePaymentReference
+};
@@ -0,0 +1,316 @@
+// Utilities for reading medicine lines out of OCR'd prescription text
+// e.g. "1. Tab Amoxicillin 500mg 1 x 3 x 5/7" -> amoxicillin, 500mg tablet, three times daily for 5 days, 15 tablets
+
+const MAX_MEDICINES = 10;
+
+const DOSAGE_FORMS = [
+  { form: 'tablet', pattern: 'tabs?|tablets?|tbs' },
+  { form: 'capsule', pattern: 'caps?|capsules?' },
+  { form: 'syrup', pattern: 'syrups?|syr' },
+  { form: 'suspension', pattern: 'susp|suspensions?' },
+  { form: 'injection', pattern: 'inj|injections?|amps?|ampoules?|vials?' },
+  { form: 'cream', pattern: 'creams?' },
+  { form: 'ointment', pattern: 'oint|ointments?' },
+  { form: 'gel', pattern: 'gels?' },
+  { form: 'drops', pattern: 'drops?|gtts?' },
+  { form: 'inhaler', pattern: 'inhalers?|puffs?' },
+  { form: 'suppository', pattern: 'supp|suppository|suppositories' },
+  { form: 'lotion', pattern: 'lotions?' },
+  { form: 'sachet', pattern: 'sachets?' }
+];
+
+// Forms dispensed in countable units, so a quantity can be worked out from dose x frequency x duration
+const COUNTABLE_FORMS = ['tablet', 'capsule', 'suppository', 'sachet'];
+
+// Most frequent first so "twice daily" is not read as "daily"
+const FREQUENCIES = [
+  { label: 'four times daily', timesPerDay: 4, pattern: /\b(?:qds|qid|(?:4|four)\s*times\s*(?:a\s*)?(?:day|daily)|6\s*hourly|(?:every|q)\s*6\s*(?:h|hrs?|hours?)\b)/i },
+  { label: 'three times daily', timesPerDay: 3, pattern: /\b(?:tds|tid|(?:3|three)\s*times\s*(?:a\s*)?(?:day|daily)|thrice\s*(?:a\s*)?(?:day|daily)|8\s*hourly|(?:every|q)\s*8\s*(?:h|hrs?|hours?)\b)/i },
+  { label: 'twice daily', timesPerDay: 2, pattern: /\b(?:bd|bid|(?:2|two)\s*times\s*(?:a\s*)?(?:day|daily)|twice\s*(?:a\s*)?(?:day|daily)|12\s*hourly|(?:every|q)\s*12\s*(?:h|hrs?|hours?)\b)/i },
+  { label: 'at night', timesPerDay: 1, pattern: /\b(?:nocte|at\s*night|bedtime)\b/i },
+  { label: 'in the morning', timesPerDay: 1, pattern: /\b(?:mane|in\s*the\s*morning)\b/i },
+  { label: 'once daily', timesPerDay: 1, pattern: /\b(?:od|qd|once\s*(?:a\s*)?(?:day|daily)|daily|24\s*hourly)\b/i },
+  { label: 'when needed', timesPerDay: null, pattern: /\b(?:prn|when\s*needed|as\s*needed)\b/i },
+  { label: 'single dose', timesPerDay: null, pattern: /\bstat\b/i }
+];
+
+const DURATION_UNITS = {
+  day: 1,
+  week: 7,
+  month: 30
+};
+
+// Lines that are part of the prescription header/footer, never medicines
+const HEADER_LINE = /^(?:(?:patient|name|age|sex|gender|address|date|doctor|prescriber|hospital|clinic|signature|sign|tel|phone|diagnosis|dx|reg|mdcn|folio)\b|dr\b)/i;
+
+// Directions written on their own line under a medicine ("Sig: 1 tab bd x 5/7")
+const INSTRUCTION_LINE = /^(?:sig|take|apply|use|instructions?|directions?|note|advice)\b/i;
+
+const STOP_WORDS = ['for', 'x', 'and', 'with', 'take', 'sig', 'qty', 'quantity', 'disp', 'dispense', 'no'];
+
+const formPattern = DOSAGE_FORMS.map((entry) => entry.pattern).join('|');
+const FORM_TOKEN = new RegExp(`^(?:${formPattern})\\.?$`, 'i');
+
+const isFrequencyToken = (token) => FREQUENCIES.some((entry) => entry.pattern.test(token));
+
+/**
+ * Dosage form named in a line, normalized to the catalog's dosageForm values
+ * @param {string} line - Prescription line
+ * @returns {string|null} e.g. 'tablet', 'syrup'
+ */
+const parseDosageForm = (line) => {
+  for (const entry of DOSAGE_FORMS) {
+    if (new RegExp(`\\b(?:${entry.pattern})\\b`, 'i').test(line)) {
+      return entry.form;
+    }
+  }
+  return null;
+};
+
+/**
+ * Strength of a medicine line, normalized without spaces ("500 mg" -> "500mg", "125mg/5ml")
+ * Plain volumes ("5ml") are doses of a liquid, not strengths
+ * @param {string} line - Prescription line
+ * @returns {string|null} Strength
+ */
+const parseStrength = (line) => {
+  const match = line.match(/(\d+(?:\.\d+)?)\s*(mg|mcg|µg|g|iu|units?|%)(?![a-z])(?:\s*\/\s*(\d+(?:\.\d+)?)\s*(ml|mg|g)(?![a-z]))?/i);
+  if (!match) return null;
+  const unit = match[2].toLowerCase().replace(/^units?$/, 'iu');
+  let strength = `${match[1]}${unit}`;
+  if (match[3]) {
+    strength += `/${match[3]}${match[4].toLowerCase()}`;
+  }
+  return strength;
+};
+
+/**
+ * How often a medicine is taken
+ * Accepts abbreviations (bd, tds, nocte, prn), words ("twice daily") and the "1 x 3" notation
+ * @param {string} line - Prescription line
+ * @returns {Object} { dose, frequency, timesPerDay } (null when not stated)
+ */
+const parseFrequency = (line) => {
+  const text = line.replace(/(\b[a-z])\.(?=[a-z]\b)/gi, '$1').replace(/\b([a-z]{1,2})\.(?=\s|$)/gi, '$1');
+  const result = { dose: null, frequency: null, timesPerDay: null };
+
+  // "1 x 3" = one unit three times a day; "x 5/7" after it is the duration
+  const multiplied = text.match(/(?<![\d./])(\d+)\s*[x×*]\s*([1-4])(?![\d/])/i);
+  if (multiplied) {
+    result.dose = parseInt(multiplied[1], 10);
+    result.timesPerDay = parseInt(multiplied[2], 10);
+    result.frequency = FREQUENCIES.find((entry) => entry.timesPerDay === result.timesPerDay).label;
+  } else {
+    const entry = FREQUENCIES.find((candidate) => candidate.pattern.test(text));
+    if (entry) {
+      result.frequency = entry.label;
+      result.timesPerDay = entry.timesPerDay;
+    }
+  }
+
+  // "2 tabs bd": units per dose
+  const units = text.match(/(?<![\d./])(\d+)\s*(?:tabs?|tablets?|caps?|capsules?|supp|sachets?|puffs?)\b/i);
+  if (units && result.dose === null) {
+    result.dose = parseInt(units[1], 10);
+  }
+  return result;
+};
+
+/**
+ * How long a medicine is taken
+ * Accepts "for 5 days", "x 2 weeks" and the "5/7" (days), "2/52" (weeks), "1/12" (months) notation
+ * @param {string} line - Prescription line
+ * @returns {Object} { duration, durationDays } (null when not stated)
+ */
+const parseDuration = (line) => {
+  let value = null;
+  let unit = null;
+
+  const fraction = line.match(/(?<![\d/])(\d{1,2})\s*\/\s*(7|52|12)(?![\d/])/);
+  if (fraction) {
+    value = parseInt(fraction[1], 10);
+    unit = { 7: 'day', 52: 'week', 12: 'month' }[fraction[2]];
+  } else {
+    const words = line.match(/(\d+)\s*(days?|dys?|weeks?|wks?|months?|mths?)\b/i);
+    if (words) {
+      value = parseInt(words[1], 10);
+      const word = words[2].toLowerCase();
+      unit = word.startsWith('d') ? 'day' : word.startsWith('w') ? 'week' : 'month';
+    }
+  }
+
+  if (!value) {
+    return { duration: null, durationDays: null };
+  }
+  return {
+    duration: `${value} ${unit}${value === 1 ? '' : 's'}`,
+    durationDays: value * DURATION_UNITS[unit]
+  };
+};
+
+/**
+ * Quantity written on the prescription ("Qty: 20", "#20", "disp 20")
+ * @param {string} line - Prescription line
+ * @returns {number|null} Quantity
+ */
+const parsePrescribedQuantity = (line) => {
+  const match = line.match(/(?:\bqty|\bquantity|\bdisp(?:ense)?|\bno\.|#)\s*:?\s*(\d+)/i);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Drug name of a medicine line: the words before its strength, form or directions
+ * "1. Tab. Amoxicillin 500mg ..." -> "Amoxicillin"
+ * @param {string} line - Prescription line
+ * @returns {string|null} Name
+ */
+const parseDrugName = (line) => {
+  const body = line
+    .replace(/^\s*(?:(?:rx|℞)\s*[:.]?|\d{1,2}\s*[.):-]|[-•*])\s*/i, '')
+    .replace(/^\s*(?:rx|℞)\s*[:.]?\s*/i, '');
+
+  const words = [];
+  for (const raw of body.split(/\s+/)) {
+    const token = raw.replace(/[,;:()]+$/g, '').replace(/^[,;:()]+/g, '');
+    if (!token) continue;
+    // A leading form ("Tab", "Syr") comes before the name
+    if (words.length === 0 && FORM_TOKEN.test(token)) continue;
+    if (!/^[a-z][a-z'-]*\.?$/i.test(token)) break;
+    if (FORM_TOKEN.test(token) || isFrequencyToken(token) || STOP_WORDS.includes(token.toLowerCase())) break;
+    words.push(token.replace(/\.$/, ''));
+  }
+
+  const name = words.join(' ').trim();
+  return name.length >= 3 ? name : null;
+};
+
+/**
+ * Parse one prescription line into a medicine, when it is one
+ * @param {string} line - Prescription line
+ * @returns {Object|null} { line, name, strength, dosageForm, dose, frequency, timesPerDay,
+ *   duration, durationDays, quantity, quantitySource } or null
+ */
+const parsePrescriptionLine = (line) => {
+  if (!line || typeof line !== 'string') return null;
+  const text = line.replace(/\s+/g, ' ').trim();
+  if (!text || HEADER_LINE.test(text) || INSTRUCTION_LINE.test(text)) return null;
+
+  const name = parseDrugName(text);
+  if (!name) return null;
+
+  const strength = parseStrength(text);
+  const dosageForm = parseDosageForm(text);
+  const { dose, frequency, timesPerDay } = parseFrequency(text);
+  const isListed = /^\s*(?:rx|℞|\d{1,2}\s*[.):-])/i.test(text);
+
+  // A bare line of words is more likely an address or a note than a medicine
+  if (!strength && !dosageForm && !frequency && !isListed) return null;
+
+  const medicine = {
+    line: text,
+    name,
+    strength,
+    dosageForm,
+    dose,
+    frequency,
+    timesPerDay,
+    ...parseDuration(text),
+    quantity: null,
+    quantitySource: null
+  };
+  return withQuantity(medicine, parsePrescribedQuantity(text));
+};
+
+// Quantity as written, or dose x times a day x days for countable forms
+const withQuantity = (medicine, prescribed) => {
+  if (prescribed) {
+    return { ...medicine, quantity: prescribed, quantitySource: 'prescribed' };
+  }
+  if (COUNTABLE_FORMS.includes(medicine.dosageForm) && medicine.timesPerDay && medicine.durationDays) {
+    return { ...medicine, quantity: (medicine.dose || 1) * medicine.timesPerDay * medicine.durationDays, quantitySource: 'calculated' };
+  }
+  return medicine;
+};
+
+// Directions on their own line complete the medicine above them
+const applyInstruction = (medicine, line) => {
+  const updated = { ...medicine };
+  const frequency = parseFrequency(line);
+  if (!updated.frequency && frequency.frequency) {
+    updated.frequency = frequency.frequency;
+    updated.timesPerDay = frequency.timesPerDay;
+  }
+  if (!updated.dose && frequency.dose) {
+    updated.dose = frequency.dose;
+  }
+  if (!updated.dosageForm) {
+    updated.dosageForm = parseDosageForm(line);
+  }
+  if (!updated.duration) {
+    Object.assign(updated, parseDuration(line));
+  }
+  const prescribed = parsePrescribedQuantity(line) || (updated.quantitySource === 'prescribed' ? updated.quantity : null);
+  return withQuantity(updated, prescribed);
+};
+
+/**
+ * Parse OCR'd prescription text
+ * @param {string} text - OCR text
+ * @returns {Object} { patientName, doctorName, medicines, instructions, issueDate }
+ */
+const parsePrescriptionText = (text) => {
+  const prescription = {
+    patientName: null,
+    doctorName: null,
+    medicines: [],
+    instructions: [],
+    issueDate: null
+  };
+  if (!text || typeof text !== 'string') return prescription;
+
+  const patientMatch = text.match(/(?:\bpatient(?:'s)?(?:\s*name)?|\bname)\s*:\s*([^\n]+)/i);
+  if (patientMatch) {
+    // "Patient: Ada Obi   Age: 34" - other header fields often share the line
+    prescription.patientName = patientMatch[1].split(/\s{2,}|\s+(?:age|sex|gender|date)\s*:/i)[0].trim();
+  }
+
+  const doctorMatch = text.match(/(?:\bdoctor\s*:|\bprescriber\s*:|\bdr\.?\s)\s*([^\n]+)/i);
+  if (doctorMatch) {
+    prescription.doctorName = doctorMatch[1].trim();
+  }
+
+  const dateMatch = text.match(/(\d{1,2}[/-]\d{1,2}[/-]\d{2,4})/);
+  if (dateMatch) {
+    prescription.issueDate = dateMatch[1];
+  }
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    if (!line) continue;
+
+    if (INSTRUCTION_LINE.test(line)) {
+      prescription.instructions.push(line);
+      const last = prescription.medicines.length - 1;
+      if (last >= 0) {
+        prescription.medicines[last] = applyInstruction(prescription.medicines[last], line);
+      }
+      continue;
+    }
+
+    const medicine = parsePrescriptionLine(line);
+    if (medicine && prescription.medicines.length < MAX_MEDICINES) {
+      prescription.medicines.push(medicine);
+    }
+  }
+
+  return prescription;
+};
+
+module.exports = {
+  parsePrescriptionText,
+  parsePrescriptionLine,
+  parseStrength,
+  parseDosageForm,
+  parseFrequency,
+  parseDuration
+};